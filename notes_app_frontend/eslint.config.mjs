@@ -24,6 +24,29 @@ export default [
     }
   },
   pluginJs.configs.recommended,
+  { ignores: ["public/engines/"] },
+  {
+    files: ["public/extract-*.js"],
+    languageOptions: {
+      sourceType: "script",
+      globals: {
+        self: true,
+        module: true,
+        createImageBitmap: true,
+        URL: true
+      }
+    }
+  },
+  {
+    files: ["scripts/*.js"],
+    languageOptions: {
+      sourceType: "commonjs",
+      globals: {
+        require: true,
+        __dirname: true
+      }
+    }
+  },
   {
     plugins: { react: pluginReact },
     rules: {
@@ -0,0 +1,133 @@
+/**
+ * extract-engines
+ * Engine adapters for public/extract-worker.js, kept in their own file so the tests can run them in
+ * Node (src/lib/extractEngines.test.js). An engine is { name, run(input) } resolving to the text found.
+ *
+ * - textDetectorEngine: the browser's built-in TextDetector (some Chromium builds), used as a fast path
+ * - tesseractEngine: tesseract.js OCR; its worker, WASM core and language data come from `options`
+ * - voskEngine: vosk-browser speech recognition on mono samples (-1 to 1), with a model archive
+ *   (.tar.gz) at `modelUrl`; a model that cannot be loaded makes the engine report `unsupported`
+ * - runEngines tries engines in order and keeps the first text found
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.ExtractEngines = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // thrown when an engine cannot run here, so the worker answers { unsupported } instead of an error
+  class UnsupportedError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'UnsupportedError';
+    }
+  }
+
+  function textDetectorEngine(TextDetector, createBitmap) {
+    return {
+      name: 'TextDetector',
+      async run(blob) {
+        const bitmap = await createBitmap(blob);
+        try {
+          const found = await new TextDetector().detect(bitmap);
+          return found
+            .map((block) => block.rawValue)
+            .filter(Boolean)
+            .join('\n');
+        } finally {
+          if (bitmap.close) bitmap.close();
+        }
+      },
+    };
+  }
+
+  function tesseractEngine(Tesseract, options) {
+    // one recognizer per worker, started on first use; English, LSTM model only
+    let recognizer = null;
+    return {
+      name: 'tesseract',
+      async run(image) {
+        if (!recognizer) {
+          recognizer = Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, options).catch((err) => {
+            recognizer = null;
+            throw err;
+          });
+        }
+        const { data } = await (await recognizer).recognize(image);
+        return data.text;
+      },
+      async terminate() {
+        const pending = recognizer;
+        recognizer = null;
+        if (pending) await (await pending).terminate();
+      },
+    };
+  }
+
+  function loadVoskModel(Vosk, modelUrl) {
+    // Vosk.createModel never settles when loading fails, which the model reports as an error event
+    return new Promise((resolve, reject) => {
+      const model = new Vosk.Model(modelUrl);
+      const fail = () => {
+        model.terminate();
+        reject(new UnsupportedError(`No speech model at ${modelUrl}`));
+      };
+      model.on('load', (message) => (message.result ? resolve(model) : fail()));
+      model.on('error', () => {
+        if (!model.ready) fail();
+      });
+    });
+  }
+
+  function voskEngine(Vosk, modelUrl, { chunkSize = 16000 } = {}) {
+    // the model loads once; when it is missing every later run is unsupported as well
+    let model = null;
+    return {
+      name: 'vosk',
+      async run({ samples, sampleRate }) {
+        if (!model) model = loadVoskModel(Vosk, modelUrl);
+        const recognizer = new (await model).KaldiRecognizer(sampleRate);
+        const chunks = [];
+        for (let i = 0; i < samples.length; i += chunkSize) chunks.push(samples.slice(i, i + chunkSize));
+        return new Promise((resolve, reject) => {
+          // every chunk answers once (a result at a pause, else a partial result); the final result comes last
+          let answered = 0;
+          const phrases = [];
+          const settle = (fn, value) => {
+            recognizer.remove();
+            fn(value);
+          };
+          recognizer.on('result', (message) => {
+            const text = message.result && message.result.text;
+            if (text) phrases.push(text);
+            answered += 1;
+            if (answered > chunks.length) settle(resolve, phrases.join('\n'));
+          });
+          recognizer.on('partialresult', () => {
+            answered += 1;
+          });
+          recognizer.on('error', (message) => settle(reject, new Error(message.error)));
+          chunks.forEach((chunk) => recognizer.acceptWaveformFloat(chunk, sampleRate));
+          recognizer.retrieveFinalResult();
+        });
+      },
+    };
+  }
+
+  async function runEngines(engines, input) {
+    // the first engine that finds text wins; { text, engine } with the last engine's (empty) text otherwise
+    let last = null;
+    for (const engine of engines) {
+      try {
+        const text = String((await engine.run(input)) || '').trim();
+        if (text) return { text, engine: engine.name };
+        last = { text, engine: engine.name };
+      } catch (err) {
+        if (engine === engines[engines.length - 1] && !last) throw err;
+      }
+    }
+    if (!last) throw new UnsupportedError('No engine for this kind of attachment');
+    return last;
+  }
+
+  return { UnsupportedError, textDetectorEngine, tesseractEngine, voskEngine, runEngines };
+});
@@ -0,0 +1,81 @@
+/**
+ * extract-worker
+ * Extracts searchable text from note attachments off the main thread (see src/lib/extract.js).
+ *
+ * Message in:  { id, kind: 'image', blob } | { id, kind: 'audio', audio: { samples, sampleRate } }
+ * Message out: { id, text, engine } | { id, unsupported: true } | { id, error }
+ *
+ * Everything stays on the device: the worker removes its own network APIs before it handles a
+ * message, and the engines (public/extract-engines.js) load their code, WASM and data only from the
+ * app's own `engines/` and `models/` folders, never from other hosts:
+ * - images: the browser's TextDetector when it finds text, otherwise tesseract.js
+ *   (engines/tesseract, copied from node_modules by scripts/copy-engines.js)
+ * - audio: vosk-browser (engines/vosk) with the speech model at models/vosk-model.tar.gz; audio is
+ *   `unsupported` while that model is missing
+ */
+
+// eslint-disable-next-line no-restricted-globals
+const ctx = self;
+
+const ENGINES_URL = new URL('engines/', ctx.location.href).href;
+const SPEECH_MODEL_URL = new URL('models/vosk-model.tar.gz', ctx.location.href).href;
+
+// engine scripts load on first use, from the engines folder only
+const loadScript = ctx.importScripts.bind(ctx);
+const loaded = new Set();
+function loadEngineScript(path) {
+  if (!loaded.has(path)) loadScript(ENGINES_URL + path);
+  loaded.add(path);
+}
+
+['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts'].forEach((name) => {
+  try {
+    ctx[name] = undefined;
+  } catch (e) {
+    // read-only in some browsers; nothing below uses it
+  }
+});
+
+loadScript(new URL('extract-engines.js', ctx.location.href).href);
+const { textDetectorEngine, tesseractEngine, voskEngine, runEngines, UnsupportedError } = ctx.ExtractEngines;
+
+function lazy(load) {
+  let engine = null;
+  return () => engine || (engine = load());
+}
+
+const tesseract = lazy(() => {
+  loadEngineScript('tesseract/tesseract.min.js');
+  return tesseractEngine(ctx.Tesseract, {
+    workerPath: `${ENGINES_URL}tesseract/worker.min.js`,
+    corePath: `${ENGINES_URL}tesseract/`,
+    langPath: `${ENGINES_URL}tesseract/`,
+    workerBlobURL: false,
+    cacheMethod: 'none',
+  });
+});
+
+const vosk = lazy(() => {
+  loadEngineScript('vosk/vosk.js');
+  return voskEngine(ctx.Vosk, SPEECH_MODEL_URL);
+});
+
+const ENGINES = {
+  image: () => [
+    ...(typeof ctx.TextDetector === 'function' ? [textDetectorEngine(ctx.TextDetector, createImageBitmap)] : []),
+    tesseract(),
+  ],
+  audio: () => [vosk()],
+};
+
+ctx.onmessage = async (event) => {
+  const { id, kind, blob, audio } = event.data || {};
+  try {
+    if (!ENGINES[kind]) throw new UnsupportedError(`Cannot extract text from ${kind}`);
+    const { text, engine } = await runEngines(ENGINES[kind](), kind === 'audio' ? audio : blob);
+    ctx.postMessage({ id, text, engine });
+  } catch (err) {
+    if (err instanceof UnsupportedError) ctx.postMessage({ id, unsupported: true });
+    else ctx.postMessage({ id, error: String((err && err.message) || err) });
+  }
+};
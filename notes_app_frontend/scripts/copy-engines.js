@@ -0,0 +1,37 @@
+/**
+ * copy-engines
+ * Copies the text extraction engines from node_modules into public/engines, so the app serves them
+ * itself and public/extract-worker.js never loads code or data from other hosts.
+ * Runs before `npm start` and `npm run build`; public/engines is not committed.
+ *
+ * - engines/tesseract: tesseract.js (page side and worker), its WASM cores for the LSTM model and
+ *   the English language data
+ * - engines/vosk: vosk-browser (its WASM is inlined); the speech model is not an npm package and goes
+ *   to public/models/vosk-model.tar.gz by hand (see README)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const target = path.join(root, 'public', 'engines');
+
+const FILES = {
+  tesseract: [
+    'tesseract.js/dist/tesseract.min.js',
+    'tesseract.js/dist/worker.min.js',
+    'tesseract.js-core/tesseract-core-lstm.wasm.js',
+    'tesseract.js-core/tesseract-core-simd-lstm.wasm.js',
+    'tesseract.js-core/tesseract-core-relaxedsimd-lstm.wasm.js',
+    '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz',
+  ],
+  vosk: ['vosk-browser/dist/vosk.js'],
+};
+
+Object.entries(FILES).forEach(([dir, files]) => {
+  fs.mkdirSync(path.join(target, dir), { recursive: true });
+  files.forEach((file) => {
+    const source = require.resolve(file, { paths: [root] });
+    fs.copyFileSync(source, path.join(target, dir, path.basename(file)));
+  });
+});
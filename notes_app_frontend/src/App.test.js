@@ -1,8 +1,9 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the app header and the empty notes list', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  const heading = screen.getByRole('heading', { name: /simple notes manager/i });
+  expect(heading).toBeInTheDocument();
+  expect(await screen.findByText(/no notes yet/i)).toBeInTheDocument();
 });
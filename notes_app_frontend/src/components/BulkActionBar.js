@@ -0,0 +1,87 @@
+import React from 'react';
+import { notebookOptions } from '../lib/notebookTree';
+
+/**
+ * BulkActionBar
+ * Shown above the notes list while notes are selected; every action applies to all selected notes.
+ * - "Select all N matching" selects every note the current search and filters show
+ * - Delete, move to a notebook, add/remove a tag, pin/unpin, export (JSON) and duplicate
+ *
+ * Props:
+ * - count: number of selected notes
+ * - matchingCount: number of notes in the current results
+ * - allPinned: whether every selected note is pinned (the pin action then unpins)
+ * - notebooks: [{ id, name }] move targets
+ * - busy: disables the actions while one runs
+ * - onSelectAll, onClear, onDelete, onAddTag, onRemoveTag, onTogglePin, onExport, onDuplicate: functions()
+ * - onMove: function(notebookId)
+ */
+// PUBLIC_INTERFACE
+export default function BulkActionBar({
+  count,
+  matchingCount,
+  allPinned,
+  notebooks = [],
+  busy = false,
+  onSelectAll,
+  onClear,
+  onDelete,
+  onMove,
+  onAddTag,
+  onRemoveTag,
+  onTogglePin,
+  onExport,
+  onDuplicate,
+}) {
+  if (!count) return null;
+  return (
+    <div className="card bulk-bar" role="toolbar" aria-label="Actions for selected notes">
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+        <strong aria-live="polite">{count} selected</strong>
+        {count < matchingCount ? (
+          <button type="button" className="btn secondary" onClick={onSelectAll} disabled={busy}>
+            Select all {matchingCount} matching
+          </button>
+        ) : null}
+        <button type="button" className="btn secondary" onClick={onClear} disabled={busy}>
+          Clear selection
+        </button>
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+        <select
+          className="select"
+          value=""
+          onChange={(e) => {
+            if (e.target.value) onMove(e.target.value);
+          }}
+          disabled={busy || notebooks.length === 0}
+          aria-label="Move selected notes to notebook"
+          style={{ width: 'auto' }}
+        >
+          <option value="">Move to…</option>
+          {notebookOptions(notebooks).map((nb) => (
+            <option key={nb.id} value={nb.id}>{nb.path}</option>
+          ))}
+        </select>
+        <button type="button" className="btn secondary" onClick={onAddTag} disabled={busy}>
+          ＋ Tag
+        </button>
+        <button type="button" className="btn secondary" onClick={onRemoveTag} disabled={busy}>
+          − Tag
+        </button>
+        <button type="button" className="btn secondary" onClick={onTogglePin} disabled={busy}>
+          📌 {allPinned ? 'Unpin' : 'Pin'}
+        </button>
+        <button type="button" className="btn secondary" onClick={onExport} disabled={busy} title="Download the selected notes as JSON">
+          ⤓ Export
+        </button>
+        <button type="button" className="btn secondary" onClick={onDuplicate} disabled={busy}>
+          ⧉ Duplicate
+        </button>
+        <button type="button" className="btn danger" onClick={onDelete} disabled={busy}>
+          🗑 Delete
+        </button>
+      </div>
+    </div>
+  );
+}
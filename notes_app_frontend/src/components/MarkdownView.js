@@ -0,0 +1,106 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown } from '../lib/markdown';
+
+function renderInline(nodes, links) {
+  return nodes.map((node, i) => {
+    switch (node.type) {
+      case 'text':
+        return <React.Fragment key={i}>{node.value}</React.Fragment>;
+      case 'code':
+        return <code key={i}>{node.value}</code>;
+      case 'break':
+        return <br key={i} />;
+      case 'strong':
+        return <strong key={i}>{renderInline(node.children, links)}</strong>;
+      case 'em':
+        return <em key={i}>{renderInline(node.children, links)}</em>;
+      case 'del':
+        return <del key={i}>{renderInline(node.children, links)}</del>;
+      case 'link':
+        return (
+          <a key={i} href={node.href} target="_blank" rel="noopener noreferrer nofollow">
+            {renderInline(node.children, links)}
+          </a>
+        );
+      case 'wikilink': {
+        const label = renderInline(node.children, links);
+        if (links.isMissing(node.title)) {
+          return (
+            <span key={i} className="wiki-link wiki-link-missing" title={`No note is called “${node.title}”`}>
+              {label}
+            </span>
+          );
+        }
+        return links.onOpen ? (
+          <button key={i} type="button" className="wiki-link" onClick={() => links.onOpen(node.title)} title={`Open “${node.title}”`}>
+            {label}
+          </button>
+        ) : (
+          <span key={i} className="wiki-link" title={node.title}>{label}</span>
+        );
+      }
+      default:
+        return null;
+    }
+  });
+}
+
+function renderBlocks(blocks, links) {
+  return blocks.map((block, i) => {
+    switch (block.type) {
+      case 'heading': {
+        const Tag = `h${block.level}`;
+        return <Tag key={i}>{renderInline(block.children, links)}</Tag>;
+      }
+      case 'paragraph':
+        return <p key={i}>{renderInline(block.children, links)}</p>;
+      case 'code':
+        return (
+          <pre key={i} data-lang={block.lang || undefined}>
+            <code>{block.text}</code>
+          </pre>
+        );
+      case 'blockquote':
+        return <blockquote key={i}>{renderBlocks(block.children, links)}</blockquote>;
+      case 'hr':
+        return <hr key={i} />;
+      case 'list': {
+        const items = block.items.map((item, j) => (
+          <li key={j} className={item.checked !== null ? 'md-task' : undefined}>
+            {item.checked !== null ? (
+              <input type="checkbox" checked={item.checked} readOnly disabled aria-label={item.checked ? 'Done' : 'Not done'} />
+            ) : null}
+            {renderBlocks(item.children, links)}
+          </li>
+        ));
+        return block.ordered ? (
+          <ol key={i} start={block.start !== 1 ? block.start : undefined}>{items}</ol>
+        ) : (
+          <ul key={i}>{items}</ul>
+        );
+      }
+      default:
+        return null;
+    }
+  });
+}
+
+/**
+ * MarkdownView
+ * Renders note content written in Markdown (see lib/markdown) as React elements.
+ * Nothing is injected as HTML; links are limited to http(s), mailto and relative URLs
+ * and open in a new tab. [[Note title]] links to other notes are buttons when `onOpenLink` is given.
+ *
+ * Props:
+ * - text: Markdown source
+ * - emptyText: optional placeholder shown for empty content
+ * - onOpenLink: optional function(title) to open the note a [[link]] names
+ * - hasNote: optional function(title) -> boolean; links to titles without a note are shown as missing
+ */
+// PUBLIC_INTERFACE
+export default function MarkdownView({ text, emptyText = 'Nothing to preview.', onOpenLink, hasNote }) {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+  if (blocks.length === 0) return <div className="helper">{emptyText}</div>;
+  const links = { onOpen: onOpenLink, isMissing: (title) => (hasNote ? !hasNote(title) : false) };
+  return <div className="markdown">{renderBlocks(blocks, links)}</div>;
+}
@@ -0,0 +1,219 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { mergeNotes, resolveText } from '../lib/merge';
+
+const VERSIONS = [
+  { id: 'base', label: 'Original', owner: 'the original' },
+  { id: 'local', label: 'Yours', owner: 'your' },
+  { id: 'remote', label: 'Server', owner: 'the server' },
+];
+
+function sameTags(a, b) {
+  return a.length === b.length && a.every((t, i) => t === b[i]);
+}
+
+/**
+ * MergeDialog
+ * Three-way merge for a note whose server copy changed while it was edited.
+ * - Title, content and tags of the original (base), local and server versions side by side
+ * - Per-field "Use" buttons to accept one version
+ * - Content defaults to a line-level merge; conflicting blocks are resolved one by one
+ * - Attachments and the sketch are kept from the local version
+ *
+ * Props:
+ * - conflict: { base, local, remote } or null (closed)
+ * - onResolve: function({ title, content, tags })
+ * - onCancel: function() -> keep the local edit unresolved for now
+ * - busy: boolean, disables the actions while saving
+ */
+// PUBLIC_INTERFACE
+export default function MergeDialog({ conflict, onResolve, onCancel, busy = false }) {
+  const versions = useMemo(() => {
+    if (!conflict) return null;
+    const pick = (n) => ({
+      title: n?.title || '',
+      content: n?.content || '',
+      tags: Array.isArray(n?.tags) ? n.tags : [],
+    });
+    return { base: pick(conflict.base || conflict.local), local: pick(conflict.local), remote: pick(conflict.remote) };
+  }, [conflict]);
+  const merged = useMemo(
+    () => (versions ? mergeNotes(versions.base, versions.local, versions.remote) : null),
+    [versions]
+  );
+
+  const [title, setTitle] = useState('');
+  const [tags, setTags] = useState([]);
+  const [contentMode, setContentMode] = useState('merge');
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    if (!merged) return;
+    setTitle(merged.title.value);
+    setTags(merged.tags);
+    setContentMode('merge');
+    setChoices({});
+  }, [merged]);
+
+  useEffect(() => {
+    if (!conflict) return undefined;
+    const onKey = (e) => {
+      if (e.key === 'Escape' && !busy) onCancel();
+    };
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, [conflict, busy, onCancel]);
+
+  if (!conflict || !versions || !merged) return null;
+
+  const { chunks, conflicts } = merged.content;
+  const unresolved = contentMode === 'merge'
+    ? chunks.filter((c, i) => c.type === 'conflict' && !choices[i]).length
+    : 0;
+  const content = contentMode === 'merge' ? resolveText(chunks, choices) : versions[contentMode].content;
+
+  const save = () => {
+    if (unresolved > 0 || busy) return;
+    onResolve({ title: title.trim(), content, tags });
+  };
+
+  const choiceButton = (active, onClick, label) => (
+    <button
+      type="button"
+      className={`btn secondary ${active ? 'merge-choice-active' : ''}`}
+      aria-pressed={active}
+      onClick={onClick}
+      disabled={busy}
+      style={{ padding: '4px 8px', fontSize: 12 }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true" aria-labelledby="merge-dialog-title">
+      <div className="modal merge-modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 id="merge-dialog-title" className="modal-title">Merge changes</h2>
+          <button className="btn secondary" onClick={onCancel} disabled={busy} aria-label="Decide later">
+            ✕ Later
+          </button>
+        </div>
+        <div className="modal-body" style={{ display: 'grid', gap: 16, maxHeight: '72vh', overflowY: 'auto' }}>
+          <div className="helper">
+            “{versions.local.title || 'Untitled'}” was changed on the server while you were editing it.
+            Pick what to keep for each field. Attachments and the sketch are kept from your version.
+          </div>
+
+          <section aria-label="Title">
+            <div style={{ fontWeight: 600, marginBottom: 6 }}>
+              Title {merged.title.conflict ? <span className="sync-badge sync-failed">changed on both sides</span> : null}
+            </div>
+            <div className="merge-grid">
+              {VERSIONS.map(({ id, label }) => (
+                <div key={id} className="merge-col">
+                  <div className="merge-col-header">
+                    <span className="helper">{label}</span>
+                    {choiceButton(title === versions[id].title, () => setTitle(versions[id].title), 'Use')}
+                  </div>
+                  <div className="merge-lines">{versions[id].title || '(Untitled)'}</div>
+                </div>
+              ))}
+            </div>
+            <input
+              className="input"
+              style={{ marginTop: 8 }}
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              aria-label="Merged title"
+              disabled={busy}
+            />
+          </section>
+
+          <section aria-label="Tags">
+            <div style={{ fontWeight: 600, marginBottom: 6 }}>Tags</div>
+            <div className="merge-grid">
+              {VERSIONS.map(({ id, label }) => (
+                <div key={id} className="merge-col">
+                  <div className="merge-col-header">
+                    <span className="helper">{label}</span>
+                    {choiceButton(sameTags(tags, versions[id].tags), () => setTags(versions[id].tags), 'Use')}
+                  </div>
+                  <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap' }}>
+                    {versions[id].tags.length === 0 ? <span className="helper">No tags</span> : null}
+                    {versions[id].tags.map((t) => (
+                      <span key={t} className="chip chip-small">{t}</span>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap', marginTop: 8 }}>
+              <span className="helper">Result:</span>
+              {tags.length === 0 ? <span className="helper">No tags</span> : null}
+              {tags.map((t) => (
+                <span key={t} className="chip chip-small">{t}</span>
+              ))}
+              {!sameTags(tags, merged.tags)
+                ? choiceButton(false, () => setTags(merged.tags), 'Combine both')
+                : null}
+            </div>
+          </section>
+
+          <section aria-label="Content">
+            <div style={{ fontWeight: 600, marginBottom: 6 }}>Content</div>
+            <div className="merge-grid">
+              {VERSIONS.map(({ id, label }) => (
+                <div key={id} className="merge-col">
+                  <div className="merge-col-header">
+                    <span className="helper">{label}</span>
+                    {choiceButton(contentMode === id, () => setContentMode(id), 'Use')}
+                  </div>
+                  <div className="merge-lines">{versions[id].content || ' '}</div>
+                </div>
+              ))}
+            </div>
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center', margin: '10px 0 6px' }}>
+              {choiceButton(contentMode === 'merge', () => setContentMode('merge'), 'Merge line by line')}
+              <span className="helper">
+                {contentMode !== 'merge'
+                  ? `Using ${VERSIONS.find((v) => v.id === contentMode).owner} content.`
+                  : conflicts === 0
+                    ? 'All changes merge cleanly.'
+                    : `${conflicts - unresolved} of ${conflicts} conflicting ${conflicts === 1 ? 'block' : 'blocks'} resolved.`}
+              </span>
+            </div>
+            {contentMode === 'merge' ? (
+              <div style={{ display: 'grid', gap: 6 }}>
+                {chunks.map((chunk, index) =>
+                  chunk.type === 'ok' ? (
+                    <div key={index} className="merge-lines text-muted">{chunk.lines.join('\n') || ' '}</div>
+                  ) : (
+                    <div key={index} className="merge-conflict" role="group" aria-label={`Conflict ${index + 1}`}>
+                      <div className="merge-grid merge-grid-2">
+                        <div className="merge-lines">{chunk.local.join('\n') || '(removed)'}</div>
+                        <div className="merge-lines">{chunk.remote.join('\n') || '(removed)'}</div>
+                      </div>
+                      <div style={{ display: 'flex', gap: 6, marginTop: 6, flexWrap: 'wrap' }}>
+                        {choiceButton(choices[index] === 'local', () => setChoices((c) => ({ ...c, [index]: 'local' })), 'Keep yours')}
+                        {choiceButton(choices[index] === 'remote', () => setChoices((c) => ({ ...c, [index]: 'remote' })), 'Keep server')}
+                        {choiceButton(choices[index] === 'both', () => setChoices((c) => ({ ...c, [index]: 'both' })), 'Keep both')}
+                      </div>
+                    </div>
+                  )
+                )}
+              </div>
+            ) : null}
+          </section>
+        </div>
+        <div className="modal-footer">
+          <button className="btn secondary" onClick={onCancel} disabled={busy}>
+            Decide later
+          </button>
+          <button className="btn" onClick={save} disabled={busy || unresolved > 0}>
+            {busy ? 'Saving…' : unresolved > 0 ? `Resolve ${unresolved} more` : 'Save merged note'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,22 +1,41 @@
-import React, { forwardRef } from 'react';
+import React, { forwardRef, useState } from 'react';
 import NoteListItem from './NoteListItem';
 
 /**
  * NoteList
  * Renders a responsive, scrollable list of notes with per-item edit/delete actions.
+ * - Pinned notes are shown first, in their own "Pinned" section, in the order given
+ * - With onReorder, notes can be dragged within their section, or moved with ↑/↓ on their ⠿ handle
+ * - With onDragNote, notes can be dragged out of the list (NotebooksBar takes them as drop targets)
  * - Polished empty state
  * - Consistent spacing and Ocean Professional styling
  *
  * Props:
  * - notes: array of note objects
+ * - onView: optional function(note) to open the note viewer
  * - onEdit: function(note)
  * - onDelete: function(note)
+ * - onHistory: optional function(note) to open the revision history
+ * - onMoveCopy: optional function(note) to move or copy a note to another notebook
+ * - onDragNote: optional function(note|null); notes can then be dragged (e.g. onto a notebook) and it is
+ *   called with the dragged note on drag start and with null when the drag ends
+ * - onTogglePin / onToggleFavorite: optional function(note) to pin or star a note
+ * - selectedIds: optional Set of selected note ids; with onSelect(note, { shiftKey }) every note gets a checkbox
+ * - onReorder: optional function(note, targetNote, after) to move a note before/after another (Manual sort)
+ * - matchTerms: optional { [noteId]: terms } from a search; matching items show highlighted snippets
+ * - notebookNames: optional { [notebookId]: name }; when given, every note shows its notebook
+ * - onJump: optional function(note) to open the note in its notebook
+ * - syncStatuses: optional { [noteId]: 'pending'|'failed' }; when given, every note shows a sync badge
+ * - tagColors: optional { [lowercased tag]: color } for the tag chips
  *
  * Ref:
  * - The forwarded ref is attached to the scrollable list container div to allow external scroll controls.
  */
 // PUBLIC_INTERFACE
-const NoteList = forwardRef(function NoteList({ notes, onEdit, onDelete }, scrollRef) {
+const NoteList = forwardRef(function NoteList({ notes, onView, onEdit, onDelete, onHistory, onMoveCopy, onDragNote, onTogglePin, onToggleFavorite, onReorder, selectedIds = null, onSelect, syncStatuses = null, matchTerms = null, notebookNames = null, onJump, tagColors = null }, scrollRef) {
+  // { id, section, overId, after } while a note is dragged
+  const [drag, setDrag] = useState(null);
+
   if (!notes || notes.length === 0) {
     return (
       <div
@@ -36,11 +55,85 @@ const NoteList = forwardRef(function NoteList({ notes, onEdit, onDelete }, scrol
     );
   }
 
+  const pinned = notes.filter((n) => n.pinned);
+  const others = notes.filter((n) => !n.pinned);
+  const sections = pinned.length > 0
+    ? [
+        { id: 'pinned', title: '📌 Pinned', label: 'Pinned notes', notes: pinned },
+        { id: 'others', title: 'Other notes', label: 'Other notes', notes: others },
+      ].filter((section) => section.notes.length > 0)
+    : [{ id: 'all', title: null, label: 'Notes list', notes }];
+
+  const dragProps = (section, n) => {
+    if (!onReorder && !onDragNote) return {};
+    const endDrag = () => {
+      setDrag(null);
+      if (onDragNote) onDragNote(null);
+    };
+    return {
+      draggable: true,
+      onDragStart: (e) => {
+        e.dataTransfer.effectAllowed = onDragNote ? 'copyMove' : 'move';
+        e.dataTransfer.setData('text/plain', n.id);
+        if (onReorder) setDrag({ id: n.id, section: section.id, overId: null, after: false });
+        if (onDragNote) onDragNote(n);
+      },
+      onDragOver: (e) => {
+        if (!drag || drag.section !== section.id) return;
+        e.preventDefault();
+        const rect = e.currentTarget.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        if (drag.overId !== n.id || drag.after !== after) setDrag({ ...drag, overId: n.id, after });
+      },
+      onDrop: (e) => {
+        if (!drag || drag.section !== section.id) return;
+        e.preventDefault();
+        const moved = section.notes.find((x) => x.id === drag.id);
+        if (moved && moved.id !== n.id) onReorder(moved, n, drag.after);
+        endDrag();
+      },
+      onDragEnd: endDrag,
+    };
+  };
+
+  const moveBy = (section, index, step) => {
+    const target = section.notes[index + step];
+    if (target) onReorder(section.notes[index], target, step > 0);
+  };
+
+  const dropClass = (n) => {
+    if (!drag) return '';
+    if (drag.id === n.id) return 'note-dragging';
+    if (drag.overId === n.id) return drag.after ? 'note-drop-after' : 'note-drop-before';
+    return '';
+  };
+
+  const renderItem = (section) => (n, index) => (
+    <div role="listitem" key={n.id} className={dropClass(n)} style={{ minWidth: 0 }} {...dragProps(section, n)}>
+      <NoteListItem
+        note={n}
+        onView={onView}
+        onEdit={onEdit}
+        onDelete={onDelete}
+        onHistory={onHistory}
+        onMoveCopy={onMoveCopy}
+        onTogglePin={onTogglePin}
+        onToggleFavorite={onToggleFavorite}
+        syncStatus={syncStatuses ? syncStatuses[n.id] || 'synced' : null}
+        matchTerms={matchTerms ? matchTerms[n.id] : null}
+        notebookName={notebookNames ? notebookNames[n.notebookId] || '' : null}
+        onJump={onJump}
+        onMove={onReorder ? (step) => moveBy(section, index, step) : undefined}
+        selected={selectedIds ? selectedIds.has(n.id) : false}
+        onSelect={onSelect}
+        tagColors={tagColors}
+      />
+    </div>
+  );
+
   return (
     <div
       ref={scrollRef}
-      role="list"
-      aria-label="Notes list"
       style={{
         display: 'grid',
         gap: 12,
@@ -49,10 +142,17 @@ const NoteList = forwardRef(function NoteList({ notes, onEdit, onDelete }, scrol
         paddingRight: 2, // avoid scrollbar overlap
       }}
     >
-      {notes.map((n) => (
-        <div role="listitem" key={n.id} style={{ minWidth: 0 }}>
-          <NoteListItem note={n} onEdit={onEdit} onDelete={onDelete} />
-        </div>
+      {sections.map((section) => (
+        <section key={section.id} className="note-section" aria-labelledby={section.title ? `notes-${section.id}` : undefined}>
+          {section.title ? (
+            <h2 id={`notes-${section.id}`} className="note-section-title">
+              {section.title} <span className="text-muted">({section.notes.length})</span>
+            </h2>
+          ) : null}
+          <div role="list" aria-label={section.label} style={{ display: 'grid', gap: 12 }}>
+            {section.notes.map(renderItem(section))}
+          </div>
+        </section>
       ))}
     </div>
   );
@@ -1,4 +1,14 @@
 import React from 'react';
+import { stripMarkdown } from '../lib/markdown';
+import { attachmentTexts, highlight, matchSnippet, tokenize } from '../lib/search';
+import { tagChipStyle } from '../lib/tags';
+
+const SYNC_BADGES = {
+  synced: { icon: '✓', label: 'Synced', title: 'Saved on the server' },
+  pending: { icon: '⏳', label: 'Pending', title: 'Saved on this device; waiting to sync' },
+  failed: { icon: '⚠', label: 'Sync failed', title: 'The server rejected this change; use “Retry all” to try again' },
+  conflict: { icon: '⇄', label: 'Conflict', title: 'Changed on the server too; use “Resolve conflicts” to merge' },
+};
 
 /**
  * Renders a single note item with quick actions and metadata.
@@ -6,17 +16,31 @@ import React from 'react';
  *
  * Props:
  * - note: { id, title, content, createdAt, updatedAt, tags?, images? }
+ * - onView: optional function(note) -> open the read-only note viewer
  * - onEdit: function(note) -> open edit modal with the given note
  * - onDelete: function(note) -> delete flow with confirmation
+ * - onHistory: optional function(note) -> open the revision history
+ * - onMoveCopy: optional function(note) -> pick a notebook to move or copy the note to
+ * - onTogglePin / onToggleFavorite: optional function(note) -> pin/unpin or star/unstar the note
+ * - matchTerms: optional search terms that matched; the title and a snippet around the first match are highlighted,
+ *   and a match in the text of an image or voice note is shown with its own snippet
+ * - notebookName: optional notebook name, shown when listing several notebooks
+ * - onJump: optional function(note) -> switch to the note's notebook and open it
+ * - selected / onSelect: optional selection checkbox; onSelect(note, { shiftKey }) on toggle
+ * - onMove: optional function(step) -> move the note up (-1) or down (1); shows a ⠿ reorder handle
+ * - syncStatus: optional 'synced' | 'pending' | 'failed' | 'conflict' badge (omitted when no backend is configured)
+ * - tagColors: optional { [lowercased tag]: color }; colored tags get a colored chip
  */
 // PUBLIC_INTERFACE
-export default function NoteListItem({ note, onEdit, onDelete }) {
+export default function NoteListItem({ note, onView, onEdit, onDelete, onHistory, onMoveCopy, onTogglePin, onToggleFavorite, syncStatus = null, matchTerms = null, notebookName = null, onJump, onMove, selected = false, onSelect, tagColors = null }) {
   const created = new Date(note.createdAt);
   const updated = new Date(note.updatedAt);
   const same = note.createdAt === note.updatedAt;
 
   const title = (note.title || '(Untitled)').trim();
-  const preview = truncate(note.content || '', 140);
+  const plain = stripMarkdown(note.content || '');
+  const preview = matchTerms ? renderSegments(matchSnippet(plain, matchTerms, 140)) : truncate(plain, 140);
+  const attachmentHit = matchTerms ? findAttachmentHit(note, matchTerms) : null;
 
   const updatedLabel = same ? '—' : updated.toLocaleString();
   const tags = Array.isArray(note.tags) ? note.tags : [];
@@ -24,7 +48,7 @@ export default function NoteListItem({ note, onEdit, onDelete }) {
   const audio = Array.isArray(note.audio) ? note.audio : [];
 
   return (
-    <div className="note-item card" role="article" aria-labelledby={`note-${note.id}-title`}>
+    <div className={`note-item card ${selected ? 'note-item-selected' : ''}`} role="article" aria-labelledby={`note-${note.id}-title`}>
       <div className="note-item-body" style={{ padding: 14 }}>
         <div
           style={{
@@ -43,8 +67,19 @@ export default function NoteListItem({ note, onEdit, onDelete }) {
                 display: 'flex',
                 gap: 10,
                 flexWrap: 'wrap',
+                alignItems: 'center',
               }}
             >
+              {onSelect ? (
+                <input
+                  type="checkbox"
+                  className="note-select"
+                  checked={selected}
+                  onChange={(e) => onSelect(note, { shiftKey: !!e.nativeEvent.shiftKey })}
+                  aria-label={`Select ${title}`}
+                  title="Select (Shift+click selects a range)"
+                />
+              ) : null}
               <span>
                 <strong>Updated:</strong> <span title={updated.toISOString()}>{updatedLabel}</span>
               </span>
@@ -52,6 +87,20 @@ export default function NoteListItem({ note, onEdit, onDelete }) {
                 <strong>Created:</strong>{' '}
                 <span title={created.toISOString()}>{created.toLocaleString()}</span>
               </span>
+              {notebookName !== null ? (
+                <span className="notebook-badge" title="Notebook">
+                  📒 {notebookName || 'Unknown notebook'}
+                </span>
+              ) : null}
+              {syncStatus && SYNC_BADGES[syncStatus] ? (
+                <span
+                  className={`sync-badge sync-${syncStatus}`}
+                  title={SYNC_BADGES[syncStatus].title}
+                  aria-label={`Sync status: ${SYNC_BADGES[syncStatus].label}`}
+                >
+                  {SYNC_BADGES[syncStatus].icon} {SYNC_BADGES[syncStatus].label}
+                </span>
+              ) : null}
             </div>
             {audio.length > 0 ? (
               <div className="helper" style={{ marginTop: 6, display: 'inline-flex', alignItems: 'center', gap: 6 }}>
@@ -69,7 +118,7 @@ export default function NoteListItem({ note, onEdit, onDelete }) {
                 wordBreak: 'break-word',
               }}
             >
-              {title}
+              {matchTerms ? renderSegments(highlight(title, matchTerms)) : title}
             </h3>
             <p
               className="text-muted"
@@ -81,6 +130,15 @@ export default function NoteListItem({ note, onEdit, onDelete }) {
             >
               {preview}
             </p>
+            {attachmentHit ? (
+              <p className="attachment-hit text-muted">
+                <span className="attachment-hit-label">
+                  {attachmentHit.kind === 'image' ? '🖼 Matched in image' : '🎙 Matched in voice note'}
+                  {attachmentHit.name ? ` “${attachmentHit.name}”` : ''}:
+                </span>{' '}
+                {renderSegments(matchSnippet(attachmentHit.text, matchTerms, 100))}
+              </p>
+            ) : null}
 
             {/* Attachments thumbnails ribbon */}
             {images.length > 0 ? (
@@ -117,7 +175,7 @@ export default function NoteListItem({ note, onEdit, onDelete }) {
             {tags.length > 0 ? (
               <div className="tag-row" style={{ marginTop: 8, display: 'flex', gap: 6, flexWrap: 'wrap' }}>
                 {tags.map(t => (
-                  <span className="chip chip-small" key={t} aria-label={`Tag ${t}`}>
+                  <span className="chip chip-small" key={t} style={tagChipStyle(tagColors, t)} aria-label={`Tag ${t}`}>
                     {t}
                   </span>
                 ))}
@@ -132,14 +190,62 @@ export default function NoteListItem({ note, onEdit, onDelete }) {
               alignItems: 'center',
             }}
           >
-            <button
-              className="btn secondary"
-              onClick={() => alert('Viewing note:\n\n' + (note.content || '').slice(0, 100) + (note.content && note.content.length > 100 ? '…' : ''))}
-              aria-label={`View note ${title}`}
-              title="View"
-            >
-              👁 View
-            </button>
+            {onMove ? (
+              <button
+                className="btn secondary reorder-handle"
+                onKeyDown={(e) => {
+                  if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+                  e.preventDefault();
+                  onMove(e.key === 'ArrowUp' ? -1 : 1);
+                }}
+                aria-label={`Reorder ${title}: press up or down arrow to move`}
+                title="Drag to reorder, or focus and press ↑/↓"
+              >
+                ⠿
+              </button>
+            ) : null}
+            {onTogglePin ? (
+              <button
+                className={`btn secondary flag-toggle ${note.pinned ? 'flag-on' : ''}`}
+                onClick={() => onTogglePin(note)}
+                aria-pressed={!!note.pinned}
+                aria-label={note.pinned ? `Unpin ${title}` : `Pin ${title}`}
+                title={note.pinned ? 'Unpin' : 'Pin to the top'}
+              >
+                📌
+              </button>
+            ) : null}
+            {onToggleFavorite ? (
+              <button
+                className={`btn secondary flag-toggle ${note.favorite ? 'flag-on' : ''}`}
+                onClick={() => onToggleFavorite(note)}
+                aria-pressed={!!note.favorite}
+                aria-label={note.favorite ? `Remove ${title} from favorites` : `Add ${title} to favorites`}
+                title={note.favorite ? 'Remove from favorites' : 'Add to favorites'}
+              >
+                {note.favorite ? '★' : '☆'}
+              </button>
+            ) : null}
+            {onView ? (
+              <button
+                className="btn secondary"
+                onClick={() => onView(note)}
+                aria-label={`View note ${title}`}
+                title="View"
+              >
+                👁 View
+              </button>
+            ) : null}
+            {onJump ? (
+              <button
+                className="btn secondary"
+                onClick={() => onJump(note)}
+                aria-label={`Open ${title} in notebook ${notebookName || ''}`}
+                title="Switch to this note's notebook and open it"
+              >
+                ↪ Open in notebook
+              </button>
+            ) : null}
             <button
               className="btn secondary"
               onClick={() => onEdit(note)}
@@ -148,6 +254,26 @@ export default function NoteListItem({ note, onEdit, onDelete }) {
             >
               ✎ Edit
             </button>
+            {onHistory ? (
+              <button
+                className="btn secondary"
+                onClick={() => onHistory(note)}
+                aria-label={`Show history of ${title}`}
+                title="History"
+              >
+                🕘 History
+              </button>
+            ) : null}
+            {onMoveCopy ? (
+              <button
+                className="btn secondary"
+                onClick={() => onMoveCopy(note)}
+                aria-label={`Move or copy ${title} to another notebook`}
+                title="Move or copy to another notebook"
+              >
+                ⇄ Move
+              </button>
+            ) : null}
             <button
               className="btn danger"
               onClick={() => onDelete(note)}
@@ -163,6 +289,16 @@ export default function NoteListItem({ note, onEdit, onDelete }) {
   );
 }
 
+function renderSegments(segments) {
+  return segments.map((s, i) => (s.match ? <mark key={i} className="search-hit">{s.text}</mark> : <React.Fragment key={i}>{s.text}</React.Fragment>));
+}
+
+// first image or voice note whose text contains a matched term
+function findAttachmentHit(note, terms) {
+  const wanted = new Set(terms);
+  return attachmentTexts(note).find(a => tokenize(a.text).some(t => wanted.has(t.term))) || null;
+}
+
 function truncate(text, len) {
   if (!text) return '';
   return text.length > len ? text.slice(0, len - 1) + '…' : text;
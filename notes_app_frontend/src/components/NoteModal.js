@@ -1,22 +1,63 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import DrawingCanvas from './DrawingCanvas';
+import { readFileAsDataUrl, resizeImage } from '../lib/images';
+import { formatBytes } from '../lib/usage';
+import { restorePayload } from '../lib/revisions';
+import RevisionHistoryDrawer from './RevisionHistoryDrawer';
+import MarkdownView from './MarkdownView';
+import { MARKDOWN_FORMATS, applyFormat, continueList, formatForShortcut } from '../lib/markdown';
+import { createExtractor, needsExtraction, readExtractionSettings, writeExtractionSettings } from '../lib/extract';
+import { notebookOptions } from '../lib/notebookTree';
+import { matchTags, suggestTags, tagKey, tagPath, tagStats } from '../lib/tags';
+import { findNoteByTitle, insertLink, linkQueryAt, matchNoteTitles } from '../lib/links';
+
+const CONTENT_MODES = [
+  { id: 'write', label: 'Write' },
+  { id: 'split', label: 'Split' },
+  { id: 'preview', label: 'Preview' },
+];
 
 /**
  * Accessible modal for creating and editing notes.
  * - Focuses the title field on open and returns focus to trigger on close
  * - Esc closes, Enter on buttons
+ * - When editing, "History" opens the revision drawer; restoring fills the form (saved on "Save Changes")
+ * - Content is Markdown: formatting toolbar, shortcuts (Ctrl+B/I/K/E, ...), list continuation on Enter,
+ *   and a Write / Split / Preview toggle
+ * - 📌 / ☆ in the header pin or star the note (applied on save)
+ * - "Notebook" picks where the note lives: a new note is created there, an existing one is moved on save,
+ *   and "Save as copy" saves the form as a new note there, leaving the original unchanged
+ * - "Text from attachments" holds the searchable text of images and voice notes, extracted on this
+ *   device in a worker (lib/extract) or typed by hand
+ * - The tag input completes existing tags (↑/↓ to pick, Enter to add, Tab for the first match) and offers
+ *   "Create" for a new one; "Suggested" lists tags used with the note's tags or named in its text
+ * - Typing "[[" in the content completes a link to another note by title (↑/↓ to pick, Enter or Tab to insert)
  *
  * Props:
  * - isOpen: boolean to control modal visibility
  * - initial: optional note object to prefill when editing; if falsy, modal acts in "create" mode
  * - onCancel: function called when closing without saving
- * - onSave: function called with payload {title, content, tags, drawing?, images[], audio[]} when saving
+ * - onSave: function called with payload {title, content, tags, pinned, favorite, notebookId, drawing?, images[], audio[]}
+ *   and options { copy } when saving; attachments carry `text` and `textEngine` once their text is known
+ * - notebooks: optional [{ id, name }] for the notebook picker (shown with two or more notebooks)
+ * - notebookId: notebook preselected for new notes
+ * - tagNotes: optional notes whose tags are offered for completion and suggestions
+ * - linkNotes: optional notes offered when typing a [[link]]; links to other titles show as missing in the preview
  */
-export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
+export default function NoteModal({ isOpen, initial, onCancel, onSave, notebooks = [], notebookId = '', tagNotes = [], linkNotes = [] }) {
   const [title, setTitle] = useState(initial?.title || '');
   const [content, setContent] = useState(initial?.content || '');
   const [tags, setTags] = useState(Array.isArray(initial?.tags) ? initial.tags : []);
   const [tagInput, setTagInput] = useState('');
+  // tag completions are shown while typing; index of the highlighted one (-1 = none)
+  const [tagMenuOpen, setTagMenuOpen] = useState(false);
+  const [tagActive, setTagActive] = useState(-1);
+  // the [[link]] being typed in the content ({ start, query } from lib/links) and its highlighted completion
+  const [linkQuery, setLinkQuery] = useState(null);
+  const [linkActive, setLinkActive] = useState(0);
+  const [pinned, setPinned] = useState(!!initial?.pinned);
+  const [favorite, setFavorite] = useState(!!initial?.favorite);
+  const [notebook, setNotebook] = useState(initial?.notebookId || notebookId || '');
   const [error, setError] = useState('');
   const [sketchOpen, setSketchOpen] = useState(false);
   const [drawing, setDrawing] = useState(initial?.drawing || null);
@@ -35,9 +76,21 @@ export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
   const [recordMillis, setRecordMillis] = useState(0);
   const [recorderState, setRecorderState] = useState({ mediaRecorder: null, chunks: [] });
   const [isBlocked, setIsBlocked] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [historyNotice, setHistoryNotice] = useState('');
+  const [contentMode, setContentMode] = useState('write');
+  const [textOpen, setTextOpen] = useState(false);
+  const [autoExtract, setAutoExtract] = useState(() => readExtractionSettings().autoExtract);
+  // attachment id -> 'running' | 'unsupported' | 'failed' for this editing session
+  const [extractStatus, setExtractStatus] = useState({});
+  const extractorRef = useRef(null);
+  const extractSessionRef = useRef(0);
+  const historyOpenRef = useRef(false);
+  historyOpenRef.current = historyOpen;
 
   const drawingRef = useRef(null);
   const titleRef = useRef(null);
+  const contentRef = useRef(null);
   const closeRef = useRef(null);
   const previouslyFocused = useRef(null);
   const tagInputRef = useRef(null);
@@ -55,6 +108,10 @@ export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
     setContent(initial?.content || '');
     setTags(Array.isArray(initial?.tags) ? initial.tags : []);
     setTagInput('');
+    setLinkQuery(null);
+    setPinned(!!initial?.pinned);
+    setFavorite(!!initial?.favorite);
+    setNotebook(initial?.notebookId || notebookId || '');
     setError('');
     setDrawing(initial?.drawing || null);
     setImages(Array.isArray(initial?.images) ? initial.images : []);
@@ -67,7 +124,58 @@ export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
     setIsRecording(false);
     setIsBlocked(false);
     setAudioError('');
-  }, [initial, isOpen]);
+    setHistoryOpen(false);
+    setHistoryNotice('');
+    setContentMode('write');
+    setTextOpen(false);
+    setExtractStatus({});
+    extractSessionRef.current += 1;
+  }, [initial, isOpen, notebookId]);
+
+  // the extraction worker only lives while the modal is open
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    return () => {
+      extractorRef.current?.terminate();
+      extractorRef.current = null;
+    };
+  }, [isOpen]);
+
+  const runExtraction = useCallback((kind, item) => {
+    const session = extractSessionRef.current;
+    const setStatus = (status) => {
+      if (session !== extractSessionRef.current) return;
+      setExtractStatus(prev => {
+        const next = { ...prev };
+        if (status) next[item.id] = status;
+        else delete next[item.id];
+        return next;
+      });
+    };
+    if (!extractorRef.current) extractorRef.current = createExtractor();
+    setStatus('running');
+    extractorRef.current.extract(kind, item).then(
+      (result) => {
+        if (session !== extractSessionRef.current) return;
+        if (result.status !== 'done') {
+          setStatus(result.status);
+          return;
+        }
+        const update = (list) => list.map(a => (a.id === item.id ? { ...a, text: result.text, textEngine: result.engine } : a));
+        if (kind === 'image') setImages(update);
+        else setAudioClips(update);
+        setStatus(null);
+      },
+      () => setStatus('failed')
+    );
+  }, []);
+
+  // extract text from new attachments when enabled
+  useEffect(() => {
+    if (!isOpen || !autoExtract) return;
+    images.filter(img => needsExtraction(img) && !extractStatus[img.id]).forEach(img => runExtraction('image', img));
+    audioClips.filter(a => needsExtraction(a) && !extractStatus[a.id]).forEach(a => runExtraction('audio', a));
+  }, [isOpen, autoExtract, images, audioClips, extractStatus, runExtraction]);
 
   // Focus handling
   useEffect(() => {
@@ -77,7 +185,8 @@ export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
         titleRef.current?.focus();
       }, 0);
       const onKey = (e) => {
-        if (e.key === 'Escape') onCancel();
+        // the history drawer handles Escape itself while open
+        if (e.key === 'Escape' && !historyOpenRef.current) onCancel();
       };
       document.addEventListener('keydown', onKey);
       return () => document.removeEventListener('keydown', onKey);
@@ -109,18 +218,59 @@ export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
     };
   }, [isRecording, recordStart]);
 
+  const knownTags = useMemo(() => tagStats(tagNotes), [tagNotes]);
+  const suggestedTags = useMemo(
+    () => (isOpen ? suggestTags(tagNotes, { tags, title, content }) : []),
+    [isOpen, tagNotes, tags, title, content]
+  );
+
   if (!isOpen) return null;
 
+  // a typed tag takes the spelling of the existing tag it matches
   const addTagToken = (raw) => {
-    if (typeof raw !== 'string') return;
-    const cleaned = raw.trim();
-    if (!cleaned) return;
-    // Preserve case; avoid duplicates (case-sensitive compare to preserve natural style)
-    if (tags.includes(cleaned)) return;
-    setTags(prev => [...prev, cleaned]);
+    const known = knownTags.find(t => t.key === tagKey(raw));
+    setTags(prev => withTag(prev, known ? known.tag : raw));
+  };
+
+  const typedTag = tagPath(tagInput);
+  const tagItems = tagMenuOpen && typedTag
+    ? [
+        ...matchTags(knownTags, typedTag, { exclude: tags, limit: 6 }),
+        ...(knownTags.some(t => t.key === tagKey(typedTag)) || tags.some(t => tagKey(t) === tagKey(typedTag))
+          ? []
+          : [{ tag: typedTag, create: true }]),
+      ]
+    : [];
+
+  const pickTag = (item) => {
+    addTagToken(item.tag);
+    setTagInput('');
+    setTagActive(-1);
+    tagInputRef.current?.focus();
   };
 
   const onTagKeyDown = (e) => {
+    if (tagItems.length > 0 && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setTagActive(i => {
+        const next = i + step;
+        if (next >= tagItems.length) return -1;
+        return next < -1 ? tagItems.length - 1 : next;
+      });
+      return;
+    }
+    if (tagItems.length > 0 && ((e.key === 'Enter' && tagActive >= 0) || (e.key === 'Tab' && !e.shiftKey && !tagItems[0].create))) {
+      e.preventDefault();
+      pickTag(tagItems[Math.max(0, tagActive)]);
+      return;
+    }
+    if (e.key === 'Escape' && tagItems.length > 0) {
+      // closes the completions, not the editor
+      e.stopPropagation();
+      setTagMenuOpen(false);
+      return;
+    }
     if (e.key === 'Enter' || e.key === ',') {
       e.preventDefault();
       const parts = tagInput.split(',').map(s => s.trim()).filter(Boolean);
@@ -138,56 +288,84 @@ export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
     setTags(prev => prev.filter(t => t !== value));
   };
 
+  // Markdown helpers: apply an edit and put the selection back once React re-rendered the textarea
+  const applyContentEdit = (result) => {
+    setContent(result.value);
+    requestAnimationFrame(() => {
+      const el = contentRef.current;
+      if (!el) return;
+      el.focus();
+      el.setSelectionRange(result.start, result.end);
+    });
+  };
+
+  const formatContent = (formatId) => {
+    const el = contentRef.current;
+    const start = el ? el.selectionStart : content.length;
+    const end = el ? el.selectionEnd : content.length;
+    applyContentEdit(applyFormat(content, start, end, formatId));
+  };
+
+  const linkItems = linkQuery
+    ? matchNoteTitles(linkNotes, linkQuery.query, { excludeId: initial?.id || null, limit: 6 })
+    : [];
+  const linkIndex = Math.min(linkActive, linkItems.length - 1);
+
+  const updateLinkQuery = (el) => {
+    setLinkQuery(el.selectionStart === el.selectionEnd ? linkQueryAt(el.value, el.selectionStart) : null);
+    setLinkActive(0);
+  };
+
+  const pickLink = (note) => {
+    const el = contentRef.current;
+    const cursor = el ? el.selectionStart : content.length;
+    const result = insertLink(content, cursor, linkQuery.start, note.title);
+    setLinkQuery(null);
+    applyContentEdit({ value: result.value, start: result.cursor, end: result.cursor });
+  };
+
+  const onContentKeyDown = (e) => {
+    if (linkItems.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setLinkActive((linkIndex + step + linkItems.length) % linkItems.length);
+        return;
+      }
+      if ((e.key === 'Enter' || (e.key === 'Tab' && !e.shiftKey)) && !e.nativeEvent.isComposing) {
+        e.preventDefault();
+        pickLink(linkItems[linkIndex]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        // closes the completions, not the editor
+        e.stopPropagation();
+        setLinkQuery(null);
+        return;
+      }
+    }
+    const formatId = formatForShortcut(e);
+    if (formatId) {
+      e.preventDefault();
+      formatContent(formatId);
+      return;
+    }
+    if (e.key === 'Enter' && !e.shiftKey && !e.ctrlKey && !e.metaKey && !e.altKey && !e.nativeEvent.isComposing) {
+      const el = e.currentTarget;
+      if (el.selectionStart !== el.selectionEnd) return;
+      const result = continueList(content, el.selectionStart);
+      if (result) {
+        e.preventDefault();
+        applyContentEdit(result);
+      }
+    }
+  };
+
   // Attachment helpers
   const MAX_FILES = 10;
   const MAX_BYTES_BEFORE = 5 * 1024 * 1024; // 5MB
   const ALLOWED_TYPES = ['image/png', 'image/jpeg', 'image/jpg', 'image/webp', 'image/gif'];
 
-  function bytesToStr(n) {
-    if (!n && n !== 0) return '';
-    if (n < 1024) return `${n} B`;
-    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
-    return `${(n / (1024 * 1024)).toFixed(2)} MB`;
-  }
-
-  async function readFileAsDataUrl(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onerror = () => reject(new Error('Failed to read file'));
-      reader.onload = () => resolve(reader.result);
-      reader.readAsDataURL(file);
-    });
-  }
-
-  async function resizeImageIfNeeded(dataUrl, type, maxEdge = 1600, quality = 0.85) {
-    // Skip resize for GIF to preserve animation frames
-    if (type === 'image/gif') return dataUrl;
-    return new Promise((resolve) => {
-      const img = new Image();
-      img.onload = () => {
-        let { width, height } = img;
-        const longEdge = Math.max(width, height);
-        if (longEdge <= maxEdge) {
-          resolve(dataUrl);
-          return;
-        }
-        const ratio = maxEdge / longEdge;
-        const targetW = Math.round(width * ratio);
-        const targetH = Math.round(height * ratio);
-        const canvas = document.createElement('canvas');
-        canvas.width = targetW;
-        canvas.height = targetH;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, targetW, targetH);
-        const outType = type === 'image/png' ? 'image/png' : 'image/jpeg';
-        const out = canvas.toDataURL(outType, quality);
-        resolve(out);
-      };
-      img.onerror = () => resolve(dataUrl);
-      img.src = dataUrl;
-    });
-  }
-
   function validateFiles(files) {
     const problems = [];
     const valid = [];
@@ -223,7 +401,7 @@ export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
     for (const f of valid) {
       try {
         const rawUrl = await readFileAsDataUrl(f);
-        const optimized = await resizeImageIfNeeded(rawUrl, f.type);
+        const optimized = await resizeImage(rawUrl, f.type);
         processed.push({
           id: crypto?.randomUUID ? crypto.randomUUID() : Math.random().toString(36).slice(2),
           name: f.name,
@@ -483,15 +661,31 @@ export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
     setAudioClips(prev => prev.map(a => (a.id === id ? { ...a, name } : a)));
   }
 
-  const submit = () => {
+  function editAttachmentText(kind, id, text) {
+    const update = (list) => list.map(a => (a.id === id ? { ...a, text, textEngine: 'manual' } : a));
+    if (kind === 'image') setImages(update);
+    else setAudioClips(update);
+  }
+
+  function toggleAutoExtract(enabled) {
+    setAutoExtract(writeExtractionSettings({ autoExtract: enabled }).autoExtract);
+  }
+
+  const textSources = [
+    ...images.map(item => ({ kind: 'image', item })),
+    ...audioClips.map(item => ({ kind: 'audio', item })),
+  ];
+
+  const submit = ({ copy = false } = {}) => {
     if (!title.trim()) {
       setError('Please provide a title to continue.');
       titleRef.current?.focus();
       return;
     }
     // If user typed something but didn't press enter/comma, add it
+    const savedTags = tagInput.split(',').reduce(withTag, tags);
     if (tagInput.trim()) {
-      addTagToken(tagInput);
+      setTags(savedTags);
       setTagInput('');
     }
     if (isRecording) {
@@ -507,11 +701,38 @@ export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
     onSave({
       title: title.trim(),
       content,
-      tags,
+      tags: savedTags,
+      pinned,
+      favorite,
+      notebookId: notebook || undefined,
       drawing: dataUrl || null,
       images: Array.isArray(images) ? images : [],
       audio: Array.isArray(audioClips) ? audioClips : [],
+    }, { copy });
+  };
+
+  const restoreRevision = (revision) => {
+    // attachments removed in this session can still be restored from the saved note
+    const keep = (list, saved) => [...list, ...(saved || []).filter(a => !list.some(x => x.id === a.id))];
+    const { payload, missing } = restorePayload(revision, {
+      images: keep(images, initial?.images),
+      audio: keep(audioClips, initial?.audio),
+      drawing: drawing || initial?.drawing || null,
     });
+    setTitle(payload.title);
+    setContent(payload.content);
+    setTags(payload.tags);
+    setImages(payload.images);
+    setAudioClips(payload.audio);
+    setDrawing(payload.drawing);
+    setSketchOpen(!!payload.drawing);
+    setAttachOpen(payload.images.length > 0);
+    setAudioOpen(payload.audio.length > 0);
+    setHistoryOpen(false);
+    setHistoryNotice(
+      `Restored the version from ${new Date(revision.savedAt).toLocaleString()}. Save to keep it.` +
+      (missing > 0 ? ` ${missing} ${missing === 1 ? 'attachment is' : 'attachments are'} no longer available.` : '')
+    );
   };
 
   const id = 'note-modal';
@@ -532,15 +753,50 @@ export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
           <h2 id={`${id}-title`} className="modal-title">
             {initial ? 'Edit Note' : 'New Note'}
           </h2>
-          <button
-            className="btn secondary"
-            onClick={onCancel}
-            aria-label="Close modal"
-            ref={closeRef}
-          >
-            ✕ Close
-          </button>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button
+              type="button"
+              className={`btn secondary flag-toggle ${pinned ? 'flag-on' : ''}`}
+              onClick={() => setPinned(v => !v)}
+              aria-pressed={pinned}
+              title={pinned ? 'Unpin this note' : 'Pin this note to the top of the list'}
+            >
+              📌 {pinned ? 'Pinned' : 'Pin'}
+            </button>
+            <button
+              type="button"
+              className={`btn secondary flag-toggle ${favorite ? 'flag-on' : ''}`}
+              onClick={() => setFavorite(v => !v)}
+              aria-pressed={favorite}
+              title={favorite ? 'Remove from favorites' : 'Add to favorites'}
+            >
+              {favorite ? '★ Starred' : '☆ Star'}
+            </button>
+            {initial?.id ? (
+              <button
+                type="button"
+                className="btn secondary"
+                onClick={() => setHistoryOpen(true)}
+                aria-label="Show note history"
+              >
+                🕘 History
+              </button>
+            ) : null}
+            <button
+              className="btn secondary"
+              onClick={onCancel}
+              aria-label="Close modal"
+              ref={closeRef}
+            >
+              ✕ Close
+            </button>
+          </div>
         </div>
+        {historyNotice ? (
+          <div className="helper" role="status" aria-live="polite" style={{ padding: '8px 18px 0' }}>
+            {historyNotice}
+          </div>
+        ) : null}
         <div className="modal-body">
           {error ? (
             <div className="alert" role="alert" aria-live="assertive" style={{ marginBottom: 12 }}>
@@ -560,16 +816,107 @@ export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
                 aria-required="true"
               />
             </label>
-            <label>
-              <div style={{ marginBottom: 6, fontWeight: 600 }}>Content <span className="text-muted">(markdown/plain text)</span></div>
-              <textarea
-                className="textarea"
-                rows={8}
-                value={content}
-                onChange={(e) => setContent(e.target.value)}
-                placeholder="Write your note here..."
-              />
-            </label>
+            {notebooks.length > 1 ? (
+              <label>
+                <div style={{ marginBottom: 6, fontWeight: 600 }}>Notebook</div>
+                <select className="select" value={notebook} onChange={(e) => setNotebook(e.target.value)}>
+                  {notebookOptions(notebooks).map((nb) => (
+                    <option key={nb.id} value={nb.id}>{nb.path}</option>
+                  ))}
+                </select>
+                {initial && notebook && notebook !== initial.notebookId ? (
+                  <div className="helper" style={{ marginTop: 4 }}>
+                    Saving moves the note to this notebook.
+                  </div>
+                ) : null}
+              </label>
+            ) : null}
+            <div>
+              <div style={{ display: 'flex', alignItems: 'baseline', justifyContent: 'space-between', gap: 8, marginBottom: 6 }}>
+                <label htmlFor="note-content" style={{ fontWeight: 600 }}>
+                  Content <span className="text-muted">(Markdown)</span>
+                </label>
+                <div className="md-modes" role="group" aria-label="Content view">
+                  {CONTENT_MODES.map((m) => (
+                    <button
+                      key={m.id}
+                      type="button"
+                      className={`md-mode ${contentMode === m.id ? 'md-mode-active' : ''}`}
+                      aria-pressed={contentMode === m.id}
+                      onClick={() => setContentMode(m.id)}
+                    >
+                      {m.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {contentMode !== 'preview' ? (
+                <div className="md-toolbar" role="toolbar" aria-label="Formatting">
+                  {MARKDOWN_FORMATS.map((f) => (
+                    <button
+                      key={f.id}
+                      type="button"
+                      className={`md-tool md-tool-${f.id}`}
+                      onMouseDown={(e) => e.preventDefault()}
+                      onClick={() => formatContent(f.id)}
+                      title={f.keys ? `${f.title} (${f.keys})` : f.title}
+                      aria-label={f.title}
+                    >
+                      {f.label}
+                    </button>
+                  ))}
+                </div>
+              ) : null}
+              <div className={contentMode === 'split' ? 'md-split' : undefined}>
+                {contentMode !== 'preview' ? (
+                  <textarea
+                    id="note-content"
+                    ref={contentRef}
+                    className="textarea"
+                    rows={8}
+                    value={content}
+                    onChange={(e) => {
+                      setContent(e.target.value);
+                      updateLinkQuery(e.target);
+                    }}
+                    onKeyDown={onContentKeyDown}
+                    onClick={(e) => updateLinkQuery(e.currentTarget)}
+                    onBlur={() => setLinkQuery(null)}
+                    placeholder="Write your note here… **bold**, *italic*, - lists, [links](https://…), [[Another note]]"
+                    aria-autocomplete="list"
+                    aria-controls={linkItems.length > 0 ? 'link-completions' : undefined}
+                    aria-activedescendant={linkItems.length > 0 ? `link-completion-${linkIndex}` : undefined}
+                  />
+                ) : null}
+                {contentMode !== 'write' ? (
+                  <div className="md-preview" aria-label="Preview" tabIndex={contentMode === 'preview' ? 0 : undefined}>
+                    <MarkdownView text={content} hasNote={(t) => Boolean(findNoteByTitle(linkNotes, t))} />
+                  </div>
+                ) : null}
+              </div>
+              {linkItems.length > 0 ? (
+                <div style={{ position: 'relative' }}>
+                  <ul id="link-completions" className="query-suggestions" role="listbox" aria-label="Link to a note">
+                    {linkItems.map((n, i) => (
+                      <li
+                        key={n.id}
+                        id={`link-completion-${i}`}
+                        role="option"
+                        aria-selected={i === linkIndex}
+                        className={i === linkIndex ? 'query-suggestion-active' : undefined}
+                        onMouseDown={(e) => {
+                          e.preventDefault();
+                          pickLink(n);
+                        }}
+                      >
+                        <span>{n.title.trim()}</span>
+                        <span className="helper">link</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ) : null}
+            </div>
             <label>
               <div style={{ marginBottom: 6, fontWeight: 600 }}>
                 Tags <span className="text-muted">(optional)</span>
@@ -595,14 +942,66 @@ export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
                     className="input tag-input"
                     type="text"
                     value={tagInput}
-                    onChange={(e) => setTagInput(e.target.value)}
+                    onChange={(e) => {
+                      setTagInput(e.target.value);
+                      setTagMenuOpen(true);
+                      setTagActive(-1);
+                    }}
                     onKeyDown={onTagKeyDown}
+                    onBlur={() => setTagMenuOpen(false)}
                     placeholder={tags.length ? 'Add tag…' : 'e.g. work, personal'}
                     aria-label="Add tags (comma or Enter to add)"
+                    role="combobox"
+                    aria-autocomplete="list"
+                    aria-expanded={tagItems.length > 0}
+                    aria-controls="tag-completions"
+                    aria-activedescendant={tagActive >= 0 ? `tag-completion-${tagActive}` : undefined}
+                    autoComplete="off"
                   />
                 </div>
+                {tagItems.length > 0 ? (
+                  <div style={{ position: 'relative' }}>
+                    <ul id="tag-completions" className="query-suggestions" role="listbox" aria-label="Tag suggestions">
+                      {tagItems.map((item, i) => (
+                        <li
+                          key={item.tag}
+                          id={`tag-completion-${i}`}
+                          role="option"
+                          aria-selected={i === tagActive}
+                          className={i === tagActive ? 'query-suggestion-active' : undefined}
+                          onMouseDown={(e) => {
+                            e.preventDefault();
+                            pickTag(item);
+                          }}
+                        >
+                          <span>{item.create ? `＋ Create “${item.tag}”` : item.tag}</span>
+                          <span className="helper">
+                            {item.create ? 'new tag' : `${item.count} ${item.count === 1 ? 'note' : 'notes'}`}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ) : null}
+                {suggestedTags.length > 0 ? (
+                  <div className="tag-suggested" aria-label="Suggested tags">
+                    <span className="helper">Suggested:</span>
+                    {suggestedTags.map(s => (
+                      <button
+                        key={s.tag}
+                        type="button"
+                        className="chip chip-clickable chip-small"
+                        onClick={() => addTagToken(s.tag)}
+                        title={`Add “${s.tag}” (${s.reason})`}
+                        aria-label={`Add suggested tag ${s.tag}, ${s.reason}`}
+                      >
+                        ＋ {s.tag}
+                      </button>
+                    ))}
+                  </div>
+                ) : null}
                 <div className="helper" style={{ marginTop: 6 }}>
-                  Press Enter or comma to add. Empty tokens are ignored. Duplicate tags are not added.
+                  Press Enter or comma to add; ↑/↓ pick an existing tag. Use slashes to nest tags (work/clients). Duplicate tags are not added, whatever their case.
                 </div>
               </div>
             </label>
@@ -694,7 +1093,7 @@ export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
                           </div>
                           <div className="attachment-meta">
                             <div className="attachment-name" title={img.name}>{img.name}</div>
-                            <div className="attachment-size helper">{bytesToStr(img.size)}</div>
+                            <div className="attachment-size helper">{formatBytes(img.size)}</div>
                           </div>
                           <div className="attachment-actions">
                             <button
@@ -870,13 +1269,127 @@ export default function NoteModal({ isOpen, initial, onCancel, onSave }) {
                 </div>
               ) : null}
             </div>
+
+            {/* Text from attachments Section */}
+            {textSources.length > 0 ? (
+              <div className="card" style={{ padding: 10 }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                  <button
+                    type="button"
+                    className="btn secondary"
+                    onClick={() => setTextOpen(v => !v)}
+                    aria-expanded={textOpen}
+                    aria-controls="attachment-text-section"
+                    title={textOpen ? 'Hide text from attachments' : 'Show text from attachments'}
+                  >
+                    {textOpen ? '▾' : '▸'} Text from attachments
+                  </button>
+                  {!textOpen ? (
+                    <div className="helper" aria-hidden="true">
+                      {textSources.filter(s => s.item.text).length}/{textSources.length} searchable
+                    </div>
+                  ) : null}
+                </div>
+                {textOpen ? (
+                  <div id="attachment-text-section" style={{ marginTop: 10, display: 'grid', gap: 10 }}>
+                    <label className="helper" style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                      <input
+                        type="checkbox"
+                        checked={autoExtract}
+                        onChange={(e) => toggleAutoExtract(e.target.checked)}
+                      />
+                      Extract text automatically (on this device)
+                    </label>
+                    <div className="helper">
+                      Text found in images and voice note transcripts is included in search. Files are never uploaded;
+                      you can also type or correct the text yourself.
+                    </div>
+                    {textSources.map(({ kind, item }) => (
+                      <AttachmentTextRow
+                        key={item.id}
+                        kind={kind}
+                        item={item}
+                        status={extractStatus[item.id]}
+                        onExtract={() => runExtraction(kind, item)}
+                        onChange={(text) => editAttachmentText(kind, item.id, text)}
+                      />
+                    ))}
+                  </div>
+                ) : null}
+              </div>
+            ) : null}
           </div>
         </div>
         <div className="modal-footer">
           <button className="btn secondary" onClick={onCancel}>Cancel</button>
-          <button className="btn" onClick={submit}>{initial ? 'Save Changes' : 'Create Note'}</button>
+          {initial ? (
+            <button
+              className="btn secondary"
+              onClick={() => submit({ copy: true })}
+              title="Save as a new note in the chosen notebook; this note stays unchanged"
+            >
+              ⧉ Save as copy
+            </button>
+          ) : null}
+          <button className="btn" onClick={() => submit()}>{initial ? 'Save Changes' : 'Create Note'}</button>
         </div>
       </div>
+      <RevisionHistoryDrawer
+        isOpen={historyOpen}
+        note={initial ? { ...initial, title, content, tags, images, audio: audioClips, drawing } : null}
+        onClose={() => setHistoryOpen(false)}
+        onRestore={restoreRevision}
+      />
+    </div>
+  );
+}
+
+const EXTRACT_STATUS_TEXT = {
+  running: 'Extracting text…',
+  failed: 'Could not read text from this file.',
+  unsupported: {
+    image: 'This browser cannot read text in images on this device. Type the text instead.',
+    audio: 'Voice notes cannot be transcribed here: no speech model is installed with the app, or the browser lacks Web Audio. Type a transcript instead.',
+  },
+};
+
+// PUBLIC_INTERFACE
+function AttachmentTextRow({ kind, item, status, onExtract, onChange }) {
+  /** Renders the editable extracted text of one image or voice note, with its extraction status. */
+  const label = kind === 'image' ? 'Image' : 'Voice note';
+  const inputId = `attachment-text-${item.id}`;
+  let note = '';
+  if (status === 'unsupported') note = EXTRACT_STATUS_TEXT.unsupported[kind];
+  else if (status) note = EXTRACT_STATUS_TEXT[status];
+  else if (item.textEngine === 'manual') note = 'Typed by hand.';
+  else if (item.textEngine) note = `Extracted with ${item.textEngine}.`;
+  return (
+    <div className="attachment-text">
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, justifyContent: 'space-between' }}>
+        <label htmlFor={inputId} style={{ fontWeight: 600 }}>
+          {kind === 'image' ? '🖼' : '🎙'} {item.name || label}
+        </label>
+        <button
+          type="button"
+          className="btn secondary"
+          onClick={onExtract}
+          disabled={status === 'running'}
+          title={`Extract text from this ${label.toLowerCase()} on this device`}
+        >
+          ↻ Extract
+        </button>
+      </div>
+      <textarea
+        id={inputId}
+        className="textarea"
+        rows={2}
+        value={item.text || ''}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={kind === 'image' ? 'Text in this image' : 'Transcript of this voice note'}
+      />
+      {note ? (
+        <div className="helper" role={status === 'failed' ? 'alert' : undefined} aria-live="polite">{note}</div>
+      ) : null}
     </div>
   );
 }
@@ -965,3 +1478,10 @@ function AudioClipRow({ clip, onDelete, onRename }) {
     </div>
   );
 }
+
+// Adds a typed tag unless it is empty or already there; preserves the typed case but compares ignoring it
+function withTag(tags, raw) {
+  const cleaned = typeof raw === 'string' ? tagPath(raw) : '';
+  if (!cleaned || tags.some(t => tagKey(t) === tagKey(cleaned))) return tags;
+  return [...tags, cleaned];
+}
@@ -0,0 +1,279 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import MarkdownView from './MarkdownView';
+import { isEditableTarget } from '../lib/commands';
+import { findBacklinks, findNoteByTitle } from '../lib/links';
+
+function formatDuration(s) {
+  if (!s || s < 0) return '';
+  const mm = String(Math.floor(s / 60)).padStart(2, '0');
+  const ss = String(Math.floor(s % 60)).padStart(2, '0');
+  return `${mm}:${ss}`;
+}
+
+/**
+ * NoteViewer
+ * Read-only view of a whole note: rendered Markdown content, image gallery with a lightbox,
+ * the sketch, voice notes with players, tags and timestamps.
+ * - [[Note title]] links open the note they name; "Backlinks" lists the notes that link to this one
+ * - Previous/next walk through the list currently shown (search, tags and sort applied)
+ * - Keys: ←/→ previous/next note (or image while the lightbox is open), Esc closes the lightbox, then the viewer
+ *
+ * Props:
+ * - note: note to show, or null when closed
+ * - position: { index, total } of the note in the current list
+ * - onPrev / onNext: optional () => void; omitted at the ends of the list
+ * - onEdit: (note) => void
+ * - onClose: () => void
+ * - linkNotes: optional array of every note, to resolve [[links]] and find backlinks
+ * - onOpenNote: optional (note) => void to open a linked note
+ */
+// PUBLIC_INTERFACE
+export default function NoteViewer({ note, position, onPrev, onNext, onEdit, onClose, linkNotes = null, onOpenNote }) {
+  // index of the image shown in the lightbox, or -1
+  const [lightbox, setLightbox] = useState(-1);
+  const bodyRef = useRef(null);
+  const keyRef = useRef(null);
+
+  const noteId = note ? note.id : null;
+  useEffect(() => {
+    setLightbox(-1);
+    if (bodyRef.current) bodyRef.current.scrollTop = 0;
+  }, [noteId]);
+
+  const images = note && Array.isArray(note.images) ? note.images : [];
+  const audio = note && Array.isArray(note.audio) ? note.audio : [];
+  const tags = note && Array.isArray(note.tags) ? note.tags : [];
+  const backlinks = useMemo(() => (linkNotes ? findBacklinks(linkNotes, note) : []), [linkNotes, note]);
+
+  // the ref keeps the listener below bound once while seeing the latest props
+  keyRef.current = (e) => {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    const tag = e.target && e.target.tagName ? e.target.tagName.toLowerCase() : '';
+    if (isEditableTarget(e.target) || tag === 'audio') return;
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      if (lightbox >= 0) setLightbox(-1);
+      else onClose();
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      const step = e.key === 'ArrowLeft' ? -1 : 1;
+      if (lightbox >= 0) {
+        e.preventDefault();
+        setLightbox((lightbox + step + images.length) % images.length);
+        return;
+      }
+      const go = step < 0 ? onPrev : onNext;
+      if (go) {
+        e.preventDefault();
+        go();
+      }
+    }
+  };
+
+  useEffect(() => {
+    if (!noteId) return undefined;
+    const onKey = (e) => keyRef.current(e);
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, [noteId]);
+
+  if (!note) return null;
+
+  const title = (note.title || '(Untitled)').trim();
+  const created = new Date(note.createdAt);
+  const updated = new Date(note.updatedAt);
+  const image = lightbox >= 0 ? images[lightbox] : null;
+
+  const openLink = (linkTitle) => {
+    const target = findNoteByTitle(linkNotes, linkTitle);
+    if (target) onOpenNote(target);
+  };
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="note-viewer-title"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="modal note-viewer" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modal-header" style={{ gap: 10 }}>
+          <h2 id="note-viewer-title" className="modal-title" style={{ minWidth: 0, wordBreak: 'break-word' }}>
+            {title}
+          </h2>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexShrink: 0 }}>
+            {position && position.total > 1 ? (
+              <span className="helper" aria-live="polite">
+                {position.index + 1} of {position.total}
+              </span>
+            ) : null}
+            <button
+              type="button"
+              className="btn secondary"
+              onClick={onPrev}
+              disabled={!onPrev}
+              aria-label="Previous note"
+              title="Previous note (←)"
+            >
+              ‹
+            </button>
+            <button
+              type="button"
+              className="btn secondary"
+              onClick={onNext}
+              disabled={!onNext}
+              aria-label="Next note"
+              title="Next note (→)"
+            >
+              ›
+            </button>
+            <button className="btn secondary" onClick={onClose} aria-label="Close note">
+              ✕ Close
+            </button>
+          </div>
+        </div>
+        <div ref={bodyRef} className="modal-body" style={{ display: 'grid', gap: 14, maxHeight: '70vh', overflowY: 'auto' }}>
+          <div className="text-muted" style={{ fontSize: 12, display: 'flex', gap: 10, flexWrap: 'wrap' }}>
+            <span>
+              <strong>Created:</strong> <span title={created.toISOString()}>{created.toLocaleString()}</span>
+            </span>
+            <span>
+              <strong>Updated:</strong> <span title={updated.toISOString()}>{updated.toLocaleString()}</span>
+            </span>
+          </div>
+
+          {tags.length > 0 ? (
+            <div className="tag-row" style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }} aria-label="Tags">
+              {tags.map(t => (
+                <span className="chip chip-small" key={t}>{t}</span>
+              ))}
+            </div>
+          ) : null}
+
+          <MarkdownView
+            text={note.content || ''}
+            emptyText="This note has no text."
+            hasNote={linkNotes ? (t) => Boolean(findNoteByTitle(linkNotes, t)) : undefined}
+            onOpenLink={linkNotes && onOpenNote ? openLink : undefined}
+          />
+
+          {images.length > 0 ? (
+            <section aria-label="Images">
+              <div style={{ fontWeight: 600, marginBottom: 6 }}>Images ({images.length})</div>
+              <div className="viewer-gallery">
+                {images.map((img, i) => (
+                  <button
+                    key={img.id}
+                    type="button"
+                    className="viewer-thumb"
+                    onClick={() => setLightbox(i)}
+                    aria-label={`Open image ${i + 1}${img.name ? `: ${img.name}` : ''}`}
+                    title={img.name || `Image ${i + 1}`}
+                  >
+                    <img src={img.dataUrl} alt={img.name || ''} />
+                  </button>
+                ))}
+              </div>
+            </section>
+          ) : null}
+
+          {note.drawing ? (
+            <section aria-label="Sketch">
+              <div style={{ fontWeight: 600, marginBottom: 6 }}>Sketch</div>
+              <img src={note.drawing} alt="Sketch" className="viewer-sketch" />
+            </section>
+          ) : null}
+
+          {audio.length > 0 ? (
+            <section aria-label="Voice notes">
+              <div style={{ fontWeight: 600, marginBottom: 6 }}>Voice notes ({audio.length})</div>
+              <div style={{ display: 'grid', gap: 8 }}>
+                {audio.map(clip => (
+                  <div key={clip.id} className="card" style={{ padding: 8, display: 'grid', gap: 6, boxShadow: 'var(--shadow-sm)' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', gap: 8 }}>
+                      <span style={{ fontWeight: 600, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                        {clip.name || 'Voice note'}
+                      </span>
+                      <span className="helper">{formatDuration(clip.duration)}</span>
+                    </div>
+                    <audio src={clip.dataUrl} controls preload="metadata" style={{ width: '100%' }} aria-label={`Play ${clip.name || 'voice note'}`} />
+                  </div>
+                ))}
+              </div>
+            </section>
+          ) : null}
+
+          {backlinks.length > 0 ? (
+            <section aria-label="Backlinks">
+              <div style={{ fontWeight: 600, marginBottom: 6 }}>Backlinks ({backlinks.length})</div>
+              <ul className="backlinks">
+                {backlinks.map(n => (
+                  <li key={n.id}>
+                    {onOpenNote ? (
+                      <button type="button" className="wiki-link" onClick={() => onOpenNote(n)}>
+                        {(n.title || '(Untitled)').trim()}
+                      </button>
+                    ) : (
+                      (n.title || '(Untitled)').trim()
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ) : null}
+        </div>
+        <div className="modal-footer">
+          <button className="btn secondary" onClick={onClose}>Close</button>
+          <button className="btn" onClick={() => onEdit(note)} aria-label={`Edit note ${title}`}>
+            ✎ Edit
+          </button>
+        </div>
+      </div>
+
+      {image ? (
+        <div
+          className="viewer-lightbox"
+          role="dialog"
+          aria-modal="true"
+          aria-label={`Image ${lightbox + 1} of ${images.length}`}
+          onMouseDown={(e) => {
+            e.stopPropagation();
+            if (e.target === e.currentTarget) setLightbox(-1);
+          }}
+        >
+          <img src={image.dataUrl} alt={image.name || `Image ${lightbox + 1}`} />
+          <div className="viewer-lightbox-bar">
+            {images.length > 1 ? (
+              <button
+                type="button"
+                className="btn secondary"
+                onClick={() => setLightbox((lightbox - 1 + images.length) % images.length)}
+                aria-label="Previous image"
+              >
+                ‹
+              </button>
+            ) : null}
+            <span>
+              {image.name ? `${image.name} · ` : ''}{lightbox + 1} / {images.length}
+            </span>
+            {images.length > 1 ? (
+              <button
+                type="button"
+                className="btn secondary"
+                onClick={() => setLightbox((lightbox + 1) % images.length)}
+                aria-label="Next image"
+              >
+                ›
+              </button>
+            ) : null}
+            <button type="button" className="btn secondary" onClick={() => setLightbox(-1)} aria-label="Close image">
+              ✕
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
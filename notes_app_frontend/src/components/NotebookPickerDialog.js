@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import { notebookOptions } from '../lib/notebookTree';
+
+/**
+ * NotebookPickerDialog
+ * Asks for a notebook to move or copy a note to.
+ * - Notebooks are listed in tree order, indented under their parent
+ * - The note's own notebook is listed but cannot be picked for a move (a copy there is a duplicate)
+ *
+ * Props:
+ * - note: the note to move or copy; the dialog is closed while null
+ * - notebooks: [{ id, name }]
+ * - onPick: (notebookId, mode: 'move'|'copy') => void
+ * - onClose: () => void
+ */
+// PUBLIC_INTERFACE
+export default function NotebookPickerDialog({ note, notebooks = [], onPick, onClose }) {
+  const [target, setTarget] = useState('');
+
+  useEffect(() => {
+    if (!note) return;
+    const other = notebooks.find((nb) => nb.id !== note.notebookId);
+    setTarget(other ? other.id : note.notebookId || '');
+  }, [note, notebooks]);
+
+  useEffect(() => {
+    if (!note) return undefined;
+    const onKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, [note, onClose]);
+
+  if (!note) return null;
+
+  const title = note.title || 'Untitled';
+  const isCurrent = target === note.notebookId;
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="notebook-picker-title"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="modal" style={{ maxWidth: 420 }} onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 id="notebook-picker-title" className="modal-title">Move or copy “{title}”</h2>
+          <button className="btn secondary" onClick={onClose} aria-label="Close notebook picker">
+            ✕ Close
+          </button>
+        </div>
+        <div className="modal-body" style={{ display: 'grid', gap: 8, maxHeight: '60vh', overflowY: 'auto' }}>
+          <div role="radiogroup" aria-label="Target notebook" style={{ display: 'grid', gap: 6 }}>
+            {notebookOptions(notebooks).map((nb) => (
+              <label
+                key={nb.id}
+                className={`notebook-option ${target === nb.id ? 'notebook-option-active' : ''}`}
+                style={{ marginLeft: nb.depth * 16 }}
+              >
+                <input
+                  type="radio"
+                  name="notebook-picker-target"
+                  value={nb.id}
+                  checked={target === nb.id}
+                  onChange={() => setTarget(nb.id)}
+                />
+                <span>📒 {nb.name}</span>
+                {nb.id === note.notebookId ? <span className="helper">(current)</span> : null}
+              </label>
+            ))}
+          </div>
+        </div>
+        <div className="modal-footer">
+          <button type="button" className="btn secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="button" className="btn secondary" onClick={() => onPick(target, 'copy')} disabled={!target}>
+            ⧉ Copy here
+          </button>
+          <button
+            type="button"
+            className="btn"
+            onClick={() => onPick(target, 'move')}
+            disabled={!target || isCurrent}
+            title={isCurrent ? 'The note is already in this notebook' : undefined}
+          >
+            ⇄ Move here
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
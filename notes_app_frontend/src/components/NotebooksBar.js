@@ -3,27 +3,91 @@ import {
   listNotebooks,
   createNotebook,
   renameNotebook,
+  moveNotebook,
   deleteNotebook,
+  listNotes,
+  countNotesByNotebook,
   getSelectedNotebookId,
   setSelectedNotebookId,
 } from '../lib/api';
+import {
+  buildNotebookTree,
+  canReparent,
+  descendantIds,
+  notebookOptions,
+  readTreeSettings,
+  writeTreeSettings,
+} from '../lib/notebookTree';
 
 /**
  * NotebooksBar
- * A selector with create/rename/delete actions for notebooks.
- * - Displays notebooks as a select plus inline actions
- * - Persists selected notebook
+ * Sidebar with the notebook tree, create/rename/delete actions and saved searches.
+ * - Notebooks nest under a parent (lib/notebookTree); branches collapse, and every notebook shows its
+ *   number of notes (a collapsed branch shows the total including its sub-notebooks)
+ * - Drag a notebook onto another to nest it, or onto "Move to top level"; double-click or F2 renames in place
+ * - "Include sub-notebooks" shows the notes of the selected notebook and all its descendants
+ * - Persists selected notebook and collapsed branches
  * - Emits onChange when selection changes
+ * - Deleting moves the notebook to the Trash; its notes go with it or are all moved to another notebook,
+ *   and its sub-notebooks show at the top level until it is restored
+ * - While a note is dragged, the other notebooks are drop targets (drop moves it; hold Ctrl/⌥ to copy)
+ * - Saved searches ("smart views") are listed below the notebooks; selecting one opens it
  *
  * Props:
  * - onChange: (notebookId: string|null, notebookObj?: object) => void
+ * - onNotebooksChange: optional (notebooks) => void, called whenever the list changes here
+ * - reloadToken: any, the list is reloaded when it changes (e.g. after a restore from the Trash)
+ * - countsToken: any, note counts are reloaded when it changes (e.g. the notes on screen)
+ * - onDeleted: (notebookObj, { moveNotesToId, noteIds }) => void, called after a notebook was moved to the Trash;
+ *   noteIds are the notes moved to moveNotesToId (empty when they went to the Trash too)
+ * - onReparented: optional (notebookObj, fromParentId, toParentId) => void, called after a notebook moved
+ * - includeDescendants / onIncludeDescendantsChange: the "Include sub-notebooks" toggle
+ * - draggingNote: the note being dragged from the list, or null
+ * - onDropNote: (note, notebookId, mode: 'move'|'copy') => void, called when a note is dropped on a notebook
+ * - smartViews: optional [{ id, name, allNotebooks }] saved searches
+ * - activeViewId: id of the open smart view, or null when a notebook is shown
+ * - onSelectView: (viewId|null) => void; null when a notebook is picked
+ * - selectedId: optional notebook id to switch to from outside (e.g. jumping to a search result)
+ * - onRenameView / onDeleteView: (view) => void
  */
 // PUBLIC_INTERFACE
-export default function NotebooksBar({ onChange }) {
+export default function NotebooksBar({
+  onChange,
+  onNotebooksChange,
+  reloadToken,
+  countsToken,
+  onDeleted,
+  onReparented,
+  includeDescendants = false,
+  onIncludeDescendantsChange,
+  smartViews = [],
+  activeViewId = null,
+  selectedId = null,
+  onSelectView,
+  onRenameView,
+  onDeleteView,
+  draggingNote = null,
+  onDropNote,
+}) {
   const [notebooks, setNotebooks] = useState([]);
   const [selected, setSelected] = useState('');
   const [loading, setLoading] = useState(false);
   const [err, setErr] = useState('');
+  const [counts, setCounts] = useState({});
+  const [collapsed, setCollapsed] = useState(() => readTreeSettings().collapsed);
+  // { id, value } while a notebook is renamed in place
+  const [renaming, setRenaming] = useState(null);
+  // id of the notebook being dragged to a new parent
+  const [draggingId, setDraggingId] = useState(null);
+  // notebook id (or 'top' for the top-level zone) under the pointer during a drag
+  const [dropOver, setDropOver] = useState(null);
+  // { notebook, noteIds, target } while the delete panel is open; target '' sends the notes to the Trash
+  const [deleting, setDeleting] = useState(null);
+
+  const updateNotebooks = (list) => {
+    setNotebooks(list);
+    if (onNotebooksChange) onNotebooksChange(list);
+  };
 
   useEffect(() => {
     let mounted = true;
@@ -33,7 +97,7 @@ export default function NotebooksBar({ onChange }) {
       try {
         const list = await listNotebooks();
         if (!mounted) return;
-        setNotebooks(list);
+        updateNotebooks(list);
         const stored = getSelectedNotebookId();
         const initial =
           (stored && list.find((n) => String(n.id) === String(stored))?.id) ||
@@ -51,7 +115,29 @@ export default function NotebooksBar({ onChange }) {
       mounted = false;
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  }, [reloadToken]);
+
+  useEffect(() => {
+    if (selectedId && notebooks.some((n) => n.id === selectedId)) setSelected(selectedId);
+  }, [selectedId, notebooks]);
+
+  // counts read every notebook's notes locally; wait for a burst of edits to settle
+  useEffect(() => {
+    let mounted = true;
+    const timer = setTimeout(() => {
+      countNotesByNotebook()
+        .then((next) => {
+          if (mounted) setCounts(next);
+        })
+        .catch(() => {
+          // counts are informational
+        });
+    }, 300);
+    return () => {
+      mounted = false;
+      clearTimeout(timer);
+    };
+  }, [notebooks, reloadToken, countsToken]);
 
   function setSelectedNotebookIdSafe(id) {
     try {
@@ -66,88 +152,270 @@ export default function NotebooksBar({ onChange }) {
     [notebooks, selected]
   );
 
-  const onSelect = (e) => {
-    const id = e.target.value;
+  const tree = useMemo(() => buildNotebookTree(notebooks, counts), [notebooks, counts]);
+  const options = useMemo(() => notebookOptions(notebooks), [notebooks]);
+  const hasChildren = current ? descendantIds(notebooks, current.id).length > 0 : false;
+
+  const activeView = smartViews.find((v) => v.id === activeViewId) || null;
+
+  const selectNotebook = (id) => {
+    if (onSelectView) onSelectView(null);
     setSelected(id);
     setSelectedNotebookIdSafe(id);
     if (onChange) onChange(id || null, notebooks.find((n) => n.id === id) || null);
   };
 
-  const onCreate = async () => {
-    const name = window.prompt('New notebook name?', 'New Notebook');
+  const toggleCollapsed = (id) => {
+    const next = collapsed.includes(id) ? collapsed.filter((x) => x !== id) : [...collapsed, id];
+    setCollapsed(next);
+    writeTreeSettings({ collapsed: next });
+  };
+
+  const expand = (id) => {
+    if (!collapsed.includes(id)) return;
+    toggleCollapsed(id);
+  };
+
+  const onCreate = async (parent = null) => {
+    const name = window.prompt(parent ? `New notebook inside "${parent.name}"?` : 'New notebook name?', 'New Notebook');
     if (!name) return;
     try {
-      const nb = await createNotebook(name);
-      setNotebooks((prev) => [nb, ...prev]);
-      setSelected(nb.id);
-      setSelectedNotebookIdSafe(nb.id);
-      if (onChange) onChange(nb.id, nb);
+      const nb = await createNotebook(name, { parentId: parent ? parent.id : null });
+      updateNotebooks([nb, ...notebooks]);
+      if (parent) expand(parent.id);
+      selectNotebook(nb.id);
     } catch {
       alert('Failed to create notebook.');
     }
   };
 
-  const onRename = async () => {
-    if (!current) return;
-    const name = window.prompt('Rename notebook', current.name);
-    if (!name || !name.trim()) return;
+  const startRename = (nb) => setRenaming({ id: nb.id, value: nb.name });
+
+  const commitRename = async () => {
+    if (!renaming) return;
+    const { id, value } = renaming;
+    setRenaming(null);
+    const nb = notebooks.find((n) => n.id === id);
+    const name = value.trim();
+    if (!nb || !name || name === nb.name) return;
     try {
-      const nb = await renameNotebook(current.id, name.trim());
-      setNotebooks((prev) => prev.map((n) => (n.id === nb.id ? nb : n)));
+      const renamed = await renameNotebook(id, name);
+      updateNotebooks(notebooks.map((n) => (n.id === renamed.id ? { ...n, ...renamed } : n)));
     } catch {
       alert('Failed to rename notebook.');
     }
   };
 
-  const onDeleteClick = async () => {
-    if (!current) return;
-    if (!window.confirm(`Delete notebook "${current.name}"? This cannot be undone.\n\nChoose OK to delete. Notes will be deleted as well unless moved manually beforehand.`)) {
-      return;
+  const reparent = async (id, parentId) => {
+    const nb = notebooks.find((n) => n.id === id);
+    if (!nb || (nb.parentId || null) === (parentId || null) || !canReparent(notebooks, id, parentId)) return;
+    try {
+      const moved = await moveNotebook(id, parentId);
+      updateNotebooks(notebooks.map((n) => (n.id === moved.id ? moved : n)));
+      if (parentId) expand(parentId);
+      if (onReparented) onReparented(moved, nb.parentId || null, parentId || null);
+    } catch {
+      alert('Failed to move notebook.');
     }
+  };
+
+  const confirmDelete = async (notebook, noteIds, target) => {
+    setDeleting(null);
     try {
-      await deleteNotebook(current.id);
-      const nextList = notebooks.filter((n) => n.id !== current.id);
-      setNotebooks(nextList);
-      const nextSel = nextList[0]?.id || '';
+      await deleteNotebook(notebook.id, { moveNotesToId: target || null });
+      const nextList = notebooks.filter((n) => n.id !== notebook.id);
+      updateNotebooks(nextList);
+      // follow the notes when they were moved
+      const nextSel = (target && nextList.some((n) => n.id === target) ? target : nextList[0]?.id) || '';
       setSelected(nextSel);
       setSelectedNotebookIdSafe(nextSel);
       if (onChange) onChange(nextSel || null, nextList.find((n) => n.id === nextSel) || null);
+      if (onDeleted) onDeleted(notebook, { moveNotesToId: target || null, noteIds: target ? noteIds : [] });
     } catch {
       alert('Failed to delete notebook.');
     }
   };
 
+  const onDeleteClick = async () => {
+    if (!current) return;
+    let notes = [];
+    try {
+      notes = await listNotes(current.id);
+    } catch {
+      // offer the delete anyway; its notes then go to the Trash with it
+    }
+    if (notes.length === 0 && !hasChildren) {
+      if (!window.confirm(`Move notebook "${current.name}" to the Trash?\n\nYou can restore it from the Trash until it is deleted automatically.`)) {
+        return;
+      }
+      confirmDelete(current, [], '');
+      return;
+    }
+    setDeleting({ notebook: current, noteIds: notes.map((n) => n.id), target: '' });
+  };
+
+  const draggedNotebook = draggingId ? notebooks.find((n) => n.id === draggingId) : null;
+
+  const endDrag = () => {
+    setDraggingId(null);
+    setDropOver(null);
+  };
+
+  // where a drag over `id` would go: 'notebook' (reparent), 'note' (move/copy a note) or null
+  const dropKind = (id) => {
+    if (draggingId) return draggingId !== id && draggedNotebook?.parentId !== id && canReparent(notebooks, draggingId, id) ? 'notebook' : null;
+    if (draggingNote && onDropNote) return draggingNote.notebookId !== id ? 'note' : null;
+    return null;
+  };
+
+  const rowDragProps = (nb) => ({
+    draggable: !renaming,
+    onDragStart: (e) => {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', nb.name);
+      setDraggingId(nb.id);
+    },
+    onDragOver: (e) => {
+      const kind = dropKind(nb.id);
+      if (!kind) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = kind === 'note' && (e.ctrlKey || e.altKey) ? 'copy' : 'move';
+      if (dropOver !== nb.id) setDropOver(nb.id);
+    },
+    onDragLeave: () => setDropOver((id) => (id === nb.id ? null : id)),
+    onDrop: (e) => {
+      const kind = dropKind(nb.id);
+      if (!kind) return;
+      e.preventDefault();
+      if (kind === 'notebook') reparent(draggingId, nb.id);
+      else onDropNote(draggingNote, nb.id, e.ctrlKey || e.altKey ? 'copy' : 'move');
+      endDrag();
+    },
+    onDragEnd: endDrag,
+  });
+
+  const topDropProps = {
+    onDragOver: (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      if (dropOver !== 'top') setDropOver('top');
+    },
+    onDragLeave: () => setDropOver((id) => (id === 'top' ? null : id)),
+    onDrop: (e) => {
+      e.preventDefault();
+      reparent(draggingId, null);
+      endDrag();
+    },
+  };
+
+  const renderNode = (node) => {
+    const nb = node.notebook;
+    const branch = node.children.length > 0;
+    const closed = branch && collapsed.includes(nb.id);
+    const isCurrent = !activeView && current?.id === nb.id;
+    const shown = closed ? node.total : node.count;
+    return (
+      <li
+        key={nb.id}
+        role="treeitem"
+        aria-level={node.depth + 1}
+        aria-expanded={branch ? !closed : undefined}
+        aria-selected={isCurrent}
+      >
+        <div
+          className={`nb-row ${isCurrent ? 'nb-row-active' : ''} ${dropOver === nb.id ? 'nb-row-drop' : ''} ${draggingId === nb.id ? 'note-dragging' : ''}`}
+          style={{ paddingLeft: 4 + node.depth * 16 }}
+          {...rowDragProps(nb)}
+        >
+          {branch ? (
+            <button
+              type="button"
+              className="nb-toggle"
+              onClick={() => toggleCollapsed(nb.id)}
+              aria-label={closed ? `Expand ${nb.name}` : `Collapse ${nb.name}`}
+            >
+              {closed ? '▸' : '▾'}
+            </button>
+          ) : (
+            <span className="nb-toggle" aria-hidden="true" />
+          )}
+          {renaming && renaming.id === nb.id ? (
+            <input
+              className="input nb-rename"
+              value={renaming.value}
+              autoFocus
+              onChange={(e) => setRenaming({ ...renaming, value: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') commitRename();
+                if (e.key === 'Escape') setRenaming(null);
+              }}
+              onBlur={commitRename}
+              aria-label={`New name for ${nb.name}`}
+            />
+          ) : (
+            <button
+              type="button"
+              className="nb-name"
+              onClick={() => selectNotebook(nb.id)}
+              onDoubleClick={() => startRename(nb)}
+              onKeyDown={(e) => {
+                if (e.key === 'F2') startRename(nb);
+              }}
+              title="Double-click or F2 to rename; drag onto another notebook to nest it"
+            >
+              📒 {nb.name}
+            </button>
+          )}
+          <span
+            className="nb-count"
+            title={branch ? `${node.count} here, ${node.total} with sub-notebooks` : `${node.count} ${node.count === 1 ? 'note' : 'notes'}`}
+          >
+            {shown}
+          </span>
+        </div>
+        {branch && !closed ? <ul role="group">{node.children.map(renderNode)}</ul> : null}
+      </li>
+    );
+  };
+
   return (
-    <div className="card" style={{ padding: 12, marginBottom: 12 }}>
-      <div className="row" style={{ alignItems: 'center' }}>
-        <div style={{ minWidth: 260 }}>
-          <label htmlFor="nb-select" style={{ display: 'block', marginBottom: 6, fontWeight: 600 }}>
-            Notebook
-          </label>
-          <div style={{ display: 'flex', gap: 8 }}>
-            <select
-              id="nb-select"
-              className="select"
-              value={selected}
-              onChange={onSelect}
-              aria-label="Select notebook"
-              disabled={loading || notebooks.length === 0}
+    <aside className="card notebooks-sidebar" aria-label="Notebooks">
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+        <h2 className="nb-heading">Notebooks</h2>
+        <button type="button" className="btn secondary" onClick={() => onCreate()} aria-label="Create notebook" title="New notebook">
+          ＋
+        </button>
+      </div>
+      {draggingNote && onDropNote ? (
+        <div className="helper" role="status">Drop on a notebook to move the note (hold Ctrl/⌥ to copy).</div>
+      ) : null}
+      {loading && notebooks.length === 0 ? <div className="helper">Loading…</div> : null}
+      <ul className="nb-tree" role="tree" aria-label="Notebook tree">
+        {tree.map(renderNode)}
+      </ul>
+      {draggedNotebook && draggedNotebook.parentId ? (
+        <div className={`nb-top-drop ${dropOver === 'top' ? 'nb-row-drop' : ''}`} {...topDropProps}>
+          ⤒ Move to top level
+        </div>
+      ) : null}
+      {current && !activeView ? (
+        <div style={{ display: 'grid', gap: 6 }}>
+          <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+            <button
+              type="button"
+              className="btn secondary"
+              onClick={() => onCreate(current)}
+              aria-label={`Create notebook inside ${current.name}`}
+              title="New notebook inside this one"
             >
-              {notebooks.map((n) => (
-                <option key={n.id} value={n.id}>
-                  {n.name}
-                </option>
-              ))}
-            </select>
-            <button type="button" className="btn secondary" onClick={onCreate} aria-label="Create notebook">
-              ＋
+              ＋ Sub
             </button>
             <button
               type="button"
               className="btn secondary"
-              onClick={onRename}
+              onClick={() => startRename(current)}
               aria-label="Rename selected notebook"
-              disabled={!current}
+              title="Rename"
             >
               ✎
             </button>
@@ -156,22 +424,121 @@ export default function NotebooksBar({ onChange }) {
               className="btn danger"
               onClick={onDeleteClick}
               aria-label="Delete selected notebook"
-              disabled={!current || notebooks.length <= 1}
-              title={notebooks.length <= 1 ? 'At least one notebook is required' : 'Delete notebook'}
+              disabled={notebooks.length <= 1}
+              title={notebooks.length <= 1 ? 'At least one notebook is required' : 'Move notebook to Trash'}
             >
               🗑
             </button>
           </div>
-          {err ? (
-            <div className="helper" role="alert" style={{ color: 'var(--color-error)', marginTop: 6 }}>
-              {err}
+          {hasChildren ? (
+            <label className="helper" style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+              <input
+                type="checkbox"
+                checked={includeDescendants}
+                onChange={(e) => onIncludeDescendantsChange && onIncludeDescendantsChange(e.target.checked)}
+              />
+              Include notes from sub-notebooks
+            </label>
+          ) : null}
+        </div>
+      ) : null}
+      {deleting ? (
+        <div className="notebook-delete" role="group" aria-label={`Delete notebook ${deleting.notebook.name}`}>
+          <div style={{ fontWeight: 600 }}>
+            Move notebook “{deleting.notebook.name}” to the Trash?
+          </div>
+          {deleting.noteIds.length > 0 ? (
+            <>
+              <label htmlFor="nb-delete-target" className="helper" style={{ display: 'block', margin: '6px 0' }}>
+                Its {deleting.noteIds.length === 1 ? 'note' : `${deleting.noteIds.length} notes`}:
+              </label>
+              <select
+                id="nb-delete-target"
+                className="select"
+                value={deleting.target}
+                onChange={(e) => setDeleting({ ...deleting, target: e.target.value })}
+              >
+                <option value="">Go to the Trash with the notebook</option>
+                {options
+                  .filter((o) => o.id !== deleting.notebook.id)
+                  .map((o) => (
+                    <option key={o.id} value={o.id}>
+                      Move all to “{o.path}”
+                    </option>
+                  ))}
+              </select>
+            </>
+          ) : null}
+          {descendantIds(notebooks, deleting.notebook.id).length > 0 ? (
+            <div className="helper" style={{ marginTop: 6 }}>
+              Its sub-notebooks move to the top level until it is restored.
             </div>
           ) : null}
+          <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginTop: 8 }}>
+            <button
+              type="button"
+              className="btn danger"
+              onClick={() => confirmDelete(deleting.notebook, deleting.noteIds, deleting.target)}
+            >
+              🗑 Move to Trash
+            </button>
+            <button type="button" className="btn secondary" onClick={() => setDeleting(null)}>
+              Cancel
+            </button>
+          </div>
+          <div className="helper" style={{ marginTop: 6 }}>
+            You can restore the notebook from the Trash until it is deleted automatically.
+          </div>
         </div>
-        <div className="helper" style={{ minWidth: 200 }}>
-          Group your notes into separate notebooks. Selection is saved locally.
+      ) : null}
+      {err ? (
+        <div className="helper" role="alert" style={{ color: 'var(--color-error)' }}>
+          {err}
         </div>
+      ) : null}
+
+      {smartViews.length > 0 ? (
+        <section aria-label="Smart views">
+          <h2 className="nb-heading">Smart views</h2>
+          <ul className="nb-tree">
+            {smartViews.map((v) => (
+              <li key={v.id}>
+                <div className={`nb-row ${activeView?.id === v.id ? 'nb-row-active' : ''}`}>
+                  <button
+                    type="button"
+                    className="nb-name"
+                    onClick={() => onSelectView && onSelectView(v.id)}
+                    aria-pressed={activeView?.id === v.id}
+                  >
+                    🔍 {v.name}{v.allNotebooks ? ' (all notebooks)' : ''}
+                  </button>
+                  {activeView?.id === v.id ? (
+                    <>
+                      <button type="button" className="nb-toggle" onClick={() => onRenameView && onRenameView(v)} aria-label="Rename smart view" title="Rename">
+                        ✎
+                      </button>
+                      <button
+                        type="button"
+                        className="nb-toggle"
+                        onClick={() => onDeleteView && onDeleteView(v)}
+                        aria-label="Delete smart view"
+                        title="Delete smart view (its notes stay where they are)"
+                      >
+                        🗑
+                      </button>
+                    </>
+                  ) : null}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
+      <div className="helper">
+        {activeView
+          ? `Smart view “${activeView.name}” searching ${activeView.allNotebooks ? 'all notebooks' : `“${current ? current.name : 'this notebook'}”`}; it updates as notes change.`
+          : 'Drag a notebook onto another to nest it. Selection is saved locally.'}
       </div>
-    </div>
+    </aside>
   );
 }
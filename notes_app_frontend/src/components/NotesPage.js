@@ -1,63 +1,208 @@
-import React, { useEffect, useMemo, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import {
   listNotes,
   createNote,
   updateNote,
   deleteNote,
+  moveNote,
+  copyNote,
   getSelectedNotebookId,
   setSelectedNotebookId,
+  isSyncEnabled,
+  ConflictError,
+  loadConflict,
+  resolveConflict,
+  deferConflict,
+  deleteNotebook,
+  moveNotebook,
+  listNotebooks,
+  listAllNotes,
 } from '../lib/api';
+import { onLocalStoreBlocked } from '../lib/stores';
 import NoteList from './NoteList';
 import NoteModal from './NoteModal';
-import { getAllTags } from '../lib/storage';
 import ScrollControls from './ScrollControls';
 import NotebooksBar from './NotebooksBar';
+import StorageUsagePanel from './StorageUsagePanel';
+import TrashPanel from './TrashPanel';
+import TagManager from './TagManager';
+import TagFilterTree from './TagFilterTree';
+import MergeDialog from './MergeDialog';
+import RevisionHistoryDrawer from './RevisionHistoryDrawer';
+import NoteViewer from './NoteViewer';
+import BulkActionBar from './BulkActionBar';
+import NotebookPickerDialog from './NotebookPickerDialog';
+import { downloadText, editTags, exportFileName, exportNotes, rangeIds } from '../lib/bulk';
+import { restorePayload } from '../lib/revisions';
+import { createSearchIndex, tokenize } from '../lib/search';
+import {
+  createSmartView,
+  deleteSmartView,
+  listSmartViews,
+  restoreSmartView,
+  updateSmartView,
+} from '../lib/smartViews';
+import {
+  cycleTagFilter,
+  parseQuery,
+  querySuggestions,
+  runQuery,
+  setTagFilters,
+  tagFilters,
+  toggleFilter,
+  topLevelFilters,
+} from '../lib/query';
+import { purgeExpiredTrash, restoreNote, restoreNotebook } from '../lib/trash';
+import { createCommandHistory, isEditableTarget, undoShortcut } from '../lib/commands';
+import { descendantIds, readTreeSettings, writeTreeSettings } from '../lib/notebookTree';
+import { buildTagTree, flattenTagTree, readTagColors, tagCounts, tagKey, writeTagColors } from '../lib/tags';
+import { linkRenameChanges } from '../lib/links';
+import { SORT_FIELDS, moveId, parseSort, readManualOrders, sortId, sortNotes, writeManualOrder } from '../lib/sort';
+import { checkQuota, formatBytes, getStorageEstimate, isQuotaError, saveGrowth } from '../lib/usage';
+import { getOutbox, getNoteSyncStatuses, retryFailed, subscribe } from '../lib/outbox';
+import { flushOutbox, startSync } from '../lib/sync';
 
-const SORTS = [
-  { id: 'updatedDesc', label: 'Updated (desc)' },
-  { id: 'createdDesc', label: 'Created (desc)' },
-  { id: 'titleAsc', label: 'Title (asc)' },
-];
-
-function applySort(items, mode) {
-  const arr = [...items];
-  switch (mode) {
-    case 'createdDesc':
-      arr.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
-      break;
-    case 'titleAsc':
-      arr.sort((a, b) => a.title.localeCompare(b.title));
-      break;
-    case 'updatedDesc':
-    default:
-      arr.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
-  }
-  return arr;
+// Manual order applies per notebook; across notebooks each keeps its own order
+function sortForList(items, sort, manualOrders) {
+  if (sort !== 'manual') return sortNotes(items, sort);
+  const groups = new Map();
+  items.forEach(n => {
+    const key = n.notebookId || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(n);
+  });
+  return [...groups.entries()].flatMap(([nbId, list]) => sortNotes(list, 'manual', { manualOrder: manualOrders[nbId] }));
+}
+
+// Pinned notes come first, each group keeping its order
+function pinnedFirst(items) {
+  return [...items.filter(n => n.pinned), ...items.filter(n => !n.pinned)];
+}
+
+function editableFields(note) {
+  return {
+    title: note.title || '',
+    content: note.content || '',
+    tags: Array.isArray(note.tags) ? note.tags : [],
+    pinned: !!note.pinned,
+    favorite: !!note.favorite,
+    images: Array.isArray(note.images) ? note.images : [],
+    audio: Array.isArray(note.audio) ? note.audio : [],
+    drawing: note.drawing || null,
+  };
+}
+
+function quoted(title) {
+  return `“${title || 'Untitled'}”`;
+}
+
+function countNotes(count) {
+  return `${count} ${count === 1 ? 'note' : 'notes'}`;
 }
 
 /**
  * NotesPage
  * Main page managing notes state, search, sort, and the create/edit modal.
- * The primary view is the List view for easy browsing.
+ * The search box takes the query language of lib/query (tag:, -tag:, has:, notebook:, dates, "phrases", OR)
+ * with autocomplete; the tag filter tree (TagFilterTree) cycles each tag through tag: (include), -tag:
+ * (exclude) and off in the query, "Match all / any" writes included tags as separate filters or one OR group,
+ * and every tag shows how many of the current results carry it. A parent tag such as "work" also matches
+ * work/clients/acme. Words run on a full-text index
+ * (lib/search) kept in sync with the loaded notes; "Relevance" orders results by rank and list items
+ * show highlighted match snippets.
+ * The current search and sort can be saved as a smart view (lib/smartViews), listed in NotebooksBar;
+ * a view can search the selected notebook or all notebooks and updates live as notes change.
+ * The "All notebooks" scope loads every notebook's notes; results then show their notebook and
+ * "Open in notebook" switches NotebooksBar to it and opens the note in the viewer.
+ * Sorting (lib/sort) picks a field and a direction; "Manual" uses the per-notebook order set by dragging
+ * notes in NoteList.
+ * Notes can be selected with their checkboxes (Shift+click for a range, or all notes matching the search)
+ * and changed together from the BulkActionBar; bulk changes are undoable as one step.
+ * Notebooks nest in the NotebooksBar tree; with "Include sub-notebooks" the list shows the notes of the
+ * selected notebook and all its descendants, each with its notebook.
+ * A note moves or copies to another notebook from its "Move" button (NotebookPickerDialog), from the
+ * editor's notebook picker, or by dragging it onto a notebook in NotebooksBar.
+ * Notes can be pinned and starred from the list or the editor: pinned notes always lead the list, in their
+ * own section, whatever the sort, and the Favorites chip toggles an is:favorite filter in the query.
+ * The primary view is the List view for easy browsing; "View" opens the read-only NoteViewer,
+ * which steps through the filtered and sorted list.
  * Includes optimistic updates and graceful fallback to localStorage.
+ * With a backend configured, offline changes are queued and synced in the background;
+ * a bar shows the queue and offers "Retry all".
+ * Edits rejected because the server copy changed open the three-way MergeDialog.
+ * Deleted notes and notebooks go to the Trash (TrashPanel); expired items are purged on load.
+ * "Tags" opens the TagManager to rename, merge, delete, normalize and color tags across all notebooks;
+ * each change is one undoable step, and tag colors show on list and filter chips.
+ * Deletes, edits, creates, pins, stars, moves and copies can be undone from the toast or with Ctrl+Z (Ctrl+Shift+Z / Ctrl+Y redo)
+ * outside text fields.
  */
 // PUBLIC_INTERFACE
 export default function NotesPage() {
   const [notes, setNotes] = useState([]);
   const [selectedNotebookId, setSelectedNotebookIdState] = useState(getSelectedNotebookId() || '');
   const [query, setQuery] = useState(''); // preserved in component state
-  const [sort, setSort] = useState('updatedDesc');
+  const [sort, setSort] = useState('relevance');
+  // { [notebookId]: note ids } for the Manual sort (lib/sort)
+  const [manualOrders, setManualOrders] = useState(readManualOrders);
   const [isModalOpen, setModalOpen] = useState(false);
   const [editing, setEditing] = useState(null);
   const [loading, setLoading] = useState(false);
   const [toast, setToast] = useState(null);
-  const [selectedTags, setSelectedTags] = useState([]);
+  const [notebooks, setNotebooks] = useState([]);
+  const [smartViews, setSmartViews] = useState(() => listSmartViews());
+  const [activeViewId, setActiveViewId] = useState(null);
+  // search scope: the selected notebook, or every notebook
+  const [scopeAll, setScopeAll] = useState(false);
+  // how several included tags combine when the query does not say: 'all' or 'any'
+  const [tagMatch, setTagMatch] = useState('all');
+  // the selected notebook's sub-notebooks are listed too
+  const [includeDescendants, setIncludeDescendants] = useState(() => readTreeSettings().includeDescendants);
+  // { from, to, items, active } while the search box shows autocomplete suggestions
+  const [suggest, setSuggest] = useState(null);
+  const [isStorageOpen, setStorageOpen] = useState(false);
+  const [isTrashOpen, setTrashOpen] = useState(false);
+  const [isTagsOpen, setTagsOpen] = useState(false);
+  // { [lowercased tag]: color } set in the TagManager
+  const [tagColors, setTagColors] = useState(readTagColors);
+  // Bumped to reload notebooks and notes after out-of-band changes (e.g. storage cleanup, restores)
+  const [reloadToken, setReloadToken] = useState(0);
+  const [outbox, setOutbox] = useState(() => getOutbox());
+  // { id, base, local, remote, payload? } while a merge is pending; payload marks an unsaved edit
+  const [conflict, setConflict] = useState(null);
+  const [mergeBusy, setMergeBusy] = useState(false);
+  const [historyNote, setHistoryNote] = useState(null);
+  const [viewingId, setViewingId] = useState(null);
+  // every note, for [[links]] across notebooks; loaded when a note is viewed or edited
+  const [linkNotes, setLinkNotes] = useState(null);
+  // ids checked for bulk actions; only those still in the results are acted on
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [bulkBusy, setBulkBusy] = useState(false);
+  // note whose Move/Copy picker is open, and the note being dragged from the list
+  const [movingNote, setMovingNote] = useState(null);
+  const [draggingNote, setDraggingNote] = useState(null);
   // Flag to trigger auto-scroll after successful create; effect will run post-DOM update
   const [shouldScrollAfterCreate, setShouldScrollAfterCreate] = useState(false);
 
   const searchRef = useRef(null);
   const debounceRef = useRef(null);
   const listRef = useRef(null);
+  const toastTimerRef = useRef(null);
+  const searchIndexRef = useRef(null);
+  if (!searchIndexRef.current) searchIndexRef.current = createSearchIndex();
+  // last checkbox clicked, where Shift+click ranges start
+  const selectAnchorRef = useRef(null);
+  const commandsRef = useRef(null);
+  if (!commandsRef.current) commandsRef.current = createCommandHistory();
+  const activeView = smartViews.find(v => v.id === activeViewId) || null;
+  // ids of the notebooks listed, one per line ('' = all): the selected one, plus its descendants when included
+  const shownKey = scopeAll
+    ? ''
+    : [selectedNotebookId, ...(includeDescendants && selectedNotebookId ? descendantIds(notebooks, selectedNotebookId) : [])].join('\n');
+  const spansSeveral = scopeAll || shownKey.includes('\n');
+  // commands run after the fact, so they read the notebooks shown at that time (null = all)
+  const shownRef = useRef(null);
+  shownRef.current = scopeAll || !selectedNotebookId ? null : shownKey.split('\n');
+  const isShown = (notebookId) => !shownRef.current || !notebookId || shownRef.current.includes(notebookId);
 
   // Load notes initially
   useEffect(() => {
@@ -65,7 +210,12 @@ export default function NotesPage() {
     (async () => {
       setLoading(true);
       try {
-        const data = await listNotes(selectedNotebookId || undefined);
+        const ids = shownKey ? shownKey.split('\n') : [];
+        const data = scopeAll
+          ? await listAllNotes()
+          : ids.length > 1
+          ? await listAllNotes(ids)
+          : await listNotes(selectedNotebookId || undefined);
         if (mounted) setNotes(Array.isArray(data) ? data : []);
       } catch (e) {
         showToast('Failed to load notes. Using local data if available.', 'error');
@@ -74,7 +224,133 @@ export default function NotesPage() {
       }
     })();
     return () => { mounted = false };
-  }, [selectedNotebookId]);
+  }, [selectedNotebookId, reloadToken, scopeAll, shownKey]);
+
+  // Drop trashed items past the retention
+  useEffect(() => {
+    purgeExpiredTrash().catch(() => {
+      // best effort; retried when the Trash is opened
+    });
+  }, []);
+
+  // An update of the local database waits until tabs running an older version are closed
+  useEffect(
+    () =>
+      onLocalStoreBlocked(() =>
+        setToast({ message: 'Close the other tabs of this app to finish updating your notes on this device.', type: 'error', action: null })
+      ),
+    []
+  );
+
+  // Background sync: replay queued changes and reload once the queue has drained
+  useEffect(() => {
+    if (!isSyncEnabled()) return undefined;
+    let queued = getOutbox().length;
+    const unsubscribe = subscribe((ops) => {
+      setOutbox(ops);
+      if (queued > 0 && ops.length === 0) setReloadToken(t => t + 1);
+      queued = ops.length;
+    });
+    const stop = startSync();
+    return () => {
+      unsubscribe();
+      stop();
+    };
+  }, []);
+
+  const syncStatuses = useMemo(
+    () => (isSyncEnabled() ? getNoteSyncStatuses(outbox) : null),
+    [outbox]
+  );
+  const failedOps = outbox.filter(op => op.status === 'failed').length;
+  const conflictOps = outbox.filter(op => op.conflict);
+
+  const retryAll = async () => {
+    retryFailed();
+    try {
+      await flushOutbox();
+    } catch {
+      // failures stay in the queue and are shown in the bar
+    }
+    if (getOutbox().some(op => op.status === 'pending')) {
+      showToast('The server is still unreachable. Changes will sync when it is back.', 'error');
+    }
+  };
+
+  const onRestoreRevision = async (revision) => {
+    const note = historyNote;
+    const { payload, missing } = restorePayload(revision, note);
+    const when = new Date(revision.savedAt).toLocaleString();
+    if (!window.confirm(`Restore "${revision.title || 'Untitled'}" from ${when}? The current version stays in the history.`)) return;
+    try {
+      const updated = await updateNote(note.id, payload, { base: note });
+      setNotes(prev => prev.map(n => (n.id === note.id ? (updated || n) : n)));
+      setHistoryNote(updated || note);
+      showToast(
+        missing > 0
+          ? `Version restored. ${missing} ${missing === 1 ? 'attachment is' : 'attachments are'} no longer available.`
+          : 'Version restored.'
+      );
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        setHistoryNote(null);
+        setConflict({ id: note.id, base: err.base, local: err.local, remote: err.remote, payload });
+        return;
+      }
+      showToast('Failed to restore this version.', 'error');
+    }
+  };
+
+  const openQueuedConflict = async (noteId) => {
+    try {
+      const found = await loadConflict(noteId);
+      if (found) setConflict({ id: noteId, ...found });
+    } catch {
+      showToast('Could not load the server copy. Try again when online.', 'error');
+    }
+  };
+
+  const onResolveConflict = async (merged) => {
+    const current = conflict;
+    setMergeBusy(true);
+    try {
+      const saved = await resolveConflict(
+        current.id,
+        {
+          images: current.local.images,
+          audio: current.local.audio,
+          drawing: current.local.drawing,
+          ...merged,
+        },
+        current.remote
+      );
+      setNotes(prev => prev.map(n => (n.id === current.id ? (saved || n) : n)));
+      setConflict(null);
+      showToast('Merged note saved.');
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        setConflict({ ...current, base: err.base, remote: err.remote });
+        showToast('The server copy changed again. Please review the merge.', 'error');
+      } else {
+        showToast('Failed to save the merged note.', 'error');
+      }
+    } finally {
+      setMergeBusy(false);
+    }
+  };
+
+  const onDeferConflict = async () => {
+    const current = conflict;
+    setConflict(null);
+    if (!current.payload) return;
+    try {
+      await deferConflict(current.id, current.payload, current.base);
+      showToast('Your changes are kept on this device. Resolve the conflict from the sync bar.');
+    } catch {
+      showToast('Failed to keep your changes. Restoring the saved note.', 'error');
+      setReloadToken(t => t + 1);
+    }
+  };
 
   // Debounce query changes (250–300ms)
   const [debouncedQuery, setDebouncedQuery] = useState('');
@@ -84,25 +360,118 @@ export default function NotesPage() {
     return () => clearTimeout(debounceRef.current);
   }, [query]);
 
-  const availableTags = useMemo(() => getAllTags(notes), [notes]);
+  // tags as a tree of slash tags; autocomplete offers every tag and parent tag
+  const tagTree = useMemo(() => buildTagTree(notes), [notes]);
+  const availableTags = useMemo(() => flattenTagTree(tagTree).map(node => node.path), [tagTree]);
+
+  // Notebook names for notebook: filters and autocomplete
+  const loadNotebookNames = useCallback(async () => {
+    try {
+      setNotebooks(await listNotebooks());
+    } catch {
+      // suggestions and notebook: filters just see fewer names
+    }
+  }, []);
+  useEffect(() => {
+    loadNotebookNames();
+  }, [reloadToken, loadNotebookNames]);
+
+  // { ast, error } for the debounced query; a query that does not parse is searched as plain words
+  const parsedQuery = useMemo(() => {
+    try {
+      return { ast: parseQuery(debouncedQuery), error: null };
+    } catch (err) {
+      const words = tokenize(debouncedQuery).map(t => t.term);
+      return { ast: words.length ? { type: 'text', value: words.join(' ') } : null, error: err.message };
+    }
+  }, [debouncedQuery]);
+
+  // Tag chips and the Favorites filter reflect the tag: and is: filters of what is typed, before the debounce
+  const liveQuery = useMemo(() => {
+    try {
+      return parseQuery(query);
+    } catch {
+      return null;
+    }
+  }, [query]);
+  // included and excluded tags of the tag filter, read from the query text (lib/query tagFilters)
+  const tagFilter = useMemo(() => tagFilters(query), [query]);
+  const activeTags = useMemo(() => tagFilter.include.map(tagKey), [tagFilter]);
+  const excludedTags = useMemo(() => tagFilter.exclude.map(tagKey), [tagFilter]);
+  const tagMode = tagFilter.mode || tagMatch;
+  const hasTagFilters = activeTags.length > 0 || excludedTags.length > 0;
+  const favoritesOnly = topLevelFilters(liveQuery, 'is').includes('favorite');
+
+  // { hits: [{ id, score, terms }], ranked } for the query, or null without one.
+  // The index re-indexes only the notes added, changed or removed since the last search.
+  const searchHits = useMemo(() => {
+    if (!parsedQuery.ast) return null;
+    return runQuery(parsedQuery.ast, notes, { index: searchIndexRef.current, notebooks });
+  }, [notes, notebooks, parsedQuery]);
+
+  const matchTerms = useMemo(() => {
+    if (!searchHits) return null;
+    const terms = {};
+    searchHits.hits.forEach(hit => {
+      if (hit.terms.length) terms[hit.id] = hit.terms;
+    });
+    return terms;
+  }, [searchHits]);
 
-  // Search + Tag filter integrates with list view (AND logic)
   const filtered = useMemo(() => {
-    const q = debouncedQuery.trim().toLowerCase();
-    const byText = q
-      ? notes.filter(n =>
-          (n.title || '').toLowerCase().includes(q) ||
-          (n.content || '').toLowerCase().includes(q)
-        )
-      : notes;
-    const byTags = selectedTags.length
-      ? byText.filter(n => {
-          const ntags = Array.isArray(n.tags) ? n.tags : [];
-          return selectedTags.every(t => ntags.includes(t));
-        })
-      : byText;
-    return applySort(byTags, sort);
-  }, [notes, debouncedQuery, selectedTags, sort]);
+    if (!searchHits) return pinnedFirst(sortForList(notes, sort, manualOrders));
+    const byId = new Map(notes.map(n => [n.id, n]));
+    const matched = searchHits.hits.map(hit => byId.get(hit.id)).filter(Boolean);
+    // ranked hits are already in relevance order
+    return pinnedFirst(searchHits.ranked && sort === 'relevance' ? matched : sortForList(matched, sort, manualOrders));
+  }, [notes, searchHits, sort, manualOrders]);
+
+  // facet counts on the tag filter: notes in the results carrying each tag (null without a query)
+  const tagFacets = useMemo(() => (searchHits ? tagCounts(filtered) : null), [searchHits, filtered]);
+
+  // The viewer follows the list on screen: edits show up live and it closes once the note drops out
+  const selectedNotes = useMemo(() => filtered.filter(n => selectedIds.has(n.id)), [filtered, selectedIds]);
+
+  // a selection belongs to the notebook (or scope) it was made in
+  useEffect(() => {
+    setSelectedIds(new Set());
+    selectAnchorRef.current = null;
+  }, [selectedNotebookId, scopeAll]);
+
+  const viewingIndex = viewingId ? filtered.findIndex(n => n.id === viewingId) : -1;
+  const viewingNote = viewingIndex >= 0 ? filtered[viewingIndex] : null;
+  useEffect(() => {
+    if (viewingId && !loading && viewingIndex < 0) setViewingId(null);
+  }, [viewingId, viewingIndex, loading]);
+
+  const linking = Boolean(viewingId) || isModalOpen;
+  useEffect(() => {
+    if (!linking) return undefined;
+    let cancelled = false;
+    listAllNotes()
+      .then(all => {
+        if (!cancelled) setLinkNotes(all);
+      })
+      .catch(() => {
+        // links then resolve within the notes shown
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [linking]);
+  // notes of the notebooks shown come from the list as it changes (see isShown), the others from the copy loaded above
+  const linkTargets = useMemo(() => {
+    if (!linkNotes || scopeAll) return notes;
+    const shown = new Set(selectedNotebookId ? shownKey.split('\n') : []);
+    const listed = new Set(notes.map(n => n.id));
+    return [...notes, ...linkNotes.filter(n => n.notebookId && !shown.has(n.notebookId) && !listed.has(n.id))];
+  }, [linkNotes, notes, scopeAll, selectedNotebookId, shownKey]);
+
+  // Opens a note a [[link]] or backlink points to, switching to its notebook when it is not in the list
+  const openLinkedNote = (note) => {
+    if (filtered.some(n => n.id === note.id)) setViewingId(note.id);
+    else jumpToNote(note);
+  };
 
   const openNew = () => {
     setEditing(null);
@@ -134,249 +503,1155 @@ export default function NotesPage() {
     });
   }, [shouldScrollAfterCreate, listRef]);
 
+  // Puts a note into the list (or updates it) when it belongs to the notebook on screen
+  const showInList = (note) => {
+    if (!note) return;
+    setNotes(prev => {
+      if (prev.some(n => n.id === note.id)) return prev.map(n => (n.id === note.id ? note : n));
+      if (!isShown(note.notebookId)) return prev;
+      return [note, ...prev];
+    });
+  };
+
+  const removeFromList = (id) => setNotes(prev => prev.filter(n => n.id !== id));
+
+  const recordCommand = (command, message) => {
+    commandsRef.current.push(command);
+    showToast(message, 'info', { label: 'Undo', run: runUndo });
+  };
+
+  async function runUndo() {
+    try {
+      const command = await commandsRef.current.undo();
+      if (command) showToast(`Undone: ${command.label}.`, 'info', { label: 'Redo', run: runRedo });
+    } catch {
+      showToast('Could not undo. Try again when the note is available.', 'error');
+    }
+  }
+
+  async function runRedo() {
+    try {
+      const command = await commandsRef.current.redo();
+      if (command) showToast(`Redone: ${command.label}.`, 'info', { label: 'Undo', run: runUndo });
+    } catch {
+      showToast('Could not redo.', 'error');
+    }
+  }
+
+  // Ctrl+Z / Ctrl+Shift+Z outside text fields and dialogs; the ref keeps the latest handlers
+  const shortcutRef = useRef(null);
+  shortcutRef.current = (e) => {
+    const which = undoShortcut(e);
+    if (!which || isEditableTarget(e.target)) return;
+    if (isModalOpen || isStorageOpen || isTrashOpen || isTagsOpen || historyNote || conflict || viewingNote || movingNote) return;
+    e.preventDefault();
+    if (which === 'undo') runUndo();
+    else runRedo();
+  };
+  useEffect(() => {
+    const onKey = (e) => shortcutRef.current(e);
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, []);
+
+  useEffect(() => () => clearTimeout(toastTimerRef.current), []);
+
   const onDelete = async (note) => {
-    const ok = window.confirm(`Delete note "${note.title || 'Untitled'}"?`);
-    if (!ok) return;
     const prev = notes;
     setNotes(prev => prev.filter(n => n.id !== note.id));
     try {
       await deleteNote(note.id);
-      showToast('Note deleted.');
+      recordCommand(
+        {
+          label: `delete ${quoted(note.title)}`,
+          undo: async () => showInList(await restoreNote(note.id)),
+          redo: async () => {
+            await deleteNote(note.id);
+            removeFromList(note.id);
+          },
+        },
+        'Note moved to Trash.'
+      );
     } catch {
       showToast('Failed to delete note. Restoring.', 'error');
       setNotes(prev);
     }
   };
 
-  const onSave = async (payload) => {
+  // Pins/unpins or stars/unstars a note right away; undoable
+  const toggleFlag = async (note, flag) => {
+    const value = !note[flag];
+    const verb = flag === 'pinned' ? (value ? 'pin' : 'unpin') : (value ? 'star' : 'unstar');
+    setNotes(prev => prev.map(n => (n.id === note.id ? { ...n, [flag]: value } : n)));
+    try {
+      showInList(await updateNote(note.id, { [flag]: value }));
+      recordCommand(
+        {
+          label: `${verb} ${quoted(note.title)}`,
+          undo: async () => showInList(await updateNote(note.id, { [flag]: !value })),
+          redo: async () => showInList(await updateNote(note.id, { [flag]: value })),
+        },
+        flag === 'pinned'
+          ? (value ? 'Note pinned.' : 'Note unpinned.')
+          : (value ? 'Added to favorites.' : 'Removed from favorites.')
+      );
+    } catch {
+      showToast('Failed to update the note.', 'error');
+      setNotes(prev => prev.map(n => (n.id === note.id ? note : n)));
+    }
+  };
+
+  // Checkbox toggle; Shift+click applies the clicked note's new state to the range from the last click
+  const selectNote = (note, { shiftKey }) => {
+    const ids = filtered.map(n => n.id);
+    const anchor = selectAnchorRef.current;
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      const on = !prev.has(note.id);
+      const range = shiftKey && anchor ? rangeIds(ids, anchor, note.id) : [note.id];
+      range.forEach(id => (on ? next.add(id) : next.delete(id)));
+      return next;
+    });
+    selectAnchorRef.current = note.id;
+  };
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    selectAnchorRef.current = null;
+  };
+
+  // Shows a note where it now belongs: updated in place, or dropped when it left the notebook on screen
+  const placeInList = (note) => {
+    if (!note) return;
+    if (!isShown(note.notebookId)) removeFromList(note.id);
+    else showInList(note);
+  };
+
+  // Runs fn(note) for every selected note in list order; resolves to [{ note, result }] for those that succeeded
+  const runBulk = async (fn) => {
+    const targets = selectedNotes;
+    const done = [];
+    setBulkBusy(true);
+    try {
+      for (const note of targets) {
+        try {
+          done.push({ note, result: await fn(note) });
+        } catch {
+          // counted below
+        }
+      }
+    } finally {
+      setBulkBusy(false);
+    }
+    if (done.length < targets.length) {
+      showToast(`${countNotes(targets.length - done.length)} could not be changed.`, 'error');
+    }
+    return done;
+  };
+
+  // Records an undoable bulk change; undo/redo run per note
+  const recordBulk = (label, done, undoOne, redoOne, message) => {
+    if (done.length === 0) return;
+    recordCommand(
+      {
+        label,
+        undo: async () => {
+          for (const entry of done) await undoOne(entry);
+        },
+        redo: async () => {
+          for (const entry of done) await redoOne(entry);
+        },
+      },
+      message
+    );
+  };
+
+  const bulkDelete = async () => {
+    const count = selectedNotes.length;
+    if (!window.confirm(`Move ${countNotes(count)} to the Trash?`)) return;
+    const done = await runBulk(note => deleteNote(note.id));
+    done.forEach(({ note }) => removeFromList(note.id));
+    clearSelection();
+    recordBulk(
+      `delete ${countNotes(done.length)}`,
+      done,
+      async ({ note }) => showInList(await restoreNote(note.id)),
+      async ({ note }) => {
+        await deleteNote(note.id);
+        removeFromList(note.id);
+      },
+      `${countNotes(done.length)} moved to Trash.`
+    );
+  };
+
+  const bulkMove = async (notebookId) => {
+    const name = notebookNames[notebookId] || 'notebook';
+    const done = (await runBulk(note => moveNote(note.id, notebookId))).filter(({ note }) => note.notebookId !== notebookId);
+    done.forEach(({ result }) => placeInList(result));
+    clearSelection();
+    recordBulk(
+      `move ${countNotes(done.length)} to ${quoted(name)}`,
+      done,
+      async ({ note }) => placeInList(await moveNote(note.id, note.notebookId)),
+      async ({ note }) => placeInList(await moveNote(note.id, notebookId)),
+      `${countNotes(done.length)} moved to ${quoted(name)}.`
+    );
+  };
+
+  const bulkTag = async (mode) => {
+    const raw = window.prompt(mode === 'add' ? `Tag to add to ${countNotes(selectedNotes.length)}` : `Tag to remove from ${countNotes(selectedNotes.length)}`);
+    const tag = (raw || '').trim();
+    if (!tag) return;
+    const change = mode === 'add' ? { add: [tag] } : { remove: [tag] };
+    const changed = (tags) => editTags(tags, change).join('\n') !== (tags || []).join('\n');
+    const done = await runBulk(async note => {
+      if (!changed(note.tags)) return null;
+      const updated = await updateNote(note.id, { tags: editTags(note.tags, change) });
+      showInList(updated);
+      return updated;
+    });
+    const edited = done.filter(({ result }) => result);
+    recordBulk(
+      `${mode === 'add' ? 'tag' : 'untag'} ${countNotes(edited.length)}`,
+      edited,
+      async ({ note }) => showInList(await updateNote(note.id, { tags: note.tags || [] })),
+      async ({ result }) => showInList(await updateNote(result.id, { tags: result.tags })),
+      mode === 'add' ? `Tag ${quoted(tag)} added to ${countNotes(edited.length)}.` : `Tag ${quoted(tag)} removed from ${countNotes(edited.length)}.`
+    );
+    if (edited.length === 0 && done.length > 0) showToast(mode === 'add' ? 'The selected notes already have that tag.' : 'None of the selected notes has that tag.');
+  };
+
+  const bulkPin = async () => {
+    const value = !selectedNotes.every(n => n.pinned);
+    const done = (await runBulk(async note => {
+      if (!!note.pinned === value) return null;
+      const updated = await updateNote(note.id, { pinned: value });
+      showInList(updated);
+      return updated;
+    })).filter(({ result }) => result);
+    recordBulk(
+      `${value ? 'pin' : 'unpin'} ${countNotes(done.length)}`,
+      done,
+      async ({ note }) => showInList(await updateNote(note.id, { pinned: !value })),
+      async ({ note }) => showInList(await updateNote(note.id, { pinned: value })),
+      `${countNotes(done.length)} ${value ? 'pinned' : 'unpinned'}.`
+    );
+  };
+
+  const bulkExport = async () => {
+    setBulkBusy(true);
+    try {
+      downloadText(exportFileName(), await exportNotes(selectedNotes, { notebookNames }));
+      showToast(`Exported ${countNotes(selectedNotes.length)}.`);
+    } catch {
+      showToast('Export failed.', 'error');
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const bulkDuplicate = async () => {
+    const done = await runBulk(note => copyNote(note));
+    done.forEach(({ result }) => showInList(result));
+    recordBulk(
+      `duplicate ${countNotes(done.length)}`,
+      done,
+      async ({ result }) => {
+        await deleteNote(result.id);
+        removeFromList(result.id);
+      },
+      async ({ result }) => showInList(await restoreNote(result.id)),
+      `${countNotes(done.length)} duplicated.`
+    );
+  };
+
+  // Saves tag changes from the TagManager ([{ id, before, after }]) as one undoable step; moved tag colors
+  // are put back on undo
+  const applyTagChanges = async (changes, { label, message, colors = null }) => {
+    const saveTags = async (id, tags) => showInList(await updateNote(id, { tags }));
+    const done = [];
+    for (const change of changes) {
+      try {
+        await saveTags(change.id, change.after);
+        done.push(change);
+      } catch {
+        // counted below
+      }
+    }
+    if (done.length < changes.length) {
+      showToast(`${countNotes(changes.length - done.length)} could not be changed.`, 'error');
+      if (done.length === 0) return;
+    }
+    const setColors = (next) => setTagColors(writeTagColors(next));
+    recordCommand(
+      {
+        label,
+        undo: async () => {
+          for (const change of done) await saveTags(change.id, change.before);
+          if (colors) setColors(colors.before);
+        },
+        redo: async () => {
+          for (const change of done) await saveTags(change.id, change.after);
+          if (colors) setColors(colors.after);
+        },
+      },
+      message
+    );
+  };
+
+  // Saves the [[link]] rewrites of a rename (lib/links) with `side` 'after' or 'before'; resolves to those saved
+  const saveLinkChanges = async (changes, side = 'after') => {
+    const done = [];
+    for (const change of changes) {
+      try {
+        const saved = await updateNote(change.id, { content: change[side] });
+        showInList(saved);
+        setLinkNotes(prev => prev && prev.map(n => (n.id === saved.id ? saved : n)));
+        done.push(change);
+      } catch {
+        // counted by the caller
+      }
+    }
+    return done;
+  };
+
+  // Copies a note (as given, e.g. with unsaved edits) to a notebook; undoable
+  const copyTo = async (note, notebookId) => {
+    const copy = await copyNote(note, notebookId);
+    showInList(copy);
+    const name = quoted(notebookNames[copy.notebookId] || 'notebook');
+    recordCommand(
+      {
+        label: `copy ${quoted(note.title)} to ${name}`,
+        undo: async () => {
+          await deleteNote(copy.id);
+          removeFromList(copy.id);
+        },
+        redo: async () => showInList(await restoreNote(copy.id)),
+      },
+      `Note copied to ${name}.`
+    );
+  };
+
+  // Moves or copies a note to another notebook (picker or drop on a notebook); undoable
+  const transferNote = async (note, notebookId, mode) => {
+    setMovingNote(null);
+    setDraggingNote(null);
+    try {
+      if (mode === 'copy') {
+        await copyTo(note, notebookId);
+        return;
+      }
+      if (note.notebookId === notebookId) return;
+      const from = note.notebookId;
+      const name = quoted(notebookNames[notebookId] || 'notebook');
+      placeInList(await moveNote(note.id, notebookId));
+      recordCommand(
+        {
+          label: `move ${quoted(note.title)} to ${name}`,
+          undo: async () => placeInList(await moveNote(note.id, from)),
+          redo: async () => placeInList(await moveNote(note.id, notebookId)),
+        },
+        `Note moved to ${name}.`
+      );
+    } catch {
+      showToast(mode === 'copy' ? 'Failed to copy the note.' : 'Failed to move the note.', 'error');
+    }
+  };
+
+  // Moves a note before or after another one of the same notebook and section in the Manual sort; undoable
+  const reorderNote = (note, target, after) => {
+    const nbId = note.notebookId || '';
+    if ((target.notebookId || '') !== nbId || !!target.pinned !== !!note.pinned) return;
+    const inNotebook = notes.filter(n => (n.notebookId || '') === nbId);
+    const before = sortNotes(inNotebook, 'manual', { manualOrder: manualOrders[nbId] }).map(n => n.id);
+    const next = moveId(before, note.id, target.id, after);
+    if (next === before) return;
+    const apply = (ids) => {
+      writeManualOrder(nbId, ids);
+      setManualOrders(readManualOrders());
+    };
+    apply(next);
+    recordCommand(
+      {
+        label: `move ${quoted(note.title)}`,
+        undo: async () => apply(before),
+        redo: async () => apply(next),
+      },
+      'Note moved.'
+    );
+  };
+
+  // options.copy: save the form as a new note ("Save as copy"), leaving the edited note unchanged
+  const onSave = async (payload, options = {}) => {
     // Ensure images and audio fields exist for backward compatibility
     const normalizedPayload = {
       ...payload,
       images: Array.isArray(payload.images) ? payload.images : [],
       audio: Array.isArray(payload.audio) ? payload.audio : [],
     };
+    // the notebook picked in the editor; an edited note is moved there after saving
+    const { notebookId: targetNotebookId, ...fields } = normalizedPayload;
+
+    // Warn before a save that would not fit in the remaining browser storage
+    const estimate = await getStorageEstimate();
+    const quota = checkQuota(estimate, saveGrowth(estimate, normalizedPayload, editing));
+    if (
+      !quota.ok &&
+      !window.confirm(
+        `This note needs about ${formatBytes(quota.needed)} but only ${formatBytes(quota.available)} of storage is left.\n\nSave anyway? Use “Storage” to free up space.`
+      )
+    ) {
+      return;
+    }
 
-    if (editing) {
+    if (editing && options.copy) {
+      const source = editing;
+      setModalOpen(false);
+      setEditing(null);
+      try {
+        await copyTo({ ...source, ...fields }, targetNotebookId);
+      } catch (err) {
+        showToast(
+          isQuotaError(err)
+            ? 'Storage is full, so the copy was not saved. Use “Storage” to free up space.'
+            : 'Failed to save the copy.',
+          'error'
+        );
+      }
+    } else if (editing) {
+      const before = editableFields(editing);
+      const from = editing.notebookId;
+      const moveTo = targetNotebookId && targetNotebookId !== from ? targetNotebookId : null;
+      // links to the old title in other notes follow a rename
+      const relinks = linkRenameChanges(linkTargets, editing, fields.title);
       const now = new Date().toISOString();
       const optimistic = notes.map(n =>
-        n.id === editing.id ? { ...n, ...normalizedPayload, updatedAt: now } : n
+        n.id === editing.id ? { ...n, ...fields, updatedAt: now } : n
       );
       setNotes(optimistic);
       setModalOpen(false);
       try {
-        const updated = await updateNote(editing.id, normalizedPayload);
+        const updated = await updateNote(editing.id, fields, { base: editing });
         setNotes(prev =>
           prev.map(n => (n.id === editing.id ? (updated || n) : n))
         );
-        showToast('Note updated.');
-      } catch {
-        showToast('Failed to update note. The local version is kept.', 'error');
+        const id = editing.id;
+        if (moveTo) placeInList(await moveNote(id, moveTo));
+        const relinked = await saveLinkChanges(relinks);
+        const name = quoted(notebookNames[moveTo] || 'notebook');
+        const linkMessage = [
+          relinked.length > 0 ? ` Links updated in ${countNotes(relinked.length)}.` : '',
+          relinked.length < relinks.length ? ` Links could not be updated in ${countNotes(relinks.length - relinked.length)}.` : '',
+        ].join('');
+        recordCommand(
+          {
+            label: moveTo ? `edit and move ${quoted(fields.title)}` : `edit ${quoted(fields.title)}`,
+            undo: async () => {
+              const restored = await updateNote(id, before);
+              placeInList(moveTo ? await moveNote(id, from) : restored);
+              await saveLinkChanges(relinked, 'before');
+            },
+            redo: async () => {
+              const redone = await updateNote(id, fields);
+              placeInList(moveTo ? await moveNote(id, moveTo) : redone);
+              await saveLinkChanges(relinked);
+            },
+          },
+          (moveTo ? `Note updated and moved to ${name}.` : 'Note updated.') + linkMessage
+        );
+      } catch (err) {
+        if (err instanceof ConflictError) {
+          setConflict({ id: editing.id, base: err.base, local: err.local, remote: err.remote, payload: fields });
+          return;
+        }
+        showToast(
+          isQuotaError(err)
+            ? 'Storage is full, so the note was not saved. Use “Storage” to free up space.'
+            : 'Failed to update note. The local version is kept.',
+          'error'
+        );
       } finally {
         setEditing(null);
       }
     } else {
       setModalOpen(false);
       try {
-        const created = await createNote(normalizedPayload, selectedNotebookId || undefined);
-        setNotes(prev => applySort([created, ...prev], sort));
-        showToast('Note created.');
+        const created = await createNote(fields, targetNotebookId || selectedNotebookId || undefined);
+        const elsewhere = !isShown(created.notebookId);
+        if (!elsewhere) setNotes(prev => sortNotes([created, ...prev], sort));
+        recordCommand(
+          {
+            label: `create ${quoted(created.title)}`,
+            undo: async () => {
+              await deleteNote(created.id);
+              removeFromList(created.id);
+            },
+            redo: async () => showInList(await restoreNote(created.id)),
+          },
+          elsewhere ? `Note created in ${quoted(notebookNames[created.notebookId] || 'notebook')}.` : 'Note created.'
+        );
         // Trigger auto-scroll after the new item renders
-        setShouldScrollAfterCreate(true);
-      } catch {
-        showToast('Failed to create note.', 'error');
+        if (!elsewhere) setShouldScrollAfterCreate(true);
+      } catch (err) {
+        showToast(
+          isQuotaError(err)
+            ? 'Storage is full, so the note was not created. Use “Storage” to free up space.'
+            : 'Failed to create note.',
+          'error'
+        );
       }
     }
   };
 
-  function showToast(message, type = 'info') {
-    setToast({ message, type });
-    setTimeout(() => setToast(null), 2500);
+  // action: optional { label, run } rendered as a button; such toasts stay longer
+  function showToast(message, type = 'info', action = null) {
+    setToast({ message, type, action });
+    clearTimeout(toastTimerRef.current);
+    toastTimerRef.current = setTimeout(() => setToast(null), action ? 6000 : 2500);
   }
 
-  const clearQuery = () => setQuery('');
+  // noteIds: the notes moved to moveNotesToId instead of going to the Trash; undo moves them back
+  const onNotebookDeleted = (notebook, { moveNotesToId = null, noteIds = [] } = {}) => {
+    recordCommand(
+      {
+        label: `delete notebook ${quoted(notebook.name)}`,
+        undo: async () => {
+          await restoreNotebook(notebook.id);
+          for (const id of noteIds) await moveNote(id, notebook.id);
+          setReloadToken(t => t + 1);
+        },
+        redo: async () => {
+          await deleteNotebook(notebook.id, { moveNotesToId });
+          setReloadToken(t => t + 1);
+        },
+      },
+      moveNotesToId
+        ? `Notebook ${quoted(notebook.name)} moved to Trash; its notes moved to ${quoted(notebookNames[moveNotesToId] || 'notebook')}.`
+        : `Notebook ${quoted(notebook.name)} moved to Trash.`
+    );
+  };
 
-  const hasNoResults =
-    !loading && filtered.length === 0 && (debouncedQuery.trim().length > 0 || selectedTags.length > 0);
-  const isEmptyDataset = !loading && notes.length === 0;
+  const onNotebookReparented = (notebook, fromParentId, toParentId) => {
+    recordCommand(
+      {
+        label: `move notebook ${quoted(notebook.name)}`,
+        undo: async () => {
+          await moveNotebook(notebook.id, fromParentId);
+          setReloadToken(t => t + 1);
+        },
+        redo: async () => {
+          await moveNotebook(notebook.id, toParentId);
+          setReloadToken(t => t + 1);
+        },
+      },
+      toParentId
+        ? `Notebook ${quoted(notebook.name)} moved into ${quoted(notebookNames[toParentId] || 'notebook')}.`
+        : `Notebook ${quoted(notebook.name)} moved to the top level.`
+    );
+  };
+
+  const changeIncludeDescendants = (value) => {
+    setIncludeDescendants(writeTreeSettings({ includeDescendants: value }).includeDescendants);
+  };
+
+  const selectView = (id) => {
+    const view = smartViews.find(v => v.id === id) || null;
+    if (!view) {
+      // back to a notebook: leave the view's search behind
+      if (activeView) setQuery('');
+      setScopeAll(false);
+      setActiveViewId(null);
+      return;
+    }
+    setActiveViewId(view.id);
+    setScopeAll(view.allNotebooks);
+    setQuery(view.query);
+    setDebouncedQuery(view.query);
+    setSort(view.sort);
+  };
+
+  const saveSearchAsView = () => {
+    const name = window.prompt('Name this smart view', query.trim() || 'My view');
+    if (!name || !name.trim()) return;
+    const view = createSmartView({ name, query: query.trim(), sort, allNotebooks: scopeAll });
+    setSmartViews(listSmartViews());
+    setActiveViewId(view.id);
+    showToast(`Smart view ${quoted(view.name)} saved.`);
+  };
+
+  const updateActiveView = () => {
+    updateSmartView(activeView.id, { query: query.trim(), sort, allNotebooks: scopeAll });
+    setSmartViews(listSmartViews());
+    showToast(`Smart view ${quoted(activeView.name)} updated.`);
+  };
 
-  const toggleTagFilter = (tag) => {
-    setSelectedTags(prev =>
-      prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]
+  const renameView = (view) => {
+    const name = window.prompt('Rename smart view', view.name);
+    if (!name || !name.trim()) return;
+    updateSmartView(view.id, { name });
+    setSmartViews(listSmartViews());
+  };
+
+  const deleteView = (view) => {
+    if (!window.confirm(`Delete smart view "${view.name}"? Its notes are not affected.`)) return;
+    deleteSmartView(view.id);
+    setSmartViews(listSmartViews());
+    if (activeViewId === view.id) selectView(null);
+    recordCommand(
+      {
+        label: `delete smart view ${quoted(view.name)}`,
+        undo: async () => {
+          restoreSmartView(view);
+          setSmartViews(listSmartViews());
+        },
+        redo: async () => {
+          deleteSmartView(view.id);
+          setSmartViews(listSmartViews());
+          setActiveViewId(id => (id === view.id ? null : id));
+        },
+      },
+      `Smart view ${quoted(view.name)} deleted.`
     );
   };
 
-  const clearTagFilters = () => setSelectedTags([]);
+  const sortField = parseSort(sort);
+
+  const viewChanged =
+    !!activeView &&
+    (query.trim() !== activeView.query || sort !== activeView.sort || scopeAll !== activeView.allNotebooks);
+
+  const notebookNames = useMemo(() => {
+    const names = {};
+    notebooks.forEach(nb => {
+      names[nb.id] = nb.name;
+    });
+    return names;
+  }, [notebooks]);
+
+  // Leaves the all-notebooks results for the note's notebook and opens the note there
+  const jumpToNote = (note) => {
+    setActiveViewId(null);
+    setScopeAll(false);
+    setQuery('');
+    setDebouncedQuery('');
+    setSelectedNotebookIdState(note.notebookId);
+    try {
+      setSelectedNotebookId(note.notebookId);
+    } catch {
+      // ignore
+    }
+    setViewingId(note.id);
+  };
+
+  const clearQuery = () => {
+    setQuery('');
+    setSuggest(null);
+  };
+
+  const hasNoResults = !loading && filtered.length === 0 && debouncedQuery.trim().length > 0;
+  const isEmptyDataset = !loading && notes.length === 0;
+
+  // a tag chip steps through include → exclude → off
+  const toggleTagFilter = (tag) => setQuery(q => cycleTagFilter(q, tag, tagMode));
+
+  const changeTagMatch = (mode) => {
+    setTagMatch(mode);
+    setQuery(q => setTagFilters(q, { ...tagFilters(q), mode }));
+  };
+
+  const clearTagFilters = () => setQuery(q => setTagFilters(q, {}));
+
+  const toggleFavoritesFilter = () => setQuery(q => toggleFilter(q, 'is', 'favorite'));
+
+  const updateSuggestions = (value, cursor) => {
+    const next = querySuggestions(value, cursor, { tags: availableTags, notebooks });
+    setSuggest(next ? { ...next, active: 0 } : null);
+  };
+
+  const applySuggestion = (item) => {
+    const value = query.slice(0, suggest.from) + item.text + query.slice(suggest.to);
+    const cursor = suggest.from + item.text.length;
+    setQuery(value);
+    updateSuggestions(value, cursor);
+    requestAnimationFrame(() => {
+      const el = searchRef.current;
+      if (!el) return;
+      el.focus();
+      el.setSelectionRange(cursor, cursor);
+    });
+  };
+
+  const onSearchKeyDown = (e) => {
+    if (!suggest) return;
+    const count = suggest.items.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSuggest({ ...suggest, active: (suggest.active + step + count) % count });
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      applySuggestion(suggest.items[suggest.active]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setSuggest(null);
+    }
+  };
 
   return (
     <section aria-label="Notes manager">
-      <NotebooksBar
-        onChange={(id) => {
-          setSelectedNotebookIdState(id || '');
-          try {
-            setSelectedNotebookId(id || '');
-          } catch {
-            // ignore
-          }
-        }}
-      />
-      <div className="card" style={{ padding: 14, marginBottom: 14 }}>
-        <div className="row" style={{ alignItems: 'center' }}>
-          <div style={{ flex: 2, minWidth: 260 }}>
-            <div style={{ display: 'flex', alignItems: 'baseline', justifyContent: 'space-between' }}>
-              <label htmlFor="search" style={{ display: 'block', marginBottom: 6, fontWeight: 600 }}>
-                Search
-              </label>
-              <div className="helper" aria-hidden="true" style={{ marginBottom: 6 }}>
-                View: List
-              </div>
-            </div>
-            <div className="input-with-icon">
-              <span aria-hidden="true" className="input-leading-icon">🔎</span>
-              <input
-                id="search"
-                ref={searchRef}
-                className="input"
-                type="search"
-                placeholder="Search by title or content…"
-                value={query}
-                onChange={(e) => setQuery(e.target.value)}
-                aria-label="Search notes"
-              />
-              {query ? (
-                <button
-                  type="button"
-                  className="btn-clear"
-                  onClick={clearQuery}
-                  aria-label="Clear search"
-                  title="Clear search"
-                >
-                  ✕
-                </button>
-              ) : null}
-            </div>
-            <div className="helper" aria-live="polite" style={{ marginTop: 6 }}>
-              {debouncedQuery
-                ? `Filtering by “${debouncedQuery}”`
-                : 'Tip: Search matches both title and content'}
-            </div>
-          </div>
-          <div style={{ minWidth: 240 }}>
-            <label style={{ display: 'block', marginBottom: 6, fontWeight: 600 }}>
-              Tag Filter
-            </label>
-            <div className="tag-filter-bar">
-              {availableTags.length === 0 ? (
-                <div className="helper">No tags yet. Add tags while creating or editing notes.</div>
-              ) : (
-                <div className="tag-filter-chips" role="listbox" aria-label="Filter by tags">
-                  {availableTags.map(t => {
-                    const active = selectedTags.includes(t);
-                    return (
+      <div className="notes-layout">
+        <NotebooksBar
+          reloadToken={reloadToken}
+          onDeleted={onNotebookDeleted}
+          smartViews={smartViews}
+          activeViewId={activeViewId}
+          selectedId={selectedNotebookId}
+          onSelectView={selectView}
+          onRenameView={renameView}
+          onDeleteView={deleteView}
+          draggingNote={draggingNote}
+          onDropNote={transferNote}
+          onNotebooksChange={setNotebooks}
+          countsToken={notes}
+          onReparented={onNotebookReparented}
+          includeDescendants={includeDescendants}
+          onIncludeDescendantsChange={changeIncludeDescendants}
+          onChange={(id) => {
+            setSelectedNotebookIdState(id || '');
+            try {
+              setSelectedNotebookId(id || '');
+            } catch {
+              // ignore
+            }
+          }}
+        />
+        <div className="notes-main">
+          <div className="card" style={{ padding: 14, marginBottom: 14 }}>
+            <div className="row" style={{ alignItems: 'center' }}>
+              <div style={{ flex: 2, minWidth: 260 }}>
+                <div style={{ display: 'flex', alignItems: 'baseline', justifyContent: 'space-between' }}>
+                  <label htmlFor="search" style={{ display: 'block', marginBottom: 6, fontWeight: 600 }}>
+                    Search
+                  </label>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 6 }}>
+                    <div className="segmented" role="group" aria-label="Search scope">
                       <button
-                        key={t}
                         type="button"
-                        className={`chip chip-clickable ${active ? 'chip-active' : ''}`}
-                        aria-pressed={active}
-                        onClick={() => toggleTagFilter(t)}
-                        title={active ? `Remove filter: ${t}` : `Filter by: ${t}`}
+                        className={`segmented-option ${!scopeAll ? 'segmented-active' : ''}`}
+                        aria-pressed={!scopeAll}
+                        onClick={() => setScopeAll(false)}
                       >
-                        {t}
+                        This notebook
                       </button>
-                    );
-                  })}
+                      <button
+                        type="button"
+                        className={`segmented-option ${scopeAll ? 'segmented-active' : ''}`}
+                        aria-pressed={scopeAll}
+                        onClick={() => setScopeAll(true)}
+                      >
+                        All notebooks
+                      </button>
+                    </div>
+                    <div className="helper" aria-hidden="true">
+                      View: List
+                    </div>
+                  </div>
+                </div>
+                <div className="input-with-icon">
+                  <span aria-hidden="true" className="input-leading-icon">🔎</span>
+                  <input
+                    id="search"
+                    ref={searchRef}
+                    className="input"
+                    type="search"
+                    placeholder='Search… e.g. budget tag:work -tag:done has:image "exact phrase"'
+                    value={query}
+                    onChange={(e) => {
+                      setQuery(e.target.value);
+                      updateSuggestions(e.target.value, e.target.selectionStart);
+                    }}
+                    onKeyDown={onSearchKeyDown}
+                    onFocus={loadNotebookNames}
+                    onBlur={() => setSuggest(null)}
+                    aria-label="Search notes"
+                    role="combobox"
+                    aria-autocomplete="list"
+                    aria-expanded={!!suggest}
+                    aria-controls="search-suggestions"
+                    aria-activedescendant={suggest ? `search-suggestion-${suggest.active}` : undefined}
+                    autoComplete="off"
+                  />
+                  {suggest ? (
+                    <ul id="search-suggestions" className="query-suggestions" role="listbox" aria-label="Search suggestions">
+                      {suggest.items.map((item, i) => (
+                        <li
+                          key={item.text}
+                          id={`search-suggestion-${i}`}
+                          role="option"
+                          aria-selected={i === suggest.active}
+                          className={i === suggest.active ? 'query-suggestion-active' : undefined}
+                          onMouseDown={(e) => {
+                            e.preventDefault();
+                            applySuggestion(item);
+                          }}
+                        >
+                          <span>{item.label}</span>
+                          {item.detail ? <span className="helper">{item.detail}</span> : null}
+                        </li>
+                      ))}
+                    </ul>
+                  ) : null}
+                  {query ? (
+                    <button
+                      type="button"
+                      className="btn-clear"
+                      onClick={clearQuery}
+                      aria-label="Clear search"
+                      title="Clear search"
+                    >
+                      ✕
+                    </button>
+                  ) : null}
+                </div>
+                {parsedQuery.error ? (
+                  <div className="helper query-error" role="alert" style={{ marginTop: 6 }}>
+                    {parsedQuery.error} Searching for the words only.
+                  </div>
+                ) : (
+                  <div className="helper" aria-live="polite" style={{ marginTop: 6 }}>
+                    {debouncedQuery
+                      ? `Filtering by “${debouncedQuery}”`
+                      : 'Tip: words match titles and content (word starts and small typos too); filters: tag:, -tag:, has:, notebook:, updated:>2026-01-01, "phrase", OR'}
+                  </div>
+                )}
+                {viewChanged || (!activeView && query.trim()) ? (
+                  <div style={{ display: 'flex', gap: 8, marginTop: 8, flexWrap: 'wrap' }}>
+                    {viewChanged ? (
+                      <button type="button" className="btn secondary" onClick={updateActiveView}>
+                        ⟳ Update “{activeView.name}”
+                      </button>
+                    ) : null}
+                    <button type="button" className="btn secondary" onClick={saveSearchAsView} title="Save this search and sort as a smart view">
+                      ☆ Save as smart view
+                    </button>
+                  </div>
+                ) : null}
+              </div>
+              <div style={{ minWidth: 240 }}>
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8, marginBottom: 6 }}>
+                  <label style={{ fontWeight: 600 }}>Tag Filter</label>
+                  {availableTags.length > 0 ? (
+                    <div className="segmented" role="group" aria-label="Included tags must">
+                      {[{ id: 'all', label: 'Match all' }, { id: 'any', label: 'Match any' }].map(m => (
+                        <button
+                          key={m.id}
+                          type="button"
+                          className={`segmented-option ${tagMode === m.id ? 'segmented-active' : ''}`}
+                          aria-pressed={tagMode === m.id}
+                          onClick={() => changeTagMatch(m.id)}
+                          title={m.id === 'all' ? 'Notes need every included tag' : 'Notes need at least one included tag'}
+                        >
+                          {m.label}
+                        </button>
+                      ))}
+                    </div>
+                  ) : null}
+                </div>
+                <div className="tag-filter-bar">
+                  <button
+                    type="button"
+                    className={`chip chip-clickable ${favoritesOnly ? 'chip-active' : ''}`}
+                    aria-pressed={favoritesOnly}
+                    onClick={toggleFavoritesFilter}
+                    style={{ justifySelf: 'start' }}
+                    title={favoritesOnly ? 'Show all notes' : 'Show only favorites (is:favorite)'}
+                  >
+                    {favoritesOnly ? '★' : '☆'} Favorites
+                  </button>
+                  {availableTags.length === 0 ? (
+                    <div className="helper">No tags yet. Add tags while creating or editing notes.</div>
+                  ) : (
+                    <TagFilterTree
+                      tree={tagTree}
+                      activeTags={activeTags}
+                      excludedTags={excludedTags}
+                      counts={tagFacets}
+                      onToggle={toggleTagFilter}
+                      tagColors={tagColors}
+                    />
+                  )}
+                  {hasTagFilters ? (
+                    <div className="tag-filter-actions">
+                      <button type="button" className="btn secondary" onClick={clearTagFilters} aria-label="Clear tag filters">
+                        Clear Tags
+                      </button>
+                    </div>
+                  ) : null}
                 </div>
-              )}
-              {selectedTags.length > 0 ? (
-                <div className="tag-filter-actions">
-                  <button type="button" className="btn secondary" onClick={clearTagFilters} aria-label="Clear tag filters">
-                    Clear Tags
+              </div>
+              <div style={{ minWidth: 200 }}>
+                <label htmlFor="sort" style={{ display: 'block', marginBottom: 6, fontWeight: 600 }}>
+                  Sort by
+                </label>
+                <div style={{ display: 'flex', gap: 6 }}>
+                  <select
+                    id="sort"
+                    className="select"
+                    value={sortField.field}
+                    onChange={(e) => setSort(sortId(e.target.value))}
+                    aria-label="Sort notes"
+                  >
+                    {SORT_FIELDS.map(f => (
+                      <option key={f.id} value={f.id}>{f.label}</option>
+                    ))}
+                  </select>
+                  {sortField.dir ? (
+                    <button
+                      type="button"
+                      className="btn secondary"
+                      onClick={() => setSort(sortId(sortField.field, sortField.dir === 'asc' ? 'desc' : 'asc'))}
+                      aria-label={`Sort direction: ${sortField.dir === 'asc' ? 'ascending' : 'descending'}`}
+                      title={sortField.dir === 'asc' ? 'Ascending; click for descending' : 'Descending; click for ascending'}
+                    >
+                      {sortField.dir === 'asc' ? '↑' : '↓'}
+                    </button>
+                  ) : null}
+                </div>
+                {sort === 'manual' ? (
+                  <div className="helper" style={{ marginTop: 4 }}>
+                    Drag notes (or use ⠿ with ↑/↓) to reorder them; the order is saved per notebook.
+                  </div>
+                ) : null}
+              </div>
+              <div style={{ flex: '0 0 auto' }}>
+                <label style={{ display: 'block', marginBottom: 6, visibility: 'hidden' }}>Action</label>
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <button className="btn" onClick={openNew} aria-label="Create new note">
+                    ＋ New Note
+                  </button>
+                  <button
+                    type="button"
+                    className="btn secondary"
+                    onClick={() => setStorageOpen(true)}
+                    aria-label="Show storage usage"
+                    title="Storage usage"
+                  >
+                    💾 Storage
+                  </button>
+                  <button
+                    type="button"
+                    className="btn secondary"
+                    onClick={() => setTrashOpen(true)}
+                    aria-label="Show trash"
+                    title="Deleted notes and notebooks"
+                  >
+                    🗑 Trash
+                  </button>
+                  <button
+                    type="button"
+                    className="btn secondary"
+                    onClick={() => setTagsOpen(true)}
+                    aria-label="Manage tags"
+                    title="Rename, merge, delete and color tags"
+                  >
+                    🏷 Tags
                   </button>
                 </div>
-              ) : null}
+              </div>
             </div>
           </div>
-          <div style={{ minWidth: 200 }}>
-            <label htmlFor="sort" style={{ display: 'block', marginBottom: 6, fontWeight: 600 }}>
-              Sort by
-            </label>
-            <select
-              id="sort"
-              className="select"
-              value={sort}
-              onChange={(e) => setSort(e.target.value)}
-              aria-label="Sort notes"
+
+          {syncStatuses && outbox.length > 0 ? (
+            <div className="card sync-bar" role="status" aria-live="polite">
+              <span>
+                {outbox.length} {outbox.length === 1 ? 'change' : 'changes'} waiting to sync
+                {failedOps > 0 ? ` (${failedOps} failed)` : ''}
+                {conflictOps.length > 0 ? ` · ${conflictOps.length} ${conflictOps.length === 1 ? 'conflict needs' : 'conflicts need'} a merge` : ''}
+              </span>
+              <div style={{ display: 'flex', gap: 8 }}>
+                {conflictOps.length > 0 ? (
+                  <button
+                    type="button"
+                    className="btn"
+                    onClick={() => openQueuedConflict(conflictOps[0].targetId)}
+                    aria-label="Resolve sync conflicts"
+                  >
+                    ⇄ Resolve conflicts
+                  </button>
+                ) : null}
+                <button type="button" className="btn secondary" onClick={retryAll} aria-label="Retry syncing all changes">
+                  ⟳ Retry all
+                </button>
+              </div>
+            </div>
+          ) : null}
+
+          <BulkActionBar
+            count={selectedNotes.length}
+            matchingCount={filtered.length}
+            allPinned={selectedNotes.length > 0 && selectedNotes.every(n => n.pinned)}
+            notebooks={notebooks}
+            busy={bulkBusy}
+            onSelectAll={() => setSelectedIds(new Set(filtered.map(n => n.id)))}
+            onClear={clearSelection}
+            onDelete={bulkDelete}
+            onMove={bulkMove}
+            onAddTag={() => bulkTag('add')}
+            onRemoveTag={() => bulkTag('remove')}
+            onTogglePin={bulkPin}
+            onExport={bulkExport}
+            onDuplicate={bulkDuplicate}
+          />
+
+          {loading ? (
+            <div className="card" role="status" aria-live="polite" style={{ padding: 18 }}>
+              <span className="text-muted">Loading notes…</span>
+            </div>
+          ) : hasNoResults ? (
+            <div
+              className="card empty-state"
+              role="status"
+              aria-live="polite"
+              style={{ padding: 18, textAlign: 'center' }}
             >
-              {SORTS.map(s => (
-                <option key={s.id} value={s.id}>{s.label}</option>
-              ))}
-            </select>
-          </div>
-          <div style={{ flex: '0 0 auto' }}>
-            <label style={{ display: 'block', marginBottom: 6, visibility: 'hidden' }}>Action</label>
-            <button className="btn" onClick={openNew} aria-label="Create new note">
-              ＋ New Note
-            </button>
-          </div>
-        </div>
-      </div>
+              <div style={{ fontWeight: 700, marginBottom: 6 }}>No results</div>
+              <div className="text-muted">
+                {hasTagFilters
+                  ? `No notes match “${debouncedQuery}”. Try clearing some tags or adjusting your search.`
+                  : `No notes match “${debouncedQuery}”. Try a different keyword.`}
+              </div>
+            </div>
+          ) : isEmptyDataset ? (
+            <NoteList notes={[]} onEdit={openEdit} onDelete={onDelete} />
+          ) : (
+            <NoteList
+              ref={listRef}
+              notes={filtered}
+              onView={(note) => setViewingId(note.id)}
+              onEdit={openEdit}
+              onDelete={onDelete}
+              onHistory={setHistoryNote}
+              onMoveCopy={notebooks.length > 1 ? setMovingNote : undefined}
+              onDragNote={notebooks.length > 1 ? setDraggingNote : undefined}
+              onTogglePin={(note) => toggleFlag(note, 'pinned')}
+              onReorder={sort === 'manual' ? reorderNote : undefined}
+              selectedIds={selectedIds}
+              onSelect={selectNote}
+              onToggleFavorite={(note) => toggleFlag(note, 'favorite')}
+              syncStatuses={syncStatuses}
+              matchTerms={matchTerms}
+              notebookNames={spansSeveral ? notebookNames : null}
+              onJump={spansSeveral ? jumpToNote : undefined}
+              tagColors={tagColors}
+            />
+          )}
 
-      {loading ? (
-        <div className="card" role="status" aria-live="polite" style={{ padding: 18 }}>
-          <span className="text-muted">Loading notes…</span>
-        </div>
-      ) : hasNoResults ? (
-        <div
-          className="card empty-state"
-          role="status"
-          aria-live="polite"
-          style={{ padding: 18, textAlign: 'center' }}
-        >
-          <div style={{ fontWeight: 700, marginBottom: 6 }}>No results</div>
-          <div className="text-muted">
-            {selectedTags.length > 0
-              ? `No notes match the selected tag${selectedTags.length > 1 ? 's' : ''} (${selectedTags.join(', ')}). Try clearing some tags or adjusting your search.`
-              : `No notes match “${debouncedQuery}”. Try a different keyword.`}
-          </div>
-        </div>
-      ) : isEmptyDataset ? (
-        <NoteList notes={[]} onEdit={openEdit} onDelete={onDelete} />
-      ) : (
-        <NoteList ref={listRef} notes={filtered} onEdit={openEdit} onDelete={onDelete} />
-      )}
-
-      <ScrollControls targetRef={listRef} />
-
-      <NoteModal
-        isOpen={isModalOpen}
-        initial={editing}
-        onCancel={() => {
-          setModalOpen(false);
-          setEditing(null);
-        }}
-        onSave={onSave}
-      />
-
-      {toast ? (
-        <div
-          role="status"
-          aria-live="polite"
-          className="card"
-          style={{
-            position: 'fixed',
-            right: 16,
-            bottom: 16,
-            padding: '10px 12px',
-            borderLeft: `4px solid ${toast.type === 'error' ? 'var(--color-error)' : 'var(--color-accent)'}`,
-            boxShadow: 'var(--shadow-lg)',
-            maxWidth: 360,
-          }}
-        >
-          <div style={{ fontWeight: 600, marginBottom: 4 }}>
-            {toast.type === 'error' ? 'Error' : 'Notice'}
-          </div>
-          <div>{toast.message}</div>
+          <ScrollControls targetRef={listRef} />
+
+          <NoteViewer
+            note={isModalOpen ? null : viewingNote}
+            position={{ index: viewingIndex, total: filtered.length }}
+            onPrev={viewingIndex > 0 ? () => setViewingId(filtered[viewingIndex - 1].id) : undefined}
+            onNext={viewingIndex >= 0 && viewingIndex < filtered.length - 1 ? () => setViewingId(filtered[viewingIndex + 1].id) : undefined}
+            onEdit={openEdit}
+            onClose={() => setViewingId(null)}
+            linkNotes={linkTargets}
+            onOpenNote={openLinkedNote}
+          />
+
+          <NoteModal
+            isOpen={isModalOpen}
+            initial={editing}
+            onCancel={() => {
+              setModalOpen(false);
+              setEditing(null);
+            }}
+            onSave={onSave}
+            notebooks={notebooks}
+            notebookId={selectedNotebookId}
+            tagNotes={notes}
+            linkNotes={linkTargets}
+          />
+
+          <NotebookPickerDialog
+            note={movingNote}
+            notebooks={notebooks}
+            onPick={(notebookId, mode) => transferNote(movingNote, notebookId, mode)}
+            onClose={() => setMovingNote(null)}
+          />
+
+          <RevisionHistoryDrawer
+            isOpen={!!historyNote}
+            note={historyNote}
+            onClose={() => setHistoryNote(null)}
+            onRestore={onRestoreRevision}
+          />
+
+          <MergeDialog
+            conflict={conflict}
+            busy={mergeBusy}
+            onResolve={onResolveConflict}
+            onCancel={onDeferConflict}
+          />
+
+          <StorageUsagePanel
+            isOpen={isStorageOpen}
+            onClose={() => setStorageOpen(false)}
+            onChanged={() => setReloadToken(t => t + 1)}
+          />
+
+          <TrashPanel
+            isOpen={isTrashOpen}
+            onClose={() => setTrashOpen(false)}
+            onChanged={() => setReloadToken(t => t + 1)}
+          />
+
+          <TagManager
+            isOpen={isTagsOpen}
+            onClose={() => setTagsOpen(false)}
+            onApply={applyTagChanges}
+            onColorsChange={setTagColors}
+            changeToken={notes}
+          />
+
+          {toast ? (
+            <div
+              role="status"
+              aria-live="polite"
+              className="card"
+              style={{
+                position: 'fixed',
+                right: 16,
+                bottom: 16,
+                padding: '10px 12px',
+                borderLeft: `4px solid ${toast.type === 'error' ? 'var(--color-error)' : 'var(--color-accent)'}`,
+                boxShadow: 'var(--shadow-lg)',
+                maxWidth: 360,
+              }}
+            >
+              <div style={{ fontWeight: 600, marginBottom: 4 }}>
+                {toast.type === 'error' ? 'Error' : 'Notice'}
+              </div>
+              <div>{toast.message}</div>
+              {toast.action ? (
+                <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 8 }}>
+                  <button
+                    type="button"
+                    className="btn secondary"
+                    onClick={() => {
+                      setToast(null);
+                      toast.action.run();
+                    }}
+                  >
+                    {toast.action.label}
+                  </button>
+                </div>
+              ) : null}
+            </div>
+          ) : null}
         </div>
-      ) : null}
+      </div>
     </section>
   );
 }
@@ -0,0 +1,252 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { diffWords } from '../lib/diff';
+import { applyRevisionPolicy, listRevisions, readRevisionPolicy, sameRevision } from '../lib/revisions';
+
+const KEEP_COUNTS = [
+  { value: 10, label: 'last 10' },
+  { value: 25, label: 'last 25' },
+  { value: 50, label: 'last 50' },
+  { value: 100, label: 'last 100' },
+  { value: 0, label: 'all' },
+];
+
+const KEEP_AGES = [
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: 0, label: 'forever' },
+];
+
+function attachmentSummary(rev) {
+  const parts = [];
+  const images = (rev.images || []).length;
+  const audio = (rev.audio || []).length;
+  if (images) parts.push(`${images} ${images === 1 ? 'image' : 'images'}`);
+  if (audio) parts.push(`${audio} voice ${audio === 1 ? 'note' : 'notes'}`);
+  if (rev.drawing) parts.push('sketch');
+  return parts.length ? parts.join(' · ') : 'No attachments';
+}
+
+function DiffText({ before, after }) {
+  const parts = useMemo(() => diffWords(before, after), [before, after]);
+  if (!before && !after) return <span className="helper">(empty)</span>;
+  return (
+    <>
+      {parts.map((part, i) =>
+        part.type === 'same' ? (
+          <span key={i}>{part.text}</span>
+        ) : part.type === 'added' ? (
+          <ins key={i} className="diff-added">{part.text}</ins>
+        ) : (
+          <del key={i} className="diff-removed">{part.text}</del>
+        )
+      )}
+    </>
+  );
+}
+
+/**
+ * RevisionHistoryDrawer
+ * Side drawer listing the saved revisions of a note.
+ * - Word-level diff of the selected revision against the current version
+ * - Restore a revision or copy its text
+ * - Retention policy (how many revisions and for how long)
+ *
+ * Props:
+ * - isOpen: boolean
+ * - note: the current note (or the unsaved form state when opened from the editor)
+ * - onClose: () => void
+ * - onRestore: (revision) => void
+ */
+// PUBLIC_INTERFACE
+export default function RevisionHistoryDrawer({ isOpen, note, onClose, onRestore }) {
+  const [revisions, setRevisions] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [policy, setPolicy] = useState(() => readRevisionPolicy());
+  const [message, setMessage] = useState('');
+
+  const noteId = note?.id;
+  const load = useCallback(async () => {
+    if (!noteId) return;
+    setLoading(true);
+    try {
+      const list = await listRevisions(noteId);
+      setRevisions(list);
+      setSelectedId((prev) => (list.some((r) => r.id === prev) ? prev : list[0]?.id || null));
+    } catch {
+      setRevisions([]);
+      setMessage('Failed to load the history.');
+    } finally {
+      setLoading(false);
+    }
+  }, [noteId]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setMessage('');
+    setPolicy(readRevisionPolicy());
+    load();
+  }, [isOpen, load, note?.updatedAt]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const onKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, [isOpen, onClose]);
+
+  if (!isOpen || !note) return null;
+
+  const selected = revisions.find((r) => r.id === selectedId) || null;
+  const isCurrent = selected ? sameRevision(selected, note) : false;
+
+  const changePolicy = async (changes) => {
+    const next = { ...policy, ...changes };
+    setPolicy(next);
+    try {
+      const removed = await applyRevisionPolicy(next);
+      setMessage(removed ? `Removed ${removed} old ${removed === 1 ? 'revision' : 'revisions'}.` : 'Retention updated.');
+      await load();
+    } catch {
+      setMessage('Failed to apply the retention policy.');
+    }
+  };
+
+  const copyText = async () => {
+    const text = `${selected.title}\n\n${selected.content}`;
+    try {
+      await navigator.clipboard.writeText(text);
+      setMessage('Copied to the clipboard.');
+    } catch {
+      setMessage('Copying is not available in this browser.');
+    }
+  };
+
+  const currentTags = Array.isArray(note.tags) ? note.tags : [];
+
+  return (
+    <div
+      className="drawer-overlay"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <aside className="drawer" role="dialog" aria-modal="true" aria-labelledby="history-drawer-title">
+        <div className="modal-header">
+          <h2 id="history-drawer-title" className="modal-title">History</h2>
+          <button className="btn secondary" onClick={onClose} aria-label="Close history">
+            ✕ Close
+          </button>
+        </div>
+        <div className="drawer-body">
+          {message ? <div className="helper" role="status" aria-live="polite">{message}</div> : null}
+          {loading && revisions.length === 0 ? <div className="helper">Loading…</div> : null}
+          {!loading && revisions.length === 0 ? (
+            <div className="helper">No revisions yet. A revision is recorded every time the note is saved.</div>
+          ) : null}
+
+          {revisions.length > 0 ? (
+            <div className="revision-list" role="listbox" aria-label="Revisions">
+              {revisions.map((rev) => {
+                const current = sameRevision(rev, note);
+                return (
+                  <button
+                    key={rev.id}
+                    type="button"
+                    role="option"
+                    aria-selected={rev.id === selectedId}
+                    className={`revision-item ${rev.id === selectedId ? 'revision-item-active' : ''}`}
+                    onClick={() => setSelectedId(rev.id)}
+                  >
+                    <span style={{ fontWeight: 600 }}>{new Date(rev.savedAt).toLocaleString()}</span>
+                    <span className="helper" style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {rev.title || '(Untitled)'}
+                    </span>
+                    {current ? <span className="sync-badge sync-synced">Current</span> : null}
+                  </button>
+                );
+              })}
+            </div>
+          ) : null}
+
+          {selected ? (
+            <section aria-label="Changes since this revision" style={{ display: 'grid', gap: 10 }}>
+              <div className="helper">
+                {isCurrent
+                  ? 'This revision matches the current version.'
+                  : 'Changes from this revision to the current version: added text is highlighted, removed text is struck through.'}
+              </div>
+              <div>
+                <div style={{ fontWeight: 600, marginBottom: 4 }}>Title</div>
+                <div className="revision-diff"><DiffText before={selected.title} after={note.title || ''} /></div>
+              </div>
+              <div>
+                <div style={{ fontWeight: 600, marginBottom: 4 }}>Tags</div>
+                <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap' }}>
+                  {[...new Set([...(selected.tags || []), ...currentTags])].map((t) => {
+                    const inRev = (selected.tags || []).includes(t);
+                    const inNote = currentTags.includes(t);
+                    const cls = inRev && inNote ? '' : inNote ? 'diff-added' : 'diff-removed';
+                    return <span key={t} className={`chip chip-small ${cls}`}>{t}</span>;
+                  })}
+                  {(selected.tags || []).length === 0 && currentTags.length === 0 ? (
+                    <span className="helper">No tags</span>
+                  ) : null}
+                </div>
+              </div>
+              <div>
+                <div style={{ fontWeight: 600, marginBottom: 4 }}>Content</div>
+                <div className="revision-diff"><DiffText before={selected.content} after={note.content || ''} /></div>
+              </div>
+              <div className="helper">Attachments: {attachmentSummary(selected)}</div>
+              <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+                <button
+                  type="button"
+                  className="btn"
+                  onClick={() => onRestore(selected)}
+                  disabled={isCurrent}
+                  aria-label="Restore this revision"
+                >
+                  ↺ Restore this version
+                </button>
+                <button type="button" className="btn secondary" onClick={copyText} aria-label="Copy the text of this revision">
+                  ⧉ Copy text
+                </button>
+              </div>
+            </section>
+          ) : null}
+        </div>
+        <div className="modal-footer" style={{ justifyContent: 'flex-start', flexWrap: 'wrap', alignItems: 'center' }}>
+          <label htmlFor="revision-keep-count" className="helper">Keep</label>
+          <select
+            id="revision-keep-count"
+            className="select"
+            style={{ width: 'auto' }}
+            value={policy.maxPerNote}
+            onChange={(e) => changePolicy({ maxPerNote: Number(e.target.value) })}
+          >
+            {KEEP_COUNTS.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+          <label htmlFor="revision-keep-age" className="helper">revisions for</label>
+          <select
+            id="revision-keep-age"
+            className="select"
+            style={{ width: 'auto' }}
+            value={policy.maxAgeDays}
+            onChange={(e) => changePolicy({ maxAgeDays: Number(e.target.value) })}
+          >
+            {KEEP_AGES.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+        </div>
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { listNotebooks, listNotes, updateNote } from '../lib/api';
+import { resizeImage } from '../lib/images';
+import {
+  USAGE_TYPES,
+  attachmentBytes,
+  formatBytes,
+  getStorageEstimate,
+  summarizeUsage,
+} from '../lib/usage';
+
+const LARGEST_NOTES = 10;
+const RECOMPRESS_OPTIONS = { maxEdge: 1024, quality: 0.7, reencode: true };
+
+/**
+ * StorageUsagePanel
+ * "What is using my space" dialog.
+ * - Browser quota estimate for the active local store
+ * - Totals per attachment type and per notebook
+ * - Largest notes with one-click "Recompress images" and "Drop attachments"
+ *
+ * Props:
+ * - isOpen: boolean
+ * - onClose: () => void
+ * - onChanged: () => void, called after an action modified notes
+ */
+// PUBLIC_INTERFACE
+export default function StorageUsagePanel({ isOpen, onClose, onChanged }) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [estimate, setEstimate] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const notebooks = await listNotebooks();
+      const entries = await Promise.all(
+        notebooks.map(async (notebook) => ({ notebook, notes: await listNotes(notebook.id) }))
+      );
+      setSummary(summarizeUsage(entries));
+      setEstimate(await getStorageEstimate());
+    } catch {
+      setError('Failed to measure storage usage.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setMessage('');
+    load();
+  }, [isOpen, load]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const onKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const runAction = async (note, action) => {
+    setBusyId(note.id);
+    setMessage('');
+    try {
+      const result = await action(note);
+      if (result) {
+        setMessage(result);
+        if (onChanged) onChanged();
+      }
+      await load();
+    } catch {
+      setMessage('The action failed. Nothing was changed.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const recompress = async (note) => {
+    const before = note.images.reduce((acc, img) => acc + attachmentBytes(img.dataUrl), 0);
+    const images = [];
+    for (const img of note.images) {
+      const out = await resizeImage(img.dataUrl, img.type, RECOMPRESS_OPTIONS);
+      const smaller = out !== img.dataUrl && attachmentBytes(out) < attachmentBytes(img.dataUrl);
+      images.push(smaller ? { ...img, dataUrl: out, type: out.slice(5, out.indexOf(';')) || img.type } : img);
+    }
+    const after = images.reduce((acc, img) => acc + attachmentBytes(img.dataUrl), 0);
+    if (after >= before) return `Images in “${note.title || 'Untitled'}” are already compact.`;
+    await updateNote(note.id, { images });
+    return `Saved ${formatBytes(before - after)} in “${note.title || 'Untitled'}”.`;
+  };
+
+  const dropAttachments = async (note) => {
+    const ok = window.confirm(
+      `Remove all images, voice notes and the sketch from "${note.title || 'Untitled'}"? This cannot be undone.`
+    );
+    if (!ok) return null;
+    await updateNote(note.id, { images: [], audio: [], drawing: null });
+    return `Removed attachments from “${note.title || 'Untitled'}”.`;
+  };
+
+  const percent = estimate && estimate.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : null;
+  const largest = summary ? summary.notes.filter((n) => n.usage.total > 0).slice(0, LARGEST_NOTES) : [];
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="storage-panel-title"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 id="storage-panel-title" className="modal-title">Storage usage</h2>
+          <button className="btn secondary" onClick={onClose} aria-label="Close storage usage">
+            ✕ Close
+          </button>
+        </div>
+        <div className="modal-body" style={{ display: 'grid', gap: 14, maxHeight: '70vh', overflowY: 'auto' }}>
+          {error ? <div className="alert" role="alert">{error}</div> : null}
+          {message ? <div className="helper" role="status" aria-live="polite">{message}</div> : null}
+
+          <section aria-label="Quota">
+            <div style={{ fontWeight: 600, marginBottom: 6 }}>Browser storage</div>
+            {percent !== null ? (
+              <>
+                <div
+                  className={`usage-bar ${percent >= 90 ? 'usage-bar-warn' : ''}`}
+                  role="progressbar"
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-valuenow={Math.round(percent)}
+                  aria-label="Storage used"
+                >
+                  <div className="usage-bar-fill" style={{ width: `${percent}%` }} />
+                </div>
+                <div className="helper" style={{ marginTop: 6 }}>
+                  {formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} used ({percent.toFixed(1)}%) ·{' '}
+                  {estimate.backend === 'indexedDB' ? 'IndexedDB' : 'localStorage'}
+                </div>
+              </>
+            ) : (
+              <div className="helper">{loading ? 'Measuring…' : 'This browser does not report a storage quota.'}</div>
+            )}
+          </section>
+
+          {summary ? (
+            <>
+              <section aria-label="Usage by type">
+                <div style={{ fontWeight: 600, marginBottom: 6 }}>By type · {formatBytes(summary.total)} in notes</div>
+                <div className="usage-grid">
+                  {USAGE_TYPES.map(({ id, label }) => (
+                    <div key={id} className="usage-cell">
+                      <div className="helper">{label}</div>
+                      <div style={{ fontWeight: 600 }}>{formatBytes(summary.byType[id])}</div>
+                    </div>
+                  ))}
+                </div>
+              </section>
+
+              <section aria-label="Usage by notebook">
+                <div style={{ fontWeight: 600, marginBottom: 6 }}>By notebook</div>
+                <div style={{ display: 'grid', gap: 4 }}>
+                  {summary.notebooks.map((nb) => (
+                    <div key={nb.id} className="usage-row">
+                      <span style={{ minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis' }}>{nb.name}</span>
+                      <span className="helper">{nb.count} {nb.count === 1 ? 'note' : 'notes'}</span>
+                      <span style={{ fontWeight: 600 }}>{formatBytes(nb.total)}</span>
+                    </div>
+                  ))}
+                </div>
+              </section>
+
+              <section aria-label="Largest notes">
+                <div style={{ fontWeight: 600, marginBottom: 6 }}>Largest notes</div>
+                {largest.length === 0 ? (
+                  <div className="helper">No notes yet.</div>
+                ) : (
+                  <div style={{ display: 'grid', gap: 8 }}>
+                    {largest.map(({ note, notebookName, usage }) => {
+                      const hasImages = note.images.length > 0;
+                      const hasAttachments = hasImages || note.audio.length > 0 || !!note.drawing;
+                      const busy = busyId === note.id;
+                      return (
+                        <div key={note.id} className="card" style={{ padding: 10, boxShadow: 'var(--shadow-sm)' }}>
+                          <div className="usage-row">
+                            <span style={{ fontWeight: 600, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                              {note.title || '(Untitled)'}
+                            </span>
+                            <span className="helper">{notebookName}</span>
+                            <span style={{ fontWeight: 600 }}>{formatBytes(usage.total)}</span>
+                          </div>
+                          <div className="helper" style={{ marginTop: 4 }}>
+                            {USAGE_TYPES.filter(({ id }) => usage[id] > 0)
+                              .map(({ id, label }) => `${label} ${formatBytes(usage[id])}`)
+                              .join(' · ')}
+                          </div>
+                          <div style={{ display: 'flex', gap: 8, marginTop: 8, flexWrap: 'wrap' }}>
+                            <button
+                              type="button"
+                              className="btn secondary"
+                              onClick={() => runAction(note, recompress)}
+                              disabled={!hasImages || busyId !== null}
+                              aria-label={`Recompress images in ${note.title || 'Untitled'}`}
+                            >
+                              {busy ? 'Working…' : '🗜 Recompress images'}
+                            </button>
+                            <button
+                              type="button"
+                              className="btn danger"
+                              onClick={() => runAction(note, dropAttachments)}
+                              disabled={!hasAttachments || busyId !== null}
+                              aria-label={`Drop attachments from ${note.title || 'Untitled'}`}
+                            >
+                              🗑 Drop attachments
+                            </button>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </section>
+            </>
+          ) : null}
+        </div>
+        <div className="modal-footer">
+          <button className="btn secondary" onClick={load} disabled={loading}>
+            {loading ? 'Refreshing…' : '↻ Refresh'}
+          </button>
+          <button className="btn" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { filterTagTree, flattenTagTree, readTagTreeSettings, tagChipStyle, writeTagTreeSettings } from '../lib/tags';
+
+// with more tags than this, a "Find a tag" box is shown above the tree
+const FIND_FROM = 15;
+
+/**
+ * TagFilterTree
+ * The tag filter as a collapsible tree of slash tags (work/clients/acme), each with its number of notes.
+ * - Clicking a tag steps it through included (tag:), excluded (-tag:) and off; a parent tag matches every tag below it
+ * - With `counts`, each tag shows how many of the current results carry it; tags with none are dimmed
+ * - Expanded branches are remembered (lib/tags); "Find a tag" narrows long lists and opens every match
+ *
+ * Props:
+ * - tree: top-level nodes from buildTagTree
+ * - activeTags: lowercased tags that notes must carry
+ * - excludedTags: lowercased tags that notes must not carry
+ * - counts: optional { [lowercased tag]: notes in the results }; without it every tag shows its total
+ * - onToggle: function(tag) -> move the tag's filter to its next state
+ * - tagColors: optional { [lowercased tag]: color }
+ */
+// PUBLIC_INTERFACE
+export default function TagFilterTree({ tree, activeTags, excludedTags = [], counts = null, onToggle, tagColors = null }) {
+  const [expanded, setExpanded] = useState(() => readTagTreeSettings().expanded);
+  const [find, setFind] = useState('');
+
+  const total = flattenTagTree(tree).length;
+  const finding = total > FIND_FROM && find.trim() !== '';
+  const shown = finding ? filterTagTree(tree, find) : tree;
+
+  const toggleExpanded = (key) => {
+    const next = expanded.includes(key) ? expanded.filter((k) => k !== key) : [...expanded, key];
+    setExpanded(next);
+    writeTagTreeSettings({ expanded: next });
+  };
+
+  const renderNode = (node) => {
+    const branch = node.children.length > 0;
+    const open = branch && (finding || expanded.includes(node.key));
+    const active = activeTags.includes(node.key);
+    const excluded = !active && excludedTags.includes(node.key);
+    const count = counts ? counts[node.key] || 0 : node.total;
+    const state = active ? 'Included' : excluded ? 'Excluded' : 'Not filtered';
+    const next = active ? 'click to exclude' : excluded ? 'click to remove the filter' : 'click to include';
+    return (
+      <li key={node.key} role="treeitem" aria-level={node.depth + 1} aria-expanded={branch ? open : undefined} aria-selected={active || excluded}>
+        <div className="tag-tree-row" style={{ paddingLeft: node.depth * 16 }}>
+          {branch ? (
+            <button
+              type="button"
+              className="nb-toggle"
+              onClick={() => toggleExpanded(node.key)}
+              disabled={finding}
+              aria-label={open ? `Collapse ${node.path}` : `Expand ${node.path}`}
+            >
+              {open ? '▾' : '▸'}
+            </button>
+          ) : (
+            <span className="nb-toggle" aria-hidden="true" />
+          )}
+          <button
+            type="button"
+            className={`chip chip-clickable ${active ? 'chip-active' : ''} ${excluded ? 'chip-excluded' : ''} ${counts && !count && !active && !excluded ? 'chip-empty' : ''}`}
+            style={excluded ? undefined : tagChipStyle(tagColors, node.path)}
+            aria-label={`${node.path}: ${state.toLowerCase()}, ${count} ${count === 1 ? 'note' : 'notes'}`}
+            onClick={() => onToggle(node.path)}
+            title={`${node.path}${branch ? ' (and the tags below it)' : ''} · ${state}; ${next}`}
+          >
+            {active ? '✓ ' : excluded ? '− ' : ''}
+            {node.name}
+            <span className="nb-count" title={counts ? `${count} of the results, ${node.total} in all` : undefined}>
+              {count}
+            </span>
+          </button>
+        </div>
+        {open ? <ul role="group">{node.children.map(renderNode)}</ul> : null}
+      </li>
+    );
+  };
+
+  return (
+    <div style={{ display: 'grid', gap: 6 }}>
+      {total > FIND_FROM ? (
+        <input
+          type="search"
+          className="input"
+          value={find}
+          onChange={(e) => setFind(e.target.value)}
+          placeholder="Find a tag…"
+          aria-label="Find a tag"
+        />
+      ) : null}
+      <ul className="nb-tree tag-tree" role="tree" aria-label="Filter by tags">
+        {shown.map(renderNode)}
+      </ul>
+      {finding && shown.length === 0 ? <div className="helper">No tag contains “{find.trim()}”.</div> : null}
+    </div>
+  );
+}
@@ -0,0 +1,285 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { listAllNotes } from '../lib/api';
+import {
+  TAG_COLORS,
+  moveTagColor,
+  normalizeCaseChanges,
+  readTagColors,
+  retagNotes,
+  tagChipStyle,
+  tagKey,
+  tagStats,
+  writeTagColor,
+} from '../lib/tags';
+
+function countLabel(n) {
+  return `${n} ${n === 1 ? 'note' : 'notes'}`;
+}
+
+/**
+ * TagManager
+ * Every tag across all notebooks with its usage count.
+ * - Rename (renaming to an existing tag merges the two), merge into another tag, delete; renames and merges
+ *   move the tags nested below along (work/clients follows work)
+ * - Spellings that differ only in case are listed as one tag; "Normalize" rewrites them to the most used one
+ * - A color per tag, shown on tag chips in the list and the tag filter
+ *
+ * Props:
+ * - isOpen: boolean
+ * - onClose: () => void
+ * - onApply: async (changes, { label, message, colors }) => void; saves the tag changes
+ *   ([{ id, before, after }] from lib/tags) as one undoable step; colors is { before, after } when they moved
+ * - onColorsChange: (colors) => void, called with every tag color after one changed
+ * - changeToken: any value that changes when notes changed elsewhere (e.g. after an undo); reloads the tags
+ */
+// PUBLIC_INTERFACE
+export default function TagManager({ isOpen, onClose, onApply, onColorsChange, changeToken }) {
+  const [notes, setNotes] = useState([]);
+  const [colors, setColors] = useState(() => readTagColors());
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  // key of the tag whose "Merge into" picker is open
+  const [mergingKey, setMergingKey] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setNotes(await listAllNotes());
+    } catch {
+      setMessage('Failed to load the tags.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setColors(readTagColors());
+    load();
+  }, [isOpen, changeToken, load]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setMessage('');
+      setMergingKey(null);
+    }
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const onKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const stats = tagStats(notes);
+
+  // Saves the changes; `from`/`to` move the tag color along with a rename or merge
+  const apply = async (changes, label, done, move = null) => {
+    if (changes.length === 0) return;
+    setBusy(true);
+    setMessage('');
+    setMergingKey(null);
+    try {
+      let moved = null;
+      if (move) {
+        const before = readTagColors();
+        moved = { before, after: moveTagColor(move.from, move.to) };
+        setColors(moved.after);
+        onColorsChange(moved.after);
+      }
+      await onApply(changes, { label, message: done, colors: moved });
+      setMessage(done);
+      await load();
+    } catch {
+      setMessage('The change failed. Some notes may not have been updated.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const merge = (stat, target, name = target.tag) => {
+    const changes = retagNotes(notes, [stat.key, target.key], name);
+    apply(changes, `merge ${stat.tag} into ${name}`, `Merged “${stat.tag}” into “${name}” (${countLabel(changes.length)}).`, {
+      from: [stat.key, target.key],
+      to: name,
+    });
+  };
+
+  const onRename = (stat) => {
+    const raw = window.prompt(`Rename tag “${stat.tag}” to`, stat.tag);
+    const name = (raw || '').trim();
+    if (!name || name === stat.tag) return;
+    const existing = stats.find((s) => s.key === tagKey(name) && s.key !== stat.key);
+    if (existing) {
+      if (!window.confirm(`“${existing.tag}” already exists. Merge “${stat.tag}” into it?`)) return;
+      merge(stat, existing, name);
+      return;
+    }
+    const changes = retagNotes(notes, stat.key, name);
+    apply(changes, `rename ${stat.tag}`, `Renamed “${stat.tag}” to “${name}” (${countLabel(changes.length)}).`, {
+      from: stat.key,
+      to: name,
+    });
+  };
+
+  const onMergeInto = (stat, key) => {
+    const target = stats.find((s) => s.key === key);
+    if (!target) return;
+    if (!window.confirm(`Merge “${stat.tag}” into “${target.tag}”? ${countLabel(stat.count)} will be retagged.`)) return;
+    merge(stat, target);
+  };
+
+  const onDelete = (stat) => {
+    if (!window.confirm(`Remove tag “${stat.tag}” from ${countLabel(stat.count)}?`)) return;
+    const changes = retagNotes(notes, stat.key, '');
+    apply(changes, `delete tag ${stat.tag}`, `Removed “${stat.tag}” from ${countLabel(changes.length)}.`);
+  };
+
+  const onNormalize = (stat) => {
+    const changes = retagNotes(notes, stat.key, stat.tag);
+    apply(changes, `normalize ${stat.tag}`, `Rewrote every spelling of “${stat.tag}” (${countLabel(changes.length)}).`);
+  };
+
+  const normalizeAll = normalizeCaseChanges(notes);
+  const onNormalizeAll = () => {
+    apply(normalizeAll, 'normalize tag case', `Normalized tag case in ${countLabel(normalizeAll.length)}.`);
+  };
+
+  const onColor = (stat, color) => {
+    const next = writeTagColor(stat.key, color);
+    setColors(next);
+    onColorsChange(next);
+  };
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="tag-manager-title"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 id="tag-manager-title" className="modal-title">Tags</h2>
+          <button className="btn secondary" onClick={onClose} aria-label="Close tags">
+            ✕ Close
+          </button>
+        </div>
+        <div className="modal-body" style={{ display: 'grid', gap: 8, maxHeight: '70vh', overflowY: 'auto' }}>
+          {message ? <div className="helper" role="status" aria-live="polite">{message}</div> : null}
+          {loading && stats.length === 0 ? <div className="helper">Loading…</div> : null}
+          {!loading && stats.length === 0 ? <div className="helper">No tags yet. Add tags while creating or editing notes.</div> : null}
+
+          {stats.map((stat) => (
+            <div key={stat.key} className="card" style={{ padding: 10, boxShadow: 'var(--shadow-sm)' }}>
+              <div className="usage-row">
+                <span style={{ minWidth: 0 }}>
+                  <span className="chip chip-small" style={tagChipStyle(colors, stat.tag)}>{stat.tag}</span>
+                </span>
+                <span className="helper">{countLabel(stat.count)}</span>
+                <select
+                  className="select"
+                  style={{ width: 'auto' }}
+                  value={colors[stat.key] || ''}
+                  onChange={(e) => onColor(stat, e.target.value)}
+                  aria-label={`Color of tag ${stat.tag}`}
+                >
+                  <option value="">No color</option>
+                  {TAG_COLORS.map((c) => (
+                    <option key={c.id} value={c.value}>{c.label}</option>
+                  ))}
+                </select>
+              </div>
+              {stat.variants.length > 1 ? (
+                <div className="helper" style={{ marginTop: 4 }}>
+                  Also written as {stat.variants.slice(1).map((v) => `“${v.tag}” (${v.count})`).join(', ')}
+                </div>
+              ) : null}
+              <div style={{ display: 'flex', gap: 8, marginTop: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+                <button
+                  type="button"
+                  className="btn secondary"
+                  onClick={() => onRename(stat)}
+                  disabled={busy}
+                  aria-label={`Rename tag ${stat.tag}`}
+                >
+                  ✎ Rename
+                </button>
+                {mergingKey === stat.key ? (
+                  <select
+                    className="select"
+                    style={{ width: 'auto' }}
+                    value=""
+                    onChange={(e) => onMergeInto(stat, e.target.value)}
+                    onBlur={() => setMergingKey(null)}
+                    autoFocus
+                    aria-label={`Merge tag ${stat.tag} into`}
+                  >
+                    <option value="" disabled>Merge into…</option>
+                    {stats.filter((s) => s.key !== stat.key).map((s) => (
+                      <option key={s.key} value={s.key}>{s.tag}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <button
+                    type="button"
+                    className="btn secondary"
+                    onClick={() => setMergingKey(stat.key)}
+                    disabled={busy || stats.length < 2}
+                    aria-label={`Merge tag ${stat.tag} into another tag`}
+                  >
+                    ⇢ Merge into…
+                  </button>
+                )}
+                {stat.variants.length > 1 ? (
+                  <button
+                    type="button"
+                    className="btn secondary"
+                    onClick={() => onNormalize(stat)}
+                    disabled={busy}
+                    aria-label={`Write every spelling of ${stat.tag} as ${stat.tag}`}
+                    title={`Write every spelling as “${stat.tag}”`}
+                  >
+                    Aa Normalize
+                  </button>
+                ) : null}
+                <button
+                  type="button"
+                  className="btn danger"
+                  onClick={() => onDelete(stat)}
+                  disabled={busy}
+                  aria-label={`Delete tag ${stat.tag}`}
+                >
+                  🗑 Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="modal-footer" style={{ flexWrap: 'wrap', alignItems: 'center' }}>
+          <span className="helper" style={{ marginRight: 'auto' }}>
+            {stats.length} {stats.length === 1 ? 'tag' : 'tags'} in all notebooks
+          </span>
+          <button
+            className="btn secondary"
+            onClick={onNormalizeAll}
+            disabled={busy || normalizeAll.length === 0}
+            title="Write every tag in its most used spelling"
+          >
+            Aa Normalize all
+          </button>
+          <button className="btn" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,263 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  deleteNotebookForever,
+  deleteNoteForever,
+  emptyTrash,
+  listTrash,
+  purgeDate,
+  purgeExpiredTrash,
+  readTrashPolicy,
+  restoreNote,
+  restoreNotebook,
+  writeTrashPolicy,
+} from '../lib/trash';
+
+const PURGE_AFTER = [
+  { value: 7, label: '7 days' },
+  { value: 14, label: '14 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 0, label: 'never' },
+];
+
+function countLabel(n) {
+  return `${n} ${n === 1 ? 'note' : 'notes'}`;
+}
+
+/**
+ * TrashPanel
+ * Deleted notes and notebooks.
+ * - Restore to the original notebook, or delete permanently
+ * - "Empty trash" and automatic purge after a configurable number of days
+ *
+ * Props:
+ * - isOpen: boolean
+ * - onClose: () => void
+ * - onChanged: () => void, called after notes or notebooks were restored
+ */
+// PUBLIC_INTERFACE
+export default function TrashPanel({ isOpen, onClose, onChanged }) {
+  const [trash, setTrash] = useState({ notebooks: [], notes: [] });
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [policy, setPolicy] = useState(() => readTrashPolicy());
+  const [message, setMessage] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setTrash(await listTrash());
+    } catch {
+      setMessage('Failed to load the Trash.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setMessage('');
+    setPolicy(readTrashPolicy());
+    purgeExpiredTrash()
+      .catch(() => 0)
+      .then(load);
+  }, [isOpen, load]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const onKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', onKey);
+    return () => document.removeEventListener('keydown', onKey);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const run = async (action, restored) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await action();
+      if (result) setMessage(result);
+      if (restored && onChanged) onChanged();
+      await load();
+    } catch {
+      setMessage('The action failed. Nothing was changed.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const changePolicy = (purgeAfterDays) => {
+    const next = writeTrashPolicy({ purgeAfterDays });
+    setPolicy(next);
+    run(async () => {
+      const removed = await purgeExpiredTrash();
+      return removed ? `Deleted ${removed} expired ${removed === 1 ? 'item' : 'items'}.` : 'Retention updated.';
+    });
+  };
+
+  const onEmpty = () => {
+    if (!window.confirm('Permanently delete everything in the Trash? This cannot be undone.')) return;
+    run(async () => {
+      const removed = await emptyTrash();
+      return `Deleted ${removed} ${removed === 1 ? 'item' : 'items'} permanently.`;
+    });
+  };
+
+  const onDeleteNotebook = (nb) => {
+    if (!window.confirm(`Permanently delete notebook "${nb.name}" and its notes? This cannot be undone.`)) return;
+    run(async () => {
+      await deleteNotebookForever(nb.id);
+      return `Deleted “${nb.name}” permanently.`;
+    });
+  };
+
+  const onDeleteNote = (note) => {
+    if (!window.confirm(`Permanently delete "${note.title || 'Untitled'}"? This cannot be undone.`)) return;
+    run(async () => {
+      await deleteNoteForever(note.id);
+      return `Deleted “${note.title || 'Untitled'}” permanently.`;
+    });
+  };
+
+  const deletedLine = (item) => {
+    const due = purgeDate(item, policy);
+    const deleted = `Deleted ${new Date(item.deletedAt).toLocaleString()}`;
+    return due ? `${deleted} · removed after ${due.toLocaleDateString()}` : deleted;
+  };
+
+  const isEmpty = trash.notebooks.length === 0 && trash.notes.length === 0;
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="trash-panel-title"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 id="trash-panel-title" className="modal-title">Trash</h2>
+          <button className="btn secondary" onClick={onClose} aria-label="Close trash">
+            ✕ Close
+          </button>
+        </div>
+        <div className="modal-body" style={{ display: 'grid', gap: 14, maxHeight: '70vh', overflowY: 'auto' }}>
+          {message ? <div className="helper" role="status" aria-live="polite">{message}</div> : null}
+          {loading && isEmpty ? <div className="helper">Loading…</div> : null}
+          {!loading && isEmpty ? <div className="helper">The Trash is empty.</div> : null}
+
+          {trash.notebooks.length > 0 ? (
+            <section aria-label="Deleted notebooks">
+              <div style={{ fontWeight: 600, marginBottom: 6 }}>Notebooks</div>
+              <div style={{ display: 'grid', gap: 8 }}>
+                {trash.notebooks.map((nb) => (
+                  <div key={nb.id} className="card" style={{ padding: 10, boxShadow: 'var(--shadow-sm)' }}>
+                    <div className="usage-row">
+                      <span style={{ fontWeight: 600, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                        📒 {nb.name}
+                      </span>
+                      <span className="helper">{countLabel(nb.notes.length)}</span>
+                      <span />
+                    </div>
+                    <div className="helper" style={{ marginTop: 4 }}>{deletedLine(nb)}</div>
+                    <div style={{ display: 'flex', gap: 8, marginTop: 8, flexWrap: 'wrap' }}>
+                      <button
+                        type="button"
+                        className="btn secondary"
+                        onClick={() => run(async () => {
+                          await restoreNotebook(nb.id);
+                          return `Restored “${nb.name}” with ${countLabel(nb.notes.length)}.`;
+                        }, true)}
+                        disabled={busy}
+                        aria-label={`Restore notebook ${nb.name}`}
+                      >
+                        ↺ Restore
+                      </button>
+                      <button
+                        type="button"
+                        className="btn danger"
+                        onClick={() => onDeleteNotebook(nb)}
+                        disabled={busy}
+                        aria-label={`Delete notebook ${nb.name} forever`}
+                      >
+                        🗑 Delete forever
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </section>
+          ) : null}
+
+          {trash.notes.length > 0 ? (
+            <section aria-label="Deleted notes">
+              <div style={{ fontWeight: 600, marginBottom: 6 }}>Notes</div>
+              <div style={{ display: 'grid', gap: 8 }}>
+                {trash.notes.map((note) => (
+                  <div key={note.id} className="card" style={{ padding: 10, boxShadow: 'var(--shadow-sm)' }}>
+                    <div className="usage-row">
+                      <span style={{ fontWeight: 600, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                        {note.title || '(Untitled)'}
+                      </span>
+                      <span className="helper">{note.notebookName}</span>
+                      <span />
+                    </div>
+                    <div className="helper" style={{ marginTop: 4 }}>{deletedLine(note)}</div>
+                    <div style={{ display: 'flex', gap: 8, marginTop: 8, flexWrap: 'wrap' }}>
+                      <button
+                        type="button"
+                        className="btn secondary"
+                        onClick={() => run(async () => {
+                          await restoreNote(note.id);
+                          return `Restored “${note.title || 'Untitled'}” to ${note.notebookName || 'its notebook'}.`;
+                        }, true)}
+                        disabled={busy}
+                        aria-label={`Restore ${note.title || 'Untitled'}`}
+                      >
+                        ↺ Restore
+                      </button>
+                      <button
+                        type="button"
+                        className="btn danger"
+                        onClick={() => onDeleteNote(note)}
+                        disabled={busy}
+                        aria-label={`Delete ${note.title || 'Untitled'} forever`}
+                      >
+                        🗑 Delete forever
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </section>
+          ) : null}
+        </div>
+        <div className="modal-footer" style={{ flexWrap: 'wrap', alignItems: 'center' }}>
+          <label htmlFor="trash-purge-after" className="helper">Delete automatically after</label>
+          <select
+            id="trash-purge-after"
+            className="select"
+            style={{ width: 'auto', marginRight: 'auto' }}
+            value={policy.purgeAfterDays}
+            onChange={(e) => changePolicy(Number(e.target.value))}
+            disabled={busy}
+          >
+            {PURGE_AFTER.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+          <button className="btn danger" onClick={onEmpty} disabled={busy || isEmpty}>
+            Empty trash
+          </button>
+          <button className="btn" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
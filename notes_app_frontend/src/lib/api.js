@@ -0,0 +1,469 @@
+import {
+  normalizeNote,
+  normalizeNotebook,
+  readSelectedNotebookId,
+  writeSelectedNotebookId,
+} from './storage';
+import { http, isBackendConfigured, isConflictError } from './http';
+import { enqueue, getNoteSyncStatuses, getOutbox, hasPendingOps, updateOp } from './outbox';
+import { notePayload, requestFlush } from './sync';
+import { recordRevision } from './revisions';
+import { moveNoteToTrash, moveNotebookToTrash } from './trash';
+import { getLocalStore } from './stores';
+import { canReparent } from './notebookTree';
+import { pickNoteChanges } from './stores/localStorageStore';
+import { inlineBlobUrls } from './stores/indexedDbStore';
+
+/**
+ * api
+ * Notes/notebooks client with offline support.
+ * - When REACT_APP_API_BASE (or REACT_APP_BACKEND_URL) is set, requests go to the REST backend
+ *   and successful responses are mirrored into the local store
+ * - If a request fails, the change is applied to the local store and queued in the outbox,
+ *   which is replayed in order once the backend is reachable again (see ./outbox, ./sync)
+ * - While operations are queued, reads and writes stay local so the queue order is kept
+ * - Without a backend the local store is used directly
+ *   (IndexedDB when available, localStorage otherwise; see ./stores)
+ * - Every note save records a local revision (see ./revisions)
+ * - Deleting moves notes and notebooks to the local Trash; the backend copy is deleted (see ./trash)
+ * - Note updates send `If-Match: <version>`; a 409/412 reply raises ConflictError with the
+ *   base, local and remote versions so the caller can offer a three-way merge (see ./merge)
+ *
+ * Backend routes:
+ * - GET /notebooks, POST /notebooks, PUT /notebooks/:id, DELETE /notebooks/:id[?moveNotesTo=]
+ *   (notebooks carry an optional parentId; see ./notebookTree)
+ * - GET /notes[?notebookId=], POST /notes, PUT /notes/:id, DELETE /notes/:id
+ * - GET /notes/:id (only to fetch the server copy after a conflict without a response body)
+ */
+
+// PUBLIC_INTERFACE
+export class ConflictError extends Error {
+  /** The server copy of a note changed since `base`; carries base, local and remote versions. */
+  constructor(base, local, remote) {
+    super('The note was changed on the server');
+    this.name = 'ConflictError';
+    this.base = base;
+    this.local = local;
+    this.remote = remote;
+  }
+}
+
+function snapshot(note) {
+  if (!note) return null;
+  return {
+    title: note.title || '',
+    content: note.content || '',
+    tags: Array.isArray(note.tags) ? note.tags : [],
+    version: note.version,
+  };
+}
+
+function shouldUseBackend() {
+  return isBackendConfigured() && !hasPendingOps();
+}
+
+async function mirror(fn) {
+  try {
+    await fn(await getLocalStore());
+  } catch {
+    // the local copy is best effort; the backend stays the source of truth
+  }
+}
+
+async function withRevision(note) {
+  if (note) await recordRevision(note);
+  return note;
+}
+
+async function writeLocal(type, fn, extra) {
+  const store = await getLocalStore();
+  const result = await fn(store);
+  if (isBackendConfigured()) {
+    const targetId = extra?.targetId ?? result?.id;
+    enqueue(type, targetId, extra?.fields);
+    requestFlush();
+  }
+  return result;
+}
+
+// PUBLIC_INTERFACE
+export function isSyncEnabled() {
+  /** True when a backend is configured, i.e. local changes are synced through the outbox. */
+  return isBackendConfigured();
+}
+
+// Notebooks
+
+// PUBLIC_INTERFACE
+export async function listNotebooks() {
+  /** Returns all notebooks from the backend, or the local store as fallback. */
+  if (shouldUseBackend()) {
+    try {
+      const data = await http('GET', '/notebooks');
+      if (Array.isArray(data)) {
+        const notebooks = data.map(normalizeNotebook);
+        await mirror(async (store) => {
+          for (const nb of notebooks.slice().reverse()) await store.putNotebook(nb);
+        });
+        return notebooks;
+      }
+    } catch {
+      // fall back to local
+    }
+  }
+  return (await getLocalStore()).listNotebooks();
+}
+
+// PUBLIC_INTERFACE
+export async function createNotebook(name, { parentId = null } = {}) {
+  /** Creates a notebook with the given name (inside parentId when given) and returns it. */
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('Notebook name is required');
+  const parent = parentId ? String(parentId) : null;
+  if (shouldUseBackend()) {
+    try {
+      const data = await http('POST', '/notebooks', parent ? { name: trimmed, parentId: parent } : { name: trimmed });
+      if (data) {
+        const nb = normalizeNotebook(parent ? { parentId: parent, ...data } : data);
+        await mirror((store) => store.putNotebook(nb));
+        return nb;
+      }
+    } catch {
+      // fall back to local
+    }
+  }
+  return writeLocal('createNotebook', (store) => store.createNotebook(trimmed, parent));
+}
+
+// PUBLIC_INTERFACE
+export async function renameNotebook(id, name) {
+  /** Renames the notebook identified by id and returns the updated notebook. */
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('Notebook name is required');
+  if (shouldUseBackend()) {
+    try {
+      const data = await http('PUT', `/notebooks/${encodeURIComponent(id)}`, { name: trimmed });
+      if (data) {
+        const nb = normalizeNotebook(data);
+        await mirror((store) => store.putNotebook(nb));
+        return nb;
+      }
+    } catch {
+      // fall back to local
+    }
+  }
+  return writeLocal('renameNotebook', (store) => store.renameNotebook(id, trimmed));
+}
+
+// PUBLIC_INTERFACE
+export async function moveNotebook(id, parentId) {
+  /**
+   * Moves a notebook (with its sub-notebooks) under parentId, or to the top level when parentId
+   * is null, and returns it. Rejects moves into the notebook itself or one of its descendants.
+   */
+  const store = await getLocalStore();
+  const notebooks = await store.listNotebooks();
+  const current = notebooks.find((nb) => nb.id === String(id));
+  if (!current) throw new Error('Notebook not found');
+  const parent = parentId ? String(parentId) : null;
+  if (!canReparent(notebooks, current.id, parent)) throw new Error('A notebook cannot move into itself');
+  if ((current.parentId || null) === parent) return current;
+  const moved = { ...current, parentId: parent, updatedAt: new Date().toISOString() };
+  if (shouldUseBackend()) {
+    try {
+      const data = await http('PUT', `/notebooks/${encodeURIComponent(current.id)}`, { name: current.name, parentId: parent });
+      if (data) {
+        const nb = normalizeNotebook({ ...data, parentId: parent });
+        await mirror((s) => s.putNotebook(nb));
+        return nb;
+      }
+    } catch {
+      // fall back to local
+    }
+  }
+  // queued as a notebook update: the replay sends the current name and parent
+  return writeLocal('renameNotebook', (s) => s.putNotebook(moved), { targetId: current.id });
+}
+
+// PUBLIC_INTERFACE
+export async function deleteNotebook(id, { moveNotesToId = null } = {}) {
+  /**
+   * Moves a notebook to the Trash. Its notes go with it unless moveNotesToId names
+   * another notebook to receive them.
+   */
+  if (shouldUseBackend()) {
+    try {
+      const query = moveNotesToId ? `?moveNotesTo=${encodeURIComponent(moveNotesToId)}` : '';
+      await http('DELETE', `/notebooks/${encodeURIComponent(id)}${query}`);
+      await mirror((store) => moveNotebookToTrash(store, id, moveNotesToId));
+      return true;
+    } catch {
+      // fall back to local
+    }
+  }
+  return writeLocal('deleteNotebook', (store) => moveNotebookToTrash(store, id, moveNotesToId), {
+    targetId: id,
+    fields: moveNotesToId ? { moveNotesToId: String(moveNotesToId) } : {},
+  });
+}
+
+// Notes
+
+async function fetchNotes(notebookId) {
+  // GET /notes[?notebookId=] mirrored into the local store (all notes when notebookId is null);
+  // null when the backend is not used or fails
+  if (!shouldUseBackend()) return null;
+  try {
+    const query = notebookId ? `?notebookId=${encodeURIComponent(notebookId)}` : '';
+    const data = await http('GET', `/notes${query}`);
+    if (!Array.isArray(data)) return null;
+    const notes = data.map((n) => normalizeNote(notebookId ? { notebookId, ...n } : n));
+    // Notes with failed or conflicting queued changes keep their local copy
+    const queued = getNoteSyncStatuses();
+    let result = notes;
+    await mirror(async (store) => {
+      const local = (await store.listNotebooks()).map((nb) => nb.id);
+      const pruned = notebookId === null ? local : local.filter((id) => id === String(notebookId));
+      const remoteIds = new Set(notes.map((n) => n.id));
+      for (const id of pruned) {
+        const stale = (await store.listNotes(id)).filter((n) => !remoteIds.has(n.id) && !queued[n.id]);
+        for (const n of stale) await store.deleteNote(n.id);
+      }
+      for (const n of notes.slice().reverse()) {
+        if (!queued[n.id]) await store.putNote(n);
+      }
+      if (Object.keys(queued).length) {
+        const merged = await Promise.all(notes.map(async (n) => (queued[n.id] && (await store.getNote(n.id))) || n));
+        result = merged.filter((n) => !n.deletedAt);
+      }
+    });
+    return result;
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function listNotes(notebookId) {
+  /** Returns the notes of the given notebook (or the selected/first one when omitted). */
+  const remote = await fetchNotes(notebookId);
+  if (remote) return remote;
+  return (await getLocalStore()).listNotes(notebookId);
+}
+
+// PUBLIC_INTERFACE
+export async function listAllNotes(notebookIds = null) {
+  /**
+   * Returns the notes of every notebook, or of the given notebook ids in that order.
+   * Every notebook takes one GET /notes with a backend (the local store otherwise, in notebook order);
+   * the given ids are fetched one notebook at a time.
+   */
+  if (notebookIds) {
+    const lists = [];
+    for (const id of notebookIds) lists.push(await listNotes(id));
+    return lists.flat();
+  }
+  const remote = await fetchNotes(null);
+  if (remote) return remote;
+  const store = await getLocalStore();
+  const lists = [];
+  for (const nb of await store.listNotebooks()) lists.push(await store.listNotes(nb.id));
+  return lists.flat();
+}
+
+// PUBLIC_INTERFACE
+export async function countNotesByNotebook() {
+  /** Returns { [notebookId]: number of notes } from the local store, without network requests. */
+  const store = await getLocalStore();
+  const counts = {};
+  for (const nb of await store.listNotebooks()) counts[nb.id] = (await store.listNotes(nb.id)).length;
+  return counts;
+}
+
+// PUBLIC_INTERFACE
+export async function createNote(payload, notebookId) {
+  /** Creates a note in the given notebook (or the selected/first one) and returns it. */
+  if (shouldUseBackend()) {
+    try {
+      const body = await inlineBlobUrls(notePayload(payload));
+      if (notebookId) body.notebookId = notebookId;
+      const data = await http('POST', '/notes', body);
+      if (data) {
+        const note = normalizeNote(notebookId ? { notebookId, ...data } : data);
+        await mirror((store) => store.putNote(note));
+        return withRevision(note);
+      }
+    } catch {
+      // fall back to local
+    }
+  }
+  return withRevision(await writeLocal('createNote', (store) => store.createNote(payload, notebookId)));
+}
+
+async function fetchServerNote(id, notebookId) {
+  const data = await http('GET', `/notes/${encodeURIComponent(id)}`);
+  return normalizeNote(notebookId ? { notebookId, ...data } : data);
+}
+
+// PUBLIC_INTERFACE
+export async function updateNote(id, payload, { base = null } = {}) {
+  /**
+   * Updates the given fields of a note, bumps updatedAt and returns the stored note.
+   * base is the note as it was when editing started; its version guards against
+   * overwriting changes made elsewhere (rejects with ConflictError).
+   */
+  let current = null;
+  if (isBackendConfigured()) {
+    current = await (await getLocalStore()).getNote(id).catch(() => null);
+  }
+  const origin = base || current;
+  if (shouldUseBackend()) {
+    try {
+      const version = origin?.version;
+      const body = await inlineBlobUrls(notePayload({ ...(current || {}), ...pickNoteChanges(payload) }));
+      const data = await http('PUT', `/notes/${encodeURIComponent(id)}`, body, version ? { 'If-Match': version } : {});
+      if (data) {
+        const note = normalizeNote(current ? { notebookId: current.notebookId, ...data } : data);
+        if (current) await mirror((store) => store.putNote(note));
+        return withRevision(note);
+      }
+    } catch (err) {
+      if (isConflictError(err)) {
+        const notebookId = current?.notebookId;
+        const remote = err.body && typeof err.body === 'object' && err.body.id !== undefined
+          ? normalizeNote(notebookId ? { notebookId, ...err.body } : err.body)
+          : await fetchServerNote(id, notebookId);
+        throw new ConflictError(snapshot(origin), { ...(current || {}), ...pickNoteChanges(payload), id: String(id) }, remote);
+      }
+      // fall back to local
+    }
+  }
+  return withRevision(await writeLocal('updateNote', (store) => store.updateNote(id, payload), {
+    targetId: id,
+    fields: { base: snapshot(origin) },
+  }));
+}
+
+// PUBLIC_INTERFACE
+export async function loadConflict(id) {
+  /**
+   * Returns { base, local, remote } for a note whose queued update was rejected as a conflict
+   * (null when there is none).
+   */
+  const op = getOutbox().find((o) => o.conflict && o.targetId === String(id));
+  if (!op) return null;
+  const local = await (await getLocalStore()).getNote(id);
+  if (!local) return null;
+  const remote = await fetchServerNote(id, local.notebookId);
+  return { base: op.base || snapshot(local), local, remote };
+}
+
+// PUBLIC_INTERFACE
+export async function resolveConflict(id, merged, remote) {
+  /**
+   * Saves merged fields of a conflicting note on top of the remote version.
+   * Rejects with ConflictError if the server copy changed again meanwhile.
+   */
+  const op = getOutbox().find((o) => o.conflict && o.targetId === String(id));
+  if (!op) return updateNote(id, merged, { base: remote });
+  const store = await getLocalStore();
+  const current = await store.getNote(id);
+  if (!current) throw new Error('Note not found');
+  const saved = await store.putNote({
+    ...current,
+    ...pickNoteChanges(merged),
+    version: remote.version,
+    updatedAt: new Date().toISOString(),
+  });
+  updateOp(op.id, { status: 'pending', conflict: false, error: undefined, base: snapshot(remote) });
+  requestFlush();
+  return withRevision(saved);
+}
+
+// PUBLIC_INTERFACE
+export async function deferConflict(id, payload, base) {
+  /**
+   * Keeps a conflicting edit on this device and queues it as an unresolved conflict,
+   * to be merged later from the sync bar.
+   */
+  const store = await getLocalStore();
+  const saved = await store.updateNote(id, payload);
+  enqueue('updateNote', id, { base: snapshot(base) });
+  const op = getOutbox().find((o) => o.type === 'updateNote' && o.targetId === String(id));
+  if (op) updateOp(op.id, { status: 'failed', conflict: true, error: 'The note was changed on the server' });
+  return withRevision(saved);
+}
+
+// PUBLIC_INTERFACE
+export async function moveNote(id, notebookId) {
+  /** Moves a note to another notebook and returns it; content, dates and history are kept. */
+  const store = await getLocalStore();
+  const current = await store.getNote(id);
+  if (!current) throw new Error('Note not found');
+  const target = String(notebookId);
+  if (current.notebookId === target) return current;
+  if (shouldUseBackend()) {
+    try {
+      const body = await inlineBlobUrls(notePayload(current));
+      const headers = current.version ? { 'If-Match': current.version } : {};
+      const data = await http('PUT', `/notes/${encodeURIComponent(id)}`, { ...body, notebookId: target }, headers);
+      if (data) {
+        const note = normalizeNote({ ...data, notebookId: target });
+        await mirror((s) => s.putNote(note));
+        return note;
+      }
+    } catch {
+      // fall back to local
+    }
+  }
+  return writeLocal('updateNote', (s) => s.putNote({ ...current, notebookId: target }), {
+    targetId: id,
+    fields: { base: snapshot(current) },
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function copyNote(note, notebookId) {
+  /**
+   * Creates a copy of a note, attachments included, in notebookId (default: the note's own
+   * notebook, where the copy is titled "… (copy)"). Resolves to the new note.
+   */
+  const target = notebookId ? String(notebookId) : note.notebookId;
+  const sameNotebook = !notebookId || target === note.notebookId;
+  return createNote(
+    {
+      ...pickNoteChanges(note),
+      title: sameNotebook ? `${note.title || 'Untitled'} (copy)` : note.title,
+    },
+    target
+  );
+}
+
+// PUBLIC_INTERFACE
+export async function deleteNote(id) {
+  /** Moves a note to the Trash. Resolves to true when the note existed. */
+  if (shouldUseBackend()) {
+    try {
+      await http('DELETE', `/notes/${encodeURIComponent(id)}`);
+      await mirror((store) => moveNoteToTrash(store, id));
+      return true;
+    } catch {
+      // fall back to local
+    }
+  }
+  return writeLocal('deleteNote', (store) => moveNoteToTrash(store, id), { targetId: id });
+}
+
+// Selection
+
+// PUBLIC_INTERFACE
+export function getSelectedNotebookId() {
+  /** Returns the persisted selected notebook id ('' when none). */
+  return readSelectedNotebookId();
+}
+
+// PUBLIC_INTERFACE
+export function setSelectedNotebookId(id) {
+  /** Persists the selected notebook id. */
+  writeSelectedNotebookId(id);
+}
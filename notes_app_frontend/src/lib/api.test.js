@@ -0,0 +1,264 @@
+import {
+  listNotebooks,
+  createNotebook,
+  renameNotebook,
+  deleteNotebook,
+  moveNotebook,
+  listNotes,
+  listAllNotes,
+  countNotesByNotebook,
+  createNote,
+  updateNote,
+  deleteNote,
+  moveNote,
+  copyNote,
+  getSelectedNotebookId,
+  setSelectedNotebookId,
+  ConflictError,
+} from './api';
+import { listTrash } from './trash';
+
+const ORIGINAL_ENV = { ...process.env };
+
+beforeEach(() => {
+  window.localStorage.clear();
+  delete process.env.REACT_APP_API_BASE;
+  delete process.env.REACT_APP_BACKEND_URL;
+  global.fetch = jest.fn();
+});
+
+afterAll(() => {
+  process.env = ORIGINAL_ENV;
+  delete global.fetch;
+});
+
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    text: () => Promise.resolve(body === undefined ? '' : JSON.stringify(body)),
+  });
+}
+
+describe('local store (no backend configured)', () => {
+  test('creates the default notebook on first use', async () => {
+    const notebooks = await listNotebooks();
+    expect(notebooks).toHaveLength(1);
+    expect(notebooks[0].name).toBe('My Notes');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('notes are scoped per notebook', async () => {
+    const [first] = await listNotebooks();
+    const second = await createNotebook('  Work ');
+    expect(second.name).toBe('Work');
+
+    await createNote({ title: ' A ', content: 'x' }, first.id);
+    const b = await createNote({ title: 'B', tags: ['t'] }, second.id);
+
+    expect((await listNotes(first.id)).map((n) => n.title)).toEqual(['A']);
+    const work = await listNotes(second.id);
+    expect(work).toHaveLength(1);
+    expect(work[0]).toMatchObject({ id: b.id, notebookId: second.id, tags: ['t'], images: [], audio: [] });
+
+    const all = await listAllNotes();
+    expect(all.map((n) => [n.title, n.notebookId]).sort()).toEqual([['A', first.id], ['B', second.id]]);
+  });
+
+  test('listNotes and createNote default to the selected notebook', async () => {
+    const nb = await createNotebook('Selected');
+    setSelectedNotebookId(nb.id);
+    expect(getSelectedNotebookId()).toBe(nb.id);
+    await createNote({ title: 'In selected' });
+    expect((await listNotes()).map((n) => n.title)).toEqual(['In selected']);
+  });
+
+  test('updateNote merges fields and bumps updatedAt', async () => {
+    const created = await createNote({ title: 'Old', content: 'keep' });
+    await new Promise((r) => setTimeout(r, 5));
+    const updated = await updateNote(created.id, { title: 'New ' });
+    expect(updated).toMatchObject({ id: created.id, title: 'New', content: 'keep', createdAt: created.createdAt });
+    expect(updated.updatedAt > created.updatedAt).toBe(true);
+    await expect(updateNote('missing', { title: 'x' })).rejects.toThrow('Note not found');
+  });
+
+  test('pinned and favorite flags are set and cleared', async () => {
+    const created = await createNote({ title: 'Flags', pinned: true });
+    expect(created).toMatchObject({ pinned: true });
+    expect(created.favorite).toBeUndefined();
+    const starred = await updateNote(created.id, { favorite: true });
+    expect(starred).toMatchObject({ pinned: true, favorite: true });
+    const unpinned = await updateNote(created.id, { pinned: false });
+    expect(unpinned.pinned).toBeUndefined();
+    expect((await listNotes())[0]).toMatchObject({ id: created.id, favorite: true });
+  });
+
+  test('moveNote and copyNote move and copy notes between notebooks', async () => {
+    const [first] = await listNotebooks();
+    const other = await createNotebook('Other');
+    const note = await createNote({ title: 'Trip', content: 'plan', tags: ['t'] }, first.id);
+
+    const moved = await moveNote(note.id, other.id);
+    expect(moved).toMatchObject({ id: note.id, notebookId: other.id, content: 'plan', updatedAt: note.updatedAt });
+    expect(await listNotes(first.id)).toEqual([]);
+    expect((await listNotes(other.id)).map((n) => n.id)).toEqual([note.id]);
+    await expect(moveNote('missing', first.id)).rejects.toThrow('Note not found');
+
+    const copy = await copyNote(moved, first.id);
+    expect(copy).toMatchObject({ notebookId: first.id, title: 'Trip', content: 'plan', tags: ['t'] });
+    expect(copy.id).not.toBe(note.id);
+    const duplicate = await copyNote(moved);
+    expect(duplicate).toMatchObject({ notebookId: other.id, title: 'Trip (copy)' });
+    expect((await listNotes(other.id)).map((n) => n.title).sort()).toEqual(['Trip', 'Trip (copy)']);
+  });
+
+  test('deleteNote moves the note to the Trash', async () => {
+    const created = await createNote({ title: 'Gone' });
+    expect(await deleteNote(created.id)).toBe(true);
+    expect(await listNotes()).toEqual([]);
+    expect((await listTrash()).notes.map((n) => n.id)).toEqual([created.id]);
+    expect(await deleteNote('missing')).toBe(false);
+  });
+
+  test('renameNotebook and deleteNotebook', async () => {
+    const [first] = await listNotebooks();
+    const other = await createNotebook('Other');
+    const renamed = await renameNotebook(other.id, 'Renamed');
+    expect(renamed).toMatchObject({ id: other.id, name: 'Renamed' });
+
+    await createNote({ title: 'Moved' }, other.id);
+    await deleteNotebook(other.id, { moveNotesToId: first.id });
+    expect((await listNotebooks()).map((n) => n.id)).toEqual([first.id]);
+    expect((await listNotes(first.id)).map((n) => n.title)).toEqual(['Moved']);
+    await expect(deleteNotebook(first.id)).rejects.toThrow('At least one notebook is required');
+  });
+
+  test('notebooks nest under a parent and move between parents', async () => {
+    const [first] = await listNotebooks();
+    const work = await createNotebook('Work');
+    const clients = await createNotebook('Clients', { parentId: work.id });
+    expect(clients.parentId).toBe(work.id);
+    await createNote({ title: 'Acme' }, clients.id);
+    await createNote({ title: 'Plan' }, work.id);
+
+    expect(await countNotesByNotebook()).toEqual({ [first.id]: 0, [work.id]: 1, [clients.id]: 1 });
+    expect((await listAllNotes([work.id, clients.id])).map((n) => n.title)).toEqual(['Plan', 'Acme']);
+
+    await expect(moveNotebook(work.id, clients.id)).rejects.toThrow('cannot move into itself');
+    const top = await moveNotebook(clients.id, null);
+    expect(top.parentId).toBeUndefined();
+    const nested = await moveNotebook(work.id, first.id);
+    expect((await listNotebooks()).find((nb) => nb.id === work.id).parentId).toBe(nested.parentId);
+    expect(nested.parentId).toBe(first.id);
+  });
+
+  test('deleteNotebook trashes its notes when not moved and resets the selection', async () => {
+    const [first] = await listNotebooks();
+    const other = await createNotebook('Other');
+    setSelectedNotebookId(other.id);
+    await createNote({ title: 'Dropped' }, other.id);
+    await deleteNotebook(other.id);
+    expect(getSelectedNotebookId()).toBe(first.id);
+    expect(await listNotes(first.id)).toEqual([]);
+    const trash = await listTrash();
+    expect(trash.notebooks.map((nb) => [nb.id, nb.notes.map((n) => n.title)])).toEqual([[other.id, ['Dropped']]]);
+    expect(trash.notes).toEqual([]);
+  });
+});
+
+describe('REST backend', () => {
+  beforeEach(() => {
+    process.env.REACT_APP_API_BASE = 'https://api.example.test/';
+  });
+
+  test('uses the backend when it responds', async () => {
+    global.fetch.mockImplementation(() => jsonResponse([{ id: 7, title: 'Remote' }]));
+    const notes = await listNotes('nb1');
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://api.example.test/notes?notebookId=nb1',
+      expect.objectContaining({ method: 'GET' })
+    );
+    expect(notes).toHaveLength(1);
+    expect(notes[0]).toMatchObject({ id: '7', title: 'Remote', images: [], audio: [] });
+  });
+
+  test('lists every notebook with one request and the given notebooks one by one', async () => {
+    global.fetch.mockImplementation(() => jsonResponse([{ id: 1, notebookId: 'a', title: 'One' }, { id: 2, notebookId: 'b', title: 'Two' }]));
+    expect((await listAllNotes()).map((n) => n.title)).toEqual(['One', 'Two']);
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual(['https://api.example.test/notes']);
+
+    global.fetch.mockClear();
+    await listAllNotes(['a', 'b']);
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual([
+      'https://api.example.test/notes?notebookId=a',
+      'https://api.example.test/notes?notebookId=b',
+    ]);
+  });
+
+  test('sends normalized payloads on create and update', async () => {
+    global.fetch.mockImplementation((url, init) => jsonResponse({ id: 'n1', ...JSON.parse(init.body) }));
+    await createNote({ title: ' T ', images: null }, 'nb1');
+    const createBody = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(createBody).toEqual({ title: 'T', content: '', tags: [], drawing: null, images: [], audio: [], notebookId: 'nb1' });
+
+    const updated = await updateNote('n1', { title: 'U', content: 'c' });
+    expect(global.fetch.mock.calls[1][0]).toBe('https://api.example.test/notes/n1');
+    expect(global.fetch.mock.calls[1][1].method).toBe('PUT');
+    expect(updated).toMatchObject({ id: 'n1', title: 'U', content: 'c' });
+  });
+
+  test('REACT_APP_BACKEND_URL is accepted as an alternative', async () => {
+    delete process.env.REACT_APP_API_BASE;
+    process.env.REACT_APP_BACKEND_URL = 'https://backend.example.test';
+    global.fetch.mockImplementation(() => jsonResponse(undefined, 204));
+    expect(await deleteNote('n1')).toBe(true);
+    expect(global.fetch).toHaveBeenCalledWith('https://backend.example.test/notes/n1', expect.objectContaining({ method: 'DELETE' }));
+  });
+
+  test('falls back to localStorage when the backend fails', async () => {
+    global.fetch.mockImplementation(() => Promise.reject(new Error('offline')));
+    const created = await createNote({ title: 'Offline' });
+    expect(created.title).toBe('Offline');
+
+    global.fetch.mockImplementation(() => jsonResponse({ error: 'boom' }, 500));
+    const notes = await listNotes();
+    expect(notes.map((n) => n.id)).toEqual([created.id]);
+    const notebooks = await listNotebooks();
+    expect(notebooks[0].name).toBe('My Notes');
+  });
+
+  test('sends If-Match with the base version and reports conflicts', async () => {
+    global.fetch.mockImplementation(() =>
+      jsonResponse({ id: 'n1', title: 'Server', content: 'theirs', tags: [], version: '3' }, 409)
+    );
+    const base = { id: 'n1', title: 'Old', content: 'base', tags: [], version: '2' };
+    const err = await updateNote('n1', { title: 'Mine', content: 'mine' }, { base }).catch((e) => e);
+    expect(global.fetch.mock.calls[0][1].headers['If-Match']).toBe('2');
+    expect(err).toBeInstanceOf(ConflictError);
+    expect(err.base).toMatchObject({ title: 'Old', content: 'base', version: '2' });
+    expect(err.local).toMatchObject({ id: 'n1', title: 'Mine', content: 'mine' });
+    expect(err.remote).toMatchObject({ id: 'n1', title: 'Server', version: '3' });
+  });
+
+  test('fetches the server copy when a conflict reply has no body', async () => {
+    global.fetch
+      .mockImplementationOnce(() => jsonResponse(undefined, 412))
+      .mockImplementationOnce(() => jsonResponse({ id: 'n1', title: 'Server', version: '5' }));
+    const err = await updateNote('n1', { title: 'Mine' }, { base: { version: '4' } }).catch((e) => e);
+    expect(global.fetch.mock.calls[1][0]).toBe('https://api.example.test/notes/n1');
+    expect(err.remote).toMatchObject({ title: 'Server', version: '5' });
+  });
+
+  test('exposes the ETag header as the note version', async () => {
+    global.fetch.mockImplementation(() =>
+      Promise.resolve({
+        ok: true,
+        status: 200,
+        headers: { get: (name) => (name === 'ETag' ? '"abc"' : null) },
+        text: () => Promise.resolve(JSON.stringify({ id: 'n1', title: 'T' })),
+      })
+    );
+    const note = await createNote({ title: 'T' }, 'nb1');
+    expect(note.version).toBe('"abc"');
+  });
+});
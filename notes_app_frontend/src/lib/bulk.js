@@ -0,0 +1,69 @@
+import { normalizeNote } from './storage';
+import { inlineBlobUrls } from './stores/indexedDbStore';
+
+/**
+ * bulk
+ * Helpers for acting on several notes at once: range selection, tag edits and export.
+ *
+ * Exports are JSON files { format: 'notes-export', version: 1, exportedAt, notes } where every
+ * note keeps its fields (notebookName added) and attachments are inlined as data URLs.
+ */
+
+export const EXPORT_FORMAT = 'notes-export';
+
+// PUBLIC_INTERFACE
+export function rangeIds(orderedIds, anchorId, id) {
+  /** Ids from anchorId to id (inclusive) in list order; just [id] when the anchor is not listed. */
+  const from = orderedIds.indexOf(anchorId);
+  const to = orderedIds.indexOf(id);
+  if (to < 0) return [];
+  if (from < 0) return [id];
+  return orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+}
+
+// PUBLIC_INTERFACE
+export function editTags(tags, { add = [], remove = [] } = {}) {
+  /** Returns tags with `add` appended (unless present) and `remove` dropped, ignoring case. */
+  const removed = new Set(remove.map((t) => t.trim().toLowerCase()));
+  const next = (Array.isArray(tags) ? tags : []).filter((t) => !removed.has(t.toLowerCase()));
+  add.forEach((tag) => {
+    const value = tag.trim();
+    if (value && !next.some((t) => t.toLowerCase() === value.toLowerCase())) next.push(value);
+  });
+  return next;
+}
+
+// PUBLIC_INTERFACE
+export async function exportNotes(notes, { notebookNames = {} } = {}) {
+  /** Serializes notes (attachments inlined) to the export JSON text. */
+  const exported = [];
+  for (const note of notes) {
+    const inlined = await inlineBlobUrls(normalizeNote(note));
+    if (notebookNames[note.notebookId]) inlined.notebookName = notebookNames[note.notebookId];
+    exported.push(inlined);
+  }
+  return JSON.stringify(
+    { format: EXPORT_FORMAT, version: 1, exportedAt: new Date().toISOString(), notes: exported },
+    null,
+    2
+  );
+}
+
+// PUBLIC_INTERFACE
+export function exportFileName(date = new Date()) {
+  /** e.g. notes-2026-01-31.json */
+  return `notes-${date.toISOString().slice(0, 10)}.json`;
+}
+
+// PUBLIC_INTERFACE
+export function downloadText(fileName, text, type = 'application/json') {
+  /** Offers text as a file download. */
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,27 @@
+import { EXPORT_FORMAT, rangeIds, editTags, exportNotes, exportFileName } from './bulk';
+
+test('rangeIds selects between the anchor and the clicked note in either direction', () => {
+  const ids = ['a', 'b', 'c', 'd'];
+  expect(rangeIds(ids, 'b', 'd')).toEqual(['b', 'c', 'd']);
+  expect(rangeIds(ids, 'c', 'a')).toEqual(['a', 'b', 'c']);
+  expect(rangeIds(ids, 'gone', 'c')).toEqual(['c']);
+  expect(rangeIds(ids, 'a', 'gone')).toEqual([]);
+});
+
+test('editTags adds and removes tags ignoring case', () => {
+  expect(editTags(['Work', 'home'], { add: ['work', ' urgent '] })).toEqual(['Work', 'home', 'urgent']);
+  expect(editTags(['Work', 'home'], { remove: ['WORK'] })).toEqual(['home']);
+  expect(editTags(undefined, { add: [''] })).toEqual([]);
+});
+
+test('exportNotes writes notes with their notebook names', async () => {
+  const text = await exportNotes(
+    [{ id: 'n1', notebookId: 'nb1', title: 'A', content: 'x', images: [{ id: 'i', dataUrl: 'data:image/png;base64,AA' }] }],
+    { notebookNames: { nb1: 'Work' } }
+  );
+  const parsed = JSON.parse(text);
+  expect(parsed).toMatchObject({ format: EXPORT_FORMAT, version: 1 });
+  expect(parsed.notes).toHaveLength(1);
+  expect(parsed.notes[0]).toMatchObject({ id: 'n1', title: 'A', notebookName: 'Work', images: [{ dataUrl: 'data:image/png;base64,AA' }] });
+  expect(exportFileName(new Date('2026-01-31T12:00:00Z'))).toBe('notes-2026-01-31.json');
+});
@@ -0,0 +1,117 @@
+/**
+ * commands
+ * Undo/redo history for list-level actions (delete, edit, create, notebook delete, ...).
+ *
+ * A command is { label, undo: async () => void, redo: async () => void }. Callers perform the
+ * action themselves and push its command afterwards; undo/redo run one command at a time.
+ * A command whose undo or redo fails stays where it was, so it can be retried.
+ */
+
+const DEFAULT_LIMIT = 50;
+
+// PUBLIC_INTERFACE
+export function createCommandHistory({ limit = DEFAULT_LIMIT } = {}) {
+  /**
+   * Returns a history with push, undo, redo, clear, getState and subscribe.
+   * getState() is { canUndo, canRedo, undoLabel, redoLabel, busy }.
+   */
+  let undoStack = [];
+  let redoStack = [];
+  let busy = false;
+  const listeners = new Set();
+
+  const getState = () => ({
+    canUndo: undoStack.length > 0 && !busy,
+    canRedo: redoStack.length > 0 && !busy,
+    undoLabel: undoStack.length ? undoStack[undoStack.length - 1].label : '',
+    redoLabel: redoStack.length ? redoStack[redoStack.length - 1].label : '',
+    busy,
+  });
+
+  const emit = () => {
+    const state = getState();
+    listeners.forEach((fn) => fn(state));
+  };
+
+  // moves the top command of `from` to `to` once `step` succeeded
+  const step = async (from, to, run) => {
+    const stack = from();
+    if (busy || stack.length === 0) return null;
+    const command = stack[stack.length - 1];
+    busy = true;
+    emit();
+    try {
+      await run(command);
+      to(command);
+      return command;
+    } finally {
+      busy = false;
+      emit();
+    }
+  };
+
+  return {
+    push(command) {
+      undoStack = [...undoStack, command].slice(-limit);
+      redoStack = [];
+      emit();
+    },
+
+    undo() {
+      return step(
+        () => undoStack,
+        (command) => {
+          undoStack = undoStack.slice(0, -1);
+          redoStack = [...redoStack, command];
+        },
+        (command) => command.undo()
+      );
+    },
+
+    redo() {
+      return step(
+        () => redoStack,
+        (command) => {
+          redoStack = redoStack.slice(0, -1);
+          undoStack = [...undoStack, command].slice(-limit);
+        },
+        (command) => command.redo()
+      );
+    },
+
+    clear() {
+      undoStack = [];
+      redoStack = [];
+      emit();
+    },
+
+    getState,
+
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function undoShortcut(event) {
+  /** Returns 'undo' for Ctrl/Cmd+Z, 'redo' for Ctrl/Cmd+Shift+Z or Ctrl+Y, otherwise null. */
+  if (!event || event.altKey || !(event.ctrlKey || event.metaKey)) return null;
+  const key = String(event.key || '').toLowerCase();
+  if (key === 'z') return event.shiftKey ? 'redo' : 'undo';
+  if (key === 'y' && event.ctrlKey && !event.shiftKey) return 'redo';
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function isEditableTarget(el) {
+  /** True for elements with their own undo (text fields, selects, contenteditable). */
+  if (!el || !el.tagName) return false;
+  if (el.isContentEditable) return true;
+  const tag = el.tagName.toLowerCase();
+  if (tag === 'textarea' || tag === 'select') return true;
+  if (tag !== 'input') return false;
+  const type = String(el.type || 'text').toLowerCase();
+  return !['button', 'checkbox', 'radio', 'range', 'color', 'file', 'submit', 'reset', 'image'].includes(type);
+}
@@ -0,0 +1,91 @@
+import { createCommandHistory, undoShortcut, isEditableTarget } from './commands';
+
+function counter() {
+  const state = { value: 0 };
+  const add = (n) => ({
+    label: `add ${n}`,
+    undo: async () => {
+      state.value -= n;
+    },
+    redo: async () => {
+      state.value += n;
+    },
+  });
+  return { state, add };
+}
+
+test('undo and redo walk the history in order', async () => {
+  const history = createCommandHistory();
+  const { state, add } = counter();
+  state.value = 3;
+  history.push(add(1));
+  history.push(add(2));
+  expect(history.getState()).toMatchObject({ canUndo: true, canRedo: false, undoLabel: 'add 2' });
+
+  expect((await history.undo()).label).toBe('add 2');
+  expect(state.value).toBe(1);
+  expect(history.getState()).toMatchObject({ undoLabel: 'add 1', redoLabel: 'add 2' });
+  await history.undo();
+  expect(state.value).toBe(0);
+  expect(await history.undo()).toBeNull();
+
+  await history.redo();
+  expect(state.value).toBe(1);
+  expect(history.getState()).toMatchObject({ canRedo: true, redoLabel: 'add 2' });
+});
+
+test('a new command clears the redo stack and the history is bounded', async () => {
+  const history = createCommandHistory({ limit: 2 });
+  const { add } = counter();
+  history.push(add(1));
+  await history.undo();
+  history.push(add(2));
+  expect(history.getState().canRedo).toBe(false);
+
+  history.push(add(3));
+  history.push(add(4));
+  await history.undo();
+  await history.undo();
+  expect(history.getState().canUndo).toBe(false);
+});
+
+test('a failing undo keeps the command and notifies subscribers', async () => {
+  const history = createCommandHistory();
+  const seen = [];
+  const unsubscribe = history.subscribe((s) => seen.push(s.busy));
+  history.push({ label: 'broken', undo: () => Promise.reject(new Error('offline')), redo: async () => {} });
+  await expect(history.undo()).rejects.toThrow('offline');
+  expect(history.getState()).toMatchObject({ canUndo: true, canRedo: false, busy: false });
+  expect(seen).toEqual([false, true, false]);
+  unsubscribe();
+});
+
+test('undo is ignored while another step is running', async () => {
+  const history = createCommandHistory();
+  let release;
+  history.push({ label: 'slow', undo: () => new Promise((resolve) => { release = resolve; }), redo: async () => {} });
+  const first = history.undo();
+  expect(await history.undo()).toBeNull();
+  release();
+  expect((await first).label).toBe('slow');
+});
+
+test('keyboard shortcuts and editable targets', () => {
+  expect(undoShortcut({ key: 'z', ctrlKey: true })).toBe('undo');
+  expect(undoShortcut({ key: 'Z', metaKey: true, shiftKey: true })).toBe('redo');
+  expect(undoShortcut({ key: 'y', ctrlKey: true })).toBe('redo');
+  expect(undoShortcut({ key: 'z' })).toBeNull();
+  expect(undoShortcut({ key: 'z', ctrlKey: true, altKey: true })).toBeNull();
+
+  const make = (html) => {
+    const wrap = document.createElement('div');
+    wrap.innerHTML = html;
+    return wrap.firstChild;
+  };
+  expect(isEditableTarget(make('<input type="search">'))).toBe(true);
+  expect(isEditableTarget(make('<textarea></textarea>'))).toBe(true);
+  expect(isEditableTarget(make('<input type="checkbox">'))).toBe(false);
+  expect(isEditableTarget(make('<button>x</button>'))).toBe(false);
+  expect(isEditableTarget(document.body)).toBe(false);
+  expect(isEditableTarget(null)).toBe(false);
+});
@@ -0,0 +1,94 @@
+/**
+ * diff
+ * Longest-common-subsequence diffing for lines and words.
+ */
+
+// Above this many table cells the changed middle is reported as one removal + one addition.
+const MAX_CELLS = 4000000;
+
+// PUBLIC_INTERFACE
+export function lcsMatches(a, b) {
+  /** Maps each index of `a` that is part of a longest common subsequence with `b` to its index in `b`. */
+  const matches = new Map();
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches.set(start, start);
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  const tail = [];
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+    tail.push([endA, endB]);
+  }
+  const rows = endA - start;
+  const cols = endB - start;
+  if (rows > 0 && cols > 0 && rows * cols <= MAX_CELLS) {
+    const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i -= 1) {
+      for (let j = cols - 1; j >= 0; j -= 1) {
+        table[i][j] = a[start + i] === b[start + j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (a[start + i] === b[start + j]) {
+        matches.set(start + i, start + j);
+        i += 1;
+        j += 1;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        i += 1;
+      } else {
+        j += 1;
+      }
+    }
+  }
+  tail.forEach(([i, j]) => matches.set(i, j));
+  return matches;
+}
+
+// PUBLIC_INTERFACE
+export function diffTokens(a, b) {
+  /**
+   * Diffs two token arrays. Returns [{ type: 'same'|'removed'|'added', text }]
+   * with consecutive tokens of the same type joined.
+   */
+  const matches = lcsMatches(a, b);
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  let j = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    if (!matches.has(i)) {
+      push('removed', a[i]);
+      continue;
+    }
+    const target = matches.get(i);
+    while (j < target) {
+      push('added', b[j]);
+      j += 1;
+    }
+    push('same', a[i]);
+    j += 1;
+  }
+  while (j < b.length) {
+    push('added', b[j]);
+    j += 1;
+  }
+  return parts;
+}
+
+// PUBLIC_INTERFACE
+export function diffWords(before, after) {
+  /** Word-level diff of two strings; whitespace runs are kept as their own tokens. */
+  const tokenize = (text) => String(text || '').split(/(\s+)/).filter(Boolean);
+  return diffTokens(tokenize(before), tokenize(after));
+}
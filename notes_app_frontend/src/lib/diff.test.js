@@ -0,0 +1,26 @@
+import { lcsMatches, diffTokens, diffWords } from './diff';
+
+test('lcsMatches maps the common subsequence', () => {
+  const matches = lcsMatches(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd']);
+  expect([...matches.entries()].sort()).toEqual([[0, 0], [2, 2], [3, 3]]);
+});
+
+test('diffTokens joins runs of the same kind', () => {
+  expect(diffTokens(['a', 'b', 'c'], ['a', 'x', 'y', 'c'])).toEqual([
+    { type: 'same', text: 'a' },
+    { type: 'removed', text: 'b' },
+    { type: 'added', text: 'xy' },
+    { type: 'same', text: 'c' },
+  ]);
+});
+
+test('diffWords works on words and keeps whitespace', () => {
+  expect(diffWords('the quick fox', 'the slow fox')).toEqual([
+    { type: 'same', text: 'the ' },
+    { type: 'removed', text: 'quick' },
+    { type: 'added', text: 'slow' },
+    { type: 'same', text: ' fox' },
+  ]);
+  expect(diffWords('', 'new')).toEqual([{ type: 'added', text: 'new' }]);
+  expect(diffWords('same', 'same')).toEqual([{ type: 'same', text: 'same' }]);
+});
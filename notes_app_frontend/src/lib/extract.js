@@ -0,0 +1,145 @@
+import { dataUrlToBlob } from './stores/indexedDbStore';
+
+/**
+ * extract
+ * Optional text extraction for attachments: text in images (OCR) and voice note transcripts.
+ * The work runs in a Web Worker (public/extract-worker.js) that has no network access, with engines
+ * the app serves itself (tesseract.js for images, vosk for speech; see public/extract-engines.js).
+ * Audio is decoded here, as workers cannot, into mono 16 kHz samples for the worker. Results
+ * are stored on the attachment as `text` plus `textEngine` (the engine name, or 'manual' when
+ * typed by hand) and are searched together with the note (see lib/search).
+ *
+ * Automatic extraction is off by default; the setting is stored under `notes_app_extraction_v1`
+ * as { autoExtract }.
+ */
+
+export const STORAGE_KEY_EXTRACTION = 'notes_app_extraction_v1';
+export const EXTRACT_WORKER_URL = `${process.env.PUBLIC_URL || ''}/extract-worker.js`;
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const SPEECH_SAMPLE_RATE = 16000;
+
+// PUBLIC_INTERFACE
+export function readExtractionSettings() {
+  /** Returns { autoExtract }, off unless turned on. */
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY_EXTRACTION) || 'null') || {};
+    return { autoExtract: parsed.autoExtract === true };
+  } catch {
+    return { autoExtract: false };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function writeExtractionSettings(settings) {
+  /** Persists the settings and returns the normalized value. */
+  const next = { autoExtract: settings?.autoExtract === true };
+  try {
+    window.localStorage.setItem(STORAGE_KEY_EXTRACTION, JSON.stringify(next));
+  } catch {
+    // ignore
+  }
+  return next;
+}
+
+// PUBLIC_INTERFACE
+export function needsExtraction(attachment) {
+  /** True while an attachment has no extracted or typed text yet. */
+  return !!attachment && typeof attachment.text !== 'string';
+}
+
+// Local data: and blob: URLs only, so the binary never leaves the device
+async function toBlob(url) {
+  const source = String(url || '');
+  if (source.startsWith('data:')) return dataUrlToBlob(source);
+  if (source.startsWith('blob:')) return (await fetch(source)).blob();
+  throw new Error('Attachment is not stored on this device');
+}
+
+async function defaultDecodeAudio(blob) {
+  // { samples, sampleRate } mixed down to mono, or null without Web Audio
+  const Context = typeof window !== 'undefined' && window.OfflineAudioContext;
+  if (!Context) return null;
+  const buffer = await new Context(1, 1, SPEECH_SAMPLE_RATE).decodeAudioData(await blob.arrayBuffer());
+  const samples = new Float32Array(buffer.length);
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    for (let i = 0; i < data.length; i++) samples[i] += data[i] / buffer.numberOfChannels;
+  }
+  return { samples, sampleRate: buffer.sampleRate };
+}
+
+function defaultWorker() {
+  return typeof Worker === 'function' ? new Worker(EXTRACT_WORKER_URL) : null;
+}
+
+// PUBLIC_INTERFACE
+export function createExtractor({
+  createWorker = defaultWorker,
+  decodeAudio = defaultDecodeAudio,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+} = {}) {
+  /**
+   * Returns { extract(kind, attachment), terminate() }. extract resolves to
+   * { status: 'done', text, engine } or { status: 'unsupported' } and rejects on errors and timeouts.
+   * The worker is started on first use; without Web Worker support every kind is unsupported, and so is
+   * audio without Web Audio. Audio may take its own length on top of timeoutMs.
+   */
+  let worker = null;
+  let nextId = 1;
+  const pending = new Map(); // id -> { resolve, reject, timer }
+
+  const settle = (id, fn, value) => {
+    const job = pending.get(id);
+    if (!job) return;
+    clearTimeout(job.timer);
+    pending.delete(id);
+    job[fn](value);
+  };
+
+  const failAll = (error) => {
+    [...pending.keys()].forEach((id) => settle(id, 'reject', error));
+  };
+
+  const start = () => {
+    if (worker) return worker;
+    worker = createWorker();
+    if (!worker) return null;
+    worker.onmessage = (event) => {
+      const { id, text, engine, unsupported, error } = event.data || {};
+      if (unsupported) settle(id, 'resolve', { status: 'unsupported' });
+      else if (error) settle(id, 'reject', new Error(error));
+      else settle(id, 'resolve', { status: 'done', text: String(text || ''), engine: engine || '' });
+    };
+    worker.onerror = () => {
+      failAll(new Error('Text extraction failed'));
+      worker.terminate();
+      worker = null;
+    };
+    return worker;
+  };
+
+  return {
+    async extract(kind, attachment) {
+      const blob = await toBlob(attachment && attachment.dataUrl);
+      const audio = kind === 'audio' ? await decodeAudio(blob) : null;
+      if (kind === 'audio' && !audio) return { status: 'unsupported' };
+      const w = start();
+      if (!w) return { status: 'unsupported' };
+      const id = nextId++;
+      const limit = timeoutMs + (audio ? (audio.samples.length / audio.sampleRate) * 1000 : 0);
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => settle(id, 'reject', new Error('Text extraction timed out')), limit);
+        pending.set(id, { resolve, reject, timer });
+        if (audio) w.postMessage({ id, kind, audio }, [audio.samples.buffer]);
+        else w.postMessage({ id, kind, blob });
+      });
+    },
+
+    terminate() {
+      failAll(new Error('Text extraction stopped'));
+      if (worker) worker.terminate();
+      worker = null;
+    },
+  };
+}
@@ -0,0 +1,82 @@
+import {
+  STORAGE_KEY_EXTRACTION,
+  readExtractionSettings,
+  writeExtractionSettings,
+  needsExtraction,
+  createExtractor,
+} from './extract';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+function fakeWorker(reply) {
+  const worker = {
+    posted: [],
+    terminated: false,
+    postMessage(msg) {
+      worker.posted.push(msg);
+      const data = reply(msg);
+      if (data) Promise.resolve().then(() => worker.onmessage({ data: { id: msg.id, ...data } }));
+    },
+    terminate() {
+      worker.terminated = true;
+    },
+  };
+  return worker;
+}
+
+test('automatic extraction is off unless turned on', () => {
+  expect(readExtractionSettings()).toEqual({ autoExtract: false });
+  expect(writeExtractionSettings({ autoExtract: true })).toEqual({ autoExtract: true });
+  expect(readExtractionSettings()).toEqual({ autoExtract: true });
+  window.localStorage.setItem(STORAGE_KEY_EXTRACTION, '{oops');
+  expect(readExtractionSettings()).toEqual({ autoExtract: false });
+});
+
+test('attachments need extraction until they have text', () => {
+  expect(needsExtraction({ id: 'i' })).toBe(true);
+  expect(needsExtraction({ id: 'i', text: '' })).toBe(false);
+  expect(needsExtraction(null)).toBe(false);
+});
+
+test('extracts text in a lazily started worker', async () => {
+  let worker = null;
+  const samples = new Float32Array(16000);
+  const extractor = createExtractor({
+    createWorker: () => {
+      worker = fakeWorker((msg) => (msg.kind === 'image' ? { text: 'Hello', engine: 'TextDetector' } : { unsupported: true }));
+      return worker;
+    },
+    decodeAudio: async () => ({ samples, sampleRate: 16000 }),
+  });
+  expect(worker).toBeNull();
+
+  const image = { id: 'i', dataUrl: 'data:text/plain,hi' };
+  await expect(extractor.extract('image', image)).resolves.toEqual({ status: 'done', text: 'Hello', engine: 'TextDetector' });
+  expect(worker.posted[0]).toMatchObject({ kind: 'image' });
+  expect(worker.posted[0].blob).toBeInstanceOf(Blob);
+  await expect(extractor.extract('audio', { id: 'a', dataUrl: 'data:audio/webm;base64,AA==' })).resolves.toEqual({
+    status: 'unsupported',
+  });
+  expect(worker.posted[1]).toMatchObject({ kind: 'audio', audio: { samples, sampleRate: 16000 } });
+
+  extractor.terminate();
+  expect(worker.terminated).toBe(true);
+});
+
+test('reports worker errors, timeouts, non-local attachments and missing workers', async () => {
+  const failing = createExtractor({ createWorker: () => fakeWorker(() => ({ error: 'bad image' })) });
+  await expect(failing.extract('image', { dataUrl: 'data:text/plain,x' })).rejects.toThrow('bad image');
+
+  const silent = createExtractor({ createWorker: () => fakeWorker(() => null), timeoutMs: 5 });
+  await expect(silent.extract('image', { dataUrl: 'data:text/plain,x' })).rejects.toThrow('timed out');
+
+  await expect(failing.extract('image', { dataUrl: 'https://example.test/a.png' })).rejects.toThrow('not stored on this device');
+
+  const noWorkers = createExtractor({ createWorker: () => null });
+  await expect(noWorkers.extract('image', { dataUrl: 'data:text/plain,x' })).resolves.toEqual({ status: 'unsupported' });
+
+  const noWebAudio = createExtractor({ createWorker: () => fakeWorker(() => ({ text: 'never' })), decodeAudio: async () => null });
+  await expect(noWebAudio.extract('audio', { dataUrl: 'data:audio/webm;base64,AA==' })).resolves.toEqual({ status: 'unsupported' });
+});
@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import Tesseract from 'tesseract.js';
+import { UnsupportedError, runEngines, tesseractEngine, voskEngine } from '../../public/extract-engines';
+
+function engine(name, run) {
+  return { name, run: jest.fn(run) };
+}
+
+test('tesseract reads the text of an image with the bundled language data', async () => {
+  const ocr = tesseractEngine(Tesseract, {
+    langPath: path.dirname(require.resolve('@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz')),
+    cacheMethod: 'none',
+  });
+  try {
+    const text = await ocr.run(fs.readFileSync(path.join(__dirname, '__fixtures__', 'hello-world.png')));
+    expect(text.trim()).toBe('HELLO WORLD');
+  } finally {
+    await ocr.terminate();
+  }
+}, 60000);
+
+test('engines run in order until one finds text', async () => {
+  const fast = engine('TextDetector', async () => 'Fast');
+  const ocr = engine('tesseract', async () => 'Slow');
+  await expect(runEngines([fast, ocr], 'img')).resolves.toEqual({ text: 'Fast', engine: 'TextDetector' });
+  expect(ocr.run).not.toHaveBeenCalled();
+
+  const empty = engine('TextDetector', async () => '  ');
+  await expect(runEngines([empty, ocr], 'img')).resolves.toEqual({ text: 'Slow', engine: 'tesseract' });
+  const broken = engine('TextDetector', async () => {
+    throw new Error('no detector');
+  });
+  await expect(runEngines([broken, ocr], 'img')).resolves.toEqual({ text: 'Slow', engine: 'tesseract' });
+  await expect(runEngines([ocr, engine('x', async () => '')], 'img')).resolves.toEqual({ text: 'Slow', engine: 'tesseract' });
+  await expect(runEngines([broken], 'img')).rejects.toThrow('no detector');
+  await expect(runEngines([], 'img')).rejects.toBeInstanceOf(UnsupportedError);
+});
+
+// Stands in for vosk-browser, whose speech model is not an npm package: every chunk answers with
+// a result or a partial result, and the final result comes last
+function fakeVosk({ loads = true, phrases = [] } = {}) {
+  class Model {
+    constructor(url) {
+      this.url = url;
+      this.ready = false;
+      this.listeners = {};
+      setTimeout(() => {
+        this.ready = loads;
+        if (loads) this.emit('load', { result: true });
+        else this.emit('error', { error: 'HTTP error! status: 404' });
+      });
+    }
+
+    on(event, fn) {
+      this.listeners[event] = fn;
+    }
+
+    emit(event, message) {
+      if (this.listeners[event]) this.listeners[event](message);
+    }
+
+    terminate() {
+      this.ready = false;
+    }
+
+    get KaldiRecognizer() {
+      const queue = [...phrases];
+      return class {
+        constructor(sampleRate) {
+          this.sampleRate = sampleRate;
+          this.listeners = {};
+          this.chunks = [];
+        }
+
+        on(event, fn) {
+          this.listeners[event] = fn;
+        }
+
+        acceptWaveformFloat(chunk) {
+          this.chunks.push(chunk.length);
+          const phrase = queue.shift();
+          setTimeout(() =>
+            phrase ? this.listeners.result({ result: { text: phrase } }) : this.listeners.partialresult({ result: { partial: '' } })
+          );
+        }
+
+        retrieveFinalResult() {
+          setTimeout(() => this.listeners.result({ result: { text: queue.join(' ') } }));
+        }
+
+        remove() {
+          this.removed = true;
+        }
+      };
+    }
+  }
+  return { Model };
+}
+
+test('vosk transcribes audio in chunks and joins the phrases', async () => {
+  const speech = voskEngine(fakeVosk({ phrases: ['', 'buy milk', '', 'call home'] }), '/models/vosk-model.tar.gz', {
+    chunkSize: 4,
+  });
+  await expect(speech.run({ samples: new Float32Array(14), sampleRate: 16000 })).resolves.toBe('buy milk\ncall home');
+});
+
+test('vosk is unsupported while the speech model is missing', async () => {
+  const Vosk = fakeVosk({ loads: false });
+  const speech = voskEngine(Vosk, '/models/vosk-model.tar.gz');
+  const audio = { samples: new Float32Array(8), sampleRate: 16000 };
+  await expect(speech.run(audio)).rejects.toBeInstanceOf(UnsupportedError);
+  await expect(runEngines([speech], audio)).rejects.toThrow('No speech model at /models/vosk-model.tar.gz');
+});
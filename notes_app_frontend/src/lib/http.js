@@ -0,0 +1,86 @@
+/**
+ * http
+ * Minimal JSON client for the optional REST backend configured via
+ * REACT_APP_API_BASE (or REACT_APP_BACKEND_URL).
+ */
+
+// PUBLIC_INTERFACE
+export class HttpError extends Error {
+  /**
+   * Non-2xx response from the backend; `status` carries the HTTP status code and
+   * `body` the parsed JSON response body (null when empty or not JSON).
+   */
+  constructor(method, path, status, body = null) {
+    super(`Request failed: ${method} ${path} (${status})`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getApiBase() {
+  /** Returns the configured backend base URL without a trailing slash ('' when unset). */
+  const raw = process.env.REACT_APP_API_BASE || process.env.REACT_APP_BACKEND_URL || '';
+  return String(raw).trim().replace(/\/+$/, '');
+}
+
+// PUBLIC_INTERFACE
+export function isBackendConfigured() {
+  /** True when a backend base URL is configured. */
+  return !!getApiBase();
+}
+
+// PUBLIC_INTERFACE
+export async function http(method, path, body, headers = {}) {
+  /**
+   * Sends a JSON request and resolves to the parsed body (null for empty responses).
+   * An ETag response header is exposed as `version` on object bodies that carry none.
+   */
+  const init = {
+    method,
+    headers: { Accept: 'application/json', ...headers },
+  };
+  if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(body);
+  }
+  const res = await fetch(`${getApiBase()}${path}`, init);
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new HttpError(method, path, res.status, parseJson(text));
+  }
+  if (res.status === 204) return null;
+  const text = await res.text();
+  const data = text ? JSON.parse(text) : null;
+  const etag = res.headers?.get?.('ETag');
+  if (etag && data && typeof data === 'object' && !Array.isArray(data) && data.version === undefined) {
+    data.version = etag;
+  }
+  return data;
+}
+
+// PUBLIC_INTERFACE
+export function isRetryableError(err) {
+  /**
+   * True when a request may succeed later: network failures (no status),
+   * timeouts, rate limiting and server errors.
+   */
+  const status = err?.status;
+  if (typeof status !== 'number') return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// PUBLIC_INTERFACE
+export function isConflictError(err) {
+  /** True when the backend rejected a write because the stored copy changed (409 / 412). */
+  return err?.status === 409 || err?.status === 412;
+}
@@ -0,0 +1,50 @@
+/**
+ * images
+ * Client-side image helpers shared by the note editor and the storage panel.
+ */
+
+// PUBLIC_INTERFACE
+export function readFileAsDataUrl(file) {
+  /** Reads a File/Blob into a data URL. */
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.onload = () => resolve(reader.result);
+    reader.readAsDataURL(file);
+  });
+}
+
+// PUBLIC_INTERFACE
+export function resizeImage(src, type, { maxEdge = 1600, quality = 0.85, reencode = false } = {}) {
+  /**
+   * Scales an image down so its long edge is at most maxEdge and returns a data URL.
+   * - GIFs are returned untouched to preserve animation frames
+   * - Images already within maxEdge are returned as-is unless reencode is set
+   * - PNG stays PNG; everything else is encoded as JPEG at the given quality
+   * - On load errors the original src is returned
+   */
+  if (type === 'image/gif') return Promise.resolve(src);
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      const { width, height } = img;
+      const longEdge = Math.max(width, height);
+      if (longEdge <= maxEdge && !reencode) {
+        resolve(src);
+        return;
+      }
+      const ratio = Math.min(1, maxEdge / longEdge);
+      const targetW = Math.round(width * ratio);
+      const targetH = Math.round(height * ratio);
+      const canvas = document.createElement('canvas');
+      canvas.width = targetW;
+      canvas.height = targetH;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, targetW, targetH);
+      const outType = type === 'image/png' ? 'image/png' : 'image/jpeg';
+      resolve(canvas.toDataURL(outType, quality));
+    };
+    img.onerror = () => resolve(src);
+    img.src = src;
+  });
+}
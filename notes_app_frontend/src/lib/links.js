@@ -0,0 +1,165 @@
+/**
+ * links
+ * Links between notes written as [[Note title]] or [[Note title|label]] in note content (see lib/markdown).
+ * - A link names a note by its title, ignoring case and extra spaces; when several notes share a title,
+ *   the most recently updated one is opened
+ * - Backlinks are the other notes whose content links to a note
+ * - Renaming a note rewrites the links to it in other notes ([{ id, title, before, after }] per note,
+ *   content strings; the caller saves them); links inside code are left alone
+ * - The editor completes a link while it is typed after "[[" (linkQueryAt, matchNoteTitles, insertLink)
+ */
+
+import { parseMarkdown } from './markdown';
+
+const LINK_SOURCE = /(\\?)\[\[([^[\]|\n]+)(\|[^[\]\n]+)?\]\]/g;
+// fenced code blocks and code spans, whose text is not Markdown
+const CODE = /(^|\n)(\s{0,3})(```+|~~~+)[^\n]*(?:\n[\s\S]*?)?(?:\n\s{0,3}\3[^\n]*(?=\n|$)|$)|(`+)[\s\S]*?\4/g;
+
+// PUBLIC_INTERFACE
+export function linkKey(title) {
+  /** The form titles are compared in: trimmed, single-spaced and lowercased. */
+  return String(title || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// PUBLIC_INTERFACE
+export function isLinkableTitle(title) {
+  /** Whether a title can be written as a link: not empty and without [, ], | or line breaks. */
+  return linkKey(title) !== '' && !/[[\]|\n]/.test(String(title));
+}
+
+function collectInline(nodes, out) {
+  nodes.forEach((node) => {
+    if (node.type === 'wikilink') out.push(node.title);
+    else if (node.children) collectInline(node.children, out);
+  });
+}
+
+function collectBlocks(blocks, out) {
+  blocks.forEach((block) => {
+    if (block.type === 'blockquote') collectBlocks(block.children, out);
+    else if (block.type === 'list') block.items.forEach((item) => collectBlocks(item.children, out));
+    else if (block.children) collectInline(block.children, out);
+  });
+}
+
+// PUBLIC_INTERFACE
+export function extractLinks(content) {
+  /** Titles linked from Markdown content, in order of first appearance, each once (ignoring case). */
+  const titles = [];
+  collectBlocks(parseMarkdown(content), titles);
+  const seen = new Set();
+  return titles.filter((title) => {
+    const key = linkKey(title);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// PUBLIC_INTERFACE
+export function findNoteByTitle(notes, title) {
+  /** The note a link to `title` opens, or null when no note has that title. */
+  const key = linkKey(title);
+  if (!key) return null;
+  return (Array.isArray(notes) ? notes : [])
+    .filter((n) => linkKey(n.title) === key)
+    .reduce((best, n) => (!best || String(n.updatedAt || '') > String(best.updatedAt || '') ? n : best), null);
+}
+
+// PUBLIC_INTERFACE
+export function findBacklinks(notes, note) {
+  /** The other notes that link to `note`, sorted by title. */
+  const key = note ? linkKey(note.title) : '';
+  if (!key) return [];
+  return (Array.isArray(notes) ? notes : [])
+    .filter((n) => n.id !== note.id && String(n.content || '').includes('[[') && extractLinks(n.content).some((t) => linkKey(t) === key))
+    .sort((a, b) => String(a.title || '').localeCompare(String(b.title || ''), undefined, { sensitivity: 'base' }));
+}
+
+// PUBLIC_INTERFACE
+export function renameLinks(content, from, to) {
+  /** Content with every link to the title `from` pointing at `to`; labels are kept. */
+  const text = String(content || '');
+  const key = linkKey(from);
+  if (!key || !isLinkableTitle(to) || !text.includes('[[')) return text;
+  const rewrite = (part) =>
+    part.replace(LINK_SOURCE, (match, escaped, title, label) =>
+      !escaped && linkKey(title) === key ? `[[${to.trim()}${label || ''}]]` : match
+    );
+  let out = '';
+  let last = 0;
+  text.replace(CODE, (match, ...args) => {
+    const offset = args[args.length - 2];
+    out += rewrite(text.slice(last, offset)) + match;
+    last = offset + match.length;
+    return match;
+  });
+  return out + rewrite(text.slice(last));
+}
+
+// PUBLIC_INTERFACE
+export function linkRenameChanges(notes, note, newTitle) {
+  /**
+   * The notes whose links must follow `note` being renamed to `newTitle`: [{ id, title, before, after }]
+   * with content strings. Empty when the links would still find it (only the case or spacing changed),
+   * when another note keeps the old title, or when the new title cannot be linked.
+   */
+  const list = Array.isArray(notes) ? notes : [];
+  const oldKey = note ? linkKey(note.title) : '';
+  if (!oldKey || oldKey === linkKey(newTitle) || !isLinkableTitle(newTitle)) return [];
+  if (list.some((n) => n.id !== note.id && linkKey(n.title) === oldKey)) return [];
+  return findBacklinks(list, note)
+    .map((n) => ({ id: n.id, title: n.title, before: n.content, after: renameLinks(n.content, note.title, newTitle) }))
+    .filter((change) => change.after !== change.before);
+}
+
+// PUBLIC_INTERFACE
+export function linkQueryAt(value, cursor) {
+  /** The link being typed at the cursor: { start, query } where start is the index of its "[[", or null. */
+  const before = String(value || '').slice(0, cursor);
+  const start = before.lastIndexOf('[[');
+  if (start === -1 || before[start - 1] === '\\') return null;
+  const query = before.slice(start + 2);
+  if (/[[\]|\n]/.test(query) || query.length > 80) return null;
+  return { start, query };
+}
+
+// PUBLIC_INTERFACE
+export function insertLink(value, cursor, start, title) {
+  /** Replaces the link typed from `start` to the cursor with [[title]]: { value, cursor } after the link. */
+  const text = String(value || '');
+  const after = text.slice(cursor);
+  const link = `[[${title.trim()}]]`;
+  return {
+    value: text.slice(0, start) + link + (after.startsWith(']]') ? after.slice(2) : after),
+    cursor: start + link.length,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function matchNoteTitles(notes, query, { excludeId = null, limit = 8 } = {}) {
+  /**
+   * Notes to link to for what is typed after "[[", best first: titles starting with it, then with a word
+   * starting with it, then containing it; recently updated notes first within each. One note per title.
+   */
+  const wanted = linkKey(query);
+  const rank = (key) => {
+    if (!wanted || key.startsWith(wanted)) return 0;
+    if (key.split(' ').some((word) => word.startsWith(wanted))) return 1;
+    return key.includes(wanted) ? 2 : -1;
+  };
+  const seen = new Set();
+  return (Array.isArray(notes) ? notes : [])
+    .filter((n) => n.id !== excludeId && isLinkableTitle(n.title))
+    .map((n) => ({ note: n, rank: rank(linkKey(n.title)) }))
+    .filter(({ rank: r }) => r >= 0)
+    .sort((a, b) => a.rank - b.rank || String(b.note.updatedAt || '').localeCompare(String(a.note.updatedAt || '')))
+    .filter(({ note }) => {
+      const key = linkKey(note.title);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit)
+    .map(({ note }) => note);
+}
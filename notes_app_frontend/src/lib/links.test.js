@@ -0,0 +1,65 @@
+import {
+  linkKey,
+  isLinkableTitle,
+  extractLinks,
+  findNoteByTitle,
+  findBacklinks,
+  renameLinks,
+  linkRenameChanges,
+  linkQueryAt,
+  insertLink,
+  matchNoteTitles,
+} from './links';
+
+const notes = [
+  { id: 'a', title: 'Trip plan', content: 'Book [[Budget]] and [[budget|money]] first', updatedAt: '2024-01-02' },
+  { id: 'b', title: 'Budget', content: 'See [[Trip  Plan]].\n\n```\n[[Trip plan]]\n```', updatedAt: '2024-01-03' },
+  { id: 'c', title: 'Packing list', content: '- [[Trip plan|trip]]\n- `[[Budget]]`', updatedAt: '2024-01-01' },
+  { id: 'd', title: 'Old budget', content: '', updatedAt: '2023-12-01' },
+];
+
+test('extracts each linked title once, outside code', () => {
+  expect(extractLinks(notes[0].content)).toEqual(['Budget']);
+  expect(extractLinks(notes[1].content)).toEqual(['Trip  Plan']);
+  expect(extractLinks('> quote [[A]]\n\n- **[[B]]** \\[[C]]')).toEqual(['A', 'B']);
+  expect(extractLinks('')).toEqual([]);
+  expect(linkKey('  Trip \n Plan ')).toBe('trip plan');
+  expect(isLinkableTitle('a|b')).toBe(false);
+  expect(isLinkableTitle('  ')).toBe(false);
+});
+
+test('resolves titles and lists backlinks', () => {
+  expect(findNoteByTitle(notes, 'trip PLAN').id).toBe('a');
+  expect(findNoteByTitle([...notes, { id: 'e', title: 'Budget', updatedAt: '2025-01-01' }], 'budget').id).toBe('e');
+  expect(findNoteByTitle(notes, 'Missing')).toBeNull();
+  expect(findBacklinks(notes, notes[0]).map((n) => n.id)).toEqual(['b', 'c']);
+  expect(findBacklinks(notes, notes[1]).map((n) => n.id)).toEqual(['a']);
+  expect(findBacklinks(notes, { id: 'x', title: '' })).toEqual([]);
+});
+
+test('rewrites links on rename, keeping labels and code', () => {
+  expect(renameLinks(notes[1].content, 'trip plan', 'Journey')).toBe('See [[Journey]].\n\n```\n[[Trip plan]]\n```');
+  expect(renameLinks('[[Trip plan|trip]] `[[Trip plan]]` \\[[Trip plan]]', 'Trip plan', 'Journey')).toBe(
+    '[[Journey|trip]] `[[Trip plan]]` \\[[Trip plan]]'
+  );
+  expect(renameLinks('[[A]]', 'A', 'bad|title')).toBe('[[A]]');
+  expect(linkRenameChanges(notes, notes[0], 'Journey')).toEqual([
+    { id: 'b', title: 'Budget', before: notes[1].content, after: 'See [[Journey]].\n\n```\n[[Trip plan]]\n```' },
+    { id: 'c', title: 'Packing list', before: notes[2].content, after: '- [[Journey|trip]]\n- `[[Budget]]`' },
+  ]);
+  expect(linkRenameChanges(notes, notes[0], 'TRIP PLAN')).toEqual([]);
+  expect(linkRenameChanges([...notes, { id: 'e', title: 'Budget' }], notes[1], 'Money')).toEqual([]);
+});
+
+test('completes a link while it is typed', () => {
+  expect(linkQueryAt('see [[tri', 9)).toEqual({ start: 4, query: 'tri' });
+  expect(linkQueryAt('see [[', 6)).toEqual({ start: 4, query: '' });
+  expect(linkQueryAt('see [[a]] b', 11)).toBeNull();
+  expect(linkQueryAt('see \\[[a', 8)).toBeNull();
+  expect(linkQueryAt('[[a\nb', 5)).toBeNull();
+  expect(insertLink('see [[tri and', 9, 4, 'Trip plan')).toEqual({ value: 'see [[Trip plan]] and', cursor: 17 });
+  expect(insertLink('see [[tri]]', 9, 4, 'Trip plan')).toEqual({ value: 'see [[Trip plan]]', cursor: 17 });
+  expect(matchNoteTitles(notes, 'bud').map((n) => n.id)).toEqual(['b', 'd']);
+  expect(matchNoteTitles(notes, 'lan').map((n) => n.id)).toEqual(['a']);
+  expect(matchNoteTitles(notes, '', { excludeId: 'b', limit: 2 }).map((n) => n.id)).toEqual(['a', 'c']);
+});
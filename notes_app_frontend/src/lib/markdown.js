@@ -0,0 +1,448 @@
+/**
+ * markdown
+ * A small Markdown dialect for note content, parsed into a plain AST that components
+ * render as React elements (never as HTML strings), so note content cannot inject markup.
+ *
+ * Blocks: ATX headings, paragraphs (single newlines are line breaks), fenced code,
+ * block quotes, bullet/numbered/task lists (nested by indentation) and horizontal rules.
+ * Inline: **bold**, *italic* / _italic_, ~~strike~~, `code`, [links](url), <autolinks>,
+ * bare http(s) URLs, [[Note title]] / [[Note title|label]] links to other notes and backslash
+ * escapes. Images are shown as links to keep notes offline.
+ *
+ * Block nodes:
+ *   { type: 'heading', level, children } | { type: 'paragraph', children }
+ *   { type: 'code', lang, text } | { type: 'blockquote', children: blocks } | { type: 'hr' }
+ *   { type: 'list', ordered, start, items: [{ checked: true|false|null, children: blocks }] }
+ * Inline nodes:
+ *   { type: 'text', value } | { type: 'code', value } | { type: 'break' }
+ *   { type: 'strong' | 'em' | 'del', children } | { type: 'link', href, children }
+ *   { type: 'wikilink', title, children } (title as written; lib/links resolves it to a note)
+ */
+
+const FENCE = /^\s{0,3}(```+|~~~+)\s*([\w+-]*)\s*$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const HR = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TASK = /^\[([ xX])\]\s+(.*)$/;
+const SAFE_SCHEMES = /^(https?:|mailto:)/i;
+const WIKI_LINK = /^\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\]/;
+
+function isBlank(line) {
+  return line.trim() === '';
+}
+
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+function startsBlock(line) {
+  return FENCE.test(line) || HEADING.test(line) || HR.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+}
+
+// PUBLIC_INTERFACE
+export function safeUrl(url) {
+  /** Returns the URL when it is http(s), mailto, or relative; null for anything else (javascript:, data:, ...). */
+  const raw = String(url || '').trim();
+  if (!raw) return null;
+  // browsers ignore control characters and whitespace inside the scheme
+  const compact = Array.from(raw).filter((c) => c.charCodeAt(0) > 32 && c.charCodeAt(0) !== 127).join('');
+  if (SAFE_SCHEMES.test(compact)) return raw;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(compact)) return null;
+  return compact.startsWith('//') ? null : raw;
+}
+
+function findClosing(text, marker, from) {
+  for (let i = from; i <= text.length - marker.length; i++) {
+    if (text[i] === '\\') {
+      i += 1;
+      continue;
+    }
+    if (text.startsWith(marker, i)) return i;
+  }
+  return -1;
+}
+
+function isWordChar(ch) {
+  return !!ch && /[\p{L}\p{N}]/u.test(ch);
+}
+
+// PUBLIC_INTERFACE
+export function parseInline(text) {
+  /** Parses inline Markdown into inline nodes. */
+  const src = String(text || '');
+  const nodes = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', value: buffer });
+    buffer = '';
+  };
+  const push = (node) => {
+    flush();
+    nodes.push(node);
+  };
+
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    const rest = src.slice(i);
+
+    if (ch === '\\' && i + 1 < src.length && /[\\`*_~[\]()#+\-.!>|{}]/.test(src[i + 1])) {
+      buffer += src[i + 1];
+      i += 2;
+      continue;
+    }
+    if (ch === '\n') {
+      push({ type: 'break' });
+      i += 1;
+      continue;
+    }
+    if (ch === '`') {
+      const ticks = /^`+/.exec(rest)[0];
+      const end = src.indexOf(ticks, i + ticks.length);
+      if (end !== -1) {
+        push({ type: 'code', value: src.slice(i + ticks.length, end).replace(/^ (.+) $/, '$1') });
+        i = end + ticks.length;
+        continue;
+      }
+      buffer += ticks;
+      i += ticks.length;
+      continue;
+    }
+    const wiki = WIKI_LINK.exec(rest);
+    if (wiki && wiki[1].trim()) {
+      const title = wiki[1].trim();
+      push({ type: 'wikilink', title, children: [{ type: 'text', value: (wiki[2] || '').trim() || title }] });
+      i += wiki[0].length;
+      continue;
+    }
+    const link = /^(!?)\[([^\]]*)\]\(\s*<?((?:[^()\s<>]|\([^()\s]*\))*)>?(?:\s+"[^"]*")?\s*\)/.exec(rest);
+    if (link) {
+      const href = safeUrl(link[3]);
+      const label = link[2] || link[3];
+      if (href) push({ type: 'link', href, children: link[1] ? [{ type: 'text', value: label }] : parseInline(label) });
+      else buffer += label;
+      i += link[0].length;
+      continue;
+    }
+    const auto = /^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i.exec(rest);
+    if (auto) {
+      push({ type: 'link', href: auto[1], children: [{ type: 'text', value: auto[1] }] });
+      i += auto[0].length;
+      continue;
+    }
+    if ((ch === 'h' || ch === 'H') && !isWordChar(src[i - 1])) {
+      const bare = /^https?:\/\/[^\s<]+[^\s<.,;:!?)'"\]]/i.exec(rest);
+      if (bare) {
+        push({ type: 'link', href: bare[0], children: [{ type: 'text', value: bare[0] }] });
+        i += bare[0].length;
+        continue;
+      }
+    }
+    const pair = ['**', '__', '~~'].find((m) => rest.startsWith(m));
+    if (pair && rest.length > 4 && !/\s/.test(rest[2])) {
+      let end = findClosing(src, pair, i + 3);
+      // the closing run may be longer (`***`): the inner marker closes first
+      while (end !== -1 && src[end + 2] === pair[0]) end += 1;
+      if (end !== -1 && !/\s/.test(src[end - 1]) && !(pair === '__' && isWordChar(src[end + 2]))) {
+        push({ type: pair === '~~' ? 'del' : 'strong', children: parseInline(src.slice(i + 2, end)) });
+        i = end + 2;
+        continue;
+      }
+    }
+    if ((ch === '*' || ch === '_') && rest.length > 2 && !/\s/.test(rest[1]) && rest[1] !== ch) {
+      const intraword = ch === '_' && isWordChar(src[i - 1]);
+      let end = intraword ? -1 : findClosing(src, ch, i + 2);
+      // skip a closing marker that is half of a double marker
+      while (end !== -1 && src[end + 1] === ch) end = findClosing(src, ch, end + 2);
+      if (end !== -1 && !/\s/.test(src[end - 1]) && !(ch === '_' && isWordChar(src[end + 1]))) {
+        push({ type: 'em', children: parseInline(src.slice(i + 1, end)) });
+        i = end + 1;
+        continue;
+      }
+    }
+    buffer += ch;
+    i += 1;
+  }
+  flush();
+  return nodes;
+}
+
+function parseList(lines, start) {
+  const first = LIST_ITEM.exec(lines[start]);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const list = { type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : 1, items: [] };
+  let i = start;
+  while (i < lines.length) {
+    const m = LIST_ITEM.exec(lines[i]);
+    if (!m || m[1].length !== baseIndent || /\d/.test(m[2]) !== ordered) break;
+    const body = [m[3]];
+    i += 1;
+    // continuation lines: indented deeper than the marker, blank lines followed by indented text
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) {
+        if (i + 1 < lines.length && !isBlank(lines[i + 1]) && indentOf(lines[i + 1]) > baseIndent) {
+          body.push('');
+          i += 1;
+          continue;
+        }
+        break;
+      }
+      if (indentOf(line) > baseIndent) {
+        body.push(line.slice(Math.min(indentOf(line), baseIndent + 2)));
+        i += 1;
+        continue;
+      }
+      if (LIST_ITEM.test(line) || startsBlock(line)) break;
+      body.push(line.trim()); // lazy continuation
+      i += 1;
+    }
+    const task = TASK.exec(body[0]);
+    if (task) body[0] = task[2];
+    list.items.push({ checked: task ? task[1] !== ' ' : null, children: parseBlocks(body) });
+    if (i < lines.length && isBlank(lines[i]) && i + 1 < lines.length) {
+      const next = LIST_ITEM.exec(lines[i + 1]);
+      if (next && next[1].length === baseIndent && /\d/.test(next[2]) === ordered) i += 1;
+    }
+  }
+  return { node: list, next: i };
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      i += 1;
+      continue;
+    }
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const body = [];
+      i += 1;
+      while (i < lines.length && !(lines[i].trim().startsWith(fence[1]) && lines[i].trim().replace(/[`~]/g, '') === '')) {
+        body.push(lines[i]);
+        i += 1;
+      }
+      i += 1; // closing fence (or end of text)
+      blocks.push({ type: 'code', lang: fence[2] || '', text: body.join('\n') });
+      continue;
+    }
+    const heading = HEADING.exec(line);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      i += 1;
+      continue;
+    }
+    if (HR.test(line)) {
+      blocks.push({ type: 'hr' });
+      i += 1;
+      continue;
+    }
+    if (QUOTE.test(line)) {
+      const body = [];
+      while (i < lines.length && !isBlank(lines[i])) {
+        const q = QUOTE.exec(lines[i]);
+        body.push(q ? q[1] : lines[i]);
+        i += 1;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(body) });
+      continue;
+    }
+    if (LIST_ITEM.test(line)) {
+      const { node, next } = parseList(lines, i);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+    const para = [];
+    while (i < lines.length && !isBlank(lines[i]) && (para.length === 0 || !startsBlock(lines[i]))) {
+      para.push(lines[i].trim());
+      i += 1;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(para.join('\n')) });
+  }
+  return blocks;
+}
+
+// PUBLIC_INTERFACE
+export function parseMarkdown(text) {
+  /** Parses Markdown text into block nodes. */
+  return parseBlocks(String(text || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'));
+}
+
+function inlineText(nodes) {
+  return nodes.map((n) => {
+    if (n.type === 'text' || n.type === 'code') return n.value;
+    if (n.type === 'break') return ' ';
+    return inlineText(n.children || []);
+  }).join('');
+}
+
+function blockText(blocks) {
+  return blocks.map((b) => {
+    switch (b.type) {
+      case 'code':
+        return b.text;
+      case 'hr':
+        return '';
+      case 'blockquote':
+        return blockText(b.children);
+      case 'list':
+        return b.items.map((item) => blockText(item.children)).join(' ');
+      default:
+        return inlineText(b.children);
+    }
+  }).join(' ');
+}
+
+// PUBLIC_INTERFACE
+export function stripMarkdown(text) {
+  /** Returns the plain text of Markdown content on one line, for list previews. */
+  return blockText(parseMarkdown(text)).replace(/\s+/g, ' ').trim();
+}
+
+// Editing helpers
+
+const LINE_FORMATS = {
+  heading: { prefix: '## ', match: /^#{1,6}\s+/ },
+  quote: { prefix: '> ', match: /^>\s?/ },
+  bullet: { prefix: '- ', match: /^[-*+]\s+(?!\[[ xX]\])/ },
+  task: { prefix: '- [ ] ', match: /^[-*+]\s+\[[ xX]\]\s+/ },
+  numbered: { prefix: null, match: /^\d{1,9}[.)]\s+/ },
+};
+
+const WRAP_FORMATS = {
+  bold: { marker: '**', placeholder: 'bold text' },
+  italic: { marker: '*', placeholder: 'italic text' },
+  strike: { marker: '~~', placeholder: 'struck text' },
+  code: { marker: '`', placeholder: 'code' },
+};
+
+function wrap(value, start, end, { marker, placeholder }) {
+  const selected = value.slice(start, end);
+  const before = value.slice(0, start);
+  const after = value.slice(end);
+  if (before.endsWith(marker) && after.startsWith(marker)) {
+    return {
+      value: before.slice(0, -marker.length) + selected + after.slice(marker.length),
+      start: start - marker.length,
+      end: end - marker.length,
+    };
+  }
+  if (selected.length > 2 * marker.length && selected.startsWith(marker) && selected.endsWith(marker)) {
+    const inner = selected.slice(marker.length, -marker.length);
+    return { value: before + inner + after, start, end: start + inner.length };
+  }
+  const text = selected || placeholder;
+  return {
+    value: before + marker + text + marker + after,
+    start: start + marker.length,
+    end: start + marker.length + text.length,
+  };
+}
+
+function prefixLines(value, start, end, format) {
+  const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+  const nl = value.indexOf('\n', end > start && value[end - 1] === '\n' ? end - 1 : end);
+  const lineEnd = nl === -1 ? value.length : nl;
+  const lines = value.slice(lineStart, lineEnd).split('\n');
+  const { prefix, match } = LINE_FORMATS[format];
+  const all = lines.every((l) => match.test(l));
+  const next = lines.map((line, idx) => {
+    if (all) return line.replace(match, '');
+    const bare = Object.values(LINE_FORMATS).reduce((l, f) => (f.match === match ? l : l.replace(f.match, '')), line);
+    return (prefix ?? `${idx + 1}. `) + bare.replace(match, '');
+  });
+  const text = next.join('\n');
+  const result = value.slice(0, lineStart) + text + value.slice(lineEnd);
+  const single = lines.length === 1 && start === end;
+  const cursor = single ? lineStart + text.length : null;
+  return {
+    value: result,
+    start: single ? cursor : lineStart,
+    end: single ? cursor : lineStart + text.length,
+  };
+}
+
+// PUBLIC_INTERFACE
+export const MARKDOWN_FORMATS = [
+  { id: 'bold', label: 'B', title: 'Bold', keys: 'Ctrl+B' },
+  { id: 'italic', label: 'I', title: 'Italic', keys: 'Ctrl+I' },
+  { id: 'strike', label: 'S', title: 'Strikethrough', keys: 'Ctrl+Shift+X' },
+  { id: 'code', label: '</>', title: 'Inline code', keys: 'Ctrl+E' },
+  { id: 'link', label: '🔗', title: 'Link', keys: 'Ctrl+K' },
+  { id: 'heading', label: 'H', title: 'Heading' },
+  { id: 'quote', label: '❝', title: 'Quote' },
+  { id: 'bullet', label: '•', title: 'Bulleted list', keys: 'Ctrl+Shift+8' },
+  { id: 'numbered', label: '1.', title: 'Numbered list', keys: 'Ctrl+Shift+7' },
+  { id: 'task', label: '☐', title: 'Checklist', keys: 'Ctrl+Shift+9' },
+  { id: 'codeblock', label: '{ }', title: 'Code block' },
+];
+
+// PUBLIC_INTERFACE
+export function applyFormat(value, start, end, format) {
+  /**
+   * Applies a toolbar format to the selection [start, end) of value.
+   * Returns { value, start, end } with the selection to restore; inline formats toggle.
+   */
+  const text = String(value || '');
+  if (WRAP_FORMATS[format]) return wrap(text, start, end, WRAP_FORMATS[format]);
+  if (LINE_FORMATS[format]) return prefixLines(text, start, end, format);
+  if (format === 'link') {
+    const label = text.slice(start, end) || 'link text';
+    const inserted = `[${label}](https://)`;
+    const urlAt = start + label.length + 3;
+    return { value: text.slice(0, start) + inserted + text.slice(end), start: urlAt, end: urlAt + 8 };
+  }
+  if (format === 'codeblock') {
+    const body = text.slice(start, end) || 'code';
+    const lead = start > 0 && text[start - 1] !== '\n' ? '\n' : '';
+    const block = `${lead}\`\`\`\n${body}\n\`\`\`\n`;
+    const bodyAt = start + lead.length + 4;
+    return { value: text.slice(0, start) + block + text.slice(end), start: bodyAt, end: bodyAt + body.length };
+  }
+  return { value: text, start, end };
+}
+
+// PUBLIC_INTERFACE
+export function formatForShortcut(event) {
+  /** Maps an editor keydown to a format id (see MARKDOWN_FORMATS) or null. */
+  if (!event || event.altKey || !(event.ctrlKey || event.metaKey)) return null;
+  const key = String(event.key || '').toLowerCase();
+  if (event.shiftKey) {
+    const code = String(event.code || '');
+    if (key === 'x') return 'strike';
+    if (key === '&' || code === 'Digit7') return 'numbered';
+    if (key === '*' || code === 'Digit8') return 'bullet';
+    if (key === '(' || code === 'Digit9') return 'task';
+    return null;
+  }
+  return { b: 'bold', i: 'italic', e: 'code', k: 'link' }[key] || null;
+}
+
+// PUBLIC_INTERFACE
+export function continueList(value, cursor) {
+  /**
+   * Handles Enter at cursor inside a list item: returns { value, start, end } continuing the list
+   * (next number, unchecked task) or ending it when the item is empty; null outside lists.
+   */
+  const text = String(value || '');
+  const lineStart = text.lastIndexOf('\n', cursor - 1) + 1;
+  const line = text.slice(lineStart, cursor);
+  const m = /^(\s*)([-*+]|\d{1,9}[.)])(\s+)(\[[ xX]\]\s+)?(.*)$/.exec(line);
+  if (!m) return null;
+  const [, indent, marker, gap, task, rest] = m;
+  if (!rest.trim() && text.slice(cursor, text.indexOf('\n', cursor) === -1 ? text.length : text.indexOf('\n', cursor)).trim() === '') {
+    const cleared = text.slice(0, lineStart) + text.slice(cursor);
+    return { value: cleared, start: lineStart, end: lineStart };
+  }
+  const num = /^(\d+)([.)])$/.exec(marker);
+  const nextMarker = num ? `${parseInt(num[1], 10) + 1}${num[2]}` : marker;
+  const insert = `\n${indent}${nextMarker}${gap}${task ? '[ ] ' : ''}`;
+  const next = text.slice(0, cursor) + insert + text.slice(cursor);
+  return { value: next, start: cursor + insert.length, end: cursor + insert.length };
+}
@@ -0,0 +1,113 @@
+import {
+  parseMarkdown,
+  parseInline,
+  stripMarkdown,
+  safeUrl,
+  applyFormat,
+  formatForShortcut,
+  continueList,
+} from './markdown';
+
+test('parses inline formatting', () => {
+  expect(parseInline('a **b** *c* ~~d~~ `e*f*`')).toEqual([
+    { type: 'text', value: 'a ' },
+    { type: 'strong', children: [{ type: 'text', value: 'b' }] },
+    { type: 'text', value: ' ' },
+    { type: 'em', children: [{ type: 'text', value: 'c' }] },
+    { type: 'text', value: ' ' },
+    { type: 'del', children: [{ type: 'text', value: 'd' }] },
+    { type: 'text', value: ' ' },
+    { type: 'code', value: 'e*f*' },
+  ]);
+  expect(parseInline('snake_case_name and 2 * 3')).toEqual([{ type: 'text', value: 'snake_case_name and 2 * 3' }]);
+  expect(parseInline('\\*not em\\*')).toEqual([{ type: 'text', value: '*not em*' }]);
+  expect(parseInline('**bold *and em***')[0]).toEqual({
+    type: 'strong',
+    children: [{ type: 'text', value: 'bold ' }, { type: 'em', children: [{ type: 'text', value: 'and em' }] }],
+  });
+});
+
+test('links are kept only for safe URLs', () => {
+  expect(parseInline('[site](https://example.test) and https://x.test/a.')).toEqual([
+    { type: 'link', href: 'https://example.test', children: [{ type: 'text', value: 'site' }] },
+    { type: 'text', value: ' and ' },
+    { type: 'link', href: 'https://x.test/a', children: [{ type: 'text', value: 'https://x.test/a' }] },
+    { type: 'text', value: '.' },
+  ]);
+  expect(parseInline('[click](javascript:alert(1))')[0]).toEqual({ type: 'text', value: 'click' });
+  expect(safeUrl('java\tscript:alert(1)')).toBeNull();
+  expect(safeUrl('data:text/html,x')).toBeNull();
+  expect(safeUrl('//evil.test')).toBeNull();
+  expect(safeUrl('mailto:a@b.test')).toBe('mailto:a@b.test');
+  expect(safeUrl('#section')).toBe('#section');
+});
+
+test('parses links to other notes', () => {
+  expect(parseInline('see [[ Trip plan ]] and [[Budget|the budget]]')).toEqual([
+    { type: 'text', value: 'see ' },
+    { type: 'wikilink', title: 'Trip plan', children: [{ type: 'text', value: 'Trip plan' }] },
+    { type: 'text', value: ' and ' },
+    { type: 'wikilink', title: 'Budget', children: [{ type: 'text', value: 'the budget' }] },
+  ]);
+  expect(parseInline('\\[[not a link]] [[ ]] `[[code]]`').map((n) => n.type)).toEqual(['text', 'code']);
+  expect(stripMarkdown('Read [[Budget|the budget]] first')).toBe('Read the budget first');
+});
+
+test('parses blocks', () => {
+  const blocks = parseMarkdown([
+    '# Title',
+    'line one',
+    'line two',
+    '',
+    '> quoted',
+    '',
+    '- [x] done',
+    '- [ ] todo',
+    '  - nested',
+    '',
+    '3. three',
+    '4. four',
+    '',
+    '```js',
+    'const a = "<b>";',
+    '```',
+    '---',
+  ].join('\n'));
+  expect(blocks.map((b) => b.type)).toEqual(['heading', 'paragraph', 'blockquote', 'list', 'list', 'code', 'hr']);
+  expect(blocks[0]).toEqual({ type: 'heading', level: 1, children: [{ type: 'text', value: 'Title' }] });
+  expect(blocks[1].children.map((n) => n.type)).toEqual(['text', 'break', 'text']);
+  expect(blocks[3].items.map((item) => item.checked)).toEqual([true, false]);
+  expect(blocks[3].items[1].children.map((b) => b.type)).toEqual(['paragraph', 'list']);
+  expect(blocks[4]).toMatchObject({ ordered: true, start: 3 });
+  expect(blocks[5]).toEqual({ type: 'code', lang: 'js', text: 'const a = "<b>";' });
+});
+
+test('stripMarkdown returns plain preview text', () => {
+  expect(stripMarkdown('## Plan\n\n- **Buy** milk\n- [ ] call [Bob](https://b.test)\n\n`x`')).toBe('Plan Buy milk call Bob x');
+  expect(stripMarkdown('')).toBe('');
+});
+
+test('applyFormat wraps, unwraps and prefixes lines', () => {
+  expect(applyFormat('hello world', 6, 11, 'bold')).toEqual({ value: 'hello **world**', start: 8, end: 13 });
+  expect(applyFormat('hello **world**', 8, 13, 'bold')).toEqual({ value: 'hello world', start: 6, end: 11 });
+  expect(applyFormat('', 0, 0, 'italic')).toEqual({ value: '*italic text*', start: 1, end: 12 });
+  expect(applyFormat('a\nb', 0, 3, 'bullet').value).toBe('- a\n- b');
+  expect(applyFormat('- a\n- b', 0, 7, 'bullet').value).toBe('a\nb');
+  expect(applyFormat('- a\n- b', 0, 7, 'numbered').value).toBe('1. a\n2. b');
+  expect(applyFormat('x\ntask', 3, 3, 'task')).toEqual({ value: 'x\n- [ ] task', start: 12, end: 12 });
+  expect(applyFormat('see', 0, 3, 'link')).toEqual({ value: '[see](https://)', start: 6, end: 14 });
+  expect(applyFormat('a', 1, 1, 'codeblock').value).toBe('a\n```\ncode\n```\n');
+});
+
+test('shortcuts and list continuation', () => {
+  expect(formatForShortcut({ key: 'b', ctrlKey: true })).toBe('bold');
+  expect(formatForShortcut({ key: 'K', metaKey: true })).toBe('link');
+  expect(formatForShortcut({ key: '&', code: 'Digit7', ctrlKey: true, shiftKey: true })).toBe('numbered');
+  expect(formatForShortcut({ key: 'b' })).toBeNull();
+
+  expect(continueList('- a', 3)).toEqual({ value: '- a\n- ', start: 6, end: 6 });
+  expect(continueList('9. a', 4).value).toBe('9. a\n10. ');
+  expect(continueList('- [x] a', 7).value).toBe('- [x] a\n- [ ] ');
+  expect(continueList('x\n- ', 4)).toEqual({ value: 'x\n', start: 2, end: 2 });
+  expect(continueList('plain', 5)).toBeNull();
+});
@@ -0,0 +1,132 @@
+import { lcsMatches } from './diff';
+
+/**
+ * merge
+ * Three-way merge helpers used when the server copy of a note changed while it was edited.
+ * - base: the note as it was when editing started
+ * - local: the edited version from this device
+ * - remote: the current server version
+ */
+
+function splitLines(text) {
+  return String(text || '').split('\n');
+}
+
+function sameList(a, b) {
+  return a.length === b.length && a.every((v, i) => v === b[i]);
+}
+
+function pushLines(chunks, lines) {
+  if (lines.length === 0) return;
+  const last = chunks[chunks.length - 1];
+  if (last && last.type === 'ok') last.lines.push(...lines);
+  else chunks.push({ type: 'ok', lines: [...lines] });
+}
+
+// PUBLIC_INTERFACE
+export function mergeText(base, local, remote) {
+  /**
+   * Line-level three-way merge (diff3).
+   * Returns { chunks, conflicts } where chunks are
+   * { type: 'ok', lines } or { type: 'conflict', base, local, remote } (arrays of lines)
+   * and conflicts is the number of conflict chunks.
+   */
+  const b = splitLines(base);
+  const l = splitLines(local);
+  const r = splitLines(remote);
+  const toLocal = lcsMatches(b, l);
+  const toRemote = lcsMatches(b, r);
+
+  const chunks = [];
+  let conflicts = 0;
+  let i = 0;
+  let j = 0;
+  let k = 0;
+  while (i < b.length || j < l.length || k < r.length) {
+    let next = i;
+    while (next < b.length && !(toLocal.has(next) && toRemote.has(next))) next += 1;
+    // a base line kept on both sides is stable only once the lines inserted before it are taken
+    if (next === i && next < b.length && toLocal.get(i) === j && toRemote.get(i) === k) {
+      pushLines(chunks, [b[i]]);
+      i += 1;
+      j += 1;
+      k += 1;
+      continue;
+    }
+    const lEnd = next < b.length ? toLocal.get(next) : l.length;
+    const rEnd = next < b.length ? toRemote.get(next) : r.length;
+    const bSlice = b.slice(i, next);
+    const lSlice = l.slice(j, lEnd);
+    const rSlice = r.slice(k, rEnd);
+    if (sameList(lSlice, bSlice) || sameList(lSlice, rSlice)) {
+      pushLines(chunks, rSlice);
+    } else if (sameList(rSlice, bSlice)) {
+      pushLines(chunks, lSlice);
+    } else {
+      chunks.push({ type: 'conflict', base: bSlice, local: lSlice, remote: rSlice });
+      conflicts += 1;
+    }
+    i = next;
+    j = lEnd;
+    k = rEnd;
+  }
+  return { chunks, conflicts };
+}
+
+// PUBLIC_INTERFACE
+export function resolveText(chunks, choices = {}) {
+  /**
+   * Joins merged chunks back into text. choices maps a conflict chunk index to
+   * 'local', 'remote' or 'both' (local lines first); unresolved conflicts keep the local lines.
+   */
+  const lines = [];
+  chunks.forEach((chunk, index) => {
+    if (chunk.type === 'ok') {
+      lines.push(...chunk.lines);
+      return;
+    }
+    const choice = choices[index] || 'local';
+    if (choice === 'local' || choice === 'both') lines.push(...chunk.local);
+    if (choice === 'remote' || choice === 'both') lines.push(...chunk.remote);
+  });
+  return lines.join('\n');
+}
+
+// PUBLIC_INTERFACE
+export function mergeValue(base, local, remote) {
+  /**
+   * Three-way merge of a single value: a side that did not change from base yields to the other.
+   * Returns { value, conflict }; on conflict value is the local one.
+   */
+  if (local === remote || remote === base) return { value: local, conflict: false };
+  if (local === base) return { value: remote, conflict: false };
+  return { value: local, conflict: true };
+}
+
+// PUBLIC_INTERFACE
+export function mergeTags(base, local, remote) {
+  /** Three-way set merge: keeps tags added on either side and drops tags removed on either side. */
+  const baseSet = new Set(base || []);
+  const localTags = local || [];
+  const remoteTags = remote || [];
+  const removedRemotely = new Set([...baseSet].filter((t) => !remoteTags.includes(t)));
+  const merged = localTags.filter((t) => !removedRemotely.has(t));
+  remoteTags.forEach((t) => {
+    if (!baseSet.has(t) && !merged.includes(t)) merged.push(t);
+  });
+  return merged;
+}
+
+// PUBLIC_INTERFACE
+export function mergeNotes(base, local, remote) {
+  /**
+   * Merges the text fields of three note versions.
+   * Returns { title: { value, conflict }, tags: string[], content: { chunks, conflicts } }.
+   */
+  const b = base || {};
+  return {
+    title: mergeValue(b.title || '', local.title || '', remote.title || ''),
+    tags: mergeTags(b.tags, local.tags, remote.tags),
+    content: mergeText(b.content || '', local.content || '', remote.content || ''),
+  };
+}
@@ -0,0 +1,75 @@
+import { mergeText, resolveText, mergeValue, mergeTags, mergeNotes } from './merge';
+
+test('non-overlapping line edits merge cleanly', () => {
+  const base = 'one\ntwo\nthree\nfour';
+  const local = 'ONE\ntwo\nthree\nfour';
+  const remote = 'one\ntwo\nthree\nFOUR\nfive';
+  const { chunks, conflicts } = mergeText(base, local, remote);
+  expect(conflicts).toBe(0);
+  expect(resolveText(chunks)).toBe('ONE\ntwo\nthree\nFOUR\nfive');
+});
+
+test('identical changes on both sides are not conflicts', () => {
+  const { chunks, conflicts } = mergeText('a\nb', 'a\nB', 'a\nB');
+  expect(conflicts).toBe(0);
+  expect(resolveText(chunks)).toBe('a\nB');
+});
+
+test('overlapping edits produce a conflict chunk resolved by choice', () => {
+  const base = 'intro\nmiddle\nend';
+  const local = 'intro\nmine\nend';
+  const remote = 'intro\ntheirs\nend';
+  const { chunks, conflicts } = mergeText(base, local, remote);
+  expect(conflicts).toBe(1);
+  const index = chunks.findIndex((c) => c.type === 'conflict');
+  expect(chunks[index]).toEqual({ type: 'conflict', base: ['middle'], local: ['mine'], remote: ['theirs'] });
+  expect(resolveText(chunks, { [index]: 'remote' })).toBe('intro\ntheirs\nend');
+  expect(resolveText(chunks, { [index]: 'both' })).toBe('intro\nmine\ntheirs\nend');
+  expect(resolveText(chunks)).toBe('intro\nmine\nend');
+});
+
+test('deletions on one side are applied', () => {
+  const { chunks, conflicts } = mergeText('a\nb\nc', 'a\nc', 'a\nb\nc\nd');
+  expect(conflicts).toBe(0);
+  expect(resolveText(chunks)).toBe('a\nc\nd');
+});
+
+test('insertions before unchanged lines are kept once', () => {
+  expect(resolveText(mergeText('A\nB', 'X\nA\nB', 'A\nB').chunks)).toBe('X\nA\nB');
+  expect(resolveText(mergeText('A\nB', 'A\nB', 'A\nY\nB').chunks)).toBe('A\nY\nB');
+  const { chunks, conflicts } = mergeText('A\nB\nC', 'A\nX\nB\nC', 'A\nB\nY\nC');
+  expect(conflicts).toBe(0);
+  expect(resolveText(chunks)).toBe('A\nX\nB\nY\nC');
+});
+
+test('different insertions at the same place conflict, identical ones merge', () => {
+  const { chunks, conflicts } = mergeText('A\nB', 'A\nmine\nB', 'A\ntheirs\nB');
+  expect(conflicts).toBe(1);
+  expect(chunks).toEqual([
+    { type: 'ok', lines: ['A'] },
+    { type: 'conflict', base: [], local: ['mine'], remote: ['theirs'] },
+    { type: 'ok', lines: ['B'] },
+  ]);
+  expect(resolveText(mergeText('A\nB', 'A\nsame\nB', 'A\nsame\nB').chunks)).toBe('A\nsame\nB');
+});
+
+test('mergeValue prefers the side that changed', () => {
+  expect(mergeValue('t', 't', 'r')).toEqual({ value: 'r', conflict: false });
+  expect(mergeValue('t', 'l', 't')).toEqual({ value: 'l', conflict: false });
+  expect(mergeValue('t', 'l', 'r')).toEqual({ value: 'l', conflict: true });
+});
+
+test('mergeTags keeps additions and removals from both sides', () => {
+  expect(mergeTags(['a', 'b', 'c'], ['a', 'b', 'x'], ['b', 'c', 'y'])).toEqual(['b', 'x', 'y']);
+});
+
+test('mergeNotes combines the fields', () => {
+  const merged = mergeNotes(
+    { title: 'T', content: 'x', tags: [] },
+    { title: 'Mine', content: 'x', tags: ['a'] },
+    { title: 'T', content: 'y', tags: ['b'] }
+  );
+  expect(merged.title).toEqual({ value: 'Mine', conflict: false });
+  expect(merged.tags).toEqual(['a', 'b']);
+  expect(resolveText(merged.content.chunks)).toBe('y');
+});
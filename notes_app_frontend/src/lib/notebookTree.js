@@ -0,0 +1,143 @@
+/**
+ * notebookTree
+ * Nested notebooks ("stacks"): a notebook may name another one as its `parentId`.
+ * - Notebooks whose parent is missing (e.g. in the Trash, or part of a cycle) are shown at the top
+ *   level; they keep their parentId, so they are back under a parent restored from the Trash
+ * - Siblings are ordered by name
+ * - The sidebar state is stored under `notes_app_notebook_tree_v1` as
+ *   { collapsed: notebook ids, includeDescendants: boolean }
+ */
+
+export const STORAGE_KEY_NOTEBOOK_TREE = 'notes_app_notebook_tree_v1';
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+
+// parent id per notebook id, with missing parents and cycles cut to the top level
+function parentMap(notebooks) {
+  const ids = new Set(notebooks.map((nb) => nb.id));
+  const parents = new Map(notebooks.map((nb) => [nb.id, nb.parentId && ids.has(nb.parentId) ? nb.parentId : null]));
+  notebooks.forEach((nb) => {
+    const seen = new Set([nb.id]);
+    let id = parents.get(nb.id);
+    while (id) {
+      if (seen.has(id)) {
+        parents.set(nb.id, null);
+        break;
+      }
+      seen.add(id);
+      id = parents.get(id);
+    }
+  });
+  return parents;
+}
+
+// PUBLIC_INTERFACE
+export function buildNotebookTree(notebooks, counts = {}) {
+  /**
+   * Returns the top-level nodes { notebook, depth, children, count, total } where count is the
+   * notebook's own number of notes (from `counts`) and total includes every descendant.
+   */
+  const parents = parentMap(notebooks);
+  const build = (parentId, depth) =>
+    notebooks
+      .filter((nb) => parents.get(nb.id) === parentId)
+      .sort(byName)
+      .map((notebook) => {
+        const children = build(notebook.id, depth + 1);
+        const count = counts[notebook.id] || 0;
+        return { notebook, depth, children, count, total: children.reduce((sum, c) => sum + c.total, count) };
+      });
+  return build(null, 0);
+}
+
+// PUBLIC_INTERFACE
+export function flattenTree(nodes, collapsed = []) {
+  /** The visible rows of a tree in display order; children of collapsed ids are left out. */
+  const closed = new Set(collapsed);
+  const rows = [];
+  const walk = (list) =>
+    list.forEach((node) => {
+      rows.push(node);
+      if (!closed.has(node.notebook.id)) walk(node.children);
+    });
+  walk(nodes);
+  return rows;
+}
+
+// PUBLIC_INTERFACE
+export function descendantIds(notebooks, id) {
+  /** Ids of every notebook below `id`, nearest first. */
+  const parents = parentMap(notebooks);
+  const found = [];
+  const below = new Set([String(id)]);
+  for (let i = -1; i < found.length; i += 1) {
+    const parentId = i < 0 ? String(id) : found[i];
+    notebooks.forEach((nb) => {
+      if (parents.get(nb.id) === parentId && !below.has(nb.id)) {
+        below.add(nb.id);
+        found.push(nb.id);
+      }
+    });
+  }
+  return found;
+}
+
+// PUBLIC_INTERFACE
+export function canReparent(notebooks, id, parentId) {
+  /** Whether `id` may move under `parentId` (null = top level): not onto itself or its own descendants. */
+  if (!notebooks.some((nb) => nb.id === id)) return false;
+  if (!parentId) return true;
+  if (parentId === id || !notebooks.some((nb) => nb.id === parentId)) return false;
+  return !descendantIds(notebooks, id).includes(parentId);
+}
+
+// PUBLIC_INTERFACE
+export function notebookPath(notebooks, id) {
+  /** "Parent / Child" name path of a notebook ('' when unknown). */
+  const parents = parentMap(notebooks);
+  const byId = new Map(notebooks.map((nb) => [nb.id, nb]));
+  const names = [];
+  let current = byId.get(id);
+  while (current) {
+    names.unshift(current.name);
+    current = byId.get(parents.get(current.id));
+  }
+  return names.join(' / ');
+}
+
+// PUBLIC_INTERFACE
+export function notebookOptions(notebooks) {
+  /** Every notebook in tree order as { id, name, depth, path }, e.g. for select elements. */
+  return flattenTree(buildNotebookTree(notebooks)).map(({ notebook, depth }) => ({
+    id: notebook.id,
+    name: notebook.name,
+    depth,
+    path: notebookPath(notebooks, notebook.id),
+  }));
+}
+
+// PUBLIC_INTERFACE
+export function readTreeSettings() {
+  /** Returns { collapsed, includeDescendants } for the sidebar tree. */
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY_NOTEBOOK_TREE) || '{}') || {};
+    return {
+      collapsed: Array.isArray(parsed.collapsed) ? parsed.collapsed.map(String) : [],
+      includeDescendants: parsed.includeDescendants === true,
+    };
+  } catch {
+    return { collapsed: [], includeDescendants: false };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function writeTreeSettings(changes) {
+  /** Saves changed sidebar settings and returns all of them. */
+  const next = { ...readTreeSettings(), ...changes };
+  try {
+    window.localStorage.setItem(STORAGE_KEY_NOTEBOOK_TREE, JSON.stringify(next));
+  } catch {
+    // ignore
+  }
+  return next;
+}
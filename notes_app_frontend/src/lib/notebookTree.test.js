@@ -0,0 +1,66 @@
+import {
+  STORAGE_KEY_NOTEBOOK_TREE,
+  buildNotebookTree,
+  flattenTree,
+  descendantIds,
+  canReparent,
+  notebookPath,
+  notebookOptions,
+  readTreeSettings,
+  writeTreeSettings,
+} from './notebookTree';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+const notebooks = [
+  { id: 'w', name: 'Work' },
+  { id: 'c', name: 'Clients', parentId: 'w' },
+  { id: 'a', name: 'Acme', parentId: 'c' },
+  { id: 'h', name: 'Home' },
+  { id: 'o', name: 'Orphan', parentId: 'gone' },
+];
+
+test('builds a tree with own and total note counts', () => {
+  const tree = buildNotebookTree(notebooks, { w: 1, c: 2, a: 3, h: 4 });
+  expect(tree.map((n) => n.notebook.id)).toEqual(['h', 'o', 'w']);
+  const work = tree[2];
+  expect(work).toMatchObject({ depth: 0, count: 1, total: 6 });
+  expect(work.children[0]).toMatchObject({ depth: 1, count: 2, total: 5 });
+  expect(work.children[0].children[0]).toMatchObject({ depth: 2, count: 3, total: 3 });
+});
+
+test('cycles are cut to the top level', () => {
+  const tree = buildNotebookTree([
+    { id: 'x', name: 'X', parentId: 'y' },
+    { id: 'y', name: 'Y', parentId: 'x' },
+  ]);
+  expect(flattenTree(tree).map((n) => n.notebook.id).sort()).toEqual(['x', 'y']);
+});
+
+test('flattens visible rows and skips collapsed children', () => {
+  const tree = buildNotebookTree(notebooks);
+  expect(flattenTree(tree).map((n) => n.notebook.id)).toEqual(['h', 'o', 'w', 'c', 'a']);
+  expect(flattenTree(tree, ['c']).map((n) => n.notebook.id)).toEqual(['h', 'o', 'w', 'c']);
+});
+
+test('descendants, reparent checks and paths', () => {
+  expect(descendantIds(notebooks, 'w')).toEqual(['c', 'a']);
+  expect(descendantIds(notebooks, 'h')).toEqual([]);
+  expect(canReparent(notebooks, 'h', 'a')).toBe(true);
+  expect(canReparent(notebooks, 'c', null)).toBe(true);
+  expect(canReparent(notebooks, 'w', 'a')).toBe(false);
+  expect(canReparent(notebooks, 'w', 'w')).toBe(false);
+  expect(canReparent(notebooks, 'w', 'gone')).toBe(false);
+  expect(notebookPath(notebooks, 'a')).toBe('Work / Clients / Acme');
+  expect(notebookOptions(notebooks).map((o) => [o.id, o.depth])).toEqual([['h', 0], ['o', 0], ['w', 0], ['c', 1], ['a', 2]]);
+});
+
+test('sidebar settings are stored', () => {
+  expect(readTreeSettings()).toEqual({ collapsed: [], includeDescendants: false });
+  writeTreeSettings({ collapsed: ['w'] });
+  expect(writeTreeSettings({ includeDescendants: true })).toEqual({ collapsed: ['w'], includeDescendants: true });
+  window.localStorage.setItem(STORAGE_KEY_NOTEBOOK_TREE, 'oops');
+  expect(readTreeSettings().collapsed).toEqual([]);
+});
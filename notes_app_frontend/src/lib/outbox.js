@@ -0,0 +1,160 @@
+import { cryptoRandomId } from './storage';
+
+/**
+ * outbox
+ * Persistent, ordered queue of writes that still have to reach the REST backend.
+ * Stored in localStorage under `notes_app_outbox_v1`.
+ *
+ * Operations only carry ids (plus the target notebook for notebook deletes); note and
+ * notebook contents are read from the local store when the operation is replayed,
+ * so repeated edits of the same note collapse into a single request.
+ *
+ * Operation shape:
+ * { id, type, targetId, moveNotesToId?, base?, status: 'pending'|'failed', conflict?, attempts, error?, queuedAt }
+ * where type is one of createNote, updateNote, deleteNote, createNotebook,
+ * renameNotebook (any notebook change: name or parent), deleteNotebook. Note updates carry `base`, the server version
+ * ({ title, content, tags, version }) the queued edit started from.
+ */
+
+export const STORAGE_KEY_OUTBOX = 'notes_app_outbox_v1';
+
+const NOTE_TYPES = ['createNote', 'updateNote', 'deleteNote'];
+const listeners = new Set();
+
+function read() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY_OUTBOX) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function write(ops) {
+  try {
+    if (ops.length) {
+      window.localStorage.setItem(STORAGE_KEY_OUTBOX, JSON.stringify(ops));
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY_OUTBOX);
+    }
+  } catch {
+    // ignore (quota / private mode); the queue then only lives until reload
+  }
+  listeners.forEach((fn) => {
+    try {
+      fn(ops);
+    } catch {
+      // ignore listener errors
+    }
+  });
+}
+
+function sameTarget(op, type, targetId) {
+  const isNote = NOTE_TYPES.includes(type);
+  return op.targetId === targetId && NOTE_TYPES.includes(op.type) === isNote;
+}
+
+// PUBLIC_INTERFACE
+export function getOutbox() {
+  /** Returns a copy of the queued operations in replay order. */
+  return read();
+}
+
+// PUBLIC_INTERFACE
+export function hasPendingOps() {
+  /** True when an operation is waiting to be replayed (failed ones wait for a retry). */
+  return read().some((op) => op.status === 'pending');
+}
+
+// PUBLIC_INTERFACE
+export function enqueue(type, targetId, extra = {}) {
+  /**
+   * Queues an operation, collapsing it with earlier ones for the same target:
+   * - updates/renames after a queued create or update are dropped (contents are read at replay)
+   * - a delete after a queued create cancels both; earlier updates of a deleted target are removed
+   * - a delete queued before that create (trashed, restored, trashed again) is kept
+   */
+  const id = String(targetId);
+  let ops = read();
+  const related = ops.filter((op) => sameTarget(op, type, id));
+  const isUpdate = type === 'updateNote' || type === 'renameNotebook';
+  const isDelete = type === 'deleteNote' || type === 'deleteNotebook';
+
+  if (isUpdate && related.some((op) => op.type !== 'deleteNote' && op.type !== 'deleteNotebook')) {
+    return;
+  }
+  if (isDelete) {
+    const created = related.some((op) => op.type === 'createNote' || op.type === 'createNotebook');
+    const deleted = related.find((op) => op.type === type);
+    ops = ops.filter((op) => !sameTarget(op, type, id) || op === deleted);
+    if (created || deleted) {
+      write(ops);
+      return;
+    }
+  }
+  ops.push({
+    id: cryptoRandomId(),
+    type,
+    targetId: id,
+    ...extra,
+    status: 'pending',
+    attempts: 0,
+    queuedAt: new Date().toISOString(),
+  });
+  write(ops);
+}
+
+// PUBLIC_INTERFACE
+export function updateOp(opId, changes) {
+  /** Merges changes into a queued operation. */
+  write(read().map((op) => (op.id === opId ? { ...op, ...changes } : op)));
+}
+
+// PUBLIC_INTERFACE
+export function removeOp(opId) {
+  /** Removes a queued operation (after it was replayed). */
+  write(read().filter((op) => op.id !== opId));
+}
+
+// PUBLIC_INTERFACE
+export function remapTarget(kind, fromId, toId) {
+  /**
+   * Rewrites queued references after the backend assigned a different id.
+   * kind is 'note' or 'notebook'; notebook remaps also update moveNotesToId.
+   */
+  const from = String(fromId);
+  const to = String(toId);
+  write(read().map((op) => {
+    const isNoteOp = NOTE_TYPES.includes(op.type);
+    const next = { ...op };
+    if (op.targetId === from && isNoteOp === (kind === 'note')) next.targetId = to;
+    if (kind === 'notebook' && op.moveNotesToId === from) next.moveNotesToId = to;
+    return next;
+  }));
+}
+
+// PUBLIC_INTERFACE
+export function retryFailed() {
+  /** Puts every failed operation back into the pending state (conflicts need a merge instead). */
+  write(read().map((op) => (op.status === 'failed' && !op.conflict ? { ...op, status: 'pending', error: undefined } : op)));
+}
+
+// PUBLIC_INTERFACE
+export function getNoteSyncStatuses(ops = read()) {
+  /** Returns { [noteId]: 'pending'|'failed'|'conflict' } for notes with queued operations. */
+  const rank = { pending: 0, failed: 1, conflict: 2 };
+  const map = {};
+  ops.forEach((op) => {
+    if (!NOTE_TYPES.includes(op.type)) return;
+    const status = op.conflict ? 'conflict' : op.status;
+    if (!map[op.targetId] || rank[status] > rank[map[op.targetId]]) map[op.targetId] = status;
+  });
+  return map;
+}
+
+// PUBLIC_INTERFACE
+export function subscribe(fn) {
+  /** Calls fn(ops) whenever the queue changes. Returns an unsubscribe function. */
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
@@ -0,0 +1,100 @@
+import {
+  STORAGE_KEY_OUTBOX,
+  getOutbox,
+  hasPendingOps,
+  enqueue,
+  updateOp,
+  removeOp,
+  remapTarget,
+  retryFailed,
+  getNoteSyncStatuses,
+  subscribe,
+} from './outbox';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+function types() {
+  return getOutbox().map((op) => `${op.type}:${op.targetId}`);
+}
+
+test('operations are persisted in order', () => {
+  enqueue('createNotebook', 'nb1');
+  enqueue('createNote', 'n1');
+  enqueue('deleteNote', 'n2');
+  expect(types()).toEqual(['createNotebook:nb1', 'createNote:n1', 'deleteNote:n2']);
+  expect(JSON.parse(window.localStorage.getItem(STORAGE_KEY_OUTBOX))).toHaveLength(3);
+  expect(getOutbox()[0]).toMatchObject({ status: 'pending', attempts: 0 });
+  expect(hasPendingOps()).toBe(true);
+});
+
+test('updates collapse into an earlier create or update of the same note', () => {
+  enqueue('createNote', 'n1');
+  enqueue('updateNote', 'n1');
+  enqueue('updateNote', 'n2');
+  enqueue('updateNote', 'n2');
+  enqueue('renameNotebook', 'n1');
+  expect(types()).toEqual(['createNote:n1', 'updateNote:n2', 'renameNotebook:n1']);
+});
+
+test('deleting a queued create cancels it; other deletes replace earlier updates', () => {
+  enqueue('createNote', 'n1');
+  enqueue('updateNote', 'n2');
+  enqueue('deleteNote', 'n1');
+  enqueue('deleteNote', 'n2');
+  enqueue('createNotebook', 'nb1');
+  enqueue('deleteNotebook', 'nb1');
+  expect(types()).toEqual(['deleteNote:n2']);
+});
+
+test('a delete queued before a re-create survives deleting it again', () => {
+  enqueue('deleteNote', 'n1');
+  enqueue('createNote', 'n1');
+  enqueue('updateNote', 'n1');
+  enqueue('deleteNote', 'n1');
+  expect(types()).toEqual(['deleteNote:n1']);
+});
+
+test('notebook deletes keep their move target and follow id remaps', () => {
+  enqueue('createNotebook', 'tmp');
+  enqueue('deleteNotebook', 'old', { moveNotesToId: 'tmp' });
+  remapTarget('notebook', 'tmp', 'srv');
+  expect(getOutbox().map((op) => [op.targetId, op.moveNotesToId])).toEqual([['srv', undefined], ['old', 'srv']]);
+
+  enqueue('createNote', 'tmp');
+  remapTarget('note', 'tmp', 'n9');
+  expect(types()).toContain('createNote:n9');
+});
+
+test('sync statuses, failures and retry', () => {
+  enqueue('createNote', 'n1');
+  enqueue('updateNote', 'n2');
+  enqueue('createNotebook', 'nb1');
+  const [, second] = getOutbox();
+  updateOp(second.id, { status: 'failed', error: 'Request failed' });
+  expect(getNoteSyncStatuses()).toEqual({ n1: 'pending', n2: 'failed' });
+
+  retryFailed();
+  expect(getNoteSyncStatuses()).toEqual({ n1: 'pending', n2: 'pending' });
+
+  getOutbox().forEach((op) => removeOp(op.id));
+  expect(hasPendingOps()).toBe(false);
+  expect(window.localStorage.getItem(STORAGE_KEY_OUTBOX)).toBeNull();
+});
+
+test('failed operations do not count as pending', () => {
+  enqueue('updateNote', 'n1');
+  updateOp(getOutbox()[0].id, { status: 'failed' });
+  expect(hasPendingOps()).toBe(false);
+});
+
+test('subscribers are notified of changes until they unsubscribe', () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribe(listener);
+  enqueue('createNote', 'n1');
+  expect(listener).toHaveBeenCalledWith([expect.objectContaining({ type: 'createNote', targetId: 'n1' })]);
+  unsubscribe();
+  enqueue('createNote', 'n2');
+  expect(listener).toHaveBeenCalledTimes(1);
+});
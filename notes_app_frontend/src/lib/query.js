@@ -0,0 +1,609 @@
+/**
+ * query
+ * Search box query language, parsed into a filter AST and run against notes.
+ *
+ *   budget "exact phrase"          words and phrases in title, content or attachment text (see lib/search)
+ *   tag:work  -tag:done            tag filters, also matching nested tags (work/clients); "-" negates any term or group
+ *   (tag:a OR tag:b)               any of several tags; the tag filter chips read and write this form (tagFilters)
+ *   notebook:"Side projects"       notebook by name
+ *   has:audio has:image has:sketch has:tags
+ *   is:pinned is:favorite             pinned or starred notes
+ *   created:>=2026-01-01 updated:<2026-02   dates as YYYY, YYYY-MM or YYYY-MM-DD with > >= < <= =
+ *   before:2026-01-01 after:2025-12-31      shorthands for updated:< and updated:>
+ *   a b OR c (d OR -e)             terms are ANDed; OR binds looser than AND; parentheses group
+ *
+ * Nodes:
+ *   { type: 'and' | 'or', children } | { type: 'not', child }
+ *   { type: 'text', value } | { type: 'phrase', value }
+ *   { type: 'tag' | 'notebook', value } | { type: 'has', value: 'audio'|'image'|'sketch'|'tags' }
+ *   { type: 'is', value: 'pinned'|'favorite' }
+ *   { type: 'date', field: 'created'|'updated', op, value, from, to }   (from/to: ms, `to` exclusive)
+ */
+import { stripMarkdown } from './markdown';
+import { tokenize, attachmentTexts } from './search';
+import { tagMatches } from './tags';
+
+const FIELDS = {
+  tag: 'tag',
+  tags: 'tag',
+  notebook: 'notebook',
+  nb: 'notebook',
+  has: 'has',
+  is: 'is',
+  created: 'created',
+  updated: 'updated',
+  before: 'before',
+  after: 'after',
+};
+
+// shown in suggestions and error messages, in this order
+const FIELD_NAMES = ['tag', 'notebook', 'has', 'is', 'created', 'updated', 'before', 'after'];
+
+const HAS_VALUES = {
+  audio: 'audio',
+  voice: 'audio',
+  image: 'image',
+  images: 'image',
+  sketch: 'sketch',
+  drawing: 'sketch',
+  tags: 'tags',
+  tag: 'tags',
+};
+
+const IS_VALUES = {
+  pinned: 'pinned',
+  pin: 'pinned',
+  favorite: 'favorite',
+  favourite: 'favorite',
+  fav: 'favorite',
+  starred: 'favorite',
+  star: 'favorite',
+};
+
+const VALUE_EXAMPLES = { has: 'has:image', is: 'is:pinned' };
+
+const DATE_EXAMPLE = 'Use YYYY-MM-DD, e.g. updated:>2026-01-01';
+
+// PUBLIC_INTERFACE
+export class QuerySyntaxError extends Error {
+  /** The query cannot be parsed; `position` is the character offset of the problem. */
+  constructor(message, position = 0) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+function isSpace(ch) {
+  return ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r';
+}
+
+function closeTo(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  while (i < a.length && a[i] === b[i]) i += 1;
+  if (a.slice(i + 1) === b.slice(i + 1)) return true; // substitution
+  if (a.slice(i + 1) === b.slice(i)) return true; // extra letter
+  if (a.slice(i) === b.slice(i + 1)) return true; // missing letter
+  return a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2); // swapped
+}
+
+function readQuoted(text, start) {
+  const end = text.indexOf('"', start + 1);
+  if (end < 0) throw new QuerySyntaxError('Missing closing quote (").', start);
+  return { value: text.slice(start + 1, end), end: end + 1 };
+}
+
+// Splits a query into tokens: ( ) OR and items { field, value, quoted, negated, start, end }
+function lex(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (isSpace(ch)) {
+      i += 1;
+      continue;
+    }
+    const start = i;
+    let negated = false;
+    if (ch === '-' && i + 1 < text.length && !isSpace(text[i + 1]) && text[i + 1] !== ')') {
+      negated = true;
+      i += 1;
+    }
+    if (text[i] === '(') {
+      tokens.push({ kind: 'lparen', negated, start, end: i + 1 });
+      i += 1;
+      continue;
+    }
+    if (text[i] === ')') {
+      tokens.push({ kind: 'rparen', start, end: i + 1 });
+      i += 1;
+      continue;
+    }
+    if (text[i] === '"') {
+      const q = readQuoted(text, i);
+      tokens.push({ kind: 'item', field: null, value: q.value, quoted: true, negated, start, end: q.end });
+      i = q.end;
+      continue;
+    }
+    let j = i;
+    while (j < text.length && !isSpace(text[j]) && text[j] !== '(' && text[j] !== ')' && text[j] !== '"') j += 1;
+    const raw = text.slice(i, j);
+    const m = /^([a-z]+):(.*)$/i.exec(raw);
+    const name = m ? m[1].toLowerCase() : '';
+    if (m && FIELDS[name]) {
+      let value = m[2];
+      let quoted = false;
+      if (!value && text[j] === '"') {
+        const q = readQuoted(text, j);
+        value = q.value;
+        quoted = true;
+        j = q.end;
+      }
+      tokens.push({ kind: 'item', field: FIELDS[name], value, quoted, negated, start, end: j });
+    } else if (m && !m[2].startsWith('//')) {
+      const guess = name.length >= 3 ? FIELD_NAMES.find((f) => closeTo(name, f)) : null;
+      if (guess) throw new QuerySyntaxError(`Unknown filter "${m[1]}:". Did you mean "${guess}:"?`, start);
+      tokens.push({ kind: 'item', field: null, value: raw, quoted: false, negated, start, end: j });
+    } else if (raw === 'OR' && !negated) {
+      tokens.push({ kind: 'or', start, end: j });
+    } else {
+      tokens.push({ kind: 'item', field: null, value: raw, quoted: false, negated, start, end: j });
+    }
+    i = j;
+  }
+  return tokens;
+}
+
+function parseDatePeriod(value) {
+  const m = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+  if (!m) return null;
+  const year = Number(m[1]);
+  const month = m[2] ? Number(m[2]) - 1 : 0;
+  const day = m[3] ? Number(m[3]) : 1;
+  const from = new Date(year, month, day);
+  if (from.getMonth() !== month || from.getDate() !== day) return null;
+  let to;
+  if (m[3]) to = new Date(year, month, day + 1);
+  else if (m[2]) to = new Date(year, month + 1, 1);
+  else to = new Date(year + 1, 0, 1);
+  return { from: from.getTime(), to: to.getTime() };
+}
+
+function dateNode(field, op, value, token) {
+  const period = parseDatePeriod(value);
+  if (!period) throw new QuerySyntaxError(`Invalid date "${value}". ${DATE_EXAMPLE}`, token.start);
+  return { type: 'date', field, op, value, ...period };
+}
+
+function itemNode(token) {
+  const { field, value } = token;
+  if (!field) return token.quoted ? { type: 'phrase', value } : { type: 'text', value };
+  const label = Object.keys(FIELDS).find((k) => FIELDS[k] === field);
+  if (!value.trim()) {
+    throw new QuerySyntaxError(`"${label}:" needs a value, e.g. ${VALUE_EXAMPLES[label] || `${label}:work`}.`, token.start);
+  }
+  switch (field) {
+    case 'tag':
+    case 'notebook':
+      return { type: field, value: value.trim() };
+    case 'has': {
+      const kind = HAS_VALUES[value.toLowerCase()];
+      if (!kind) throw new QuerySyntaxError(`"has:${value}" is not supported. Use has:audio, has:image, has:sketch or has:tags.`, token.start);
+      return { type: 'has', value: kind };
+    }
+    case 'is': {
+      const flag = IS_VALUES[value.toLowerCase()];
+      if (!flag) throw new QuerySyntaxError(`"is:${value}" is not supported. Use is:pinned or is:favorite.`, token.start);
+      return { type: 'is', value: flag };
+    }
+    case 'before':
+    case 'after':
+      if (/^[<>=]/.test(value)) {
+        throw new QuerySyntaxError(`"${field}:" takes a plain date, e.g. ${field}:2026-01-01.`, token.start);
+      }
+      return dateNode('updated', field === 'before' ? '<' : '>', value, token);
+    default: {
+      const m = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+      if (!m[2]) throw new QuerySyntaxError(`"${field}:${value}" needs a date. ${DATE_EXAMPLE}`, token.start);
+      return dateNode(field, m[1] || '=', m[2], token);
+    }
+  }
+}
+
+function combine(type, children) {
+  return children.length === 1 ? children[0] : { type, children };
+}
+
+// PUBLIC_INTERFACE
+export function parseQuery(text) {
+  /** Parses a query into its AST; null for an empty query. Throws QuerySyntaxError. */
+  const source = String(text || '');
+  const tokens = lex(source);
+  if (tokens.length === 0) return null;
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  const orNeedsTerms = (token) => new QuerySyntaxError('OR needs a search term on both sides.', token.start);
+
+  function parseAnd() {
+    const children = [];
+    while (pos < tokens.length && peek().kind !== 'rparen' && peek().kind !== 'or') {
+      children.push(parseUnary());
+    }
+    return children;
+  }
+
+  function parseOr() {
+    const first = parseAnd();
+    if (first.length === 0 && peek() && peek().kind === 'or') throw orNeedsTerms(peek());
+    const branches = [combine('and', first)];
+    while (peek() && peek().kind === 'or') {
+      const or = tokens[pos++];
+      const next = parseAnd();
+      if (next.length === 0) throw orNeedsTerms(or);
+      branches.push(combine('and', next));
+    }
+    return combine('or', branches);
+  }
+
+  function parseUnary() {
+    const token = tokens[pos++];
+    let node;
+    if (token.kind === 'lparen') {
+      if (peek() && peek().kind === 'rparen') throw new QuerySyntaxError('Empty parentheses.', token.start);
+      node = parseOr();
+      if (!peek() || peek().kind !== 'rparen') throw new QuerySyntaxError('Missing closing parenthesis ")".', token.start);
+      pos += 1;
+    } else {
+      node = itemNode(token);
+    }
+    return token.negated ? { type: 'not', child: node } : node;
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) throw new QuerySyntaxError('Unexpected ")".', peek().start);
+  return ast;
+}
+
+// Plain-text terms of a note, cached per note object
+const termCache = new WeakMap();
+function noteTerms(note) {
+  let cached = termCache.get(note);
+  if (!cached) {
+    cached = {
+      title: tokenize(note.title || '').map((t) => t.term),
+      content: tokenize(stripMarkdown(note.content || '')).map((t) => t.term),
+      attachments: attachmentTexts(note).map((a) => tokenize(a.text).map((t) => t.term)),
+    };
+    termCache.set(note, cached);
+  }
+  return cached;
+}
+
+function containsSequence(terms, words) {
+  for (let i = 0; i + words.length <= terms.length; i++) {
+    if (words.every((w, k) => terms[i + k] === w)) return true;
+  }
+  return false;
+}
+
+function matchDate(node, note) {
+  const t = Date.parse(node.field === 'created' ? note.createdAt : note.updatedAt);
+  if (Number.isNaN(t)) return false;
+  switch (node.op) {
+    case '>':
+      return t >= node.to;
+    case '>=':
+      return t >= node.from;
+    case '<':
+      return t < node.from;
+    case '<=':
+      return t < node.to;
+    default:
+      return t >= node.from && t < node.to;
+  }
+}
+
+function matches(node, note, ctx) {
+  switch (node.type) {
+    case 'and':
+      return node.children.every((c) => matches(c, note, ctx));
+    case 'or':
+      return node.children.some((c) => matches(c, note, ctx));
+    case 'not':
+      return !matches(node.child, note, ctx);
+    case 'text':
+      return tokenize(node.value).every(({ term }) => ctx.hit(term, note.id));
+    case 'phrase': {
+      const words = tokenize(node.value).map((t) => t.term);
+      if (words.length === 0) return true;
+      const terms = noteTerms(note);
+      return (
+        containsSequence(terms.title, words) ||
+        containsSequence(terms.content, words) ||
+        terms.attachments.some((list) => containsSequence(list, words))
+      );
+    }
+    case 'tag':
+      return (Array.isArray(note.tags) ? note.tags : []).some((t) => tagMatches(t, node.value));
+    case 'notebook':
+      return ctx.notebookName(note.notebookId).toLowerCase() === node.value.toLowerCase();
+    case 'has': {
+      if (node.value === 'sketch') return !!note.drawing;
+      const list = note[node.value === 'image' ? 'images' : node.value];
+      return Array.isArray(list) && list.length > 0;
+    }
+    case 'is':
+      return note[node.value] === true;
+    case 'date':
+      return matchDate(node, note);
+    default:
+      return false;
+  }
+}
+
+// words and phrases outside of "-" that can rank and highlight a note
+function positiveText(node, out = { words: [], phrases: [] }) {
+  if (node.type === 'and' || node.type === 'or') node.children.forEach((c) => positiveText(c, out));
+  else if (node.type === 'text') out.words.push(...tokenize(node.value).map((t) => t.term));
+  else if (node.type === 'phrase') out.phrases.push(...tokenize(node.value).map((t) => t.term));
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function runQuery(ast, notes, { index, notebooks = [] } = {}) {
+  /**
+   * Returns { hits: [{ id, score, terms }], ranked } for the notes matching `ast`.
+   * Words are looked up in `index` (a lib/search index, synced here); when the query has
+   * words to rank by, `ranked` is true and hits come best first, otherwise in list order.
+   */
+  const list = Array.isArray(notes) ? notes : [];
+  if (!ast) return { hits: list.map((n) => ({ id: n.id, score: 0, terms: [] })), ranked: false };
+  index.sync(list);
+  const lookups = new Map(); // word -> Map(id -> { score, terms })
+  const lookup = (word) => {
+    if (!lookups.has(word)) lookups.set(word, new Map(index.search(word).map((h) => [h.id, h])));
+    return lookups.get(word);
+  };
+  const names = new Map(notebooks.map((nb) => [nb.id, nb.name || '']));
+  const ctx = {
+    hit: (word, id) => lookup(word).has(id),
+    notebookName: (id) => names.get(id) || '',
+  };
+  const { words, phrases } = positiveText(ast);
+  const hits = [];
+  list.forEach((note, order) => {
+    if (!matches(ast, note, ctx)) return;
+    let score = 0;
+    const terms = new Set(phrases);
+    words.forEach((word) => {
+      const h = lookup(word).get(note.id);
+      if (!h) return;
+      score += h.score;
+      h.terms.forEach((t) => terms.add(t));
+    });
+    hits.push({ id: note.id, score, terms: [...terms], order });
+  });
+  const ranked = words.length > 0;
+  if (ranked) hits.sort((a, b) => b.score - a.score || a.order - b.order);
+  return { hits: hits.map(({ id, score, terms }) => ({ id, score, terms })), ranked };
+}
+
+// PUBLIC_INTERFACE
+export function formatFilter(field, value) {
+  /** Query text for a filter, quoting values with spaces: tag:work, notebook:"Side projects". */
+  const v = String(value);
+  return /[\s()"]/.test(v) || v === '' ? `${field}:"${v.replace(/"/g, '')}"` : `${field}:${v}`;
+}
+
+// PUBLIC_INTERFACE
+export function topLevelFilters(ast, type) {
+  /** Values of the `type` filters that every match must satisfy (top-level, not negated). */
+  if (!ast) return [];
+  const nodes = ast.type === 'and' ? ast.children : [ast];
+  return nodes.filter((n) => n.type === type).map((n) => n.value);
+}
+
+// top-level, non-negated filter tokens of a field; [] when the query does not lex
+function filterTokens(query, field) {
+  let tokens;
+  try {
+    tokens = lex(query);
+  } catch {
+    return [];
+  }
+  let depth = 0;
+  const found = [];
+  tokens.forEach((t, i) => {
+    if (t.kind === 'lparen') depth += 1;
+    else if (t.kind === 'rparen') depth -= 1;
+    else if (depth === 0 && t.kind === 'item' && t.field === field && !t.negated) {
+      const nextOr = tokens[i + 1] && tokens[i + 1].kind === 'or';
+      const prevOr = tokens[i - 1] && tokens[i - 1].kind === 'or';
+      if (!nextOr && !prevOr) found.push(t);
+    }
+  });
+  return found;
+}
+
+function removeSpans(query, spans) {
+  let out = query;
+  spans
+    .slice()
+    .sort((a, b) => b.start - a.start)
+    .forEach(({ start, end }) => {
+      out = out.slice(0, start) + out.slice(end);
+    });
+  return out.replace(/\s{2,}/g, ' ').trim();
+}
+
+// PUBLIC_INTERFACE
+export function toggleFilter(query, field, value) {
+  /** Removes field:value from the query's top level when present, otherwise appends it. */
+  const source = String(query || '');
+  const wanted = String(value).toLowerCase();
+  const present = filterTokens(source, FIELDS[field] || field).filter((t) => t.value.trim().toLowerCase() === wanted);
+  if (present.length) return removeSpans(source, present);
+  const trimmed = source.trimEnd();
+  return `${trimmed}${trimmed ? ' ' : ''}${formatFilter(field, value)}`;
+}
+
+// PUBLIC_INTERFACE
+export function removeFilters(query, field) {
+  /** Removes every top-level field: filter from the query. */
+  const source = String(query || '');
+  return removeSpans(source, filterTokens(source, FIELDS[field] || field));
+}
+
+// Top-level tag filters of a query: tag:x and -tag:x outside groups, and one "(tag:a OR tag:b)" group
+// for match-any; { include, exclude, any, spans } where spans are the token ranges they take up
+function tagFilterParts(query) {
+  const parts = { include: [], exclude: [], any: false, spans: [] };
+  let tokens;
+  try {
+    tokens = lex(query);
+  } catch {
+    return parts;
+  }
+  const isTag = (t) => t && t.kind === 'item' && t.field === 'tag' && t.value.trim() !== '';
+  const isOr = (t) => t && t.kind === 'or';
+  let depth = 0;
+  for (let i = 0; i < tokens.length; i += 1) {
+    const t = tokens[i];
+    const alone = !isOr(tokens[i - 1]);
+    if (t.kind === 'lparen' && depth === 0 && !t.negated && !parts.any && alone) {
+      // (tag:a OR tag:b ...) with nothing else inside
+      let j = i + 1;
+      const values = [];
+      while (isTag(tokens[j]) && !tokens[j].negated) {
+        values.push(tokens[j].value.trim());
+        if (!isOr(tokens[j + 1])) {
+          j += 1;
+          break;
+        }
+        j += 2;
+      }
+      if (values.length > 0 && tokens[j]?.kind === 'rparen' && !isOr(tokens[j + 1])) {
+        parts.include.push(...values);
+        parts.any = true;
+        parts.spans.push({ start: t.start, end: tokens[j].end });
+        i = j;
+        continue;
+      }
+    }
+    if (t.kind === 'lparen') depth += 1;
+    else if (t.kind === 'rparen') depth -= 1;
+    else if (depth === 0 && isTag(t) && alone && !isOr(tokens[i + 1])) {
+      (t.negated ? parts.exclude : parts.include).push(t.value.trim());
+      parts.spans.push(t);
+    }
+  }
+  return parts;
+}
+
+// PUBLIC_INTERFACE
+export function tagFilters(query) {
+  /**
+   * The tag filters of a query as { include, exclude, mode }: tags notes must (or must not) carry, and
+   * 'any' when the included tags are an OR group, 'all' when there are several separate ones, else null.
+   */
+  const { include, exclude, any } = tagFilterParts(String(query || ''));
+  return { include, exclude, mode: any ? 'any' : include.length > 1 ? 'all' : null };
+}
+
+// PUBLIC_INTERFACE
+export function setTagFilters(query, { include = [], exclude = [], mode = 'all' } = {}) {
+  /**
+   * Replaces the query's tag filters (see tagFilters): included tags as tag:a tag:b, or (tag:a OR tag:b)
+   * in 'any' mode, then excluded ones as -tag:c. Other terms stay as they are.
+   */
+  const source = String(query || '');
+  const rest = removeSpans(source, tagFilterParts(source).spans);
+  const included = include.map((tag) => formatFilter('tag', tag));
+  const filters = [
+    mode === 'any' && included.length > 1 ? `(${included.join(' OR ')})` : included.join(' '),
+    ...exclude.map((tag) => `-${formatFilter('tag', tag)}`),
+  ].filter(Boolean);
+  return [rest, ...filters].filter(Boolean).join(' ');
+}
+
+// PUBLIC_INTERFACE
+export function cycleTagFilter(query, tag, mode = 'all') {
+  /**
+   * Steps a tag through no filter → included → excluded → no filter, keeping the other tag filters;
+   * included tags are then written for `mode` ('all' or 'any').
+   */
+  const current = tagFilters(query);
+  const wanted = String(tag).toLowerCase();
+  const same = (t) => t.toLowerCase() === wanted;
+  const next = {
+    include: current.include.filter((t) => !same(t)),
+    exclude: current.exclude.filter((t) => !same(t)),
+    mode,
+  };
+  if (current.include.some(same)) next.exclude.push(tag);
+  else if (!current.exclude.some(same)) next.include.push(tag);
+  return setTagFilters(query, next);
+}
+
+const FIELD_HINTS = {
+  tag: 'notes with a tag',
+  notebook: 'notes in a notebook',
+  has: 'audio, image, sketch or tags',
+  is: 'pinned or favorite notes',
+  created: 'created date, e.g. created:>=2026-01-01',
+  updated: 'updated date, e.g. updated:<2026-02',
+  before: 'updated before a date',
+  after: 'updated after a date',
+};
+
+// PUBLIC_INTERFACE
+export function querySuggestions(query, cursor, { tags = [], notebooks = [] } = {}, limit = 8) {
+  /**
+   * Autocomplete for the word at `cursor`: filter names, tag names (tag:), notebook names
+   * (notebook:), has: and is: values. Returns { from, to, items: [{ label, detail, text }] } where
+   * `text` replaces query.slice(from, to), or null when there is nothing to suggest.
+   */
+  const source = String(query || '');
+  const at = Math.max(0, Math.min(cursor == null ? source.length : cursor, source.length));
+  let start = 0;
+  let inQuote = false;
+  for (let i = 0; i < at; i++) {
+    const ch = source[i];
+    if (ch === '"') inQuote = !inQuote;
+    else if (!inQuote && (isSpace(ch) || ch === '(' || ch === ')')) start = i + 1;
+  }
+  let end = at;
+  while (end < source.length && !isSpace(source[end]) && source[end] !== ')') end += 1;
+  let word = source.slice(start, at);
+  let prefix = '';
+  if (word.startsWith('-')) {
+    prefix = '-';
+    word = word.slice(1);
+  }
+
+  const m = /^([a-z]+):"?(.*)$/i.exec(word);
+  if (m && FIELDS[m[1].toLowerCase()]) {
+    const field = FIELDS[m[1].toLowerCase()];
+    const partial = m[2].toLowerCase();
+    let candidates = [];
+    if (field === 'tag') candidates = tags;
+    else if (field === 'notebook') candidates = notebooks.map((nb) => nb.name).filter(Boolean);
+    else if (field === 'has') candidates = ['audio', 'image', 'sketch', 'tags'];
+    else if (field === 'is') candidates = ['pinned', 'favorite'];
+    const starts = candidates.filter((c) => c.toLowerCase().startsWith(partial));
+    const inside = candidates.filter((c) => !c.toLowerCase().startsWith(partial) && c.toLowerCase().includes(partial));
+    const items = [...new Set([...starts, ...inside])]
+      .filter((c) => c.toLowerCase() !== partial || m[2].startsWith('"'))
+      .slice(0, limit)
+      .map((c) => ({ label: c, detail: `${field}:`, text: `${prefix}${formatFilter(field, c)} ` }));
+    return items.length ? { from: start, to: end, items } : null;
+  }
+  if (!/^[a-z]+$/i.test(word)) return null;
+  const lower = word.toLowerCase();
+  const items = FIELD_NAMES.filter((f) => f.startsWith(lower) && f !== lower)
+    .slice(0, limit)
+    .map((f) => ({ label: `${f}:`, detail: FIELD_HINTS[f], text: `${prefix}${f}:` }));
+  return items.length ? { from: start, to: end, items } : null;
+}
@@ -0,0 +1,174 @@
+import {
+  parseQuery,
+  runQuery,
+  QuerySyntaxError,
+  toggleFilter,
+  removeFilters,
+  topLevelFilters,
+  querySuggestions,
+  tagFilters,
+  setTagFilters,
+  cycleTagFilter,
+} from './query';
+import { createSearchIndex } from './search';
+
+const notes = [
+  {
+    id: 'a',
+    notebookId: 'nb1',
+    title: 'Budget meeting',
+    content: 'Quarterly **numbers** and the exact phrase here',
+    tags: ['work'],
+    pinned: true,
+    audio: [{ id: 'x' }],
+    images: [],
+    createdAt: '2025-12-20T10:00:00.000Z',
+    updatedAt: '2026-01-05T10:00:00.000Z',
+  },
+  {
+    id: 'b',
+    notebookId: 'nb1',
+    title: 'Groceries',
+    content: 'milk, budget eggs',
+    tags: ['home', 'Done'],
+    images: [{ id: 'i', text: 'Shopping list from the fridge' }],
+    createdAt: '2025-11-01T10:00:00.000Z',
+    updatedAt: '2025-11-02T10:00:00.000Z',
+  },
+  {
+    id: 'c',
+    notebookId: 'nb2',
+    title: 'Sketchbook',
+    content: 'phrase exact',
+    tags: ['work', 'done'],
+    drawing: 'data:image/png;base64,x',
+    favorite: true,
+    createdAt: '2026-02-01T10:00:00.000Z',
+    updatedAt: '2026-02-01T10:00:00.000Z',
+  },
+];
+const notebooks = [{ id: 'nb1', name: 'Personal' }, { id: 'nb2', name: 'Side projects' }];
+
+const ids = (query) => runQuery(parseQuery(query), notes, { index: createSearchIndex(), notebooks }).hits.map((h) => h.id);
+
+test('parses terms, filters, negation, OR and groups', () => {
+  expect(parseQuery('')).toBeNull();
+  expect(parseQuery('tag:work -tag:done "exact phrase"')).toEqual({
+    type: 'and',
+    children: [
+      { type: 'tag', value: 'work' },
+      { type: 'not', child: { type: 'tag', value: 'done' } },
+      { type: 'phrase', value: 'exact phrase' },
+    ],
+  });
+  expect(parseQuery('a b OR c')).toEqual({
+    type: 'or',
+    children: [
+      { type: 'and', children: [{ type: 'text', value: 'a' }, { type: 'text', value: 'b' }] },
+      { type: 'text', value: 'c' },
+    ],
+  });
+  expect(parseQuery('-(has:voice OR notebook:"Side projects")')).toEqual({
+    type: 'not',
+    child: {
+      type: 'or',
+      children: [{ type: 'has', value: 'audio' }, { type: 'notebook', value: 'Side projects' }],
+    },
+  });
+  expect(parseQuery('updated:>2026-01-01')).toMatchObject({ type: 'date', field: 'updated', op: '>', value: '2026-01-01' });
+  expect(parseQuery('before:2026-01')).toMatchObject({ type: 'date', field: 'updated', op: '<' });
+  expect(parseQuery('see https://x.test/a:b re:')).toMatchObject({ type: 'and' });
+});
+
+test('reports syntax errors with positions', () => {
+  const error = (q) => {
+    try {
+      parseQuery(q);
+    } catch (e) {
+      expect(e).toBeInstanceOf(QuerySyntaxError);
+      return [e.message, e.position];
+    }
+    return null;
+  };
+  expect(error('a "open')).toEqual(['Missing closing quote (").', 2]);
+  expect(error('(a OR b')).toEqual(['Missing closing parenthesis ")".', 0]);
+  expect(error('a)')).toEqual(['Unexpected ")".', 1]);
+  expect(error('a OR')[0]).toBe('OR needs a search term on both sides.');
+  expect(error('OR a')[0]).toBe('OR needs a search term on both sides.');
+  expect(error('has:video')[0]).toMatch(/has:audio, has:image, has:sketch or has:tags/);
+  expect(error('updated:>2026-13-01')[0]).toBe('Invalid date "2026-13-01". Use YYYY-MM-DD, e.g. updated:>2026-01-01');
+  expect(error('tga:work')[0]).toBe('Unknown filter "tga:". Did you mean "tag:"?');
+  expect(error('tag:')[0]).toBe('"tag:" needs a value, e.g. tag:work.');
+  expect(error('is:archived')[0]).toBe('"is:archived" is not supported. Use is:pinned or is:favorite.');
+  expect(error('()')[0]).toBe('Empty parentheses.');
+});
+
+test('runs queries against notes', () => {
+  expect(ids('tag:work -tag:done')).toEqual(['a']);
+  expect(ids('has:audio OR has:sketch')).toEqual(['a', 'c']);
+  expect(ids('has:image')).toEqual(['b']);
+  expect(ids('"exact phrase"')).toEqual(['a']);
+  expect(ids('"list from the fridge"')).toEqual(['b']);
+  expect(ids('notebook:"side projects"')).toEqual(['c']);
+  expect(ids('updated:>2026-01-01')).toEqual(['a', 'c']);
+  expect(ids('created:2025-12')).toEqual(['a']);
+  expect(ids('before:2026-01-01')).toEqual(['b']);
+  expect(ids('budget -tag:home')).toEqual(['a']);
+  expect(ids('is:pinned OR is:starred')).toEqual(['a', 'c']);
+  expect(ids('-is:favorite')).toEqual(['a', 'b']);
+  expect(ids('')).toEqual(['a', 'b', 'c']);
+  const nested = [{ id: 'x', tags: ['Work/Clients/Acme'] }, { id: 'y', tags: ['workshop'] }];
+  const nestedIds = (q) => runQuery(parseQuery(q), nested, { index: createSearchIndex() }).hits.map((h) => h.id);
+  expect(nestedIds('tag:work')).toEqual(['x']);
+  expect(nestedIds('tag:work/clients')).toEqual(['x']);
+  expect(nestedIds('-tag:work')).toEqual(['y']);
+});
+
+test('ranks word matches and returns highlight terms', () => {
+  const result = runQuery(parseQuery('budget'), notes, { index: createSearchIndex(), notebooks });
+  expect(result.ranked).toBe(true);
+  expect(result.hits.map((h) => h.id)).toEqual(['a', 'b']);
+  expect(result.hits[0].terms).toEqual(['budget']);
+  expect(runQuery(parseQuery('tag:work'), notes, { index: createSearchIndex() }).ranked).toBe(false);
+});
+
+test('toggles and removes top-level filters in the query text', () => {
+  expect(toggleFilter('budget', 'tag', 'work')).toBe('budget tag:work');
+  expect(toggleFilter('budget tag:Work', 'tag', 'work')).toBe('budget');
+  expect(toggleFilter('', 'tag', 'to do')).toBe('tag:"to do"');
+  expect(toggleFilter('-tag:work', 'tag', 'work')).toBe('-tag:work tag:work');
+  expect(removeFilters('tag:a budget tag:"b c" (tag:d OR x)', 'tag')).toBe('budget (tag:d OR x)');
+  expect(topLevelFilters(parseQuery('tag:a -tag:b x'), 'tag')).toEqual(['a']);
+  expect(topLevelFilters(parseQuery('tag:a'), 'tag')).toEqual(['a']);
+});
+
+test('reads and writes included, excluded and match-any tag filters', () => {
+  expect(tagFilters('budget tag:a -tag:b')).toEqual({ include: ['a'], exclude: ['b'], mode: null });
+  expect(tagFilters('tag:a tag:b')).toEqual({ include: ['a', 'b'], exclude: [], mode: 'all' });
+  expect(tagFilters('x (tag:a OR tag:"b c") -tag:d')).toEqual({ include: ['a', 'b c'], exclude: ['d'], mode: 'any' });
+  expect(tagFilters('(tag:a OR x) tag:a OR tag:b')).toEqual({ include: [], exclude: [], mode: null });
+  expect(tagFilters('tag:"open')).toEqual({ include: [], exclude: [], mode: null });
+  expect(setTagFilters('budget tag:a -tag:b', { include: ['a', 'c'], exclude: ['b'], mode: 'any' })).toBe('budget (tag:a OR tag:c) -tag:b');
+  expect(setTagFilters('budget (tag:a OR tag:c) -tag:b', { include: ['a', 'c'], exclude: [], mode: 'all' })).toBe('budget tag:a tag:c');
+  expect(setTagFilters('tag:a', {})).toBe('');
+  expect(cycleTagFilter('budget', 'work')).toBe('budget tag:work');
+  expect(cycleTagFilter('budget tag:Work', 'work')).toBe('budget -tag:work');
+  expect(cycleTagFilter('budget -tag:work', 'work')).toBe('budget');
+  expect(cycleTagFilter('tag:a', 'b', 'any')).toBe('(tag:a OR tag:b)');
+  expect(cycleTagFilter('(tag:a OR tag:b)', 'b', 'any')).toBe('tag:a -tag:b');
+});
+
+test('suggests filters, tags, notebooks and has: values', () => {
+  const options = { tags: ['work', 'weekend', 'home'], notebooks };
+  expect(querySuggestions('budget ta', 9, options)).toEqual({
+    from: 7,
+    to: 9,
+    items: [{ label: 'tag:', detail: 'notes with a tag', text: 'tag:' }],
+  });
+  expect(querySuggestions('-tag:w', 6, options).items.map((i) => i.text)).toEqual(['-tag:work ', '-tag:weekend ']);
+  expect(querySuggestions('notebook:si', 11, options).items[0].text).toBe('notebook:"Side projects" ');
+  expect(querySuggestions('has:', 4, options).items.map((i) => i.label)).toEqual(['audio', 'image', 'sketch', 'tags']);
+  expect(querySuggestions('is:f', 4, options).items.map((i) => i.text)).toEqual(['is:favorite ']);
+  expect(querySuggestions('tag:work', 8, options)).toBeNull();
+  expect(querySuggestions('budget ', 7, options)).toBeNull();
+});
@@ -0,0 +1,190 @@
+import { cryptoRandomId } from './storage';
+import { getLocalStore } from './stores';
+
+/**
+ * revisions
+ * Saved versions of notes, recorded locally on every save.
+ * A revision keeps title, content and tags plus references (id, name, type) to the
+ * attachments the note had; attachment binaries are not copied, so restoring brings
+ * back only attachments the note still has.
+ *
+ * Revision shape:
+ * { id, noteId, title, content, tags, images: [{ id, name, type }], audio: [{ id, name, type }],
+ *   drawing: boolean, savedAt }
+ *
+ * Retention is configurable and stored under `notes_app_revision_policy_v1`:
+ * { maxPerNote, maxAgeDays } where 0 means unlimited. The newest revision is always kept.
+ */
+
+export const STORAGE_KEY_REVISION_POLICY = 'notes_app_revision_policy_v1';
+export const DEFAULT_REVISION_POLICY = { maxPerNote: 50, maxAgeDays: 90 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function refs(list) {
+  return (Array.isArray(list) ? list : []).map((a) => ({ id: String(a.id), name: a.name || '', type: a.type || '' }));
+}
+
+function toCount(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+// PUBLIC_INTERFACE
+export function readRevisionPolicy() {
+  /** Returns the persisted retention policy, falling back to the defaults. */
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY_REVISION_POLICY) || 'null') || {};
+    return {
+      maxPerNote: toCount(parsed.maxPerNote, DEFAULT_REVISION_POLICY.maxPerNote),
+      maxAgeDays: toCount(parsed.maxAgeDays, DEFAULT_REVISION_POLICY.maxAgeDays),
+    };
+  } catch {
+    return { ...DEFAULT_REVISION_POLICY };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function writeRevisionPolicy(policy) {
+  /** Persists a retention policy and returns the normalized value. */
+  const next = {
+    maxPerNote: toCount(policy?.maxPerNote, DEFAULT_REVISION_POLICY.maxPerNote),
+    maxAgeDays: toCount(policy?.maxAgeDays, DEFAULT_REVISION_POLICY.maxAgeDays),
+  };
+  try {
+    window.localStorage.setItem(STORAGE_KEY_REVISION_POLICY, JSON.stringify(next));
+  } catch {
+    // ignore
+  }
+  return next;
+}
+
+// PUBLIC_INTERFACE
+export function makeRevision(note) {
+  /** Builds a revision record from a saved note. */
+  return {
+    id: cryptoRandomId(),
+    noteId: String(note.id),
+    title: note.title || '',
+    content: note.content || '',
+    tags: Array.isArray(note.tags) ? [...note.tags] : [],
+    images: refs(note.images),
+    audio: refs(note.audio),
+    drawing: !!note.drawing,
+    savedAt: note.updatedAt || new Date().toISOString(),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function sameRevision(a, b) {
+  /** True when two revisions (or a revision and a note) hold the same text, tags and attachments. */
+  if (!a || !b) return false;
+  const ids = (list) => refs(list).map((x) => x.id).join('|');
+  return (
+    (a.title || '') === (b.title || '') &&
+    (a.content || '') === (b.content || '') &&
+    (a.tags || []).join('\u0000') === (b.tags || []).join('\u0000') &&
+    ids(a.images) === ids(b.images) &&
+    ids(a.audio) === ids(b.audio) &&
+    !!a.drawing === !!b.drawing
+  );
+}
+
+// PUBLIC_INTERFACE
+export function revisionsToPrune(revisions, policy, now = Date.now()) {
+  /**
+   * Returns the ids of revisions the policy drops. revisions must belong to one note
+   * and be sorted newest first; the newest one is always kept.
+   */
+  const { maxPerNote, maxAgeDays } = policy || DEFAULT_REVISION_POLICY;
+  return revisions
+    .filter((rev, index) => {
+      if (index === 0) return false;
+      if (maxPerNote > 0 && index >= maxPerNote) return true;
+      if (maxAgeDays > 0 && now - new Date(rev.savedAt).getTime() > maxAgeDays * DAY_MS) return true;
+      return false;
+    })
+    .map((rev) => rev.id);
+}
+
+// PUBLIC_INTERFACE
+export async function listRevisions(noteId) {
+  /** Returns the revisions of a note, newest first. */
+  const store = await getLocalStore();
+  return store.listRevisions(noteId);
+}
+
+// PUBLIC_INTERFACE
+export async function recordRevision(note) {
+  /**
+   * Records a revision for a saved note unless it matches the latest one, then applies
+   * the retention policy. Best effort: failures are swallowed so saving never breaks.
+   */
+  try {
+    const store = await getLocalStore();
+    const existing = await store.listRevisions(note.id);
+    if (sameRevision(existing[0], note)) return null;
+    const revision = makeRevision(note);
+    // keep "newest first" unambiguous when two saves land in the same millisecond
+    const latest = existing[0] ? new Date(existing[0].savedAt).getTime() : 0;
+    if (new Date(revision.savedAt).getTime() <= latest) revision.savedAt = new Date(latest + 1).toISOString();
+    await store.addRevision(revision);
+    const stale = revisionsToPrune([revision, ...existing], readRevisionPolicy());
+    if (stale.length) await store.deleteRevisions(stale);
+    return revision;
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function applyRevisionPolicy(policy) {
+  /** Saves a new retention policy and prunes every note's history with it. Resolves to the number removed. */
+  const next = writeRevisionPolicy(policy);
+  const store = await getLocalStore();
+  const byNote = new Map();
+  (await store.listRevisions()).forEach((rev) => {
+    if (!byNote.has(rev.noteId)) byNote.set(rev.noteId, []);
+    byNote.get(rev.noteId).push(rev);
+  });
+  const stale = [...byNote.values()].flatMap((list) => revisionsToPrune(list, next));
+  if (stale.length) await store.deleteRevisions(stale);
+  return stale.length;
+}
+
+// PUBLIC_INTERFACE
+export async function reassignRevisions(fromId, toId) {
+  /** Moves the history of a note to a new id (after the backend assigned one). */
+  const store = await getLocalStore();
+  const list = await store.listRevisions(fromId);
+  for (const rev of list) await store.addRevision({ ...rev, noteId: String(toId) });
+}
+
+// PUBLIC_INTERFACE
+export function restorePayload(revision, current) {
+  /**
+   * Builds the note payload that restores a revision on top of the current note.
+   * Attachments are kept only if the current note still has them; `missing` counts the rest.
+   */
+  const images = Array.isArray(current?.images) ? current.images : [];
+  const audio = Array.isArray(current?.audio) ? current.audio : [];
+  const pick = (list, wanted) => wanted.map((ref) => list.find((a) => String(a.id) === ref.id)).filter(Boolean);
+  const restoredImages = pick(images, revision.images || []);
+  const restoredAudio = pick(audio, revision.audio || []);
+  const drawing = revision.drawing ? current?.drawing || null : null;
+  const missing =
+    (revision.images || []).length - restoredImages.length +
+    (revision.audio || []).length - restoredAudio.length +
+    (revision.drawing && !drawing ? 1 : 0);
+  return {
+    payload: {
+      title: revision.title,
+      content: revision.content,
+      tags: [...(revision.tags || [])],
+      images: restoredImages,
+      audio: restoredAudio,
+      drawing,
+    },
+    missing,
+  };
+}
@@ -0,0 +1,101 @@
+import { createNote, updateNote, deleteNote } from './api';
+import { deleteNoteForever } from './trash';
+import {
+  DEFAULT_REVISION_POLICY,
+  readRevisionPolicy,
+  writeRevisionPolicy,
+  makeRevision,
+  sameRevision,
+  revisionsToPrune,
+  listRevisions,
+  applyRevisionPolicy,
+  restorePayload,
+} from './revisions';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+
+beforeEach(() => {
+  window.localStorage.clear();
+  delete process.env.REACT_APP_API_BASE;
+  delete process.env.REACT_APP_BACKEND_URL;
+});
+
+test('the retention policy is persisted and normalized', () => {
+  expect(readRevisionPolicy()).toEqual(DEFAULT_REVISION_POLICY);
+  expect(writeRevisionPolicy({ maxPerNote: '10', maxAgeDays: -1 })).toEqual({ maxPerNote: 10, maxAgeDays: 90 });
+  expect(readRevisionPolicy()).toEqual({ maxPerNote: 10, maxAgeDays: 90 });
+});
+
+test('revisions keep attachment references, not binaries', () => {
+  const rev = makeRevision({
+    id: 'n1',
+    title: 'T',
+    content: 'c',
+    tags: ['a'],
+    images: [{ id: 'i1', name: 'a.png', type: 'image/png', dataUrl: PNG }],
+    audio: [],
+    drawing: PNG,
+    updatedAt: '2026-02-01T00:00:00.000Z',
+  });
+  expect(rev).toMatchObject({
+    noteId: 'n1',
+    images: [{ id: 'i1', name: 'a.png', type: 'image/png' }],
+    drawing: true,
+    savedAt: '2026-02-01T00:00:00.000Z',
+  });
+  expect(JSON.stringify(rev)).not.toContain('base64');
+  expect(sameRevision(rev, { title: 'T', content: 'c', tags: ['a'], images: [{ id: 'i1' }], drawing: 'x' })).toBe(true);
+  expect(sameRevision(rev, { title: 'T', content: 'c', tags: ['a'], images: [], drawing: 'x' })).toBe(false);
+});
+
+test('revisionsToPrune applies count and age limits but keeps the newest', () => {
+  const now = new Date('2026-03-01T00:00:00.000Z').getTime();
+  const day = (d) => new Date(now - d * 86400000).toISOString();
+  const revs = [
+    { id: 'a', savedAt: day(200) },
+    { id: 'b', savedAt: day(1) },
+    { id: 'c', savedAt: day(2) },
+    { id: 'd', savedAt: day(100) },
+  ];
+  expect(revisionsToPrune(revs, { maxPerNote: 2, maxAgeDays: 0 }, now)).toEqual(['c', 'd']);
+  expect(revisionsToPrune(revs, { maxPerNote: 0, maxAgeDays: 30 }, now)).toEqual(['d']);
+  expect(revisionsToPrune(revs, { maxPerNote: 0, maxAgeDays: 0 }, now)).toEqual([]);
+});
+
+test('every save records a revision, skipping unchanged saves', async () => {
+  const note = await createNote({ title: 'Draft', content: 'one' });
+  await updateNote(note.id, { content: 'two' });
+  await updateNote(note.id, { content: 'two' });
+  const revisions = await listRevisions(note.id);
+  expect(revisions.map((r) => r.content)).toEqual(['two', 'one']);
+
+  await deleteNote(note.id);
+  expect(await listRevisions(note.id)).toHaveLength(2);
+  await deleteNoteForever(note.id);
+  expect(await listRevisions(note.id)).toEqual([]);
+});
+
+test('applyRevisionPolicy prunes existing history', async () => {
+  const note = await createNote({ title: 'Busy' });
+  for (const content of ['a', 'b', 'c']) {
+    await updateNote(note.id, { content });
+  }
+  expect(await listRevisions(note.id)).toHaveLength(4);
+  expect(await applyRevisionPolicy({ maxPerNote: 2, maxAgeDays: 0 })).toBe(2);
+  expect((await listRevisions(note.id)).map((r) => r.content)).toHaveLength(2);
+});
+
+test('restorePayload keeps only attachments the note still has', () => {
+  const revision = {
+    title: 'Old',
+    content: 'old text',
+    tags: ['x'],
+    images: [{ id: 'i1' }, { id: 'gone' }],
+    audio: [],
+    drawing: true,
+  };
+  const current = { images: [{ id: 'i1', dataUrl: PNG }, { id: 'i2', dataUrl: PNG }], audio: [], drawing: null };
+  const { payload, missing } = restorePayload(revision, current);
+  expect(payload).toEqual({ title: 'Old', content: 'old text', tags: ['x'], images: [current.images[0]], audio: [], drawing: null });
+  expect(missing).toBe(2);
+});
@@ -0,0 +1,301 @@
+/**
+ * search
+ * In-memory full-text index over note titles, content and text taken from attachments
+ * (image OCR and voice note transcripts, see lib/extract).
+ *
+ * Terms are lowercased words with accents folded ("Café" → "cafe"); content is indexed as the
+ * plain text of its Markdown. Every query word has to match a note, either exactly, as the
+ * prefix of a longer word ("meet" → "meeting") or within one or two typos ("meetnig").
+ * Matches are ranked with BM25, title hits weigh more than content hits, attachment text a
+ * little less than content, and exact matches more than prefix or fuzzy ones.
+ *
+ * The index is kept up to date incrementally: sync(notes) only re-indexes notes whose title,
+ * content or attachment text changed and drops notes that are gone.
+ */
+import { stripMarkdown } from './markdown';
+
+const WORD = /[\p{L}\p{N}]+/gu;
+const FIELD_BOOST = { title: 3, content: 1, attachments: 0.8 };
+const MATCH_WEIGHT = { exact: 1, prefix: 0.7, fuzzy: 0.45 };
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// PUBLIC_INTERFACE
+export function normalizeTerm(word) {
+  /** Lowercases a word and folds accents, e.g. "Café" → "cafe". */
+  return String(word || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// PUBLIC_INTERFACE
+export function tokenize(text) {
+  /** Splits text into words: [{ term, start, end }] with offsets into `text`. */
+  const tokens = [];
+  const source = String(text || '');
+  WORD.lastIndex = 0;
+  let m;
+  while ((m = WORD.exec(source))) {
+    tokens.push({ term: normalizeTerm(m[0]), start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+}
+
+function maxEdits(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+// PUBLIC_INTERFACE
+export function editDistance(a, b, limit) {
+  /** Levenshtein distance with adjacent transpositions; returns limit + 1 once it is exceeded. */
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      if (d < best) best = d;
+    }
+    if (best > limit) return limit + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// PUBLIC_INTERFACE
+export function attachmentTexts(note) {
+  /** Returns the non-empty text of a note's attachments: [{ kind: 'image' | 'audio', id, name, text }]. */
+  const pick = (kind) => (item) =>
+    item && typeof item.text === 'string' && item.text.trim()
+      ? { kind, id: item.id, name: item.name || '', text: item.text }
+      : null;
+  return [
+    ...(Array.isArray(note?.images) ? note.images.map(pick('image')) : []),
+    ...(Array.isArray(note?.audio) ? note.audio.map(pick('audio')) : []),
+  ].filter(Boolean);
+}
+
+function attachmentsText(note) {
+  return attachmentTexts(note)
+    .map((a) => a.text)
+    .join('\n');
+}
+
+function countTerms(text) {
+  const counts = new Map();
+  const tokens = tokenize(text);
+  tokens.forEach(({ term }) => counts.set(term, (counts.get(term) || 0) + 1));
+  return { counts, length: tokens.length };
+}
+
+// PUBLIC_INTERFACE
+export function createSearchIndex() {
+  /**
+   * Returns an index with add(note), remove(id), sync(notes), search(query) and size().
+   * search() returns [{ id, score, terms }] best first, where `terms` are the indexed words
+   * that matched (for highlighting).
+   */
+  // id -> { title, content, attachments, fields: { title|content|attachments: { counts, length } } }
+  const docs = new Map();
+  // term -> Set of ids
+  const postings = new Map();
+  const totals = { title: 0, content: 0, attachments: 0 };
+
+  const remove = (id) => {
+    const doc = docs.get(id);
+    if (!doc) return false;
+    Object.keys(FIELD_BOOST).forEach((field) => {
+      totals[field] -= doc.fields[field].length;
+      doc.fields[field].counts.forEach((_, term) => {
+        const ids = postings.get(term);
+        if (!ids) return;
+        ids.delete(id);
+        if (ids.size === 0) postings.delete(term);
+      });
+    });
+    docs.delete(id);
+    return true;
+  };
+
+  const add = (note) => {
+    if (!note || !note.id) return;
+    remove(note.id);
+    const title = note.title || '';
+    const content = note.content || '';
+    const attachments = attachmentsText(note);
+    const fields = {
+      title: countTerms(title),
+      content: countTerms(stripMarkdown(content)),
+      attachments: countTerms(attachments),
+    };
+    Object.keys(FIELD_BOOST).forEach((field) => {
+      totals[field] += fields[field].length;
+      fields[field].counts.forEach((_, term) => {
+        if (!postings.has(term)) postings.set(term, new Set());
+        postings.get(term).add(note.id);
+      });
+    });
+    docs.set(note.id, { title, content, attachments, fields });
+  };
+
+  // index terms a query word matches, with their match weight
+  const expand = (word) => {
+    const found = new Map();
+    if (postings.has(word)) found.set(word, MATCH_WEIGHT.exact);
+    const limit = maxEdits(word);
+    postings.forEach((_, term) => {
+      if (term === word) return;
+      if (term.startsWith(word)) {
+        // shorter completions are closer to what was typed
+        found.set(term, MATCH_WEIGHT.prefix * (0.5 + (0.5 * word.length) / term.length));
+      } else if (limit > 0) {
+        const d = editDistance(word, term, limit);
+        if (d <= limit) found.set(term, MATCH_WEIGHT.fuzzy / d);
+      }
+    });
+    return found;
+  };
+
+  const search = (query) => {
+    const words = [...new Set(tokenize(query).map((t) => t.term))];
+    if (words.length === 0 || docs.size === 0) return [];
+    const n = docs.size;
+    const avg = {
+      title: totals.title / n || 1,
+      content: totals.content / n || 1,
+      attachments: totals.attachments / n || 1,
+    };
+
+    let results = null; // id -> { score, terms }
+    for (const word of words) {
+      const matches = expand(word);
+      const scores = new Map();
+      matches.forEach((weight, term) => {
+        const ids = postings.get(term);
+        const idf = Math.log(1 + (n - ids.size + 0.5) / (ids.size + 0.5));
+        ids.forEach((id) => {
+          const doc = docs.get(id);
+          let score = 0;
+          Object.keys(FIELD_BOOST).forEach((field) => {
+            const tf = doc.fields[field].counts.get(term) || 0;
+            if (!tf) return;
+            const norm = 1 - B + (B * doc.fields[field].length) / avg[field];
+            score += FIELD_BOOST[field] * ((tf * (K1 + 1)) / (tf + K1 * norm));
+          });
+          const entry = scores.get(id) || { score: 0, terms: [] };
+          // the best matching variant of a word counts, other variants only highlight
+          entry.score = Math.max(entry.score, weight * idf * score);
+          entry.terms.push(term);
+          scores.set(id, entry);
+        });
+      });
+      if (results === null) {
+        results = scores;
+      } else {
+        const next = new Map();
+        results.forEach((entry, id) => {
+          const other = scores.get(id);
+          if (other) next.set(id, { score: entry.score + other.score, terms: [...entry.terms, ...other.terms] });
+        });
+        results = next;
+      }
+      if (results.size === 0) return [];
+    }
+
+    return [...results.entries()]
+      .map(([id, entry]) => ({ id, score: entry.score, terms: [...new Set(entry.terms)] }))
+      .sort((a, b) => b.score - a.score);
+  };
+
+  return {
+    add,
+    remove,
+
+    sync(notes) {
+      /** Re-indexes changed notes and drops missing ones; returns how many entries changed. */
+      let changed = 0;
+      const seen = new Set();
+      (notes || []).forEach((note) => {
+        if (!note || !note.id) return;
+        seen.add(note.id);
+        const doc = docs.get(note.id);
+        if (
+          doc &&
+          doc.title === (note.title || '') &&
+          doc.content === (note.content || '') &&
+          doc.attachments === attachmentsText(note)
+        ) {
+          return;
+        }
+        add(note);
+        changed += 1;
+      });
+      [...docs.keys()].forEach((id) => {
+        if (!seen.has(id)) {
+          remove(id);
+          changed += 1;
+        }
+      });
+      return changed;
+    },
+
+    search,
+
+    size() {
+      return docs.size;
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+export function highlight(text, terms) {
+  /** Splits text into [{ text, match }] segments, marking words whose term is in `terms`. */
+  const source = String(text || '');
+  const wanted = new Set(terms || []);
+  const segments = [];
+  let last = 0;
+  tokenize(source).forEach(({ term, start, end }) => {
+    if (!wanted.has(term)) return;
+    if (start > last) segments.push({ text: source.slice(last, start), match: false });
+    segments.push({ text: source.slice(start, end), match: true });
+    last = end;
+  });
+  if (last < source.length) segments.push({ text: source.slice(last), match: false });
+  return segments;
+}
+
+// PUBLIC_INTERFACE
+export function matchSnippet(text, terms, length = 140) {
+  /**
+   * Returns highlighted segments (see highlight) for about `length` characters of `text`
+   * around its first match, with "…" where text was cut. Without a match it is the start of the text.
+   */
+  const source = String(text || '');
+  const wanted = new Set(terms || []);
+  const first = tokenize(source).find((t) => wanted.has(t.term));
+  let start = 0;
+  if (first && first.end > length - 1) {
+    start = Math.max(0, first.start - Math.floor(length / 3));
+    // start at a word boundary
+    const space = source.lastIndexOf(' ', start);
+    if (space >= 0 && start - space < 20) start = space + 1;
+  }
+  let end = Math.min(source.length, start + length - (start > 0 ? 2 : 1));
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    if (space > start + length / 2) end = space;
+  }
+  const segments = highlight(source.slice(start, end), terms);
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < source.length) segments.push({ text: '…', match: false });
+  return segments;
+}
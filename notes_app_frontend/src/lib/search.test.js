@@ -0,0 +1,77 @@
+import { createSearchIndex, tokenize, highlight, matchSnippet, attachmentTexts } from './search';
+
+const note = (id, title, content = '') => ({ id, title, content });
+
+test('tokenize lowercases, folds accents and keeps offsets', () => {
+  expect(tokenize('Café, déjà-vu 42')).toEqual([
+    { term: 'cafe', start: 0, end: 4 },
+    { term: 'deja', start: 6, end: 10 },
+    { term: 'vu', start: 11, end: 13 },
+    { term: '42', start: 14, end: 16 },
+  ]);
+});
+
+test('ranks title matches above content matches', () => {
+  const index = createSearchIndex();
+  index.sync([
+    note('a', 'Groceries', 'remember the budget meeting'),
+    note('b', 'Budget meeting', 'quarterly numbers'),
+    note('c', 'Holiday', 'beach'),
+  ]);
+  expect(index.search('budget').map((r) => r.id)).toEqual(['b', 'a']);
+  expect(index.search('budget beach')).toEqual([]);
+});
+
+test('matches prefixes and typos and reports the matched terms', () => {
+  const index = createSearchIndex();
+  index.sync([note('a', 'Meeting notes', '**Agenda**: roadmap'), note('b', 'Meet Bob', '')]);
+  expect(index.search('meet').map((r) => r.id)).toEqual(['b', 'a']);
+  expect(index.search('meetnig')).toEqual([expect.objectContaining({ id: 'a', terms: ['meeting'] })]);
+  expect(index.search('agneda roadm')[0]).toMatchObject({ id: 'a', terms: ['agenda', 'roadmap'] });
+  expect(index.search('xyz')).toEqual([]);
+  expect(index.search('  ')).toEqual([]);
+});
+
+test('sync re-indexes only changed notes and drops removed ones', () => {
+  const index = createSearchIndex();
+  const a = note('a', 'Alpha', 'first');
+  expect(index.sync([a, note('b', 'Beta', 'second')])).toBe(2);
+  expect(index.sync([a, note('b', 'Beta', 'second')])).toBe(0);
+  expect(index.sync([a, note('b', 'Beta', 'changed')])).toBe(1);
+  expect(index.search('second')).toEqual([]);
+  expect(index.sync([a])).toBe(1);
+  expect(index.size()).toBe(1);
+  expect(index.search('beta')).toEqual([]);
+  index.remove('a');
+  expect(index.search('alpha')).toEqual([]);
+});
+
+test('indexes text taken from attachments below content', () => {
+  const withScan = {
+    ...note('a', 'Receipt', ''),
+    images: [{ id: 'i', name: 'scan.png', text: 'Total invoice 42' }, { id: 'j', name: 'blank.png', text: ' ' }],
+    audio: [{ id: 'v', name: 'Voice note' }],
+  };
+  expect(attachmentTexts(withScan)).toEqual([{ kind: 'image', id: 'i', name: 'scan.png', text: 'Total invoice 42' }]);
+
+  const index = createSearchIndex();
+  index.sync([withScan, note('b', 'Notes', 'invoice')]);
+  expect(index.search('invoice').map((r) => r.id)).toEqual(['b', 'a']);
+
+  const transcribed = { ...withScan, audio: [{ id: 'v', name: 'Voice note', text: 'call the plumber' }] };
+  expect(index.sync([transcribed, note('b', 'Notes', 'invoice')])).toBe(1);
+  expect(index.search('plumber').map((r) => r.id)).toEqual(['a']);
+});
+
+test('highlight and matchSnippet mark matched words', () => {
+  expect(highlight('Plan the meeting', ['meeting'])).toEqual([
+    { text: 'Plan the ', match: false },
+    { text: 'meeting', match: true },
+  ]);
+  const long = `${'word '.repeat(60)}target here and more text after it`;
+  const segments = matchSnippet(long, ['target'], 60);
+  expect(segments[0]).toEqual({ text: '…', match: false });
+  expect(segments.some((s) => s.match && s.text === 'target')).toBe(true);
+  expect(segments.map((s) => s.text).join('').length).toBeLessThanOrEqual(62);
+  expect(matchSnippet('short text', ['none'])).toEqual([{ text: 'short text', match: false }]);
+});
@@ -0,0 +1,85 @@
+import { cryptoRandomId } from './storage';
+
+/**
+ * smartViews
+ * Saved searches ("smart views"): a named search query (lib/query syntax, tag: filters included)
+ * and sort order, shown next to the notebooks. A view searches the selected notebook or,
+ * with `allNotebooks`, every notebook. Views are kept on this device only.
+ *
+ * Stored under `notes_app_smart_views_v1` as a list of
+ * { id, name, query, sort, allNotebooks, createdAt }.
+ */
+
+export const STORAGE_KEY_SMART_VIEWS = 'notes_app_smart_views_v1';
+
+function normalizeView(v) {
+  return {
+    id: String(v.id),
+    name: String(v.name || '').trim() || 'Smart view',
+    query: String(v.query || ''),
+    sort: String(v.sort || 'relevance'),
+    allNotebooks: !!v.allNotebooks,
+    createdAt: v.createdAt || new Date().toISOString(),
+  };
+}
+
+function write(views) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY_SMART_VIEWS, JSON.stringify(views));
+  } catch {
+    // ignore
+  }
+  return views;
+}
+
+// PUBLIC_INTERFACE
+export function listSmartViews() {
+  /** Returns the saved views, sorted by name. */
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY_SMART_VIEWS) || '[]');
+    return (Array.isArray(parsed) ? parsed : [])
+      .filter((v) => v && v.id)
+      .map(normalizeView)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch {
+    return [];
+  }
+}
+
+// PUBLIC_INTERFACE
+export function createSmartView({ name, query, sort, allNotebooks }) {
+  /** Saves a new view and returns it. */
+  const view = normalizeView({ id: cryptoRandomId(), name, query, sort, allNotebooks });
+  write([...listSmartViews(), view]);
+  return view;
+}
+
+// PUBLIC_INTERFACE
+export function updateSmartView(id, changes) {
+  /** Updates name, query, sort or allNotebooks of a view; returns it, or null when missing. */
+  let updated = null;
+  const views = listSmartViews().map((v) => {
+    if (v.id !== id) return v;
+    updated = normalizeView({ ...v, ...changes, id: v.id, createdAt: v.createdAt });
+    return updated;
+  });
+  if (updated) write(views);
+  return updated;
+}
+
+// PUBLIC_INTERFACE
+export function deleteSmartView(id) {
+  /** Removes a view; returns the removed view (to undo with restoreSmartView), or null. */
+  const views = listSmartViews();
+  const removed = views.find((v) => v.id === id) || null;
+  if (removed) write(views.filter((v) => v.id !== id));
+  return removed;
+}
+
+// PUBLIC_INTERFACE
+export function restoreSmartView(view) {
+  /** Puts back a view removed with deleteSmartView, keeping its id. */
+  const restored = normalizeView(view);
+  write([...listSmartViews().filter((v) => v.id !== restored.id), restored]);
+  return restored;
+}
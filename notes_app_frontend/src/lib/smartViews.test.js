@@ -0,0 +1,39 @@
+import {
+  STORAGE_KEY_SMART_VIEWS,
+  listSmartViews,
+  createSmartView,
+  updateSmartView,
+  deleteSmartView,
+  restoreSmartView,
+} from './smartViews';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('views are saved, listed by name, updated and deleted', () => {
+  expect(listSmartViews()).toEqual([]);
+  const work = createSmartView({ name: ' Work ', query: 'tag:work -tag:done', sort: 'updatedDesc' });
+  const audio = createSmartView({ name: 'Audio', query: 'has:audio', allNotebooks: true });
+  expect(work).toMatchObject({ name: 'Work', query: 'tag:work -tag:done', sort: 'updatedDesc', allNotebooks: false });
+  expect(listSmartViews().map((v) => v.name)).toEqual(['Audio', 'Work']);
+  expect(listSmartViews()[0]).toMatchObject({ sort: 'relevance', allNotebooks: true });
+
+  expect(updateSmartView(work.id, { query: 'tag:work', id: 'other' })).toMatchObject({ id: work.id, query: 'tag:work' });
+  expect(updateSmartView('missing', { name: 'x' })).toBeNull();
+
+  const removed = deleteSmartView(audio.id);
+  expect(removed).toMatchObject({ id: audio.id, name: 'Audio' });
+  expect(listSmartViews().map((v) => v.id)).toEqual([work.id]);
+  expect(deleteSmartView(audio.id)).toBeNull();
+
+  restoreSmartView(removed);
+  expect(listSmartViews().map((v) => v.id)).toEqual([audio.id, work.id]);
+});
+
+test('broken storage reads as no views', () => {
+  window.localStorage.setItem(STORAGE_KEY_SMART_VIEWS, '{oops');
+  expect(listSmartViews()).toEqual([]);
+  window.localStorage.setItem(STORAGE_KEY_SMART_VIEWS, JSON.stringify([{ name: 'no id' }, null]));
+  expect(listSmartViews()).toEqual([]);
+});
@@ -0,0 +1,144 @@
+import { noteUsage } from './usage';
+
+/**
+ * sort
+ * Note list ordering.
+ * - Sort ids are `${field}${Asc|Desc}` (e.g. updatedDesc, titleAsc) plus 'relevance' (search rank,
+ *   updated first without a query) and 'manual'
+ * - Fields: updated, created, title, natural title order ("Note 2" before "Note 10"), number of
+ *   attachments, size in bytes and tag (the alphabetically first tag; untagged notes always last)
+ * - Manual order is a list of note ids per notebook, stored under `notes_app_manual_order_v1` as
+ *   { [notebookId]: ids }. Notes missing from it (new ones) come first, most recently updated first.
+ */
+
+export const STORAGE_KEY_MANUAL_ORDER = 'notes_app_manual_order_v1';
+
+// label and default direction per field
+export const SORT_FIELDS = [
+  { id: 'relevance', label: 'Relevance' },
+  { id: 'updated', label: 'Updated', dir: 'desc' },
+  { id: 'created', label: 'Created', dir: 'desc' },
+  { id: 'title', label: 'Title', dir: 'asc' },
+  { id: 'natural', label: 'Title (natural order)', dir: 'asc' },
+  { id: 'attachments', label: 'Attachments', dir: 'desc' },
+  { id: 'size', label: 'Size', dir: 'desc' },
+  { id: 'tag', label: 'Tag', dir: 'asc' },
+  { id: 'manual', label: 'Manual (drag to reorder)' },
+];
+
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+function firstTag(note) {
+  const tags = Array.isArray(note.tags) ? note.tags.filter(Boolean) : [];
+  return tags.length ? [...tags].sort((a, b) => a.localeCompare(b))[0] : null;
+}
+
+function attachmentCount(note) {
+  const count = (list) => (Array.isArray(list) ? list.length : 0);
+  return count(note.images) + count(note.audio) + (note.drawing ? 1 : 0);
+}
+
+// key per field and how keys compare in ascending order
+const FIELD_KEYS = {
+  updated: { key: (n) => n.updatedAt || '', compare: (a, b) => a.localeCompare(b) },
+  created: { key: (n) => n.createdAt || '', compare: (a, b) => a.localeCompare(b) },
+  title: { key: (n) => n.title || '', compare: (a, b) => a.localeCompare(b) },
+  natural: { key: (n) => n.title || '', compare: (a, b) => naturalCollator.compare(a, b) },
+  attachments: { key: attachmentCount, compare: (a, b) => a - b },
+  size: { key: (n) => noteUsage(n).total, compare: (a, b) => a - b },
+  tag: { key: firstTag, compare: (a, b) => a.localeCompare(b) },
+};
+
+// PUBLIC_INTERFACE
+export function parseSort(sortId) {
+  /** Splits a sort id into { field, dir } ('relevance' and 'manual' have no direction); unknown ids read as updatedDesc. */
+  const id = String(sortId || '');
+  if (id === 'relevance' || id === 'manual') return { field: id, dir: null };
+  const m = /^([a-z]+)(Asc|Desc)$/.exec(id);
+  if (m && FIELD_KEYS[m[1]]) return { field: m[1], dir: m[2].toLowerCase() };
+  return { field: 'updated', dir: 'desc' };
+}
+
+// PUBLIC_INTERFACE
+export function sortId(field, dir) {
+  /** Builds a sort id; without a direction the field's default one is used. */
+  if (field === 'relevance' || field === 'manual') return field;
+  const def = SORT_FIELDS.find((f) => f.id === field);
+  if (!def) return 'updatedDesc';
+  const direction = dir || def.dir;
+  return `${field}${direction === 'asc' ? 'Asc' : 'Desc'}`;
+}
+
+// PUBLIC_INTERFACE
+export function sortNotes(items, sort, { manualOrder = null } = {}) {
+  /**
+   * Returns a sorted copy of items. 'manual' uses `manualOrder` (see applyManualOrder) and
+   * 'relevance' falls back to updatedDesc. Ties keep their order, then go newest updated first.
+   */
+  const { field, dir } = parseSort(sort);
+  if (field === 'manual') return applyManualOrder(items, manualOrder || []);
+  if (field === 'relevance') return sortNotes(items, 'updatedDesc');
+  const { key, compare } = FIELD_KEYS[field];
+  const sign = dir === 'asc' ? 1 : -1;
+  return items
+    .map((note, index) => ({ note, index, key: key(note) }))
+    .sort((a, b) => {
+      // untagged notes stay last in both directions
+      if (a.key === null || b.key === null) {
+        if (a.key === null && b.key === null) return a.index - b.index;
+        return a.key === null ? 1 : -1;
+      }
+      return sign * compare(a.key, b.key) || (b.note.updatedAt || '').localeCompare(a.note.updatedAt || '') || a.index - b.index;
+    })
+    .map((entry) => entry.note);
+}
+
+// PUBLIC_INTERFACE
+export function applyManualOrder(items, order) {
+  /** Orders items by the ids in `order`; items not listed come first, most recently updated first. */
+  const rank = new Map((Array.isArray(order) ? order : []).map((id, i) => [String(id), i]));
+  const unlisted = items.filter((n) => !rank.has(n.id));
+  const listed = items.filter((n) => rank.has(n.id)).sort((a, b) => rank.get(a.id) - rank.get(b.id));
+  return [...sortNotes(unlisted, 'updatedDesc'), ...listed];
+}
+
+// PUBLIC_INTERFACE
+export function moveId(ids, id, targetId, after = false) {
+  /** Returns ids with `id` moved just before (or after) `targetId`; unchanged when either is missing. */
+  const from = ids.indexOf(id);
+  if (from < 0 || id === targetId || !ids.includes(targetId)) return ids;
+  const rest = ids.filter((x) => x !== id);
+  const to = rest.indexOf(targetId) + (after ? 1 : 0);
+  return [...rest.slice(0, to), id, ...rest.slice(to)];
+}
+
+// PUBLIC_INTERFACE
+export function readManualOrders() {
+  /** Returns every saved manual order: { [notebookId]: ids }. */
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY_MANUAL_ORDER) || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+// PUBLIC_INTERFACE
+export function readManualOrder(notebookId) {
+  /** Returns the saved note ids of a notebook in manual order ([] when none). */
+  const ids = readManualOrders()[notebookId];
+  return Array.isArray(ids) ? ids.map(String) : [];
+}
+
+// PUBLIC_INTERFACE
+export function writeManualOrder(notebookId, ids) {
+  /** Saves the manual order of a notebook's notes. */
+  const all = readManualOrders();
+  all[notebookId] = (ids || []).map(String);
+  try {
+    window.localStorage.setItem(STORAGE_KEY_MANUAL_ORDER, JSON.stringify(all));
+  } catch {
+    // ignore
+  }
+  return all[notebookId];
+}
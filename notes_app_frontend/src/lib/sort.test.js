@@ -0,0 +1,92 @@
+import {
+  STORAGE_KEY_MANUAL_ORDER,
+  parseSort,
+  sortId,
+  sortNotes,
+  applyManualOrder,
+  moveId,
+  readManualOrder,
+  writeManualOrder,
+} from './sort';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+const notes = [
+  {
+    id: 'a',
+    title: 'Note 10',
+    content: 'a longer body of text',
+    tags: ['work', 'alpha'],
+    images: [{ id: 'i', dataUrl: 'data:image/png;base64,AAAA' }],
+    audio: [],
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-03T00:00:00.000Z',
+  },
+  {
+    id: 'b',
+    title: 'Note 2',
+    content: '',
+    tags: [],
+    images: [],
+    audio: [],
+    createdAt: '2026-01-02T00:00:00.000Z',
+    updatedAt: '2026-01-02T00:00:00.000Z',
+  },
+  {
+    id: 'c',
+    title: 'apple',
+    content: 'x',
+    tags: ['beta'],
+    images: [],
+    audio: [{ id: 'v', dataUrl: 'data:audio/webm;base64,AA==' }],
+    drawing: 'data:image/png;base64,AA==',
+    createdAt: '2026-01-03T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+  },
+];
+
+const ids = (sort, options) => sortNotes(notes, sort, options).map((n) => n.id);
+
+test('parses and builds sort ids', () => {
+  expect(parseSort('titleAsc')).toEqual({ field: 'title', dir: 'asc' });
+  expect(parseSort('manual')).toEqual({ field: 'manual', dir: null });
+  expect(parseSort('bogus')).toEqual({ field: 'updated', dir: 'desc' });
+  expect(sortId('size')).toBe('sizeDesc');
+  expect(sortId('tag', 'desc')).toBe('tagDesc');
+  expect(sortId('relevance', 'asc')).toBe('relevance');
+});
+
+test('sorts by every field in both directions', () => {
+  expect(ids('updatedDesc')).toEqual(['a', 'b', 'c']);
+  expect(ids('updatedAsc')).toEqual(['c', 'b', 'a']);
+  expect(ids('relevance')).toEqual(['a', 'b', 'c']);
+  expect(ids('createdAsc')).toEqual(['a', 'b', 'c']);
+  expect(ids('titleAsc')).toEqual(['c', 'a', 'b']);
+  expect(ids('naturalAsc')).toEqual(['c', 'b', 'a']);
+  expect(ids('naturalDesc')).toEqual(['a', 'b', 'c']);
+  expect(ids('attachmentsDesc')).toEqual(['c', 'a', 'b']);
+  expect(ids('sizeDesc')).toEqual(['a', 'c', 'b']);
+  // untagged notes stay last
+  expect(ids('tagAsc')).toEqual(['a', 'c', 'b']);
+  expect(ids('tagDesc')).toEqual(['c', 'a', 'b']);
+});
+
+test('manual order puts unlisted notes first and moves ids', () => {
+  expect(applyManualOrder(notes, ['c', 'a']).map((n) => n.id)).toEqual(['b', 'c', 'a']);
+  expect(ids('manual', { manualOrder: ['c', 'b', 'a'] })).toEqual(['c', 'b', 'a']);
+  expect(moveId(['a', 'b', 'c'], 'c', 'a')).toEqual(['c', 'a', 'b']);
+  expect(moveId(['a', 'b', 'c'], 'a', 'c', true)).toEqual(['b', 'c', 'a']);
+  expect(moveId(['a', 'b'], 'x', 'a')).toEqual(['a', 'b']);
+});
+
+test('manual order is stored per notebook', () => {
+  expect(readManualOrder('nb1')).toEqual([]);
+  writeManualOrder('nb1', ['a', 'b']);
+  writeManualOrder('nb2', ['c']);
+  expect(readManualOrder('nb1')).toEqual(['a', 'b']);
+  expect(readManualOrder('nb2')).toEqual(['c']);
+  window.localStorage.setItem(STORAGE_KEY_MANUAL_ORDER, '[1]');
+  expect(readManualOrder('nb1')).toEqual([]);
+});
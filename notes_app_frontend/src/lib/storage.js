@@ -0,0 +1,241 @@
+/**
+ * storage
+ * localStorage helpers for the notes app.
+ * - Legacy flat notes array under `notes_app_data_v1`
+ * - Notebooks state `{ notebooks, notesByNotebook }` under `notes_app_notebooks_v1`
+ * - Selected notebook id under `notes_app_selected_notebook_v1`
+ * - Normalizes notes so `tags`, `images` and `audio` are always arrays
+ *
+ * Readers tolerate missing or corrupt data. Writers for note data throw on
+ * quota errors so callers can report them.
+ */
+
+import { tagStats } from './tags';
+
+export const STORAGE_KEY = 'notes_app_data_v1';
+export const STORAGE_KEY_NOTEBOOKS = 'notes_app_notebooks_v1';
+export const STORAGE_KEY_SELECTED = 'notes_app_selected_notebook_v1';
+
+export const DEFAULT_NOTEBOOK_NAME = 'My Notes';
+
+// PUBLIC_INTERFACE
+export function cryptoRandomId() {
+  /** Returns a random id using crypto.randomUUID when available. */
+  try {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID();
+    }
+  } catch {
+    // ignore and fall back
+  }
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+function safeParse(json) {
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+function normalizeImage(img) {
+  if (!img || typeof img !== 'object') return null;
+  const dataUrl = typeof img.dataUrl === 'string' ? img.dataUrl : '';
+  if (!dataUrl) return null;
+  return {
+    id: img.id ? String(img.id) : cryptoRandomId(),
+    name: typeof img.name === 'string' ? img.name : 'image',
+    type: typeof img.type === 'string' ? img.type : '',
+    dataUrl,
+    size: typeof img.size === 'number' ? img.size : undefined,
+    text: typeof img.text === 'string' ? img.text : undefined,
+    textEngine: typeof img.textEngine === 'string' ? img.textEngine : undefined,
+  };
+}
+
+function normalizeAudio(clip) {
+  if (!clip || typeof clip !== 'object') return null;
+  const dataUrl = typeof clip.dataUrl === 'string' ? clip.dataUrl : '';
+  if (!dataUrl) return null;
+  return {
+    id: clip.id ? String(clip.id) : cryptoRandomId(),
+    name: typeof clip.name === 'string' ? clip.name : 'audio',
+    type: typeof clip.type === 'string' ? clip.type : 'audio/*',
+    dataUrl,
+    duration: typeof clip.duration === 'number' ? clip.duration : undefined,
+    createdAt: typeof clip.createdAt === 'number' ? clip.createdAt : undefined,
+    text: typeof clip.text === 'string' ? clip.text : undefined,
+    textEngine: typeof clip.textEngine === 'string' ? clip.textEngine : undefined,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function normalizeNote(n) {
+  /**
+   * Ensures a note object always has required fields and arrays.
+   * Missing ids and timestamps are generated; invalid attachments are dropped.
+   */
+  const src = n && typeof n === 'object' ? n : {};
+  const now = new Date().toISOString();
+  const createdAt = typeof src.createdAt === 'string' && src.createdAt ? src.createdAt : now;
+  const updatedAt = typeof src.updatedAt === 'string' && src.updatedAt ? src.updatedAt : createdAt;
+  const note = {
+    id: src.id !== undefined && src.id !== null && src.id !== '' ? String(src.id) : cryptoRandomId(),
+    title: typeof src.title === 'string' ? src.title : '',
+    content: typeof src.content === 'string' ? src.content : '',
+    tags: Array.isArray(src.tags)
+      ? src.tags.filter((t) => typeof t === 'string' && t.trim()).map((t) => t.trim())
+      : [],
+    drawing: typeof src.drawing === 'string' && src.drawing ? src.drawing : null,
+    images: Array.isArray(src.images) ? src.images.map(normalizeImage).filter(Boolean) : [],
+    audio: Array.isArray(src.audio) ? src.audio.map(normalizeAudio).filter(Boolean) : [],
+    createdAt,
+    updatedAt,
+  };
+  if (src.notebookId !== undefined && src.notebookId !== null && src.notebookId !== '') {
+    note.notebookId = String(src.notebookId);
+  }
+  // Pinned notes are listed first; favorites (starred) can be filtered with is:favorite
+  if (src.pinned === true) note.pinned = true;
+  if (src.favorite === true) note.favorite = true;
+  // Server revision (ETag) of the copy this note is based on; absent for local-only notes
+  if (src.version !== undefined && src.version !== null && src.version !== '') {
+    note.version = String(src.version);
+  }
+  // Soft delete: set while the note is in the Trash; trashedWith names the notebook it was trashed with
+  if (typeof src.deletedAt === 'string' && src.deletedAt) {
+    note.deletedAt = src.deletedAt;
+    if (src.trashedWith) note.trashedWith = String(src.trashedWith);
+  }
+  return note;
+}
+
+// PUBLIC_INTERFACE
+export function normalizeNotebook(n) {
+  /** Ensures a notebook object has an id, a non-empty name and timestamps; parentId is kept when set. */
+  const src = n && typeof n === 'object' ? n : {};
+  const now = new Date().toISOString();
+  const createdAt = typeof src.createdAt === 'string' && src.createdAt ? src.createdAt : now;
+  const name = typeof src.name === 'string' && src.name.trim() ? src.name.trim() : 'Untitled notebook';
+  const nb = {
+    id: src.id !== undefined && src.id !== null && src.id !== '' ? String(src.id) : cryptoRandomId(),
+    name,
+    createdAt,
+    updatedAt: typeof src.updatedAt === 'string' && src.updatedAt ? src.updatedAt : createdAt,
+  };
+  if (src.parentId !== undefined && src.parentId !== null && src.parentId !== '') nb.parentId = String(src.parentId);
+  if (typeof src.deletedAt === 'string' && src.deletedAt) nb.deletedAt = src.deletedAt;
+  return nb;
+}
+
+// PUBLIC_INTERFACE
+export function makeNotebook(name, parentId = null) {
+  /** Creates a new notebook object with a fresh id, optionally inside parentId. */
+  const now = new Date().toISOString();
+  return normalizeNotebook({ id: cryptoRandomId(), name, parentId, createdAt: now, updatedAt: now });
+}
+
+// PUBLIC_INTERFACE
+export function loadNotes() {
+  /** Loads the legacy flat notes array from localStorage, normalized. */
+  try {
+    const parsed = safeParse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(parsed) ? parsed.map(normalizeNote) : [];
+  } catch {
+    return [];
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveNotes(list) {
+  /** Saves a flat notes array to the legacy localStorage key. Throws on quota errors. */
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(Array.isArray(list) ? list : []));
+}
+
+// PUBLIC_INTERFACE
+export function readNotebooksState() {
+  /**
+   * Returns the local notebooks state `{ notebooks, notesByNotebook }` or null
+   * when nothing has been stored yet (or the stored value is unusable).
+   */
+  let parsed = null;
+  try {
+    parsed = safeParse(window.localStorage.getItem(STORAGE_KEY_NOTEBOOKS));
+  } catch {
+    return null;
+  }
+  if (!parsed || !Array.isArray(parsed.notebooks)) return null;
+  const notebooks = parsed.notebooks.map(normalizeNotebook);
+  const rawBuckets = parsed.notesByNotebook && typeof parsed.notesByNotebook === 'object'
+    ? parsed.notesByNotebook
+    : {};
+  const notesByNotebook = {};
+  notebooks.forEach((nb) => {
+    const bucket = Array.isArray(rawBuckets[nb.id]) ? rawBuckets[nb.id] : [];
+    notesByNotebook[nb.id] = bucket.map((n) => normalizeNote({ ...n, notebookId: nb.id }));
+  });
+  return { notebooks, notesByNotebook };
+}
+
+// PUBLIC_INTERFACE
+export function writeNotebooksState(state) {
+  /** Persists the notebooks state. Throws on quota errors so callers can report them. */
+  const value = {
+    notebooks: Array.isArray(state?.notebooks) ? state.notebooks : [],
+    notesByNotebook: state?.notesByNotebook && typeof state.notesByNotebook === 'object'
+      ? state.notesByNotebook
+      : {},
+  };
+  window.localStorage.setItem(STORAGE_KEY_NOTEBOOKS, JSON.stringify(value));
+}
+
+// PUBLIC_INTERFACE
+export function ensureNotebooksState() {
+  /**
+   * Returns the notebooks state, creating it on first run.
+   * First run migration: notes from the legacy `notes_app_data_v1` array are
+   * moved into a default "My Notes" notebook. The legacy key is left untouched.
+   */
+  const existing = readNotebooksState();
+  if (existing && existing.notebooks.length > 0) return existing;
+  const defaultNotebook = makeNotebook(DEFAULT_NOTEBOOK_NAME);
+  const legacy = loadNotes().map((n) => ({ ...n, notebookId: defaultNotebook.id }));
+  const state = {
+    notebooks: [defaultNotebook],
+    notesByNotebook: { [defaultNotebook.id]: legacy },
+  };
+  writeNotebooksState(state);
+  return state;
+}
+
+// PUBLIC_INTERFACE
+export function readSelectedNotebookId() {
+  /** Returns the persisted selected notebook id or '' when none. */
+  try {
+    return window.localStorage.getItem(STORAGE_KEY_SELECTED) || '';
+  } catch {
+    return '';
+  }
+}
+
+// PUBLIC_INTERFACE
+export function writeSelectedNotebookId(id) {
+  /** Persists the selected notebook id; an empty id clears it. */
+  try {
+    if (id) {
+      window.localStorage.setItem(STORAGE_KEY_SELECTED, String(id));
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY_SELECTED);
+    }
+  } catch {
+    // ignore (private mode / quota)
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getAllTags(notes) {
+  /** Returns a sorted list of unique tags from the provided notes; spellings differing only in case count as one (the most used). */
+  return tagStats(notes).map((s) => s.tag);
+}
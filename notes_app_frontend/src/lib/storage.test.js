@@ -0,0 +1,86 @@
+import {
+  STORAGE_KEY,
+  STORAGE_KEY_NOTEBOOKS,
+  STORAGE_KEY_SELECTED,
+  normalizeNote,
+  loadNotes,
+  saveNotes,
+  readNotebooksState,
+  ensureNotebooksState,
+  readSelectedNotebookId,
+  writeSelectedNotebookId,
+  getAllTags,
+} from './storage';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('normalizeNote defaults missing fields and arrays', () => {
+  const n = normalizeNote({ id: 1, title: 'Hello' });
+  expect(n.id).toBe('1');
+  expect(n.title).toBe('Hello');
+  expect(n.content).toBe('');
+  expect(n.tags).toEqual([]);
+  expect(n.images).toEqual([]);
+  expect(n.audio).toEqual([]);
+  expect(n.drawing).toBeNull();
+  expect(n.updatedAt).toBe(n.createdAt);
+});
+
+test('normalizeNote keeps valid attachments and drops broken ones', () => {
+  const n = normalizeNote({
+    id: 'a',
+    images: [{ id: 'i1', name: 'x.png', type: 'image/png', dataUrl: 'data:image/png;base64,AA', size: 2 }, { id: 'bad' }, null],
+    audio: [{ id: 'c1', dataUrl: 'data:audio/webm;base64,AA', duration: 3 }, 'nope'],
+  });
+  expect(n.images).toHaveLength(1);
+  expect(n.images[0]).toMatchObject({ id: 'i1', name: 'x.png', size: 2 });
+  expect(n.audio).toHaveLength(1);
+  expect(n.audio[0]).toMatchObject({ id: 'c1', name: 'audio', type: 'audio/*', duration: 3 });
+});
+
+test('loadNotes tolerates corrupt data and round-trips saveNotes', () => {
+  window.localStorage.setItem(STORAGE_KEY, '{not json');
+  expect(loadNotes()).toEqual([]);
+  saveNotes([{ id: 'n1', title: 'One' }]);
+  const loaded = loadNotes();
+  expect(loaded).toHaveLength(1);
+  expect(loaded[0]).toMatchObject({ id: 'n1', title: 'One', images: [], audio: [] });
+});
+
+test('first run migrates legacy notes into "My Notes"', () => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify([{ id: 'n1', title: 'Legacy' }]));
+  expect(readNotebooksState()).toBeNull();
+  const state = ensureNotebooksState();
+  expect(state.notebooks).toHaveLength(1);
+  expect(state.notebooks[0].name).toBe('My Notes');
+  const bucket = state.notesByNotebook[state.notebooks[0].id];
+  expect(bucket).toHaveLength(1);
+  expect(bucket[0]).toMatchObject({ id: 'n1', title: 'Legacy', notebookId: state.notebooks[0].id });
+  // persisted, and a second call does not migrate again
+  expect(JSON.parse(window.localStorage.getItem(STORAGE_KEY_NOTEBOOKS)).notebooks).toHaveLength(1);
+  expect(ensureNotebooksState().notebooks[0].id).toBe(state.notebooks[0].id);
+  // legacy data is left in place
+  expect(window.localStorage.getItem(STORAGE_KEY)).not.toBeNull();
+});
+
+test('selected notebook id is persisted and cleared', () => {
+  expect(readSelectedNotebookId()).toBe('');
+  writeSelectedNotebookId('nb1');
+  expect(window.localStorage.getItem(STORAGE_KEY_SELECTED)).toBe('nb1');
+  expect(readSelectedNotebookId()).toBe('nb1');
+  writeSelectedNotebookId('');
+  expect(readSelectedNotebookId()).toBe('');
+});
+
+test('getAllTags returns sorted unique tags', () => {
+  const tags = getAllTags([
+    { tags: ['work', 'b'] },
+    { tags: ['a', 'work', ' '] },
+    { title: 'no tags' },
+  ]);
+  expect(tags).toEqual(['a', 'b', 'work']);
+  expect(getAllTags([{ tags: ['Work'] }, { tags: ['work'] }, { tags: ['Work'] }])).toEqual(['Work']);
+  expect(getAllTags(null)).toEqual([]);
+});
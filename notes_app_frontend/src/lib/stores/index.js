@@ -0,0 +1,46 @@
+import { localStorageStore } from './localStorageStore';
+import { STORAGE_KEY_INDEXEDDB, openIndexedDbStore } from './indexedDbStore';
+
+let storePromise = null;
+const blockedListeners = new Set();
+
+function usedIndexedDb() {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY_INDEXEDDB) !== null;
+  } catch {
+    return false;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getLocalStore() {
+  /**
+   * Resolves the local store used when no backend is configured or it fails:
+   * IndexedDB when the browser supports it, otherwise localStorage.
+   * The choice is made once per session. Once notes were kept in IndexedDB (and migrated out of
+   * localStorage) a failure to open it rejects instead of falling back, and the next call tries again.
+   */
+  if (!storePromise) {
+    storePromise = openIndexedDbStore(window.indexedDB, {
+      onBlocked: () => blockedListeners.forEach((fn) => fn()),
+    }).catch((err) => {
+      if (!usedIndexedDb()) return localStorageStore;
+      storePromise = null;
+      throw err;
+    });
+  }
+  return storePromise;
+}
+
+// PUBLIC_INTERFACE
+export function onLocalStoreBlocked(fn) {
+  /** Calls fn() when opening the local store waits for other tabs to close. Returns an unsubscribe function. */
+  blockedListeners.add(fn);
+  return () => blockedListeners.delete(fn);
+}
+
+// PUBLIC_INTERFACE
+export function resetLocalStore() {
+  /** Forgets the chosen store so the next call re-detects it (tests). */
+  storePromise = null;
+}
@@ -0,0 +1,503 @@
+import {
+  STORAGE_KEY,
+  STORAGE_KEY_NOTEBOOKS,
+  DEFAULT_NOTEBOOK_NAME,
+  normalizeNote,
+  normalizeNotebook,
+  makeNotebook,
+  cryptoRandomId,
+  loadNotes,
+  readNotebooksState,
+  readSelectedNotebookId,
+  writeSelectedNotebookId,
+} from '../storage';
+import { pickNoteChanges } from './localStorageStore';
+
+/**
+ * indexedDbStore
+ * Local store backed by IndexedDB.
+ * - `notebooks` and `notes` object stores hold metadata only
+ * - `blobs` holds image, audio and drawing binaries as Blobs keyed `${noteId}:${attachmentId}`
+ * - `meta` records one-off facts such as the localStorage migration
+ * - `revisions` keeps saved versions of notes (text and attachment references), indexed by noteId
+ * - trashed notes and notebooks (with `deletedAt`) stay in their stores and are left out of the listings
+ * - once opened, `notes_app_indexeddb_v1` in localStorage records that the notes live here, so the app
+ *   never falls back to the (migrated and emptied) localStorage store
+ * - an upgrade waits while another tab keeps an older version open; tabs close their connection
+ *   when a newer version asks for it
+ *
+ * Notes handed to the UI keep the usual shape: every attachment's `dataUrl`
+ * (and the note's `drawing`) is an object URL for the stored Blob, so
+ * components can keep using them as `src`. On save, data URLs become new
+ * Blobs and object URLs we issued map back to the Blobs they came from.
+ */
+
+const DB_NAME = 'notes_app_db';
+const DB_VERSION = 2;
+const NOTEBOOKS = 'notebooks';
+const NOTES = 'notes';
+const BLOBS = 'blobs';
+const META = 'meta';
+const REVISIONS = 'revisions';
+const MIGRATION_KEY = 'localStorageMigration';
+
+export const STORAGE_KEY_INDEXEDDB = 'notes_app_indexeddb_v1';
+
+// object URL bookkeeping: blob key -> { blob, url } and url -> blob
+const urlsByKey = new Map();
+const blobsByUrl = new Map();
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function openDatabase(factory, onBlocked) {
+  return new Promise((resolve, reject) => {
+    const req = factory.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(NOTEBOOKS)) {
+        db.createObjectStore(NOTEBOOKS, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(NOTES)) {
+        const notes = db.createObjectStore(NOTES, { keyPath: 'id' });
+        notes.createIndex('notebookId', 'notebookId');
+      }
+      if (!db.objectStoreNames.contains(BLOBS)) {
+        const blobs = db.createObjectStore(BLOBS, { keyPath: 'id' });
+        blobs.createIndex('noteId', 'noteId');
+      }
+      if (!db.objectStoreNames.contains(META)) {
+        db.createObjectStore(META, { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains(REVISIONS)) {
+        const revisions = db.createObjectStore(REVISIONS, { keyPath: 'id' });
+        revisions.createIndex('noteId', 'noteId');
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // let a newer version in another tab upgrade instead of blocking it
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+    // another tab still has an older version open; the open succeeds once it closes
+    req.onblocked = () => {
+      if (onBlocked) onBlocked();
+    };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function dataUrlToBlob(dataUrl) {
+  /** Decodes a data URL into a Blob. Returns null for anything that is not a data URL. */
+  const match = /^data:([^,]*?),(.*)$/s.exec(String(dataUrl || ''));
+  if (!match) return null;
+  const meta = match[1];
+  const isBase64 = /;base64$/i.test(meta);
+  const type = meta.replace(/;base64$/i, '').split(';')[0] || '';
+  if (!isBase64) return new Blob([decodeURIComponent(match[2])], { type });
+  const binary = atob(match[2]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type });
+}
+
+// PUBLIC_INTERFACE
+export function blobToDataUrl(blob) {
+  /** Reads a Blob into a data URL. */
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result));
+    reader.onerror = () => reject(new Error('Failed to read blob'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+function urlForBlob(key, blob) {
+  const cached = urlsByKey.get(key);
+  if (cached) return cached.url;
+  const url = URL.createObjectURL(blob);
+  urlsByKey.set(key, { blob, url });
+  blobsByUrl.set(url, blob);
+  return url;
+}
+
+function releaseUrl(key) {
+  const cached = urlsByKey.get(key);
+  if (!cached) return;
+  urlsByKey.delete(key);
+  blobsByUrl.delete(cached.url);
+  try {
+    URL.revokeObjectURL(cached.url);
+  } catch {
+    // ignore
+  }
+}
+
+// PUBLIC_INTERFACE
+export function blobSizeForUrl(url) {
+  /** Returns the byte size of the Blob behind an object URL issued by this store, or null. */
+  const blob = blobsByUrl.get(url);
+  return blob ? blob.size : null;
+}
+
+// PUBLIC_INTERFACE
+export async function inlineBlobUrls(payload) {
+  /**
+   * Returns a copy of a note payload where object URLs issued by this store
+   * are replaced by data URLs, so the payload can be sent to a REST backend.
+   */
+  const inline = async (url) => {
+    const blob = typeof url === 'string' ? blobsByUrl.get(url) : null;
+    return blob ? blobToDataUrl(blob) : url;
+  };
+  const next = { ...payload };
+  if (next.drawing) next.drawing = await inline(next.drawing);
+  if (Array.isArray(next.images)) {
+    next.images = await Promise.all(next.images.map(async (img) => ({ ...img, dataUrl: await inline(img.dataUrl) })));
+  }
+  if (Array.isArray(next.audio)) {
+    next.audio = await Promise.all(next.audio.map(async (clip) => ({ ...clip, dataUrl: await inline(clip.dataUrl) })));
+  }
+  return next;
+}
+
+/**
+ * Splits a normalized note into its metadata record and blob records.
+ * `fresh` lists the blob keys decoded from data URLs, i.e. new content.
+ * Attachments whose source can't be turned into a Blob keep their URL inline.
+ */
+function splitNote(note) {
+  const blobs = [];
+  const fresh = [];
+  const store = (key, kind, source) => {
+    if (typeof source !== 'string' || !source) return null;
+    const decoded = source.startsWith('data:') ? dataUrlToBlob(source) : null;
+    const blob = decoded || blobsByUrl.get(source);
+    if (!blob) return null;
+    if (decoded) fresh.push(key);
+    blobs.push({ id: key, noteId: note.id, kind, blob });
+    return key;
+  };
+  const split = (kind) => (item) => {
+    const blobKey = store(`${note.id}:${item.id}`, kind, item.dataUrl);
+    if (!blobKey) return item;
+    const rest = { ...item, blobKey };
+    delete rest.dataUrl;
+    return rest;
+  };
+  const images = note.images.map(split('image'));
+  const audio = note.audio.map(split('audio'));
+  const drawingKey = store(`${note.id}:drawing`, 'drawing', note.drawing);
+  const record = { ...note, images, audio, drawing: drawingKey ? null : note.drawing, drawingKey };
+  return { record, blobs, fresh };
+}
+
+function joinNote(record, blobMap) {
+  const hydrate = (item) => {
+    if (!item.blobKey) return item;
+    const blob = blobMap.get(item.blobKey);
+    const { blobKey, ...rest } = item;
+    return blob ? { ...rest, dataUrl: urlForBlob(blobKey, blob) } : null;
+  };
+  const { drawingKey, ...rest } = record;
+  const drawingBlob = drawingKey ? blobMap.get(drawingKey) : null;
+  return normalizeNote({
+    ...rest,
+    images: (record.images || []).map(hydrate).filter(Boolean),
+    audio: (record.audio || []).map(hydrate).filter(Boolean),
+    drawing: drawingBlob ? urlForBlob(drawingKey, drawingBlob) : record.drawing || null,
+  });
+}
+
+function byCreatedDesc(a, b) {
+  return String(b.createdAt).localeCompare(String(a.createdAt));
+}
+
+// PUBLIC_INTERFACE
+export async function openIndexedDbStore(factory = window.indexedDB, { onBlocked } = {}) {
+  /**
+   * Opens (and on first use, migrates into) the IndexedDB store.
+   * Rejects when IndexedDB is unavailable so callers can fall back to localStorage.
+   * onBlocked is called when the open waits for other tabs to close an older version.
+   */
+  if (!factory) throw new Error('IndexedDB is not available');
+  const db = await openDatabase(factory, onBlocked);
+
+  async function readNotes(noteRecords) {
+    if (noteRecords.length === 0) return [];
+    const tx = db.transaction(BLOBS, 'readonly');
+    const index = tx.objectStore(BLOBS).index('noteId');
+    const lists = await Promise.all(noteRecords.map((r) => requestToPromise(index.getAll(r.id))));
+    const blobMap = new Map();
+    lists.forEach((list) => list.forEach((b) => blobMap.set(b.id, b.blob)));
+    return noteRecords.map((r) => joinNote(r, blobMap));
+  }
+
+  async function getNoteRecord(id) {
+    return requestToPromise(db.transaction(NOTES, 'readonly').objectStore(NOTES).get(String(id)));
+  }
+
+  async function getBlobKeys(noteIds) {
+    const tx = db.transaction(BLOBS, 'readonly');
+    const index = tx.objectStore(BLOBS).index('noteId');
+    const lists = await Promise.all(noteIds.map((id) => requestToPromise(index.getAllKeys(id))));
+    return lists.flat();
+  }
+
+  async function writeNote(note) {
+    const { record, blobs, fresh } = splitNote(note);
+    const kept = new Set(blobs.map((b) => b.id));
+    const stale = (await getBlobKeys([note.id])).filter((key) => !kept.has(key));
+    const tx = db.transaction([NOTES, BLOBS], 'readwrite');
+    tx.objectStore(NOTES).put(record);
+    blobs.forEach((b) => tx.objectStore(BLOBS).put(b));
+    stale.forEach((key) => tx.objectStore(BLOBS).delete(key));
+    await transactionDone(tx);
+    // replaced or removed binaries must not be served from an old object URL
+    [...stale, ...fresh].forEach(releaseUrl);
+    const [saved] = await readNotes([record]);
+    return saved;
+  }
+
+  async function getRevisionKeys(noteIds) {
+    const tx = db.transaction(REVISIONS, 'readonly');
+    const index = tx.objectStore(REVISIONS).index('noteId');
+    const lists = await Promise.all(noteIds.map((id) => requestToPromise(index.getAllKeys(id))));
+    return lists.flat();
+  }
+
+  async function allNotebooks() {
+    const list = await requestToPromise(db.transaction(NOTEBOOKS, 'readonly').objectStore(NOTEBOOKS).getAll());
+    return list.map(normalizeNotebook).sort(byCreatedDesc);
+  }
+
+  async function ensureNotebooks() {
+    const list = (await allNotebooks()).filter((nb) => !nb.deletedAt);
+    if (list.length > 0) return list;
+    const nb = makeNotebook(DEFAULT_NOTEBOOK_NAME);
+    const tx = db.transaction(NOTEBOOKS, 'readwrite');
+    tx.objectStore(NOTEBOOKS).put(nb);
+    await transactionDone(tx);
+    return [nb];
+  }
+
+  async function resolveNotebookId(notebookId) {
+    const list = await ensureNotebooks();
+    const wanted = notebookId || readSelectedNotebookId();
+    const found = list.find((nb) => nb.id === String(wanted));
+    return found ? found.id : list[0].id;
+  }
+
+  async function migrateFromLocalStorage() {
+    const done = await requestToPromise(db.transaction(META, 'readonly').objectStore(META).get(MIGRATION_KEY));
+    if (done) return;
+    const already = await allNotebooks();
+    let state = null;
+    try {
+      state = readNotebooksState();
+      if (!state) {
+        const legacy = loadNotes();
+        if (legacy.length > 0) {
+          const nb = makeNotebook(DEFAULT_NOTEBOOK_NAME);
+          state = { notebooks: [nb], notesByNotebook: { [nb.id]: legacy } };
+        }
+      }
+    } catch {
+      state = null;
+    }
+    const tx = db.transaction([NOTEBOOKS, NOTES, BLOBS, META], 'readwrite');
+    if (state && already.length === 0) {
+      state.notebooks.forEach((nb) => tx.objectStore(NOTEBOOKS).put(nb));
+      state.notebooks.forEach((nb) => {
+        (state.notesByNotebook[nb.id] || []).forEach((n) => {
+          const { record, blobs } = splitNote(normalizeNote({ ...n, notebookId: nb.id }));
+          tx.objectStore(NOTES).put(record);
+          blobs.forEach((b) => tx.objectStore(BLOBS).put(b));
+        });
+      });
+    }
+    tx.objectStore(META).put({
+      key: MIGRATION_KEY,
+      migratedAt: new Date().toISOString(),
+      notebooks: state && already.length === 0 ? state.notebooks.length : 0,
+    });
+    await transactionDone(tx);
+    // Free the localStorage quota only once the copy is committed.
+    try {
+      window.localStorage.removeItem(STORAGE_KEY_NOTEBOOKS);
+      window.localStorage.removeItem(STORAGE_KEY);
+    } catch {
+      // ignore
+    }
+  }
+
+  await migrateFromLocalStorage();
+  try {
+    window.localStorage.setItem(STORAGE_KEY_INDEXEDDB, '1');
+  } catch {
+    // ignore
+  }
+
+  return {
+    name: 'indexedDB',
+
+    async listNotebooks() {
+      return ensureNotebooks();
+    },
+
+    async createNotebook(name, parentId = null) {
+      const nb = makeNotebook(name, parentId);
+      const tx = db.transaction(NOTEBOOKS, 'readwrite');
+      tx.objectStore(NOTEBOOKS).put(nb);
+      await transactionDone(tx);
+      return nb;
+    },
+
+    async renameNotebook(id, name) {
+      const current = await requestToPromise(db.transaction(NOTEBOOKS, 'readonly').objectStore(NOTEBOOKS).get(String(id)));
+      if (!current) throw new Error('Notebook not found');
+      const nb = normalizeNotebook({ ...current, name, updatedAt: new Date().toISOString() });
+      const tx = db.transaction(NOTEBOOKS, 'readwrite');
+      tx.objectStore(NOTEBOOKS).put(nb);
+      await transactionDone(tx);
+      return nb;
+    },
+
+    async deleteNotebook(id, moveNotesToId) {
+      const key = String(id);
+      const list = await allNotebooks();
+      if (!list.some((nb) => nb.id === key)) throw new Error('Notebook not found');
+      const remaining = list.filter((nb) => nb.id !== key && !nb.deletedAt);
+      if (remaining.length === 0) throw new Error('At least one notebook is required');
+      const target = moveNotesToId && remaining.some((nb) => nb.id === String(moveNotesToId))
+        ? String(moveNotesToId)
+        : null;
+      const notes = await requestToPromise(
+        db.transaction(NOTES, 'readonly').objectStore(NOTES).index('notebookId').getAll(key)
+      );
+      const blobKeys = target ? [] : await getBlobKeys(notes.map((n) => n.id));
+      const revisionKeys = target ? [] : await getRevisionKeys(notes.map((n) => n.id));
+      const tx = db.transaction([NOTEBOOKS, NOTES, BLOBS, REVISIONS], 'readwrite');
+      tx.objectStore(NOTEBOOKS).delete(key);
+      notes.forEach((n) => {
+        if (target) tx.objectStore(NOTES).put({ ...n, notebookId: target });
+        else tx.objectStore(NOTES).delete(n.id);
+      });
+      blobKeys.forEach((k) => tx.objectStore(BLOBS).delete(k));
+      revisionKeys.forEach((k) => tx.objectStore(REVISIONS).delete(k));
+      await transactionDone(tx);
+      blobKeys.forEach(releaseUrl);
+      if (readSelectedNotebookId() === key) writeSelectedNotebookId(remaining[0].id);
+      return true;
+    },
+
+    async listNotes(notebookId) {
+      const nbId = await resolveNotebookId(notebookId);
+      const records = await requestToPromise(
+        db.transaction(NOTES, 'readonly').objectStore(NOTES).index('notebookId').getAll(nbId)
+      );
+      return readNotes(records.filter((r) => !r.deletedAt).sort(byCreatedDesc));
+    },
+
+    async listTrash() {
+      const notebooks = (await allNotebooks()).filter((nb) => nb.deletedAt);
+      const records = await requestToPromise(db.transaction(NOTES, 'readonly').objectStore(NOTES).getAll());
+      return { notebooks, notes: await readNotes(records.filter((r) => r.deletedAt)) };
+    },
+
+    async createNote(payload, notebookId) {
+      const nbId = await resolveNotebookId(notebookId);
+      const now = new Date().toISOString();
+      return writeNote(normalizeNote({
+        ...pickNoteChanges(payload),
+        id: cryptoRandomId(),
+        notebookId: nbId,
+        createdAt: now,
+        updatedAt: now,
+      }));
+    },
+
+    async updateNote(id, payload) {
+      const record = await getNoteRecord(id);
+      if (!record) throw new Error('Note not found');
+      const [current] = await readNotes([record]);
+      return writeNote(normalizeNote({
+        ...current,
+        ...pickNoteChanges(payload),
+        id: current.id,
+        notebookId: record.notebookId,
+        createdAt: current.createdAt,
+        updatedAt: new Date().toISOString(),
+      }));
+    },
+
+    async getNote(id) {
+      const record = await getNoteRecord(id);
+      if (!record) return null;
+      const [note] = await readNotes([record]);
+      return note;
+    },
+
+    async putNote(note) {
+      const stored = normalizeNote(note);
+      if (!stored.notebookId) return null;
+      return writeNote(stored);
+    },
+
+    async putNotebook(notebook) {
+      const nb = normalizeNotebook(notebook);
+      const tx = db.transaction(NOTEBOOKS, 'readwrite');
+      tx.objectStore(NOTEBOOKS).put(nb);
+      await transactionDone(tx);
+      return nb;
+    },
+
+    async deleteNote(id) {
+      const record = await getNoteRecord(id);
+      if (!record) return false;
+      const blobKeys = await getBlobKeys([record.id]);
+      const revisionKeys = await getRevisionKeys([record.id]);
+      const tx = db.transaction([NOTES, BLOBS, REVISIONS], 'readwrite');
+      tx.objectStore(NOTES).delete(record.id);
+      blobKeys.forEach((k) => tx.objectStore(BLOBS).delete(k));
+      revisionKeys.forEach((k) => tx.objectStore(REVISIONS).delete(k));
+      await transactionDone(tx);
+      blobKeys.forEach(releaseUrl);
+      return true;
+    },
+
+    async listRevisions(noteId) {
+      const store = db.transaction(REVISIONS, 'readonly').objectStore(REVISIONS);
+      const list = await requestToPromise(noteId ? store.index('noteId').getAll(String(noteId)) : store.getAll());
+      return list.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+    },
+
+    async addRevision(revision) {
+      const tx = db.transaction(REVISIONS, 'readwrite');
+      tx.objectStore(REVISIONS).put(revision);
+      await transactionDone(tx);
+      return revision;
+    },
+
+    async deleteRevisions(ids) {
+      const tx = db.transaction(REVISIONS, 'readwrite');
+      ids.forEach((id) => tx.objectStore(REVISIONS).delete(String(id)));
+      await transactionDone(tx);
+      return true;
+    },
+  };
+}
@@ -0,0 +1,205 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { STORAGE_KEY_INDEXEDDB, openIndexedDbStore, dataUrlToBlob } from './indexedDbStore';
+import { getLocalStore, resetLocalStore } from './index';
+import { localStorageStore } from './localStorageStore';
+import { STORAGE_KEY, STORAGE_KEY_NOTEBOOKS } from '../storage';
+
+// jsdom Blobs can't be structured-cloned by fake-indexeddb; a plain class can.
+class TestBlob {
+  constructor(parts, options = {}) {
+    this.parts = parts;
+    this.type = options.type || '';
+    this.size = parts.reduce((sum, p) => sum + (p.byteLength ?? p.length ?? 0), 0);
+  }
+}
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+const WEBM = 'data:audio/webm;base64,GkXfow==';
+
+let originalBlob;
+let urlCount;
+
+beforeEach(() => {
+  window.localStorage.clear();
+  originalBlob = global.Blob;
+  global.Blob = TestBlob;
+  urlCount = 0;
+  URL.createObjectURL = jest.fn(() => `blob:test/${++urlCount}`);
+  URL.revokeObjectURL = jest.fn();
+});
+
+afterEach(() => {
+  global.Blob = originalBlob;
+  delete URL.createObjectURL;
+  delete URL.revokeObjectURL;
+});
+
+test('dataUrlToBlob decodes base64 and plain data URLs', () => {
+  const png = dataUrlToBlob(PNG);
+  expect(png.type).toBe('image/png');
+  expect(png.size).toBe(8);
+  expect(dataUrlToBlob('data:text/plain,hi%20there').parts).toEqual(['hi there']);
+  expect(dataUrlToBlob('https://example.test/x.png')).toBeNull();
+});
+
+test('rejects when IndexedDB is unavailable', async () => {
+  await expect(openIndexedDbStore(undefined)).rejects.toThrow('IndexedDB is not available');
+});
+
+test('migrates localStorage notebooks, moves attachments into blobs and frees the keys', async () => {
+  window.localStorage.setItem(STORAGE_KEY_NOTEBOOKS, JSON.stringify({
+    notebooks: [{ id: 'nb1', name: 'Work', createdAt: '2026-01-01T00:00:00.000Z' }],
+    notesByNotebook: {
+      nb1: [{
+        id: 'n1',
+        title: 'With files',
+        images: [{ id: 'i1', name: 'a.png', type: 'image/png', dataUrl: PNG, size: 8 }],
+        audio: [{ id: 'c1', name: 'clip', type: 'audio/webm', dataUrl: WEBM }],
+        drawing: PNG,
+      }],
+    },
+  }));
+  window.localStorage.setItem(STORAGE_KEY, '[]');
+
+  const store = await openIndexedDbStore(new IDBFactory());
+  expect(store.name).toBe('indexedDB');
+  expect(window.localStorage.getItem(STORAGE_KEY_NOTEBOOKS)).toBeNull();
+  expect(window.localStorage.getItem(STORAGE_KEY)).toBeNull();
+
+  expect((await store.listNotebooks()).map((nb) => nb.name)).toEqual(['Work']);
+  const [note] = await store.listNotes('nb1');
+  expect(note).toMatchObject({ id: 'n1', title: 'With files', notebookId: 'nb1' });
+  expect(note.images).toEqual([
+    expect.objectContaining({ id: 'i1', name: 'a.png', size: 8, dataUrl: expect.stringMatching(/^blob:/) }),
+  ]);
+  expect(note.audio[0].dataUrl).toMatch(/^blob:/);
+  expect(note.drawing).toMatch(/^blob:/);
+});
+
+test('migrates the legacy flat notes array into "My Notes"', async () => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify([{ id: 'old', title: 'Legacy' }]));
+  const store = await openIndexedDbStore(new IDBFactory());
+  const [nb] = await store.listNotebooks();
+  expect(nb.name).toBe('My Notes');
+  expect((await store.listNotes(nb.id)).map((n) => n.title)).toEqual(['Legacy']);
+});
+
+test('migration runs once', async () => {
+  const factory = new IDBFactory();
+  await openIndexedDbStore(factory);
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify([{ id: 'late', title: 'Late' }]));
+  const store = await openIndexedDbStore(factory);
+  const [nb] = await store.listNotebooks();
+  expect(await store.listNotes(nb.id)).toEqual([]);
+});
+
+test('an upgrade waits for tabs on an older version and yields to newer ones', async () => {
+  const factory = new IDBFactory();
+  const older = await new Promise((resolve) => {
+    factory.open('notes_app_db', 1).onsuccess = (e) => resolve(e.target.result);
+  });
+  const onBlocked = jest.fn();
+  const opening = openIndexedDbStore(factory, { onBlocked });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  expect(onBlocked).toHaveBeenCalled();
+  older.close();
+  expect((await opening).name).toBe('indexedDB');
+  expect(window.localStorage.getItem(STORAGE_KEY_INDEXEDDB)).toBe('1');
+
+  const blocked = jest.fn();
+  const newer = await new Promise((resolve) => {
+    const req = factory.open('notes_app_db', 99);
+    req.onblocked = blocked;
+    req.onsuccess = () => resolve(req.result);
+  });
+  expect(blocked).not.toHaveBeenCalled();
+  newer.close();
+});
+
+test('falls back to localStorage only while the notes never moved to IndexedDB', async () => {
+  resetLocalStore();
+  expect(await getLocalStore()).toBe(localStorageStore);
+  resetLocalStore();
+  window.localStorage.setItem(STORAGE_KEY_INDEXEDDB, '1');
+  await expect(getLocalStore()).rejects.toThrow('IndexedDB is not available');
+  window.localStorage.removeItem(STORAGE_KEY_INDEXEDDB);
+  expect(await getLocalStore()).toBe(localStorageStore);
+  resetLocalStore();
+});
+
+test('note CRUD keeps object URLs stable and drops removed binaries', async () => {
+  const store = await openIndexedDbStore(new IDBFactory());
+  const [nb] = await store.listNotebooks();
+  const created = await store.createNote({
+    title: ' Pics ',
+    images: [
+      { id: 'i1', name: 'a.png', type: 'image/png', dataUrl: PNG },
+      { id: 'i2', name: 'b.png', type: 'image/png', dataUrl: PNG },
+    ],
+  }, nb.id);
+  expect(created.title).toBe('Pics');
+  const [first, second] = created.images;
+
+  // re-saving the object URLs we handed out keeps the stored blobs
+  const updated = await store.updateNote(created.id, { content: 'x', images: [first] });
+  expect(updated.images.map((i) => i.dataUrl)).toEqual([first.dataUrl]);
+  expect(URL.revokeObjectURL).toHaveBeenCalledWith(second.dataUrl);
+
+  const [listed] = await store.listNotes(nb.id);
+  expect(listed).toMatchObject({ id: created.id, content: 'x' });
+  expect(listed.images).toHaveLength(1);
+
+  expect(await store.deleteNote(created.id)).toBe(true);
+  expect(await store.listNotes(nb.id)).toEqual([]);
+  expect(await store.deleteNote(created.id)).toBe(false);
+});
+
+test('deleteNotebook moves or removes its notes', async () => {
+  const store = await openIndexedDbStore(new IDBFactory());
+  const [home] = await store.listNotebooks();
+  const a = await store.createNotebook('A');
+  const b = await store.createNotebook('B');
+  expect((await store.renameNotebook(b.id, 'Bee')).name).toBe('Bee');
+
+  await store.createNote({ title: 'moved' }, a.id);
+  await store.createNote({ title: 'dropped' }, b.id);
+  await store.deleteNotebook(a.id, home.id);
+  await store.deleteNotebook(b.id);
+
+  expect((await store.listNotebooks()).map((nb) => nb.id)).toEqual([home.id]);
+  expect((await store.listNotes(home.id)).map((n) => n.title)).toEqual(['moved']);
+  await expect(store.deleteNotebook(home.id)).rejects.toThrow('At least one notebook is required');
+});
+
+test('trashed notes and notebooks are left out of the listings', async () => {
+  const store = await openIndexedDbStore(new IDBFactory());
+  const [home] = await store.listNotebooks();
+  const work = await store.createNotebook('Work');
+  const note = await store.createNote({ title: 'Old', images: [{ id: 'i1', type: 'image/png', dataUrl: PNG }] }, home.id);
+  await store.putNote({ ...note, deletedAt: '2026-01-01T00:00:00.000Z' });
+  await store.putNotebook({ ...work, deletedAt: '2026-01-02T00:00:00.000Z' });
+
+  expect(await store.listNotes(home.id)).toEqual([]);
+  expect((await store.listNotebooks()).map((nb) => nb.id)).toEqual([home.id]);
+  const trash = await store.listTrash();
+  expect(trash.notebooks.map((nb) => nb.id)).toEqual([work.id]);
+  expect(trash.notes).toEqual([expect.objectContaining({ id: note.id, deletedAt: '2026-01-01T00:00:00.000Z' })]);
+  expect(trash.notes[0].images).toHaveLength(1);
+  await expect(store.deleteNotebook(home.id)).rejects.toThrow('At least one notebook is required');
+});
+
+test('revisions are listed newest first and removed with their note', async () => {
+  const store = await openIndexedDbStore(new IDBFactory());
+  const note = await store.createNote({ title: 'Versioned' });
+  await store.addRevision({ id: 'r1', noteId: note.id, title: 'a', savedAt: '2026-01-01T00:00:00.000Z' });
+  await store.addRevision({ id: 'r2', noteId: note.id, title: 'b', savedAt: '2026-01-02T00:00:00.000Z' });
+  await store.addRevision({ id: 'r3', noteId: 'other', title: 'c', savedAt: '2026-01-03T00:00:00.000Z' });
+  expect((await store.listRevisions(note.id)).map((r) => r.id)).toEqual(['r2', 'r1']);
+  expect(await store.listRevisions()).toHaveLength(3);
+
+  await store.deleteRevisions(['r2']);
+  expect((await store.listRevisions(note.id)).map((r) => r.id)).toEqual(['r1']);
+
+  await store.deleteNote(note.id);
+  expect((await store.listRevisions()).map((r) => r.id)).toEqual(['r3']);
+});
@@ -0,0 +1,238 @@
+import {
+  normalizeNote,
+  normalizeNotebook,
+  makeNotebook,
+  cryptoRandomId,
+  ensureNotebooksState,
+  writeNotebooksState,
+  readSelectedNotebookId,
+  writeSelectedNotebookId,
+} from '../storage';
+
+/**
+ * localStorageStore
+ * Local store backed by the `notes_app_notebooks_v1` localStorage key.
+ * Used when IndexedDB is unavailable. Attachments stay inline as data URLs.
+ * Note revisions live under `notes_app_revisions_v1` as a flat array.
+ * Trashed notes and notebooks (with `deletedAt`) stay in place and are left out of the listings.
+ */
+
+export const STORAGE_KEY_REVISIONS = 'notes_app_revisions_v1';
+
+function readRevisions() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY_REVISIONS) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeRevisions(list) {
+  if (list.length) window.localStorage.setItem(STORAGE_KEY_REVISIONS, JSON.stringify(list));
+  else window.localStorage.removeItem(STORAGE_KEY_REVISIONS);
+}
+
+function dropRevisionsOf(noteIds) {
+  const ids = new Set(noteIds.map(String));
+  const list = readRevisions();
+  const kept = list.filter((r) => !ids.has(r.noteId));
+  if (kept.length !== list.length) writeRevisions(kept);
+}
+
+function activeNotebooks(state) {
+  return state.notebooks.filter((nb) => !nb.deletedAt);
+}
+
+function resolveNotebookId(state, notebookId) {
+  const active = activeNotebooks(state);
+  const wanted = notebookId || readSelectedNotebookId();
+  const found = active.find((nb) => nb.id === String(wanted));
+  return found ? found.id : (active[0] || state.notebooks[0]).id;
+}
+
+function findNoteLocation(state, id) {
+  for (const nbId of Object.keys(state.notesByNotebook)) {
+    const index = state.notesByNotebook[nbId].findIndex((n) => n.id === String(id));
+    if (index !== -1) return { nbId, index };
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function pickNoteChanges(payload) {
+  /** Returns only the editable note fields present in payload (title trimmed). */
+  const changes = {};
+  ['title', 'content', 'tags', 'drawing', 'images', 'audio', 'pinned', 'favorite'].forEach((field) => {
+    if (payload && payload[field] !== undefined) changes[field] = payload[field];
+  });
+  if (typeof changes.title === 'string') changes.title = changes.title.trim();
+  return changes;
+}
+
+// PUBLIC_INTERFACE
+export const localStorageStore = {
+  name: 'localStorage',
+
+  async listNotebooks() {
+    return activeNotebooks(ensureNotebooksState());
+  },
+
+  async createNotebook(name, parentId = null) {
+    const state = ensureNotebooksState();
+    const nb = makeNotebook(name, parentId);
+    writeNotebooksState({
+      notebooks: [nb, ...state.notebooks],
+      notesByNotebook: { ...state.notesByNotebook, [nb.id]: [] },
+    });
+    return nb;
+  },
+
+  async renameNotebook(id, name) {
+    const state = ensureNotebooksState();
+    const current = state.notebooks.find((nb) => nb.id === String(id));
+    if (!current) throw new Error('Notebook not found');
+    const nb = normalizeNotebook({ ...current, name, updatedAt: new Date().toISOString() });
+    writeNotebooksState({
+      notebooks: state.notebooks.map((n) => (n.id === nb.id ? nb : n)),
+      notesByNotebook: state.notesByNotebook,
+    });
+    return nb;
+  },
+
+  async deleteNotebook(id, moveNotesToId) {
+    const state = ensureNotebooksState();
+    const key = String(id);
+    if (!state.notebooks.some((nb) => nb.id === key)) throw new Error('Notebook not found');
+    const nextNotebooks = state.notebooks.filter((nb) => nb.id !== key);
+    const remaining = activeNotebooks({ notebooks: nextNotebooks });
+    if (remaining.length === 0) throw new Error('At least one notebook is required');
+    const notesByNotebook = { ...state.notesByNotebook };
+    const orphaned = notesByNotebook[key] || [];
+    delete notesByNotebook[key];
+    const target = moveNotesToId ? String(moveNotesToId) : null;
+    if (target && notesByNotebook[target]) {
+      notesByNotebook[target] = [
+        ...orphaned.map((n) => ({ ...n, notebookId: target })),
+        ...notesByNotebook[target],
+      ];
+    }
+    writeNotebooksState({ notebooks: nextNotebooks, notesByNotebook });
+    if (!target || !state.notesByNotebook[target]) dropRevisionsOf(orphaned.map((n) => n.id));
+    if (readSelectedNotebookId() === key) writeSelectedNotebookId(remaining[0].id);
+    return true;
+  },
+
+  async listNotes(notebookId) {
+    const state = ensureNotebooksState();
+    return (state.notesByNotebook[resolveNotebookId(state, notebookId)] || []).filter((n) => !n.deletedAt);
+  },
+
+  async listTrash() {
+    const state = ensureNotebooksState();
+    return {
+      notebooks: state.notebooks.filter((nb) => nb.deletedAt),
+      notes: Object.values(state.notesByNotebook).flat().filter((n) => n.deletedAt),
+    };
+  },
+
+  async createNote(payload, notebookId) {
+    const state = ensureNotebooksState();
+    const nbId = resolveNotebookId(state, notebookId);
+    const now = new Date().toISOString();
+    const newNote = normalizeNote({
+      ...pickNoteChanges(payload),
+      id: cryptoRandomId(),
+      notebookId: nbId,
+      createdAt: now,
+      updatedAt: now,
+    });
+    const bucket = state.notesByNotebook[nbId] || [];
+    writeNotebooksState({
+      notebooks: state.notebooks,
+      notesByNotebook: { ...state.notesByNotebook, [nbId]: [newNote, ...bucket] },
+    });
+    return newNote;
+  },
+
+  async updateNote(id, payload) {
+    const state = ensureNotebooksState();
+    const loc = findNoteLocation(state, id);
+    if (!loc) throw new Error('Note not found');
+    const bucket = state.notesByNotebook[loc.nbId].slice();
+    const current = bucket[loc.index];
+    const upserted = normalizeNote({
+      ...current,
+      ...pickNoteChanges(payload),
+      id: current.id,
+      notebookId: loc.nbId,
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString(),
+    });
+    bucket[loc.index] = upserted;
+    writeNotebooksState({
+      notebooks: state.notebooks,
+      notesByNotebook: { ...state.notesByNotebook, [loc.nbId]: bucket },
+    });
+    return upserted;
+  },
+
+  async getNote(id) {
+    const state = ensureNotebooksState();
+    const loc = findNoteLocation(state, id);
+    return loc ? state.notesByNotebook[loc.nbId][loc.index] : null;
+  },
+
+  async putNote(note) {
+    const state = ensureNotebooksState();
+    const stored = normalizeNote(note);
+    if (!stored.notebookId || !state.notesByNotebook[stored.notebookId]) return null;
+    const notesByNotebook = { ...state.notesByNotebook };
+    const loc = findNoteLocation(state, stored.id);
+    if (loc) notesByNotebook[loc.nbId] = notesByNotebook[loc.nbId].filter((_, i) => i !== loc.index);
+    notesByNotebook[stored.notebookId] = [stored, ...notesByNotebook[stored.notebookId]];
+    writeNotebooksState({ notebooks: state.notebooks, notesByNotebook });
+    return stored;
+  },
+
+  async putNotebook(notebook) {
+    const state = ensureNotebooksState();
+    const nb = normalizeNotebook(notebook);
+    const exists = state.notebooks.some((n) => n.id === nb.id);
+    writeNotebooksState({
+      notebooks: exists ? state.notebooks.map((n) => (n.id === nb.id ? nb : n)) : [nb, ...state.notebooks],
+      notesByNotebook: { [nb.id]: [], ...state.notesByNotebook },
+    });
+    return nb;
+  },
+
+  async deleteNote(id) {
+    const state = ensureNotebooksState();
+    const loc = findNoteLocation(state, id);
+    if (!loc) return false;
+    const bucket = state.notesByNotebook[loc.nbId].filter((_, i) => i !== loc.index);
+    writeNotebooksState({
+      notebooks: state.notebooks,
+      notesByNotebook: { ...state.notesByNotebook, [loc.nbId]: bucket },
+    });
+    dropRevisionsOf([id]);
+    return true;
+  },
+
+  async listRevisions(noteId) {
+    const list = readRevisions();
+    const mine = noteId ? list.filter((r) => r.noteId === String(noteId)) : list;
+    return mine.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+  },
+
+  async addRevision(revision) {
+    writeRevisions([...readRevisions().filter((r) => r.id !== revision.id), revision]);
+    return revision;
+  },
+
+  async deleteRevisions(ids) {
+    const drop = new Set(ids.map(String));
+    writeRevisions(readRevisions().filter((r) => !drop.has(r.id)));
+    return true;
+  },
+};
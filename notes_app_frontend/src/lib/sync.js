@@ -0,0 +1,187 @@
+import { normalizeNote, normalizeNotebook, readSelectedNotebookId, writeSelectedNotebookId } from './storage';
+import { http, isBackendConfigured, isConflictError, isRetryableError } from './http';
+import { getOutbox, updateOp, removeOp, remapTarget } from './outbox';
+import { reassignRevisions } from './revisions';
+import { getLocalStore } from './stores';
+import { inlineBlobUrls } from './stores/indexedDbStore';
+
+/**
+ * sync
+ * Replays the outbox against the REST backend, strictly in queue order.
+ * - Retryable failures (offline, 5xx, 408/429) stop the run; the operation stays pending
+ * - Other failures mark the operation as failed and the run continues; 409/412 replies to
+ *   note updates are flagged as conflicts, to be merged by the user (see api.loadConflict)
+ * - Runs on `online` events, on a retry timer while work is pending, and on demand
+ */
+
+const RETRY_INTERVAL_MS = 30000;
+
+let running = null;
+let started = 0;
+let timer = null;
+
+// one listener for every startSync caller, so the last stop removes what the first start added
+function flush() {
+  flushOutbox().catch(() => {});
+}
+
+// PUBLIC_INTERFACE
+export function notePayload(payload) {
+  /** Returns the note fields sent to the backend, with defaults applied. */
+  return {
+    title: (payload?.title || '').trim(),
+    content: payload?.content || '',
+    tags: Array.isArray(payload?.tags) ? payload.tags : [],
+    drawing: payload?.drawing || null,
+    images: Array.isArray(payload?.images) ? payload.images : [],
+    audio: Array.isArray(payload?.audio) ? payload.audio : [],
+    // flags are only sent when set
+    ...(payload?.pinned ? { pinned: true } : {}),
+    ...(payload?.favorite ? { favorite: true } : {}),
+  };
+}
+
+async function replay(op, store) {
+  switch (op.type) {
+    case 'createNote': {
+      const local = await store.getNote(op.targetId);
+      if (!local || local.deletedAt) return;
+      const body = await inlineBlobUrls(notePayload(local));
+      const data = await http('POST', '/notes', { ...body, id: local.id, notebookId: local.notebookId });
+      const remote = normalizeNote({ notebookId: local.notebookId, ...(data || {}) });
+      if (data && remote.id !== local.id) {
+        await reassignRevisions(local.id, remote.id);
+        await store.deleteNote(local.id);
+        remapTarget('note', local.id, remote.id);
+      }
+      if (data) await store.putNote(remote);
+      return;
+    }
+    case 'updateNote': {
+      const local = await store.getNote(op.targetId);
+      if (!local || local.deletedAt) return;
+      // notebookId carries moves between notebooks
+      const body = { ...(await inlineBlobUrls(notePayload(local))), notebookId: local.notebookId };
+      const version = op.base ? op.base.version : local.version;
+      const data = await http('PUT', `/notes/${encodeURIComponent(local.id)}`, body, version ? { 'If-Match': version } : {});
+      if (data) await store.putNote(normalizeNote({ notebookId: local.notebookId, ...data }));
+      return;
+    }
+    case 'deleteNote':
+      try {
+        await http('DELETE', `/notes/${encodeURIComponent(op.targetId)}`);
+      } catch (err) {
+        if (err?.status !== 404) throw err;
+      }
+      return;
+    case 'createNotebook': {
+      const local = (await store.listNotebooks()).find((nb) => nb.id === op.targetId);
+      if (!local) return;
+      const body = { id: local.id, name: local.name };
+      if (local.parentId) body.parentId = local.parentId;
+      const data = await http('POST', '/notebooks', body);
+      const remote = data ? normalizeNotebook(data) : null;
+      if (remote && remote.id !== local.id) {
+        await store.putNotebook(remote);
+        // sub-notebooks created offline under the local id move under the server one
+        const { notebooks: trashed } = await store.listTrash();
+        const children = [...(await store.listNotebooks()), ...trashed].filter((nb) => nb.parentId === local.id);
+        for (const child of children) await store.putNotebook({ ...child, parentId: remote.id });
+        await store.deleteNotebook(local.id, remote.id);
+        remapTarget('notebook', local.id, remote.id);
+        if (readSelectedNotebookId() === local.id) writeSelectedNotebookId(remote.id);
+      }
+      return;
+    }
+    case 'renameNotebook': {
+      const local = (await store.listNotebooks()).find((nb) => nb.id === op.targetId);
+      if (!local) return;
+      await http('PUT', `/notebooks/${encodeURIComponent(local.id)}`, { name: local.name, parentId: local.parentId || null });
+      return;
+    }
+    case 'deleteNotebook': {
+      const query = op.moveNotesToId ? `?moveNotesTo=${encodeURIComponent(op.moveNotesToId)}` : '';
+      try {
+        await http('DELETE', `/notebooks/${encodeURIComponent(op.targetId)}${query}`);
+      } catch (err) {
+        if (err?.status !== 404) throw err;
+      }
+      return;
+    }
+    default:
+  }
+}
+
+async function run() {
+  const store = await getLocalStore();
+  let synced = 0;
+  // Re-read after every step: replays may remap ids of later operations.
+  for (;;) {
+    const op = getOutbox().find((o) => o.status === 'pending');
+    if (!op) break;
+    try {
+      await replay(op, store);
+      removeOp(op.id);
+      synced += 1;
+    } catch (err) {
+      if (isRetryableError(err)) {
+        updateOp(op.id, { attempts: op.attempts + 1, error: String(err?.message || err) });
+        break;
+      }
+      updateOp(op.id, {
+        status: 'failed',
+        attempts: op.attempts + 1,
+        error: isConflictError(err) ? 'The note was changed on the server' : String(err?.message || err),
+        conflict: op.type === 'updateNote' && isConflictError(err),
+      });
+    }
+  }
+  return synced;
+}
+
+// PUBLIC_INTERFACE
+export function flushOutbox() {
+  /**
+   * Replays pending operations. Concurrent calls share one run.
+   * Resolves to the number of operations that reached the backend.
+   */
+  if (!isBackendConfigured()) return Promise.resolve(0);
+  if (!running) {
+    running = run().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+// PUBLIC_INTERFACE
+export function requestFlush() {
+  /** Schedules a replay soon, if background sync has been started. */
+  if (!started) return;
+  setTimeout(flush, 0);
+}
+
+// PUBLIC_INTERFACE
+export function startSync() {
+  /**
+   * Starts background sync: replays now, whenever the browser comes back online
+   * and periodically while operations are pending. Returns a stop function.
+   */
+  if (!isBackendConfigured()) return () => {};
+  started += 1;
+  if (started === 1) {
+    window.addEventListener('online', flush);
+    timer = setInterval(() => {
+      if (getOutbox().some((op) => op.status === 'pending')) flush();
+    }, RETRY_INTERVAL_MS);
+  }
+  flush();
+  return () => {
+    started -= 1;
+    if (started === 0) {
+      window.removeEventListener('online', flush);
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,172 @@
+import { createNote, updateNote, deleteNote, listNotes, createNotebook, loadConflict, resolveConflict } from './api';
+import { getOutbox, getNoteSyncStatuses, retryFailed } from './outbox';
+import { flushOutbox, startSync } from './sync';
+import { getLocalStore } from './stores';
+
+const ORIGINAL_ENV = { ...process.env };
+
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    text: () => Promise.resolve(body === undefined ? '' : JSON.stringify(body)),
+  });
+}
+
+function offline() {
+  return Promise.reject(new TypeError('Failed to fetch'));
+}
+
+beforeEach(() => {
+  window.localStorage.clear();
+  process.env.REACT_APP_API_BASE = 'https://api.example.test';
+  global.fetch = jest.fn(offline);
+});
+
+afterAll(() => {
+  process.env = ORIGINAL_ENV;
+  delete global.fetch;
+});
+
+test('offline writes are applied locally and queued', async () => {
+  const note = await createNote({ title: 'Draft' });
+  await updateNote(note.id, { content: 'more' });
+  const other = await createNote({ title: 'Other' });
+  await deleteNote(other.id);
+
+  expect(getOutbox().map((op) => op.type)).toEqual(['createNote']);
+  expect(getNoteSyncStatuses()).toEqual({ [note.id]: 'pending' });
+  const local = await (await getLocalStore()).getNote(note.id);
+  expect(local).toMatchObject({ title: 'Draft', content: 'more' });
+});
+
+test('while changes are queued, reads stay local', async () => {
+  const note = await createNote({ title: 'Queued' });
+  global.fetch.mockClear();
+  const notes = await listNotes();
+  expect(global.fetch).not.toHaveBeenCalled();
+  expect(notes.map((n) => n.id)).toEqual([note.id]);
+});
+
+test('flush replays in order and adopts server ids', async () => {
+  const nb = await createNotebook('Work');
+  const note = await createNote({ title: 'Plan' }, nb.id);
+
+  global.fetch.mockClear();
+  global.fetch.mockImplementation((url, init) => {
+    const body = JSON.parse(init.body);
+    if (url.endsWith('/notebooks')) return jsonResponse(body);
+    return jsonResponse({ ...body, id: 'srv-1' });
+  });
+  expect(await flushOutbox()).toBe(2);
+
+  const [first, second] = global.fetch.mock.calls;
+  expect(first[0]).toBe('https://api.example.test/notebooks');
+  expect(JSON.parse(first[1].body)).toEqual({ id: nb.id, name: 'Work' });
+  expect(second[0]).toBe('https://api.example.test/notes');
+  expect(JSON.parse(second[1].body)).toMatchObject({ id: note.id, title: 'Plan', notebookId: nb.id });
+
+  expect(getOutbox()).toEqual([]);
+  const store = await getLocalStore();
+  expect(await store.getNote(note.id)).toBeNull();
+  expect(await store.getNote('srv-1')).toMatchObject({ title: 'Plan', notebookId: nb.id });
+});
+
+test('sub-notebooks follow a parent notebook that got a server id', async () => {
+  const parent = await createNotebook('Work');
+  const child = await createNotebook('Clients', { parentId: parent.id });
+
+  global.fetch.mockClear();
+  global.fetch.mockImplementation((url, init) => {
+    const body = JSON.parse(init.body);
+    return jsonResponse(body.id === parent.id ? { ...body, id: 'srv-p' } : body);
+  });
+  expect(await flushOutbox()).toBe(2);
+
+  const [, second] = global.fetch.mock.calls;
+  expect(JSON.parse(second[1].body)).toEqual({ id: child.id, name: 'Clients', parentId: 'srv-p' });
+  const notebooks = await (await getLocalStore()).listNotebooks();
+  expect(notebooks.find((nb) => nb.id === child.id)).toMatchObject({ parentId: 'srv-p' });
+  expect(notebooks.some((nb) => nb.id === parent.id)).toBe(false);
+});
+
+test('stopping every startSync caller removes the online listener', () => {
+  const add = jest.spyOn(window, 'addEventListener');
+  const remove = jest.spyOn(window, 'removeEventListener');
+  const stopFirst = startSync();
+  const stopSecond = startSync();
+  stopFirst();
+  expect(remove).not.toHaveBeenCalledWith('online', expect.anything());
+  stopSecond();
+  const added = add.mock.calls.filter(([type]) => type === 'online');
+  const removed = remove.mock.calls.filter(([type]) => type === 'online');
+  expect(added).toHaveLength(1);
+  expect(removed).toEqual(added);
+  add.mockRestore();
+  remove.mockRestore();
+});
+
+test('retryable errors keep the operation pending and stop the run', async () => {
+  const a = await createNote({ title: 'A' });
+  await createNote({ title: 'B' });
+
+  global.fetch.mockClear();
+  global.fetch.mockImplementation(() => jsonResponse({ error: 'unavailable' }, 503));
+  expect(await flushOutbox()).toBe(0);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(getOutbox().map((op) => [op.status, op.attempts])).toEqual([['pending', 1], ['pending', 0]]);
+  expect(getNoteSyncStatuses()[a.id]).toBe('pending');
+});
+
+test('rejected operations are marked failed and later ones still sync', async () => {
+  const a = await createNote({ title: 'A' });
+  const b = await createNote({ title: 'B' });
+
+  global.fetch.mockImplementation((url, init) => {
+    const body = JSON.parse(init.body);
+    return body.title === 'A' ? jsonResponse({ error: 'invalid' }, 422) : jsonResponse(body);
+  });
+  expect(await flushOutbox()).toBe(1);
+  expect(getNoteSyncStatuses()).toEqual({ [a.id]: 'failed' });
+  expect(getOutbox()[0].error).toMatch(/422/);
+  expect(await (await getLocalStore()).getNote(b.id)).toMatchObject({ title: 'B' });
+});
+
+test('deleting a note the server no longer has counts as synced', async () => {
+  global.fetch.mockImplementation(() => jsonResponse({ error: 'boom' }, 500));
+  await deleteNote('gone');
+  global.fetch.mockImplementation(() => jsonResponse({ error: 'not found' }, 404));
+  expect(await flushOutbox()).toBe(1);
+  expect(getOutbox()).toEqual([]);
+});
+
+test('queued updates replay with If-Match and conflicts wait for a merge', async () => {
+  const store = await getLocalStore();
+  const nb = (await store.listNotebooks())[0];
+  await store.putNote({ id: 'n1', title: 'Base', content: 'base', notebookId: nb.id, version: 'v1' });
+  await updateNote('n1', { content: 'mine' }, { base: await store.getNote('n1') });
+  expect(getOutbox()[0].base).toMatchObject({ content: 'base', version: 'v1' });
+
+  global.fetch.mockClear();
+  global.fetch.mockImplementation(() => jsonResponse({ error: 'changed' }, 412));
+  expect(await flushOutbox()).toBe(0);
+  expect(global.fetch.mock.calls[0][1].headers['If-Match']).toBe('v1');
+  expect(getNoteSyncStatuses()).toEqual({ n1: 'conflict' });
+  retryFailed();
+  expect(getOutbox()[0]).toMatchObject({ status: 'failed', conflict: true });
+
+  global.fetch.mockImplementation(() => jsonResponse({ id: 'n1', title: 'Base', content: 'theirs', version: 'v2' }));
+  const conflict = await loadConflict('n1');
+  expect(conflict.base.content).toBe('base');
+  expect(conflict.local.content).toBe('mine');
+  expect(conflict.remote).toMatchObject({ content: 'theirs', version: 'v2' });
+
+  await resolveConflict('n1', { content: 'mine\ntheirs' }, conflict.remote);
+  expect(getOutbox()[0]).toMatchObject({ status: 'pending', conflict: false });
+
+  global.fetch.mockClear();
+  global.fetch.mockImplementation((url, init) => jsonResponse({ id: 'n1', ...JSON.parse(init.body), version: 'v3' }));
+  expect(await flushOutbox()).toBe(1);
+  expect(global.fetch.mock.calls[0][1].headers['If-Match']).toBe('v2');
+  expect(await store.getNote('n1')).toMatchObject({ content: 'mine\ntheirs', version: 'v3' });
+});
@@ -0,0 +1,403 @@
+/**
+ * tags
+ * Tag management across every note: usage counts, rename, merge, delete, case clean-up and colors.
+ * - Tags compare ignoring case; spellings that differ only in case are variants of one tag,
+ *   shown with the most used spelling
+ * - Changes are computed as [{ id, before, after }] per affected note; the caller saves them
+ * - Colors are stored under `notes_app_tag_colors_v1` as { [lowercased tag]: '#rrggbb' }
+ * - Tags nest with slashes: "work/clients/acme" sits under "work/clients" and "work"; a parent shows
+ *   in the tree even when no note carries it, and filtering on a parent matches every tag below it;
+ *   renaming or merging a tag moves the tags below it along (work/clients becomes job/clients)
+ * - The tag filter tree state is stored under `notes_app_tag_tree_v1` as { expanded: tag keys }
+ * - The editor's tag input completes existing tags (matchTags) and suggests tags that fit a note (suggestTags)
+ */
+
+import { editDistance, tokenize } from './search';
+
+export const STORAGE_KEY_TAG_COLORS = 'notes_app_tag_colors_v1';
+export const STORAGE_KEY_TAG_TREE = 'notes_app_tag_tree_v1';
+
+export const TAG_COLORS = [
+  { id: 'blue', label: 'Blue', value: '#2563eb' },
+  { id: 'green', label: 'Green', value: '#16a34a' },
+  { id: 'amber', label: 'Amber', value: '#d97706' },
+  { id: 'red', label: 'Red', value: '#dc2626' },
+  { id: 'purple', label: 'Purple', value: '#7c3aed' },
+  { id: 'pink', label: 'Pink', value: '#db2777' },
+  { id: 'teal', label: 'Teal', value: '#0d9488' },
+  { id: 'gray', label: 'Gray', value: '#6b7280' },
+];
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+
+// PUBLIC_INTERFACE
+export function tagPath(tag) {
+  /** A tag as typed, cleaned up: "work / clients/" becomes "work/clients". */
+  return String(tag || '')
+    .split('/')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .join('/');
+}
+
+// PUBLIC_INTERFACE
+export function tagKey(tag) {
+  /** The case-insensitive identity of a tag. */
+  return tagPath(tag).toLowerCase();
+}
+
+// PUBLIC_INTERFACE
+export function tagMatches(tag, filter) {
+  /** Whether `tag` is the tag `filter` or nested below it (work/clients matches the filter "work"). */
+  const key = tagKey(tag);
+  const wanted = tagKey(filter);
+  return !!wanted && (key === wanted || key.startsWith(`${wanted}/`));
+}
+
+// PUBLIC_INTERFACE
+export function tagStats(notes) {
+  /**
+   * Every tag with its usage: [{ tag, key, count, variants: [{ tag, count }] }] sorted by name,
+   * where tag is the most used spelling and count the number of notes carrying any spelling.
+   */
+  const groups = new Map();
+  (Array.isArray(notes) ? notes : []).forEach((note) => {
+    const seen = new Set();
+    (Array.isArray(note?.tags) ? note.tags : []).forEach((raw) => {
+      const tag = typeof raw === 'string' ? tagPath(raw) : '';
+      const key = tagKey(tag);
+      if (!key) return;
+      const group = groups.get(key) || { key, count: 0, spellings: new Map() };
+      if (!seen.has(key)) group.count += 1;
+      seen.add(key);
+      group.spellings.set(tag, (group.spellings.get(tag) || 0) + 1);
+      groups.set(key, group);
+    });
+  });
+  return [...groups.values()]
+    .map((group) => {
+      const variants = [...group.spellings.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+      return { tag: variants[0].tag, key: group.key, count: group.count, variants };
+    })
+    .sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+// PUBLIC_INTERFACE
+export function buildTagTree(notes) {
+  /**
+   * The tags of `notes` as a tree: top-level nodes { key, path, name, depth, children, count, total }
+   * where path is the full tag, name its last part, count the notes carrying exactly this tag and total
+   * the notes carrying it or any tag below it. Siblings are ordered by name.
+   */
+  const list = Array.isArray(notes) ? notes : [];
+  const spelling = new Map(tagStats(list).map((s) => [s.key, s.tag]));
+  const nodes = new Map();
+  const roots = [];
+  const nodeFor = (parts) => {
+    const key = parts.join('/').toLowerCase();
+    if (nodes.has(key)) return nodes.get(key);
+    const path = spelling.get(key) || parts.join('/');
+    const node = { key, path, name: path.split('/').pop(), depth: parts.length - 1, children: [], count: 0, total: 0 };
+    nodes.set(key, node);
+    if (parts.length > 1) nodeFor(parts.slice(0, -1)).children.push(node);
+    else roots.push(node);
+    return node;
+  };
+  list.forEach((note) => {
+    const exact = new Set();
+    const below = new Set();
+    (Array.isArray(note?.tags) ? note.tags : []).forEach((raw) => {
+      const parts = tagPath(raw).split('/').filter(Boolean);
+      if (parts.length === 0) return;
+      exact.add(nodeFor(parts));
+      parts.forEach((_, i) => below.add(nodeFor(parts.slice(0, i + 1))));
+    });
+    exact.forEach((node) => {
+      node.count += 1;
+    });
+    below.forEach((node) => {
+      node.total += 1;
+    });
+  });
+  const sort = (level) => {
+    level.sort(byName);
+    level.forEach((node) => sort(node.children));
+    return level;
+  };
+  return sort(roots);
+}
+
+// PUBLIC_INTERFACE
+export function flattenTagTree(nodes, expanded = null) {
+  /** The nodes of a tag tree in display order; with `expanded` keys, only children of those are included. */
+  const open = expanded ? new Set(expanded) : null;
+  const rows = [];
+  const walk = (list) =>
+    list.forEach((node) => {
+      rows.push(node);
+      if (!open || open.has(node.key)) walk(node.children);
+    });
+  walk(nodes);
+  return rows;
+}
+
+// PUBLIC_INTERFACE
+export function tagCounts(notes) {
+  /** { [tag key]: notes carrying the tag or a tag below it } for every tag and parent tag of `notes`. */
+  const counts = {};
+  flattenTagTree(buildTagTree(notes)).forEach((node) => {
+    counts[node.key] = node.total;
+  });
+  return counts;
+}
+
+// PUBLIC_INTERFACE
+export function filterTagTree(nodes, text) {
+  /** The branches of a tag tree whose path contains `text` (ignoring case), with their parents. */
+  const wanted = String(text || '').trim().toLowerCase();
+  if (!wanted) return nodes;
+  const prune = (list) =>
+    list
+      .map((node) => {
+        const children = prune(node.children);
+        return node.key.includes(wanted) || children.length > 0 ? { ...node, children } : null;
+      })
+      .filter(Boolean);
+  return prune(nodes);
+}
+
+// characters of `wanted` appear in `text` in order, e.g. "wrk" in "work"
+function isSubsequence(wanted, text) {
+  let i = 0;
+  for (const ch of text) {
+    if (ch === wanted[i]) i += 1;
+    if (i === wanted.length) return true;
+  }
+  return false;
+}
+
+// PUBLIC_INTERFACE
+export function matchTags(stats, input, { exclude = [], limit = 8 } = {}) {
+  /**
+   * Existing tags for what is typed, best first: tags (or one of their slash parts) starting with it,
+   * then containing it, then close to it despite a typo ("wrok") or left-out letters ("wrk").
+   * `stats` come from tagStats; tags in `exclude` are left out. Returns [{ tag, count }].
+   */
+  const wanted = tagKey(input);
+  if (!wanted) return [];
+  const skip = new Set(exclude.map(tagKey));
+  const edits = wanted.length >= 8 ? 2 : wanted.length >= 4 ? 1 : 0;
+  const near = (part) => [-1, 0, 1].some((d) => editDistance(wanted, part.slice(0, wanted.length + d), edits) <= edits);
+  const rank = (key) => {
+    const parts = key.split('/');
+    if (key.startsWith(wanted)) return 0;
+    if (parts.some((part) => part.startsWith(wanted))) return 1;
+    if (key.includes(wanted)) return 2;
+    if (edits > 0 && parts.some(near)) return 3;
+    if (wanted.length >= 2 && isSubsequence(wanted, key)) return 4;
+    return -1;
+  };
+  return (Array.isArray(stats) ? stats : [])
+    .filter((stat) => !skip.has(stat.key))
+    .map((stat) => ({ stat, rank: rank(stat.key) }))
+    .filter(({ rank: r }) => r >= 0)
+    .sort((a, b) => a.rank - b.rank || b.stat.count - a.stat.count || a.stat.tag.localeCompare(b.stat.tag))
+    .slice(0, limit)
+    .map(({ stat }) => ({ tag: stat.tag, count: stat.count }));
+}
+
+// PUBLIC_INTERFACE
+export function suggestTags(notes, { tags = [], title = '', content = '' } = {}, limit = 6) {
+  /**
+   * Existing tags that may fit a note, best first: [{ tag, reason }]. Tags often used together with the
+   * note's tags (on at least a quarter of their notes) and tags named in its title or text are suggested;
+   * tags the note already has are not.
+   */
+  const list = Array.isArray(notes) ? notes : [];
+  const stats = tagStats(list);
+  const byKey = new Map(stats.map((stat) => [stat.key, stat]));
+  const have = new Set(tags.map(tagKey));
+  const scores = new Map(); // key -> { score, best, reason }
+  const add = (key, score, reason) => {
+    if (have.has(key) || !byKey.has(key)) return;
+    const entry = scores.get(key) || { score: 0, best: 0, reason };
+    entry.score += score;
+    if (score > entry.best) {
+      entry.best = score;
+      entry.reason = reason;
+    }
+    scores.set(key, entry);
+  };
+
+  // share of the notes tagged k that also carry each other tag
+  const together = new Map();
+  list.forEach((note) => {
+    const keys = [...new Set((Array.isArray(note.tags) ? note.tags : []).map(tagKey).filter(Boolean))];
+    keys.filter((k) => have.has(k)).forEach((k) => {
+      keys.forEach((other) => {
+        const id = `${k}\n${other}`;
+        together.set(id, (together.get(id) || 0) + 1 / byKey.get(k).count);
+      });
+    });
+  });
+  together.forEach((share, id) => {
+    const [k, other] = id.split('\n');
+    if (share >= 0.25) add(other, share, `often used with “${byKey.get(k).tag}”`);
+  });
+
+  // tags whose last part is a word (or words) of the title or text
+  const titleTerms = new Set(tokenize(title).map((t) => t.term));
+  const contentTerms = new Set(tokenize(content).map((t) => t.term));
+  stats.forEach((stat) => {
+    const words = tokenize(stat.key.split('/').pop()).map((t) => t.term);
+    if (words.length === 0 || words.join('').length < 3) return;
+    if (words.every((w) => titleTerms.has(w))) add(stat.key, 1, 'in the title');
+    else if (words.every((w) => contentTerms.has(w))) add(stat.key, 0.6, 'in the text');
+  });
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1].score - a[1].score || byKey.get(b[0]).count - byKey.get(a[0]).count)
+    .slice(0, limit)
+    .map(([key, entry]) => ({ tag: byKey.get(key).tag, reason: entry.reason }));
+}
+
+// PUBLIC_INTERFACE
+export function replaceTags(tags, from, to) {
+  /**
+   * Returns tags with every spelling of the tags in `from` replaced by `to` (in place of the first
+   * one), or removed when `to` is empty; no tag is listed twice. Renaming moves the tags nested below
+   * a source along (work/clients becomes job/clients); removing and respelling (same key) leave them.
+   */
+  const sources = (Array.isArray(from) ? from : [from]).map(tagKey).filter(Boolean);
+  const target = String(to || '').trim();
+  const targetPath = tagPath(target);
+  const renamed = (tag) => {
+    const key = tagKey(tag);
+    if (sources.includes(key)) return target;
+    const parent = targetPath && sources.find((source) => source !== tagKey(targetPath) && tagMatches(key, source));
+    if (!parent) return tag;
+    const rest = tagPath(tag).split('/').slice(parent.split('/').length);
+    return [targetPath, ...rest].join('/');
+  };
+  const next = [];
+  (Array.isArray(tags) ? tags : []).forEach((tag) => {
+    const value = renamed(tag);
+    if (value && !next.some((t) => tagKey(t) === tagKey(value))) next.push(value);
+  });
+  return next;
+}
+
+// PUBLIC_INTERFACE
+export function retagNotes(notes, from, to) {
+  /** The notes whose tags change when `from` becomes `to` (see replaceTags): [{ id, title, before, after }]. */
+  return (Array.isArray(notes) ? notes : [])
+    .map((note) => {
+      const before = Array.isArray(note.tags) ? note.tags : [];
+      return { id: note.id, title: note.title, before, after: replaceTags(before, from, to) };
+    })
+    .filter(({ before, after }) => before.join('\n') !== after.join('\n'));
+}
+
+// PUBLIC_INTERFACE
+export function normalizeCaseChanges(notes) {
+  /** Changes that rewrite every tag variant to its most used spelling. */
+  const spelling = new Map(tagStats(notes).map((s) => [s.key, s.tag]));
+  return (Array.isArray(notes) ? notes : [])
+    .map((note) => {
+      const before = Array.isArray(note.tags) ? note.tags : [];
+      const after = [];
+      before.forEach((tag) => {
+        const value = spelling.get(tagKey(tag)) || tag;
+        if (!after.includes(value)) after.push(value);
+      });
+      return { id: note.id, title: note.title, before, after };
+    })
+    .filter(({ before, after }) => before.join('\n') !== after.join('\n'));
+}
+
+// PUBLIC_INTERFACE
+export function readTagColors() {
+  /** Returns the saved tag colors: { [lowercased tag]: color }. */
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY_TAG_COLORS) || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+// PUBLIC_INTERFACE
+export function writeTagColors(colors) {
+  /** Replaces every saved tag color (e.g. to undo a rename); returns them. */
+  const next = colors && typeof colors === 'object' ? colors : {};
+  try {
+    window.localStorage.setItem(STORAGE_KEY_TAG_COLORS, JSON.stringify(next));
+  } catch {
+    // ignore
+  }
+  return next;
+}
+
+// PUBLIC_INTERFACE
+export function writeTagColor(tag, color) {
+  /** Sets (or with a falsy color, clears) the color of a tag; returns every saved color. */
+  const colors = { ...readTagColors() };
+  if (color) colors[tagKey(tag)] = color;
+  else delete colors[tagKey(tag)];
+  return writeTagColors(colors);
+}
+
+// PUBLIC_INTERFACE
+export function moveTagColor(from, to) {
+  /**
+   * Carries the color of renamed or merged tags, and of the tags nested below them, over to the
+   * target; returns every saved color.
+   */
+  const colors = readTagColors();
+  const sources = (Array.isArray(from) ? from : [from]).map(tagKey);
+  const color = colors[tagKey(to)] || sources.map((key) => colors[key]).find(Boolean) || null;
+  sources.forEach((key) => writeTagColor(key, null));
+  if (!to) return readTagColors();
+  const target = tagKey(to);
+  Object.keys(colors).forEach((key) => {
+    const parent = sources.find((source) => source !== target && key.startsWith(`${source}/`));
+    if (!parent) return;
+    const moved = `${target}${key.slice(parent.length)}`;
+    writeTagColor(key, null);
+    if (!colors[moved]) writeTagColor(moved, colors[key]);
+  });
+  return writeTagColor(to, color);
+}
+
+// PUBLIC_INTERFACE
+export function tagChipStyle(colors, tag) {
+  /** Inline style for a tag chip in its color (undefined when it has none). */
+  const color = colors && colors[tagKey(tag)];
+  if (!color) return undefined;
+  return { borderColor: color, boxShadow: `inset 3px 0 0 ${color}` };
+}
+
+// PUBLIC_INTERFACE
+export function readTagTreeSettings() {
+  /** Returns { expanded } for the tag filter tree. */
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY_TAG_TREE) || '{}') || {};
+    return { expanded: Array.isArray(parsed.expanded) ? parsed.expanded.map(String) : [] };
+  } catch {
+    return { expanded: [] };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function writeTagTreeSettings(changes) {
+  /** Saves changed tag tree settings and returns all of them. */
+  const next = { ...readTagTreeSettings(), ...changes };
+  try {
+    window.localStorage.setItem(STORAGE_KEY_TAG_TREE, JSON.stringify(next));
+  } catch {
+    // ignore
+  }
+  return next;
+}
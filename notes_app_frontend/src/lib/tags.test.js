@@ -0,0 +1,171 @@
+import {
+  STORAGE_KEY_TAG_COLORS,
+  STORAGE_KEY_TAG_TREE,
+  tagPath,
+  tagMatches,
+  buildTagTree,
+  flattenTagTree,
+  filterTagTree,
+  tagCounts,
+  matchTags,
+  suggestTags,
+  readTagTreeSettings,
+  writeTagTreeSettings,
+  tagStats,
+  replaceTags,
+  retagNotes,
+  normalizeCaseChanges,
+  readTagColors,
+  writeTagColor,
+  writeTagColors,
+  moveTagColor,
+  tagChipStyle,
+} from './tags';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+const notes = [
+  { id: 'a', tags: ['Work', 'urgent'] },
+  { id: 'b', tags: ['work', 'home'] },
+  { id: 'c', tags: ['Work'] },
+  { id: 'd', tags: [] },
+];
+
+test('counts tags ignoring case and picks the most used spelling', () => {
+  expect(tagStats(notes)).toEqual([
+    { tag: 'home', key: 'home', count: 1, variants: [{ tag: 'home', count: 1 }] },
+    { tag: 'urgent', key: 'urgent', count: 1, variants: [{ tag: 'urgent', count: 1 }] },
+    { tag: 'Work', key: 'work', count: 3, variants: [{ tag: 'Work', count: 2 }, { tag: 'work', count: 1 }] },
+  ]);
+});
+
+test('replaces, merges and removes tags without duplicates', () => {
+  expect(replaceTags(['Work', 'home'], 'work', 'Job')).toEqual(['Job', 'home']);
+  expect(replaceTags(['Work', 'home', 'urgent'], ['home', 'urgent'], 'Personal')).toEqual(['Work', 'Personal']);
+  expect(replaceTags(['Work', 'home'], 'home', 'work')).toEqual(['Work']);
+  expect(replaceTags(['Work', 'home'], 'WORK', '')).toEqual(['home']);
+});
+
+test('lists only the notes a change affects', () => {
+  expect(retagNotes(notes, 'work', 'Job').map((c) => [c.id, c.after])).toEqual([
+    ['a', ['Job', 'urgent']],
+    ['b', ['Job', 'home']],
+    ['c', ['Job']],
+  ]);
+  expect(retagNotes(notes, 'missing', 'x')).toEqual([]);
+  expect(normalizeCaseChanges(notes).map((c) => [c.id, c.before, c.after])).toEqual([['b', ['work', 'home'], ['Work', 'home']]]);
+});
+
+test('tag colors are stored per tag ignoring case and follow renames', () => {
+  expect(readTagColors()).toEqual({});
+  writeTagColor('Work', '#2563eb');
+  expect(readTagColors()).toEqual({ work: '#2563eb' });
+  expect(tagChipStyle(readTagColors(), 'WORK')).toMatchObject({ borderColor: '#2563eb' });
+  expect(tagChipStyle(readTagColors(), 'home')).toBeUndefined();
+  expect(moveTagColor('work', 'Job')).toEqual({ job: '#2563eb' });
+  expect(writeTagColor('job', null)).toEqual({});
+  writeTagColors({ home: '#16a34a' });
+  expect(readTagColors()).toEqual({ home: '#16a34a' });
+  window.localStorage.setItem(STORAGE_KEY_TAG_COLORS, '[]');
+  expect(readTagColors()).toEqual({});
+});
+
+test('slash tags are cleaned up and match their parents', () => {
+  expect(tagPath(' work / clients/ ')).toBe('work/clients');
+  expect(tagMatches('Work/Clients/Acme', 'work')).toBe(true);
+  expect(tagMatches('work/clients', 'Work/Clients')).toBe(true);
+  expect(tagMatches('workshop', 'work')).toBe(false);
+  expect(tagMatches('work', 'work/clients')).toBe(false);
+  expect(replaceTags(['work / clients'], 'Work/Clients', '')).toEqual([]);
+});
+
+test('renames and merges move nested tags along', () => {
+  expect(replaceTags(['Work/Clients/Acme', 'work', 'workshop'], 'work', 'Job')).toEqual(['Job/Clients/Acme', 'Job', 'workshop']);
+  expect(replaceTags(['home/garden', 'work/garden'], ['home', 'work'], 'work')).toEqual(['work/garden']);
+  expect(replaceTags(['work/clients', 'Work'], 'work', '')).toEqual(['work/clients']);
+  expect(replaceTags(['work/clients', 'Work'], 'work', 'Work')).toEqual(['work/clients', 'Work']);
+  const nested = [
+    { id: 'a', tags: ['work/clients/acme'] },
+    { id: 'b', tags: ['work'] },
+    { id: 'c', tags: ['home'] },
+  ];
+  expect(retagNotes(nested, 'work', 'job').map((c) => [c.id, c.after])).toEqual([
+    ['a', ['job/clients/acme']],
+    ['b', ['job']],
+  ]);
+  writeTagColors({ work: '#2563eb', 'work/clients': '#16a34a', 'job/clients': '#dc2626' });
+  expect(moveTagColor('work', 'Job')).toEqual({ job: '#2563eb', 'job/clients': '#dc2626' });
+  writeTagColors({ 'home/garden': '#16a34a' });
+  expect(moveTagColor(['home', 'work'], 'work')).toEqual({ 'work/garden': '#16a34a' });
+});
+
+test('builds a tag tree with implicit parents and distinct note counts', () => {
+  const tree = buildTagTree([
+    { id: 'a', tags: ['work/clients/acme', 'work/clients/beta'] },
+    { id: 'b', tags: ['work', 'Work/Clients'] },
+    { id: 'c', tags: ['home'] },
+  ]);
+  expect(tree.map((n) => [n.path, n.count, n.total])).toEqual([['home', 1, 1], ['work', 1, 2]]);
+  const clients = tree[1].children[0];
+  expect(clients).toMatchObject({ key: 'work/clients', path: 'Work/Clients', name: 'Clients', depth: 1, count: 1, total: 2 });
+  expect(clients.children.map((n) => [n.path, n.name, n.count, n.total])).toEqual([
+    ['work/clients/acme', 'acme', 1, 1],
+    ['work/clients/beta', 'beta', 1, 1],
+  ]);
+  expect(flattenTagTree(tree, []).map((n) => n.key)).toEqual(['home', 'work']);
+  expect(flattenTagTree(tree).map((n) => n.key)).toEqual(['home', 'work', 'work/clients', 'work/clients/acme', 'work/clients/beta']);
+  expect(flattenTagTree(tree, ['work', 'work/clients']).map((n) => n.key)).toEqual([
+    'home', 'work', 'work/clients', 'work/clients/acme', 'work/clients/beta',
+  ]);
+  expect(flattenTagTree(filterTagTree(tree, 'acm'), ['work', 'work/clients']).map((n) => n.key)).toEqual([
+    'work', 'work/clients', 'work/clients/acme',
+  ]);
+});
+
+test('counts notes per tag including the tags below it', () => {
+  expect(tagCounts([{ tags: ['work/a', 'work/b'] }, { tags: ['Work', 'home'] }])).toEqual({ home: 1, work: 2, 'work/a': 1, 'work/b': 1 });
+  expect(tagCounts([])).toEqual({});
+});
+
+test('tag tree settings are stored', () => {
+  expect(readTagTreeSettings()).toEqual({ expanded: [] });
+  expect(writeTagTreeSettings({ expanded: ['work'] })).toEqual({ expanded: ['work'] });
+  window.localStorage.setItem(STORAGE_KEY_TAG_TREE, 'oops');
+  expect(readTagTreeSettings()).toEqual({ expanded: [] });
+});
+
+test('completes typed tags by prefix, part, substring and fuzzy match', () => {
+  const stats = tagStats([
+    { tags: ['work', 'work/clients/acme'] },
+    { tags: ['work', 'homework'] },
+    { tags: ['weekend'] },
+  ]);
+  expect(matchTags(stats, 'wo').map((m) => m.tag)).toEqual(['work', 'work/clients/acme', 'homework']);
+  expect(matchTags(stats, 'acm').map((m) => m.tag)).toEqual(['work/clients/acme']);
+  expect(matchTags(stats, 'wrok').map((m) => m.tag)).toEqual(['work', 'work/clients/acme']);
+  expect(matchTags(stats, 'wknd').map((m) => m.tag)).toEqual(['weekend']);
+  expect(matchTags(stats, 'work', { exclude: ['WORK'] })[0]).toEqual({ tag: 'work/clients/acme', count: 1 });
+  expect(matchTags(stats, '  ')).toEqual([]);
+});
+
+test('suggests tags used together with the note tags and named in its text', () => {
+  const notes = [
+    { tags: ['work', 'meeting'] },
+    { tags: ['work', 'meeting'] },
+    { tags: ['work', 'travel'] },
+    { tags: ['work'] },
+    { tags: ['work'] },
+    { tags: ['Budget'] },
+    { tags: ['ux'] },
+  ];
+  expect(suggestTags(notes, { tags: ['work'] })).toEqual([{ tag: 'meeting', reason: 'often used with “work”' }]);
+  expect(suggestTags(notes, { tags: ['work'], title: 'Q3 budget review', content: 'Travel plans' })).toEqual([
+    { tag: 'Budget', reason: 'in the title' },
+    { tag: 'travel', reason: 'in the text' },
+    { tag: 'meeting', reason: 'often used with “work”' },
+  ]);
+  expect(suggestTags(notes, { tags: ['budget'], title: 'Budget' })).toEqual([]);
+  expect(suggestTags([], { title: 'anything' })).toEqual([]);
+});
@@ -0,0 +1,202 @@
+import { readSelectedNotebookId, writeSelectedNotebookId } from './storage';
+import { isBackendConfigured } from './http';
+import { enqueue } from './outbox';
+import { requestFlush } from './sync';
+import { getLocalStore } from './stores';
+
+/**
+ * trash
+ * Soft delete for notes and notebooks.
+ * - Deleting marks the item with `deletedAt` in the local store; trashing a notebook also
+ *   trashes its notes, marked `trashedWith: <notebookId>` so they come back with it
+ * - The backend copy is deleted right away (see api.deleteNote / api.deleteNotebook);
+ *   restoring re-creates it through the outbox
+ * - Permanent deletes and purges are local only: they drop notes, attachments and revisions
+ *
+ * Retention is stored under `notes_app_trash_policy_v1`: { purgeAfterDays } where 0 keeps
+ * trashed items until they are deleted by hand.
+ */
+
+export const STORAGE_KEY_TRASH_POLICY = 'notes_app_trash_policy_v1';
+export const DEFAULT_TRASH_POLICY = { purgeAfterDays: 30 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDays(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : DEFAULT_TRASH_POLICY.purgeAfterDays;
+}
+
+function untrashed(item) {
+  const rest = { ...item };
+  delete rest.deletedAt;
+  delete rest.trashedWith;
+  return rest;
+}
+
+function queue(type, targetId) {
+  if (!isBackendConfigured()) return;
+  enqueue(type, targetId);
+  requestFlush();
+}
+
+// PUBLIC_INTERFACE
+export function readTrashPolicy() {
+  /** Returns the persisted trash retention, falling back to the defaults. */
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY_TRASH_POLICY) || 'null') || {};
+    return { purgeAfterDays: toDays(parsed.purgeAfterDays) };
+  } catch {
+    return { ...DEFAULT_TRASH_POLICY };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function writeTrashPolicy(policy) {
+  /** Persists the trash retention and returns the normalized value. */
+  const next = { purgeAfterDays: toDays(policy?.purgeAfterDays) };
+  try {
+    window.localStorage.setItem(STORAGE_KEY_TRASH_POLICY, JSON.stringify(next));
+  } catch {
+    // ignore
+  }
+  return next;
+}
+
+// PUBLIC_INTERFACE
+export function purgeDate(item, policy = readTrashPolicy()) {
+  /** Returns when a trashed item is purged automatically, or null when it is kept. */
+  if (!item?.deletedAt || !policy.purgeAfterDays) return null;
+  return new Date(new Date(item.deletedAt).getTime() + policy.purgeAfterDays * DAY_MS);
+}
+
+// PUBLIC_INTERFACE
+export async function moveNoteToTrash(store, id) {
+  /** Marks a note in the given local store as trashed. Resolves to false when it does not exist. */
+  const note = await store.getNote(id);
+  if (!note) return false;
+  if (!note.deletedAt) await store.putNote({ ...note, deletedAt: new Date().toISOString() });
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export async function moveNotebookToTrash(store, id, moveNotesToId = null) {
+  /**
+   * Marks a notebook in the given local store as trashed together with its notes,
+   * or moves the notes to moveNotesToId first. The last notebook cannot be trashed.
+   */
+  const notebooks = await store.listNotebooks();
+  const nb = notebooks.find((n) => n.id === String(id));
+  if (!nb) throw new Error('Notebook not found');
+  const remaining = notebooks.filter((n) => n.id !== nb.id);
+  if (remaining.length === 0) throw new Error('At least one notebook is required');
+  const target = moveNotesToId && remaining.some((n) => n.id === String(moveNotesToId)) ? String(moveNotesToId) : null;
+  const now = new Date().toISOString();
+  const notes = await store.listNotes(nb.id);
+  // oldest first, so notes keep their order in stores that prepend
+  for (const n of notes.slice().reverse()) {
+    await store.putNote(target ? { ...n, notebookId: target } : { ...n, deletedAt: now, trashedWith: nb.id });
+  }
+  await store.putNotebook({ ...nb, deletedAt: now });
+  if (readSelectedNotebookId() === nb.id) writeSelectedNotebookId(remaining[0].id);
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export async function listTrash() {
+  /**
+   * Returns the Trash, most recently deleted first:
+   * { notebooks: [{ ...notebook, notes }], notes: [{ ...note, notebookName }] }
+   * where notes trashed with a notebook are listed under it.
+   */
+  const store = await getLocalStore();
+  const trash = await store.listTrash();
+  const names = new Map([...(await store.listNotebooks()), ...trash.notebooks].map((nb) => [nb.id, nb.name]));
+  const trashedIds = new Set(trash.notebooks.map((nb) => nb.id));
+  const byDeleted = (a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt));
+  return {
+    notebooks: trash.notebooks
+      .map((nb) => ({ ...nb, notes: trash.notes.filter((n) => n.trashedWith === nb.id) }))
+      .sort(byDeleted),
+    notes: trash.notes
+      .filter((n) => !(n.trashedWith && trashedIds.has(n.trashedWith)))
+      .map((n) => ({ ...n, notebookName: names.get(n.notebookId) || '' }))
+      .sort(byDeleted),
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function restoreNote(id) {
+  /** Restores a trashed note into its notebook (restoring the notebook too if it is trashed). */
+  const store = await getLocalStore();
+  const note = await store.getNote(id);
+  if (!note || !note.deletedAt) return note;
+  const nb = (await store.listTrash()).notebooks.find((n) => n.id === note.notebookId);
+  if (nb) {
+    await store.putNotebook(untrashed(nb));
+    queue('createNotebook', nb.id);
+  }
+  const restored = await store.putNote(untrashed(note));
+  queue('createNote', note.id);
+  return restored;
+}
+
+// PUBLIC_INTERFACE
+export async function restoreNotebook(id) {
+  /** Restores a trashed notebook with the notes that were trashed along with it. */
+  const store = await getLocalStore();
+  const trash = await store.listTrash();
+  const nb = trash.notebooks.find((n) => n.id === String(id));
+  if (!nb) return null;
+  const restored = await store.putNotebook(untrashed(nb));
+  queue('createNotebook', nb.id);
+  const notes = trash.notes.filter((n) => n.trashedWith === nb.id);
+  for (const n of notes.slice().reverse()) {
+    await store.putNote(untrashed(n));
+    queue('createNote', n.id);
+  }
+  return restored;
+}
+
+// PUBLIC_INTERFACE
+export async function deleteNoteForever(id) {
+  /** Permanently deletes a trashed note with its attachments and revisions. */
+  const store = await getLocalStore();
+  const note = await store.getNote(id);
+  if (!note || !note.deletedAt) return false;
+  return store.deleteNote(note.id);
+}
+
+// PUBLIC_INTERFACE
+export async function deleteNotebookForever(id) {
+  /** Permanently deletes a trashed notebook and every note it holds. */
+  const store = await getLocalStore();
+  const nb = (await store.listTrash()).notebooks.find((n) => n.id === String(id));
+  if (!nb) return false;
+  return store.deleteNotebook(nb.id);
+}
+
+async function purge(keep) {
+  const store = await getLocalStore();
+  const trash = await store.listTrash();
+  const notebooks = trash.notebooks.filter((nb) => !keep(nb));
+  const gone = new Set(notebooks.map((nb) => nb.id));
+  const notes = trash.notes.filter((n) => !gone.has(n.notebookId) && !keep(n));
+  for (const nb of notebooks) await store.deleteNotebook(nb.id);
+  for (const n of notes) await store.deleteNote(n.id);
+  return notebooks.length + notes.length;
+}
+
+// PUBLIC_INTERFACE
+export async function emptyTrash() {
+  /** Permanently deletes everything in the Trash. Resolves to the number of notebooks and notes removed. */
+  return purge(() => false);
+}
+
+// PUBLIC_INTERFACE
+export async function purgeExpiredTrash(now = Date.now()) {
+  /** Permanently deletes trashed items older than the retention. Resolves to the number removed. */
+  const policy = readTrashPolicy();
+  if (!policy.purgeAfterDays) return 0;
+  return purge((item) => purgeDate(item, policy).getTime() > now);
+}
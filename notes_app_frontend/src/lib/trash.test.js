@@ -0,0 +1,143 @@
+import { listNotebooks, createNotebook, listNotes, createNote, deleteNote, deleteNotebook } from './api';
+import { STORAGE_KEY_OUTBOX, getOutbox } from './outbox';
+import { getLocalStore } from './stores';
+import {
+  DEFAULT_TRASH_POLICY,
+  readTrashPolicy,
+  writeTrashPolicy,
+  purgeDate,
+  listTrash,
+  restoreNote,
+  restoreNotebook,
+  deleteNoteForever,
+  deleteNotebookForever,
+  emptyTrash,
+  purgeExpiredTrash,
+} from './trash';
+
+const ORIGINAL_ENV = { ...process.env };
+
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    text: () => Promise.resolve(body === undefined ? '' : JSON.stringify(body)),
+  });
+}
+
+beforeEach(() => {
+  window.localStorage.clear();
+  delete process.env.REACT_APP_API_BASE;
+  delete process.env.REACT_APP_BACKEND_URL;
+  global.fetch = jest.fn();
+});
+
+afterAll(() => {
+  process.env = ORIGINAL_ENV;
+  delete global.fetch;
+});
+
+test('the retention is persisted and normalized', () => {
+  expect(readTrashPolicy()).toEqual(DEFAULT_TRASH_POLICY);
+  expect(writeTrashPolicy({ purgeAfterDays: '7' })).toEqual({ purgeAfterDays: 7 });
+  expect(writeTrashPolicy({ purgeAfterDays: -3 })).toEqual(DEFAULT_TRASH_POLICY);
+  const item = { deletedAt: '2024-01-01T00:00:00.000Z' };
+  expect(purgeDate(item, { purgeAfterDays: 7 }).toISOString()).toBe('2024-01-08T00:00:00.000Z');
+  expect(purgeDate(item, { purgeAfterDays: 0 })).toBeNull();
+  expect(purgeDate({}, { purgeAfterDays: 7 })).toBeNull();
+});
+
+test('trashed notes are restored to their notebook', async () => {
+  const [home] = await listNotebooks();
+  const note = await createNote({ title: 'Keep me' });
+  await deleteNote(note.id);
+  const trash = await listTrash();
+  expect(trash.notes).toEqual([expect.objectContaining({ id: note.id, notebookName: home.name })]);
+  expect(trash.notes[0].deletedAt).toEqual(expect.any(String));
+
+  const restored = await restoreNote(note.id);
+  expect(restored.deletedAt).toBeUndefined();
+  expect((await listNotes(home.id)).map((n) => n.title)).toEqual(['Keep me']);
+  expect(await listTrash()).toEqual({ notebooks: [], notes: [] });
+});
+
+test('a notebook comes back with the notes trashed along with it', async () => {
+  const work = await createNotebook('Work');
+  const early = await createNote({ title: 'Trashed first' }, work.id);
+  await createNote({ title: 'One' }, work.id);
+  await createNote({ title: 'Two' }, work.id);
+  await deleteNote(early.id);
+  await deleteNotebook(work.id);
+  expect((await listNotebooks()).map((nb) => nb.name)).toEqual(['My Notes']);
+
+  const trash = await listTrash();
+  expect(trash.notebooks.map((nb) => nb.notes.map((n) => n.title))).toEqual([['Two', 'One']]);
+  expect(trash.notes.map((n) => n.title)).toEqual(['Trashed first']);
+
+  await restoreNotebook(work.id);
+  expect((await listNotes(work.id)).map((n) => n.title)).toEqual(['Two', 'One']);
+  expect((await listTrash()).notes.map((n) => n.title)).toEqual(['Trashed first']);
+});
+
+test('restoring a note from a trashed notebook restores the notebook', async () => {
+  const work = await createNotebook('Work');
+  const note = await createNote({ title: 'Plan' }, work.id);
+  await deleteNotebook(work.id);
+  await restoreNote(note.id);
+  expect((await listNotebooks()).map((nb) => nb.id)).toContain(work.id);
+  expect((await listNotes(work.id)).map((n) => n.title)).toEqual(['Plan']);
+});
+
+test('permanent deletes and emptying the Trash only touch trashed items', async () => {
+  const kept = await createNote({ title: 'Live' });
+  const gone = await createNote({ title: 'Gone' });
+  expect(await deleteNoteForever(kept.id)).toBe(false);
+  await deleteNote(gone.id);
+  expect(await deleteNoteForever(gone.id)).toBe(true);
+  expect(await (await getLocalStore()).getNote(gone.id)).toBeNull();
+
+  const work = await createNotebook('Work');
+  await createNote({ title: 'Inside' }, work.id);
+  expect(await deleteNotebookForever(work.id)).toBe(false);
+  await deleteNotebook(work.id);
+  const other = await createNotebook('Other');
+  await deleteNotebook(other.id);
+  await deleteNote(kept.id);
+  expect(await deleteNotebookForever(other.id)).toBe(true);
+
+  expect(await emptyTrash()).toBe(2);
+  expect(await listTrash()).toEqual({ notebooks: [], notes: [] });
+  expect((await listNotebooks()).map((nb) => nb.name)).toEqual(['My Notes']);
+});
+
+test('expired items are purged automatically', async () => {
+  const store = await getLocalStore();
+  const old = await createNote({ title: 'Old' });
+  const recent = await createNote({ title: 'Recent' });
+  await deleteNote(recent.id);
+  await store.putNote({ ...old, deletedAt: '2000-01-01T00:00:00.000Z' });
+
+  writeTrashPolicy({ purgeAfterDays: 0 });
+  expect(await purgeExpiredTrash()).toBe(0);
+  writeTrashPolicy({ purgeAfterDays: 30 });
+  expect(await purgeExpiredTrash()).toBe(1);
+  expect((await listTrash()).notes.map((n) => n.title)).toEqual(['Recent']);
+});
+
+test('with a backend, trashing deletes the server copy and restoring re-creates it', async () => {
+  process.env.REACT_APP_API_BASE = 'https://api.example.test';
+  global.fetch.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+  const note = await createNote({ title: 'Synced' });
+  window.localStorage.removeItem(STORAGE_KEY_OUTBOX);
+
+  global.fetch.mockImplementation(() => jsonResponse(undefined, 204));
+  await deleteNote(note.id);
+  expect(global.fetch).toHaveBeenCalledWith(
+    `https://api.example.test/notes/${note.id}`,
+    expect.objectContaining({ method: 'DELETE' })
+  );
+  expect((await listTrash()).notes.map((n) => n.id)).toEqual([note.id]);
+
+  await restoreNote(note.id);
+  expect(getOutbox().map((op) => `${op.type}:${op.targetId}`)).toEqual([`createNote:${note.id}`]);
+});
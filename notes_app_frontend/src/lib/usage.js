@@ -0,0 +1,175 @@
+import { getLocalStore } from './stores';
+import { blobSizeForUrl } from './stores/indexedDbStore';
+
+/**
+ * usage
+ * Storage accounting for notes.
+ * - Per-note byte totals split into text, images, audio and sketch
+ * - Totals per notebook and per attachment type
+ * - Browser quota estimate for the active local store
+ *
+ * Attachment sizes are binary sizes: decoded data URLs or the Blob behind an
+ * object URL. Text is counted as UTF-8. The localStorage quota is counted in UTF-16 code units of
+ * the serialized data instead (attachments sit there as base64), so saves are checked in that unit.
+ */
+
+// Most browsers cap localStorage at ~5M UTF-16 code units per origin.
+export const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+// Saves are flagged once they would push usage past this share of the quota.
+export const QUOTA_SAFETY_RATIO = 0.98;
+
+export const USAGE_TYPES = [
+  { id: 'text', label: 'Text' },
+  { id: 'images', label: 'Images' },
+  { id: 'audio', label: 'Voice notes' },
+  { id: 'drawing', label: 'Sketches' },
+];
+
+// PUBLIC_INTERFACE
+export function textBytes(str) {
+  /** Returns the UTF-8 byte length of a string. */
+  if (!str) return 0;
+  let bytes = 0;
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i);
+    if (code < 0x80) bytes += 1;
+    else if (code < 0x800) bytes += 2;
+    else if (code >= 0xd800 && code <= 0xdbff) {
+      bytes += 4;
+      i++;
+    } else bytes += 3;
+  }
+  return bytes;
+}
+
+// PUBLIC_INTERFACE
+export function attachmentBytes(url) {
+  /** Returns the binary size of a data URL or of a stored object URL (0 when unknown). */
+  if (typeof url !== 'string' || !url) return 0;
+  if (url.startsWith('data:')) {
+    const comma = url.indexOf(',');
+    if (comma === -1) return 0;
+    const payload = url.slice(comma + 1);
+    if (!/;base64$/i.test(url.slice(0, comma))) return textBytes(decodeURIComponent(payload));
+    const padding = payload.endsWith('==') ? 2 : payload.endsWith('=') ? 1 : 0;
+    return Math.max(0, Math.floor((payload.length * 3) / 4) - padding);
+  }
+  return blobSizeForUrl(url) || 0;
+}
+
+// PUBLIC_INTERFACE
+export function noteUsage(note) {
+  /** Returns { text, images, audio, drawing, total } byte counts for a note or note payload. */
+  const tags = Array.isArray(note?.tags) ? note.tags.join(',') : '';
+  const text = textBytes(note?.title || '') + textBytes(note?.content || '') + textBytes(tags);
+  const sum = (list) =>
+    (Array.isArray(list) ? list : []).reduce((acc, item) => acc + attachmentBytes(item?.dataUrl), 0);
+  const images = sum(note?.images);
+  const audio = sum(note?.audio);
+  const drawing = attachmentBytes(note?.drawing);
+  return { text, images, audio, drawing, total: text + images + audio + drawing };
+}
+
+// PUBLIC_INTERFACE
+export function summarizeUsage(entries) {
+  /**
+   * Aggregates usage for a list of { notebook, notes } entries.
+   * Returns { total, byType, notebooks: [{ id, name, count, total }], notes: [{ note, notebookId, notebookName, usage }] }
+   * with notebooks and notes sorted largest first.
+   */
+  const byType = { text: 0, images: 0, audio: 0, drawing: 0 };
+  const notebooks = [];
+  const notes = [];
+  (Array.isArray(entries) ? entries : []).forEach(({ notebook, notes: list }) => {
+    let nbTotal = 0;
+    (Array.isArray(list) ? list : []).forEach((note) => {
+      const usage = noteUsage(note);
+      USAGE_TYPES.forEach(({ id }) => {
+        byType[id] += usage[id];
+      });
+      nbTotal += usage.total;
+      notes.push({ note, notebookId: notebook.id, notebookName: notebook.name, usage });
+    });
+    notebooks.push({ id: notebook.id, name: notebook.name, count: (list || []).length, total: nbTotal });
+  });
+  notebooks.sort((a, b) => b.total - a.total);
+  notes.sort((a, b) => b.usage.total - a.usage.total);
+  const total = USAGE_TYPES.reduce((acc, { id }) => acc + byType[id], 0);
+  return { total, byType, notebooks, notes };
+}
+
+function localStorageUsage() {
+  let units = 0;
+  try {
+    const ls = window.localStorage;
+    for (let i = 0; i < ls.length; i++) {
+      const key = ls.key(i);
+      units += key.length + (ls.getItem(key) || '').length;
+    }
+  } catch {
+    // ignore
+  }
+  return units;
+}
+
+// PUBLIC_INTERFACE
+export async function getStorageEstimate() {
+  /**
+   * Returns { usage, quota, backend } for the active local store, or null when unknown.
+   * IndexedDB uses navigator.storage.estimate; localStorage is measured directly.
+   */
+  const store = await getLocalStore();
+  if (store.name === 'localStorage') {
+    return { usage: localStorageUsage(), quota: LOCAL_STORAGE_QUOTA, backend: store.name };
+  }
+  try {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return quota ? { usage, quota, backend: store.name } : null;
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function checkQuota(estimate, extraBytes) {
+  /**
+   * Checks whether adding extraBytes keeps usage within the quota safety margin.
+   * Returns { ok, available, needed }; ok is true when the estimate is unknown.
+   */
+  const needed = Math.max(0, extraBytes || 0);
+  if (!estimate || !estimate.quota) return { ok: true, available: null, needed };
+  const available = Math.max(0, estimate.quota * QUOTA_SAFETY_RATIO - estimate.usage);
+  return { ok: needed <= available, available, needed };
+}
+
+// PUBLIC_INTERFACE
+export function saveGrowth(estimate, note, previous = null) {
+  /**
+   * How much saving `note` over `previous` (null for a new note) adds to the local store, in the unit
+   * of `estimate`: serialized UTF-16 code units for localStorage, binary bytes otherwise.
+   */
+  if (estimate && estimate.backend === 'localStorage') {
+    const units = (value) => (value ? JSON.stringify(value).length : 0);
+    return units(note) - units(previous);
+  }
+  return noteUsage(note).total - (previous ? noteUsage(previous).total : 0);
+}
+
+// PUBLIC_INTERFACE
+export function isQuotaError(err) {
+  /** True for the DOMExceptions browsers throw when storage is full. */
+  const name = err?.name || '';
+  return name === 'QuotaExceededError' || name === 'NS_ERROR_DOM_QUOTA_REACHED' || err?.code === 22;
+}
+
+// PUBLIC_INTERFACE
+export function formatBytes(n) {
+  /** Formats a byte count as B / KB / MB / GB. */
+  if (!n && n !== 0) return '';
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  if (n < 1024 * 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(2)} MB`;
+  return `${(n / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
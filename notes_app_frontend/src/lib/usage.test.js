@@ -0,0 +1,97 @@
+import {
+  LOCAL_STORAGE_QUOTA,
+  textBytes,
+  attachmentBytes,
+  noteUsage,
+  summarizeUsage,
+  checkQuota,
+  saveGrowth,
+  getStorageEstimate,
+  isQuotaError,
+  formatBytes,
+} from './usage';
+
+// 8 bytes of binary data
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+// 4 bytes of binary data
+const WEBM = 'data:audio/webm;base64,GkXfow==';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('textBytes counts UTF-8 bytes', () => {
+  expect(textBytes('')).toBe(0);
+  expect(textBytes('abc')).toBe(3);
+  expect(textBytes('é')).toBe(2);
+  expect(textBytes('€')).toBe(3);
+  expect(textBytes('😀')).toBe(4);
+});
+
+test('attachmentBytes decodes data URL sizes', () => {
+  expect(attachmentBytes(PNG)).toBe(8);
+  expect(attachmentBytes(WEBM)).toBe(4);
+  expect(attachmentBytes('data:text/plain,hi%20there')).toBe(8);
+  expect(attachmentBytes('blob:unknown')).toBe(0);
+  expect(attachmentBytes(null)).toBe(0);
+});
+
+test('noteUsage splits a note by attachment type', () => {
+  const usage = noteUsage({
+    title: 'ab',
+    content: 'cde',
+    tags: ['x', 'y'],
+    images: [{ dataUrl: PNG }, { dataUrl: PNG }],
+    audio: [{ dataUrl: WEBM }],
+    drawing: PNG,
+  });
+  expect(usage).toEqual({ text: 8, images: 16, audio: 4, drawing: 8, total: 36 });
+});
+
+test('summarizeUsage totals per notebook, per type and sorts notes by size', () => {
+  const summary = summarizeUsage([
+    { notebook: { id: 'a', name: 'A' }, notes: [{ id: 'n1', title: 'x' }] },
+    { notebook: { id: 'b', name: 'B' }, notes: [{ id: 'n2', title: 'y', images: [{ dataUrl: PNG }] }, { id: 'n3', audio: [{ dataUrl: WEBM }] }] },
+  ]);
+  expect(summary.total).toBe(1 + 1 + 8 + 4);
+  expect(summary.byType).toEqual({ text: 2, images: 8, audio: 4, drawing: 0 });
+  expect(summary.notebooks).toEqual([
+    { id: 'b', name: 'B', count: 2, total: 13 },
+    { id: 'a', name: 'A', count: 1, total: 1 },
+  ]);
+  expect(summary.notes.map((n) => n.note.id)).toEqual(['n2', 'n3', 'n1']);
+  expect(summary.notes[0]).toMatchObject({ notebookId: 'b', notebookName: 'B' });
+});
+
+test('saveGrowth counts serialized length for localStorage and bytes otherwise', () => {
+  const image = { id: 'i', dataUrl: `data:image/png;base64,${'A'.repeat(400)}` };
+  const before = { title: 'T', images: [] };
+  const after = { title: 'T', images: [image] };
+  expect(saveGrowth({ backend: 'indexedDB' }, after, before)).toBe(300);
+  expect(saveGrowth({ backend: 'localStorage' }, after, before)).toBe(JSON.stringify(after).length - JSON.stringify(before).length);
+  expect(saveGrowth({ backend: 'localStorage' }, after, before)).toBeGreaterThan(400);
+  expect(saveGrowth({ backend: 'localStorage' }, before)).toBe(JSON.stringify(before).length);
+  expect(saveGrowth(null, after)).toBe(noteUsage(after).total);
+});
+
+test('checkQuota keeps a safety margin and passes when the quota is unknown', () => {
+  expect(checkQuota(null, 10)).toEqual({ ok: true, available: null, needed: 10 });
+  expect(checkQuota({ usage: 0, quota: 1000 }, 980).ok).toBe(true);
+  expect(checkQuota({ usage: 0, quota: 1000 }, 981).ok).toBe(false);
+  expect(checkQuota({ usage: 990, quota: 1000 }, -50)).toMatchObject({ ok: true, needed: 0 });
+});
+
+test('getStorageEstimate measures localStorage when IndexedDB is unavailable', async () => {
+  window.localStorage.setItem('k', 'value');
+  const estimate = await getStorageEstimate();
+  expect(estimate).toEqual({ usage: 6, quota: LOCAL_STORAGE_QUOTA, backend: 'localStorage' });
+});
+
+test('isQuotaError and formatBytes', () => {
+  expect(isQuotaError({ name: 'QuotaExceededError' })).toBe(true);
+  expect(isQuotaError({ code: 22 })).toBe(true);
+  expect(isQuotaError(new Error('x'))).toBe(false);
+  expect(formatBytes(512)).toBe('512 B');
+  expect(formatBytes(2048)).toBe('2.0 KB');
+  expect(formatBytes(3 * 1024 * 1024)).toBe('3.00 MB');
+});